@@ -1,21 +1,76 @@
 import React, { useState, useCallback } from 'react';
 
-import { connectToMongo, listDatabases, listCollections, fetchDocuments, fetchSchema } from './api';
+import { connectToMongo, disconnectSession, setSessionExpiredHandler, listDatabases, listCollections, fetchDocuments, fetchSchema, findReferences, startRelationshipDiscovery, getDiscoveryStatus, fetchDistinctValues, explainQuery, fetchCollectionStats, updateDocument, watchDocuments, findReferencePath } from './api';
 import DocumentCard from './components/DocumentCard';
 import Canvas from './components/Canvas';
 import QueryBuilder from './components/QueryBuilder';
+import PipelineBuilder from './components/PipelineBuilder';
+import SchemaPanel from './components/SchemaPanel';
+import QueryOptions from './components/QueryOptions';
+import Pagination from './components/Pagination';
+import EnvironmentBanner from './components/EnvironmentBanner';
+import { DEFAULT_QUERY_OPTIONS, toFindOptions } from './utils/queryOptions';
+import { isBsonValue, getBsonType, bsonToString, bsonEquals, upgradeLegacyValue } from './utils/bson';
+import { saveRelationships, getRelationships, getKnownRelationships, getRegistry, rememberRelationship, resolveReference, resolveDBRef, findReferenceFields, toFieldPath } from './utils/relationships';
+import { COLLECTION_DRAG_TYPE } from './utils/dragTypes';
+import { isStoredDocument } from './utils/storedDocuments';
+import { addRevision, MAX_REVISIONS } from './utils/revisions';
+import { findInboundRules, findReferenceRule, getReferenceRules, setKeyField, setReferenceRule } from './utils/referenceRules';
+import { ENVIRONMENTS, getSavedPolicy, savePolicy, connectionHost } from './utils/environments';
 import ConnectModal from './components/ConnectModal';
 import SaveLoadModal from './components/SaveLoadModal';
+import InputModal from './components/InputModal';
+import CompareModal from './components/CompareModal';
+import RelationshipRegistryModal from './components/RelationshipRegistryModal';
 import Toaster from './components/Toaster';
 import { useToast } from './contexts/ToastContext';
 import useHistory from './hooks/useHistory';
+import useQueryOperation from './hooks/useQueryOperation';
 import './index.css';
 
+// Limits for "Expand references": levels followed, and documents added per expansion
+const EXPAND_MAX_DEPTH = 5;
+const EXPAND_MAX_DOCUMENTS = 100;
+// Documents one "connect all" adds from an array of references
+const CONNECT_ALL_MAX_DOCUMENTS = 100;
+// Levels searched by "Find reference path" (the server caps it too)
+const REFERENCE_PATH_MAX_DEPTH = 6;
+
+// InputModal check for a depth typed by the user: a whole number from 1 to max
+const depthError = (input, max) => (/^\s*\d+\s*$/.test(input) && Number(input) >= 1 && Number(input) <= max
+  ? null
+  : `Enter a whole number from 1 to ${max}`);
+
+// The fields of document that sample has at the top level
+const pickFields = (document, sample) => Object.fromEntries(Object.keys(sample).filter(key => key in document).map(key => [key, document[key]]));
+
+// Whether adding data as a revision of the card drops its oldest revision after the first
+const dropsRevision = (doc, data) => (addRevision(doc, data, null).droppedRevisions || 0) > (doc.droppedRevisions || 0);
+
+const revisionsDroppedNote = (doc, data) => (dropsRevision(doc, data)
+  ? ` (older revisions dropped: ${MAX_REVISIONS} are kept per card)`
+  : '');
+
+// A card's expandedPaths plus the parents of the given fields, so arrows from them have something to attach to
+const expandedPathsFor = (paths, existing = []) => {
+  const expanded = new Set(existing);
+  paths.forEach(path => {
+    const parts = path.split('.');
+    for (let i = 1; i < parts.length; i++) expanded.add(parts.slice(0, i).join('.'));
+  });
+  return Array.from(expanded);
+};
+
 function App() {
 
+  // Connect form. The connection string is only sent to /api/connect, never saved
   const [uri, setUri] = useState('mongodb://localhost:27017');
-  const [isConnected, setIsConnected] = useState(false);
-  const [databases, setDatabases] = useState([]);
+  const [connectionName, setConnectionName] = useState(() => getSavedPolicy('mongodb://localhost:27017').name || '');
+  const [connectionPolicy, setConnectionPolicy] = useState(() => getSavedPolicy('mongodb://localhost:27017')); // { environment, readOnly }
+  const [isAddingConnection, setIsAddingConnection] = useState(false);
+  // Open connections, each with the server-side session handle its API calls use
+  const [connections, setConnections] = useState([]); // Array of { name, session, host, environment, readOnly, databases }
+  const [activeConnectionName, setActiveConnectionName] = useState(null); // Connection the sidebar browses
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [expandedDb, setExpandedDb] = useState(null);
@@ -23,16 +78,39 @@ function App() {
   const [selectedCollection, setSelectedCollection] = useState(null);
   const [documents, setDocuments] = useState([]);
   const [docLoading, setDocLoading] = useState(false);
+  const documentQuery = useQueryOperation();
+  const schemaQuery = useQueryOperation();
   const [docError, setDocError] = useState(null);
   const [limit, setLimit] = useState(20);
   const [schema, setSchema] = useState({});
+  const [schemaStats, setSchemaStats] = useState(null); // { fields, sampleSize } from the last schema sample
+  const [schemaSampleSize, setSchemaSampleSize] = useState(500);
+  const [schemaLoading, setSchemaLoading] = useState(false);
+  const [queryMode, setQueryMode] = useState('find'); // 'find' | 'pipeline'
+  const [activeQuery, setActiveQuery] = useState({}); // Last query run in the collection view
+  const [queryOptions, setQueryOptions] = useState(DEFAULT_QUERY_OPTIONS); // Sort / projection form
+  const [docPage, setDocPage] = useState({ skip: 0, totalCount: null, nextCursor: null, prevCursor: null, projection: null });
   const [collectionSearchTerm, setCollectionSearchTerm] = useState('');
+
+  // The sidebar works on the active connection; if it was closed, the first remaining one takes over
+  const activeConnection = connections.find(c => c.name === activeConnectionName) || connections[0] || null;
+  const session = activeConnection?.session || null;
+  const databases = activeConnection?.databases || [];
+  const isConnected = connections.length > 0;
+
+  // Connection a canvas document was fetched over; documents saved without one belong to the active connection
+  const getDocConnection = useCallback((doc) => (
+    connections.find(c => c.name === (doc?.connection || activeConnection?.name)) || null
+  ), [connections, activeConnection]);
   const [canvasDocuments, setCanvasDocuments] = useState([]);
-  const [connectionHistoryVersion, setConnectionHistoryVersion] = useState(0);
+  const [connectionHistoryVersion, setConnectionHistoryVersion] = useState(0); // Bumped when the relationship registry or reference rules change
+  const [discoveryProgress, setDiscoveryProgress] = useState({}); // { [dbName]: { done, total } } while a discovery job runs
   const [gapNodes, setGapNodes] = useState([]);
   const [textNodes, setTextNodes] = useState([]); // Array of { id, x, y, text, width, height, dimmed }
   const [imageNodes, setImageNodes] = useState([]); // Array of { id, x, y, src, width, height, dimmed, originalSize, compressedSize }
   const [diffNodes, setDiffNodes] = useState([]); // Array of { id, x, y, sourceDocId, targetDocId, dimmed }
+  const [explainNodes, setExplainNodes] = useState([]); // Array of { id, x, y, database, collection, kind, queryText, plan, width, height, dimmed }
+  const [collectionNodes, setCollectionNodes] = useState([]); // Array of { id, x, y, database, collection, stats, width, height, dimmed }
   const [canvasView, setCanvasView] = useState({ pan: { x: 0, y: 0 }, zoom: 1 });
   const [markedSources, setMarkedSources] = useState(new Set()); // Set<"collection:path">
   const [highlightedFields, setHighlightedFields] = useState(new Set()); // Set<"collection:path">
@@ -43,12 +121,17 @@ function App() {
   const [showCanvas, setShowCanvas] = useState(!!window.INITIAL_DATA);
   const [connectModalState, setConnectModalState] = useState({ isOpen: false, sourceId: null });
   const [saveLoadModalState, setSaveLoadModalState] = useState({ isOpen: false, mode: 'save', savedList: [] });
+  const [compareModalState, setCompareModalState] = useState({ isOpen: false, docId: null });
+  const [isRegistryOpen, setIsRegistryOpen] = useState(false);
+  const [inputModal, setInputModal] = useState(null); // InputModal props while a value is asked for
+  const [isLive, setIsLive] = useState(false); // Opt-in live updates of canvas cards over change streams
+  const [highlightedPath, setHighlightedPath] = useState(null); // { cardIds, links: ["refCardId>defCardId"] } from the last reference path search
   // Initialize from baked data to avoid flash of connection screen
   const [isOfflineMode, setIsOfflineMode] = useState(!!window.INITIAL_DATA);
   const [currentSaveName, setCurrentSaveName] = useState(null); // Track which save is currently loaded
   const [idColorOverrides, setIdColorOverrides] = useState({}); // { [id]: variationIndex }
   const [selectedIds, setSelectedIds] = useState([]); // Lifted state from Canvas
-  const [presentationList, setPresentationList] = useState([]); // Array of { id, type } where type = 'doc'|'gap'|'text'|'image'|'diff'
+  const [presentationList, setPresentationList] = useState([]); // Array of { id, type } where type = 'doc'|'gap'|'text'|'image'|'diff'|'explain'|'collection'
   const [presentationIndex, setPresentationIndex] = useState(-1); // -1 = not presenting
 
   const { showToast } = useToast();
@@ -69,6 +152,8 @@ function App() {
       textNodes: textNodes,
       imageNodes: imageNodes,
       diffNodes: diffNodes,
+      explainNodes: explainNodes,
+      collectionNodes: collectionNodes,
       markedSources: new Set(markedSources), // Copy Set
       highlightedFields: new Set(highlightedFields), // Copy Set
       hoistedFields: new Set(hoistedFields), // Copy Set
@@ -78,21 +163,31 @@ function App() {
       idColorOverrides: { ...idColorOverrides },
       presentationList: [...presentationList],
       presentationIndex: presentationIndex,
+      // Document data is stored as EJSON ({ $oid }, { $date }, ...) so BSON types survive saves
+      ejson: true,
       // Optional view state (included for File Saves, excluded for Undo/Redo)
       view: includeView ? canvasView : undefined
     };
-  }, [canvasDocuments, gapNodes, textNodes, imageNodes, diffNodes, markedSources, highlightedFields, hoistedFields, arrowDirection, showBackdroppedArrows, showAllArrows, idColorOverrides, presentationList, presentationIndex, canvasView]);
+  }, [canvasDocuments, gapNodes, textNodes, imageNodes, diffNodes, explainNodes, collectionNodes, markedSources, highlightedFields, hoistedFields, arrowDirection, showBackdroppedArrows, showAllArrows, idColorOverrides, presentationList, presentationIndex, canvasView]);
 
   // Helper: Restore state from a snapshot
   const restoreCanvasSnapshot = useCallback((snapshot, includeView = false) => {
     if (!snapshot) return;
 
     // Batch updates where possible (React 18 does this auto, but good to be explicit/ordered)
-    if (snapshot.documents) setCanvasDocuments(snapshot.documents);
+    if (snapshot.documents) {
+      // Older saves kept ObjectIds and Dates as plain strings
+      setCanvasDocuments(snapshot.ejson
+        ? snapshot.documents
+        : snapshot.documents.map(doc => ({ ...doc, data: upgradeLegacyValue(doc.data) })));
+    }
     if (snapshot.gapNodes) setGapNodes(snapshot.gapNodes);
     if (snapshot.textNodes) setTextNodes(snapshot.textNodes);
     if (snapshot.imageNodes) setImageNodes(snapshot.imageNodes);
     if (snapshot.diffNodes) setDiffNodes(snapshot.diffNodes);
+    // Saves from before explain / collection nodes existed have none
+    setExplainNodes(snapshot.explainNodes || []);
+    setCollectionNodes(snapshot.collectionNodes || []);
 
     // Sets need to be restored as Sets
     if (snapshot.markedSources) setMarkedSources(snapshot.markedSources instanceof Set ? snapshot.markedSources : new Set(snapshot.markedSources));
@@ -244,17 +339,53 @@ function App() {
     return () => window.removeEventListener('keydown', handleKeyDown);
   }, [handleUndo, handleRedo, showCanvas, showToast]);
 
+  // The server evicts idle sessions (and forgets them on restart); the canvas is kept while reconnecting
+  React.useEffect(() => {
+    setSessionExpiredHandler((expiredSession) => {
+      setConnections(prev => prev.filter(c => c.session !== expiredSession));
+      setExpandedDb(null);
+      setCollections({});
+      setSelectedCollection(null);
+      showToast('A connection session expired, connect again', 'warning', 4000);
+    });
+    return () => setSessionExpiredHandler(null);
+  }, [showToast]);
+
+  const switchConnection = (name) => {
+    setActiveConnectionName(name);
+    setExpandedDb(null);
+    setCollections({});
+    setSelectedCollection(null);
+    setCollectionSearchTerm('');
+  };
+
+  const handleDisconnect = (connection) => {
+    disconnectSession(connection.session).catch(() => { /* the session is dropped either way */ });
+    setConnections(prev => prev.filter(c => c.name !== connection.name));
+    if (connection.name === activeConnection?.name) {
+      switchConnection(connections.find(c => c.name !== connection.name)?.name ?? null);
+    }
+  };
+
 
   const handleConnect = async (e) => {
     e.preventDefault();
+    // Canvas documents refer to their connection by name, so names are unique
+    const name = connectionName.trim() || connectionHost(uri);
+    if (connections.some(c => c.name === name)) {
+      setError(`A connection named "${name}" is already open`);
+      return;
+    }
     setLoading(true);
     setError(null);
     try {
-      await connectToMongo(uri);
-      const data = await listDatabases(uri);
-      setDatabases(data.databases);
-      setIsConnected(true);
-      showToast('Connected successfully', 'success');
+      const { session: newSession, environment, readOnly } = await connectToMongo(uri, connectionPolicy);
+      savePolicy(uri, { environment, readOnly, name });
+      const data = await listDatabases(newSession);
+      setConnections(prev => [...prev, { name, session: newSession, host: connectionHost(uri), environment, readOnly, databases: data.databases }]);
+      switchConnection(name);
+      setIsAddingConnection(false);
+      showToast(`Connected to ${name}`, 'success');
     } catch (err) {
       setError(err.message);
       showToast('Failed to connect', 'error');
@@ -265,9 +396,7 @@ function App() {
 
   const handleOfflineMode = () => {
     setIsOfflineMode(true);
-    setIsConnected(true);
     setShowCanvas(true);
-    setDatabases([]);
     setCollections({});
   };
 
@@ -283,7 +412,7 @@ function App() {
 
     if (!collections[dbName]) {
       try {
-        const data = await listCollections(uri, dbName);
+        const data = await listCollections(session, dbName);
         setCollections(prev => ({ ...prev, [dbName]: data.collections }));
       } catch (err) {
         console.error("Failed to fetch collections:", err);
@@ -298,16 +427,24 @@ function App() {
       .sort((a, b) => a.name.localeCompare(b.name));
   };
 
-  const fetchCollectionDocuments = async (dbName, colName, currentLimit) => {
+  // page: { cursor } - omitted for the first page
+  const fetchCollectionDocuments = async (dbName, colName, currentLimit, query = {}, options = queryOptions, page = {}) => {
     setDocLoading(true);
     setDocError(null);
     setDocuments([]);
+    const opId = documentQuery.start();
     try {
-      const data = await fetchDocuments(uri, dbName, colName, currentLimit);
+      const findOptions = toFindOptions(options);
+      const data = await fetchDocuments(session, dbName, colName, currentLimit, query, { ...findOptions, ...page, opId });
       setDocuments(data.documents);
+      // The projection goes with the page: cards added from it only hold those fields
+      setDocPage({ skip: data.skip || 0, totalCount: data.totalCount ?? null, nextCursor: data.nextCursor || null, prevCursor: data.prevCursor || null, projection: findOptions.projection || null });
     } catch (err) {
-      setDocError(err.message);
+      if (!documentQuery.reportInterrupted(err, 'Document query')) {
+        setDocError(err.message);
+      }
     } finally {
+      documentQuery.finish(opId);
       setDocLoading(false);
     }
   };
@@ -324,40 +461,68 @@ function App() {
     // Let's keep it for now as it might be annoying to reset if user wants to browse with high limit.
     // Actually default to 20 is safer for performance.
     setLimit(20);
+    setActiveQuery({});
+    setQueryOptions(DEFAULT_QUERY_OPTIONS);
 
     // Fetch Documents
-    await fetchCollectionDocuments(dbName, colName, 20);
+    await fetchCollectionDocuments(dbName, colName, 20, {}, DEFAULT_QUERY_OPTIONS);
 
     // Fetch Schema
+    await loadSchema(dbName, colName, schemaSampleSize);
+  };
+
+  const loadSchema = async (dbName, colName, sampleSize) => {
+    setSchemaLoading(true);
+    const opId = schemaQuery.start();
     try {
-      const schemaData = await fetchSchema(uri, dbName, colName);
+      const schemaData = await fetchSchema(session, dbName, colName, { sampleSize, opId });
       setSchema(schemaData.schema || {});
+      setSchemaStats({ fields: schemaData.fields || [], sampleSize: schemaData.sampleSize || 0 });
     } catch (err) {
+      schemaQuery.reportInterrupted(err, 'Schema sampling');
       console.error("Failed to fetch schema:", err);
       setSchema({});
+      setSchemaStats(null);
+    } finally {
+      schemaQuery.finish(opId);
+      setSchemaLoading(false);
     }
   };
 
-  const handleRunQuery = async (queryObject) => {
+  const handleResampleSchema = (sampleSize) => {
     if (!selectedCollection) return;
+    setSchemaSampleSize(sampleSize);
+    loadSchema(selectedCollection.db, selectedCollection.col, sampleSize);
+  };
 
-    setDocLoading(true);
-    setDocError(null);
-    setDocuments([]);
-    try {
-      const data = await fetchDocuments(uri, selectedCollection.db, selectedCollection.col, limit, queryObject);
-      setDocuments(data.documents);
-    } catch (err) {
-      setDocError(err.message);
-    } finally {
-      setDocLoading(false);
-    }
+  // Value suggestions for the query builder come from the selected collection
+  const fetchFieldValues = useCallback((field) => {
+    if (!selectedCollection) return Promise.reject(new Error('No collection selected'));
+    return fetchDistinctValues(session, selectedCollection.db, selectedCollection.col, field);
+  }, [session, selectedCollection]);
+
+  const handleRunQuery = async (queryObject) => {
+    if (!selectedCollection) return;
+    setActiveQuery(queryObject);
+    await fetchCollectionDocuments(selectedCollection.db, selectedCollection.col, limit, queryObject);
   };
 
 
   const handleRefresh = () => {
     if (selectedCollection) {
-      fetchCollectionDocuments(selectedCollection.db, selectedCollection.col, limit);
+      fetchCollectionDocuments(selectedCollection.db, selectedCollection.col, limit, activeQuery);
+    }
+  };
+
+  const handleNextPage = () => {
+    if (selectedCollection && docPage.nextCursor) {
+      fetchCollectionDocuments(selectedCollection.db, selectedCollection.col, limit, activeQuery, queryOptions, { cursor: docPage.nextCursor });
+    }
+  };
+
+  const handlePrevPage = () => {
+    if (selectedCollection && docPage.prevCursor) {
+      fetchCollectionDocuments(selectedCollection.db, selectedCollection.col, limit, activeQuery, queryOptions, { cursor: docPage.prevCursor });
     }
   };
 
@@ -375,14 +540,81 @@ function App() {
         _id: Math.random().toString(36).substr(2, 9),
         data: doc,
         collection: selectedCollection?.col || 'Unknown',
+        database: selectedCollection?.db,
+        connection: activeConnection?.name,
         x: centerX - 175, // Center the 350px card
         y: centerY - 100,
         width: 350,
         height: null,
+        fetchedAt: new Date().toISOString(),
+        ...(docPage.projection ? { projection: docPage.projection } : {}),
         expandedPaths: []
       }];
     });
-  }, [selectedCollection, canvasView, showToast, saveHistoryPoint]);
+  }, [selectedCollection, activeConnection, docPage, canvasView, showToast, saveHistoryPoint]);
+
+  // Runs explain for the sidebar query ({ query }) or pipeline ({ pipeline }) and drops the plan on the canvas
+  const handleExplain = useCallback(async ({ query, pipeline }) => {
+    if (!selectedCollection) return;
+    const { db, col } = selectedCollection;
+    try {
+      const request = pipeline
+        ? { pipeline }
+        : { query, ...toFindOptions(queryOptions) };
+      const { kind, plan } = await explainQuery(session, db, col, request);
+
+      const W = window.innerWidth - 300; // Sidebar is 300px
+      const H = window.innerHeight;
+      saveHistoryPoint();
+      setExplainNodes(prev => [...prev, {
+        id: `explain-${Date.now()}`,
+        x: (W / 2 - canvasView.pan.x) / canvasView.zoom,
+        y: (H / 2 - canvasView.pan.y) / canvasView.zoom,
+        database: db,
+        collection: col,
+        connection: activeConnection?.name,
+        kind,
+        queryText: typeof (pipeline || query) === 'string' ? (pipeline || query) : JSON.stringify(pipeline || query),
+        plan,
+        dimmed: false
+      }]);
+      showToast(plan.collscan ? 'Explain plan added to canvas: COLLSCAN' : 'Explain plan added to canvas', plan.collscan ? 'warning' : 'success', 2500);
+    } catch (err) {
+      showToast(`Explain failed: ${err.message}`, 'error', 4000);
+    }
+  }, [session, activeConnection, selectedCollection, queryOptions, canvasView, saveHistoryPoint, showToast]);
+
+  // Sends a batch of documents (e.g. aggregation results) to the canvas laid out in a grid
+  const handleAddManyToCanvas = useCallback((docs) => {
+    if (!docs || docs.length === 0) return;
+    saveHistoryPoint();
+
+    const COLUMNS = 5;
+    const SPACING = 400;
+    const W = window.innerWidth - 300; // Sidebar is 300px
+    const H = window.innerHeight;
+    const baseX = (W / 2 - canvasView.pan.x) / canvasView.zoom - 175;
+    const baseY = (H / 2 - canvasView.pan.y) / canvasView.zoom - 100;
+
+    const newDocs = docs.map((doc, idx) => ({
+      _id: Math.random().toString(36).substr(2, 9),
+      data: doc,
+      collection: selectedCollection?.col || 'Unknown',
+      database: selectedCollection?.db,
+      connection: activeConnection?.name,
+      x: baseX + (idx % COLUMNS) * SPACING,
+      y: baseY + Math.floor(idx / COLUMNS) * SPACING,
+      width: 350,
+      height: null,
+      fetchedAt: new Date().toISOString(),
+      // Pipeline output is not a stored document (a $group result has a made-up _id): never refreshed, watched or written back
+      fromAggregation: true,
+      expandedPaths: []
+    }));
+
+    setCanvasDocuments(prev => [...prev, ...newDocs]);
+    showToast(`Added ${newDocs.length} document${newDocs.length > 1 ? 's' : ''} to canvas`, 'success', 2000);
+  }, [selectedCollection, activeConnection, canvasView, showToast, saveHistoryPoint]);
 
   const handleAddCustomDocument = useCallback((data, x, y) => {
     saveHistoryPoint();
@@ -530,6 +762,56 @@ function App() {
     setDiffNodes(prev => prev.filter(n => n.id !== id));
   }, [saveHistoryPoint]);
 
+  // Explain Node Handlers
+  const handleUpdateExplainNode = useCallback((id, updates) => {
+    saveHistoryPoint();
+    setExplainNodes(prev => prev.map(n => n.id === id ? { ...n, ...updates } : n));
+  }, [saveHistoryPoint]);
+
+  const handleDeleteExplainNode = useCallback((id) => {
+    saveHistoryPoint();
+    setExplainNodes(prev => prev.filter(n => n.id !== id));
+  }, [saveHistoryPoint]);
+
+  // Collection Node Handlers
+  const handleDropCollection = useCallback(async (connectionName, dbName, colName, x, y) => {
+    const connection = connections.find(c => c.name === connectionName);
+    if (!connection) {
+      showToast(`Connection "${connectionName}" is not open`, 'warning', 2500);
+      return;
+    }
+    if (collectionNodes.some(n => n.connection === connectionName && n.database === dbName && n.collection === colName)) {
+      showToast(`${colName} is already on the canvas`, 'info', 2000);
+      return;
+    }
+    try {
+      const stats = await fetchCollectionStats(connection.session, dbName, colName);
+      saveHistoryPoint();
+      setCollectionNodes(prev => [...prev, {
+        id: `collection-${Date.now()}`,
+        x,
+        y,
+        database: dbName,
+        collection: colName,
+        connection: connectionName,
+        stats,
+        dimmed: false
+      }]);
+    } catch (err) {
+      showToast(`Failed to load ${colName}: ${err.message}`, 'error', 4000);
+    }
+  }, [connections, collectionNodes, saveHistoryPoint, showToast]);
+
+  const handleUpdateCollectionNode = useCallback((id, updates) => {
+    saveHistoryPoint();
+    setCollectionNodes(prev => prev.map(n => n.id === id ? { ...n, ...updates } : n));
+  }, [saveHistoryPoint]);
+
+  const handleDeleteCollectionNode = useCallback((id) => {
+    saveHistoryPoint();
+    setCollectionNodes(prev => prev.filter(n => n.id !== id));
+  }, [saveHistoryPoint]);
+
   const handleUpdateCanvasPosition = useCallback((id, x, y) => {
     const doc = canvasDocuments.find(d => d._id === id);
     if (doc && Math.abs(doc.x - x) < 1 && Math.abs(doc.y - y) < 1) return;
@@ -615,6 +897,24 @@ function App() {
           break;
         }
       }
+
+      // Check explain nodes
+      const explainNode = explainNodes.find(n => n.id === id);
+      if (explainNode) {
+        if (Math.abs(explainNode.x - x) > 1 || Math.abs(explainNode.y - y) > 1) {
+          hasChange = true;
+          break;
+        }
+      }
+
+      // Check collection nodes
+      const collectionNode = collectionNodes.find(n => n.id === id);
+      if (collectionNode) {
+        if (Math.abs(collectionNode.x - x) > 1 || Math.abs(collectionNode.y - y) > 1) {
+          hasChange = true;
+          break;
+        }
+      }
     }
 
     if (!hasChange) return;
@@ -651,7 +951,19 @@ function App() {
       }
       return n;
     }));
-  }, [canvasDocuments, gapNodes, textNodes, imageNodes, diffNodes, saveHistoryPoint]);
+    setExplainNodes(prev => prev.map(n => {
+      if (updates[n.id]) {
+        return { ...n, x: updates[n.id].x, y: updates[n.id].y };
+      }
+      return n;
+    }));
+    setCollectionNodes(prev => prev.map(n => {
+      if (updates[n.id]) {
+        return { ...n, x: updates[n.id].x, y: updates[n.id].y };
+      }
+      return n;
+    }));
+  }, [canvasDocuments, gapNodes, textNodes, imageNodes, diffNodes, explainNodes, collectionNodes, saveHistoryPoint]);
 
   const handleCloneCanvasDocument = (id) => {
     saveHistoryPoint();
@@ -660,7 +972,7 @@ function App() {
     if (docToClone) {
       const newDoc = {
         ...docToClone,
-        _id: `${docToClone.data._id || 'doc'}-${Math.random().toString(36).substr(2, 9)}`,
+        _id: `${docToClone.data._id ? bsonToString(docToClone.data._id) : 'doc'}-${Math.random().toString(36).substr(2, 9)}`,
         x: docToClone.x + 20,
         y: docToClone.y + 20,
         width: docToClone.width || 350,
@@ -721,10 +1033,36 @@ function App() {
         y: diffNodeToClone.y + 20,
       };
       setDiffNodes(prev => [...prev, newDiffNode]);
+      return;
+    }
+
+    // 6. Try Explain Node
+    const explainNodeToClone = explainNodes.find(n => n.id === id);
+    if (explainNodeToClone) {
+      const newExplainNode = {
+        ...explainNodeToClone,
+        id: `explain-${Date.now()}-${Math.random().toString(36).substr(2, 4)}`,
+        x: explainNodeToClone.x + 20,
+        y: explainNodeToClone.y + 20,
+      };
+      setExplainNodes(prev => [...prev, newExplainNode]);
+      return;
+    }
+
+    // 7. Try Collection Node
+    const collectionNodeToClone = collectionNodes.find(n => n.id === id);
+    if (collectionNodeToClone) {
+      const newCollectionNode = {
+        ...collectionNodeToClone,
+        id: `collection-${Date.now()}-${Math.random().toString(36).substr(2, 4)}`,
+        x: collectionNodeToClone.x + 20,
+        y: collectionNodeToClone.y + 20,
+      };
+      setCollectionNodes(prev => [...prev, newCollectionNode]);
     }
   };
 
-  const handlePasteNodes = useCallback(({ documents: newDocs, gapNodes: newGaps, textNodes: newTexts, imageNodes: newImages, diffNodes: newDiffs }) => {
+  const handlePasteNodes = useCallback(({ documents: newDocs, gapNodes: newGaps, textNodes: newTexts, imageNodes: newImages, diffNodes: newDiffs, explainNodes: newExplains, collectionNodes: newCollections }) => {
     saveHistoryPoint();
     if (newDocs && newDocs.length > 0) {
       setCanvasDocuments(prev => [...prev, ...newDocs]);
@@ -741,6 +1079,12 @@ function App() {
     if (newDiffs && newDiffs.length > 0) {
       setDiffNodes(prev => [...prev, ...newDiffs]);
     }
+    if (newExplains && newExplains.length > 0) {
+      setExplainNodes(prev => [...prev, ...newExplains]);
+    }
+    if (newCollections && newCollections.length > 0) {
+      setCollectionNodes(prev => [...prev, ...newCollections]);
+    }
   }, [saveHistoryPoint]);
 
   const handleDeleteCanvasDocument = (id) => {
@@ -756,19 +1100,22 @@ function App() {
     setTextNodes(prev => prev.filter(n => !idsSet.has(n.id)));
     setImageNodes(prev => prev.filter(n => !idsSet.has(n.id)));
     setDiffNodes(prev => prev.filter(n => !idsSet.has(n.id)));
+    setExplainNodes(prev => prev.filter(n => !idsSet.has(n.id)));
+    setCollectionNodes(prev => prev.filter(n => !idsSet.has(n.id)));
   };
 
 
   // Helper to recursively find all paths that point to objects or arrays
+  // (BSON values like { $oid } are leaves, not expandable objects)
   const getAllPaths = (data, prefix = '') => {
     let paths = [];
-    if (!data || typeof data !== 'object') return paths;
+    if (!data || typeof data !== 'object' || isBsonValue(data)) return paths;
 
     // Handle Array
     if (Array.isArray(data)) {
       data.forEach((item, index) => {
         const currentPath = `${prefix ? prefix + '.' : ''}${index}`;
-        if (typeof item === 'object' && item !== null) {
+        if (typeof item === 'object' && item !== null && !isBsonValue(item)) {
           paths.push(currentPath);
           paths = paths.concat(getAllPaths(item, currentPath));
         }
@@ -780,7 +1127,7 @@ function App() {
     Object.keys(data).forEach(key => {
       const value = data[key];
       const currentPath = `${prefix ? prefix + '.' : ''}${key}`;
-      if (typeof value === 'object' && value !== null) {
+      if (typeof value === 'object' && value !== null && !isBsonValue(value)) {
         paths.push(currentPath);
         paths = paths.concat(getAllPaths(value, currentPath));
       }
@@ -888,7 +1235,37 @@ function App() {
     if (imageFound) return;
 
     // 5. Try Diff Node
+    let diffFound = false;
     setDiffNodes(prev => {
+      const idx = prev.findIndex(n => n.id === docId);
+      if (idx !== -1) {
+        diffFound = true;
+        const newArr = [...prev];
+        newArr[idx] = { ...newArr[idx], dimmed: !newArr[idx].dimmed };
+        return newArr;
+      }
+      return prev;
+    });
+
+    if (diffFound) return;
+
+    // 6. Try Explain Node
+    let explainFound = false;
+    setExplainNodes(prev => {
+      const idx = prev.findIndex(n => n.id === docId);
+      if (idx !== -1) {
+        explainFound = true;
+        const newArr = [...prev];
+        newArr[idx] = { ...newArr[idx], dimmed: !newArr[idx].dimmed };
+        return newArr;
+      }
+      return prev;
+    });
+
+    if (explainFound) return;
+
+    // 7. Try Collection Node
+    setCollectionNodes(prev => {
       const idx = prev.findIndex(n => n.id === docId);
       if (idx !== -1) {
         const newArr = [...prev];
@@ -903,12 +1280,250 @@ function App() {
     saveHistoryPoint();
     setCanvasDocuments(prev => prev.map(doc => {
       if (doc._id === id) {
-        return { ...doc, data: newData };
+        // Keep the document as fetched, so a later write-back can check the stored one is unchanged
+        return { ...doc, data: newData, storedData: doc.storedData || doc.data };
       }
       return doc;
     }));
   }, [saveHistoryPoint]);
 
+  // Writes a card's edited document back to its collection. The version it replaced is kept on
+  // the card (lastWrite) so the write can be reverted. Resolves to whether the write went through.
+  // On prod, confirmation is the database name as typed by the user.
+  const handleWriteCanvasDocument = useCallback(async (id, newData, confirmation) => {
+    const doc = canvasDocuments.find(d => d._id === id);
+    if (!doc) return false;
+    const connection = getDocConnection(doc);
+    if (!connection) {
+      showToast(`Connection "${doc.connection}" is not open`, 'warning', 3000);
+      return false;
+    }
+    const before = doc.storedData || doc.data;
+    try {
+      const stored = await updateDocument(connection.session, doc.database, doc.collection, before, newData, { confirmation, wholeDocument: !doc.projection });
+      saveHistoryPoint();
+      setCanvasDocuments(prev => prev.map(d => d._id === id
+        ? { ...d, data: stored, storedData: undefined, lastWrite: { before, after: stored }, drift: undefined, ...addRevision(d, stored, new Date().toISOString()) }
+        : d));
+      showToast(`Saved to ${doc.database}.${doc.collection}${revisionsDroppedNote(doc, stored)}`, 'success', 2500);
+      return true;
+    } catch (err) {
+      showToast(`Not saved: ${err.message}`, 'error', 6000);
+      return false;
+    }
+  }, [getDocConnection, canvasDocuments, saveHistoryPoint, showToast]);
+
+  // Puts the before-image of the card's last write back, with the same concurrency check
+  const handleRevertCanvasDocumentWrite = useCallback(async (id, confirmation) => {
+    const doc = canvasDocuments.find(d => d._id === id);
+    if (!doc?.lastWrite) return;
+    const connection = getDocConnection(doc);
+    if (!connection) {
+      showToast(`Connection "${doc.connection}" is not open`, 'warning', 3000);
+      return;
+    }
+    try {
+      const stored = await updateDocument(connection.session, doc.database, doc.collection, doc.lastWrite.after, doc.lastWrite.before, { confirmation, wholeDocument: !doc.projection });
+      saveHistoryPoint();
+      setCanvasDocuments(prev => prev.map(d => d._id === id
+        ? { ...d, data: stored, storedData: undefined, lastWrite: undefined, drift: undefined, ...addRevision(d, stored, new Date().toISOString()) }
+        : d));
+      showToast(`Write reverted${revisionsDroppedNote(doc, stored)}`, 'success', 2500);
+    } catch (err) {
+      showToast(`Revert failed: ${err.message}`, 'error', 6000);
+    }
+  }, [getDocConnection, canvasDocuments, saveHistoryPoint, showToast]);
+
+  // Re-queries cards by _id (the given ones, or every card from a collection) and flags each card whose
+  // stored document changed or was deleted since it was fetched: drift = { status, current?, checkedAt }
+  const handleRefreshCanvasDocuments = useCallback(async (ids) => {
+    const idSet = ids ? new Set(ids) : null;
+    const candidates = canvasDocuments.filter(d => (!idSet || idSet.has(d._id)) && isStoredDocument(d));
+    if (candidates.length === 0) {
+      showToast('No cards fetched from a collection to refresh', 'info', 2000);
+      return;
+    }
+
+    // One query per connection, collection and projection: a card is compared with the fields it was fetched with
+    const groups = new Map();
+    candidates.forEach(doc => {
+      const key = `${doc.connection || activeConnection?.name}\u0000${doc.database}\u0000${doc.collection}\u0000${JSON.stringify(doc.projection || null)}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(doc);
+    });
+
+    const checkedAt = new Date().toISOString();
+    const drifts = new Map(); // card id -> drift, or null when the card is current
+    const seen = new Map(); // card id -> current version, kept in the card's revisions
+    let skipped = 0;
+    let failed = 0;
+    for (const docs of groups.values()) {
+      const connection = getDocConnection(docs[0]);
+      if (!connection) {
+        skipped += docs.length;
+        continue;
+      }
+      try {
+        const data = await fetchDocuments(connection.session, docs[0].database, docs[0].collection, docs.length, { _id: { $in: docs.map(d => d.data._id) } }, { projection: docs[0].projection });
+        const current = new Map(data.documents.map(d => [bsonToString(d._id), d]));
+        docs.forEach(doc => {
+          const found = current.get(bsonToString(doc.data._id));
+          if (found) seen.set(doc._id, found);
+          if (!found) drifts.set(doc._id, { status: 'deleted', checkedAt });
+          else if (!bsonEquals(doc.storedData || doc.data, found)) drifts.set(doc._id, { status: 'changed', current: found, checkedAt });
+          else drifts.set(doc._id, null);
+        });
+      } catch (err) {
+        console.error('Refresh failed', err);
+        failed += docs.length;
+      }
+    }
+
+    if (drifts.size > 0) {
+      saveHistoryPoint();
+      setCanvasDocuments(prev => prev.map(d => drifts.has(d._id)
+        ? { ...d, drift: drifts.get(d._id) || undefined, ...(seen.has(d._id) ? { ...addRevision(d, seen.get(d._id), checkedAt), tombstone: undefined } : {}) }
+        : d));
+    }
+    const changed = [...drifts.values()].filter(drift => drift?.status === 'changed').length;
+    const deleted = [...drifts.values()].filter(drift => drift?.status === 'deleted').length;
+    const trimmed = candidates.filter(doc => seen.has(doc._id) && dropsRevision(doc, seen.get(doc._id))).length;
+    const notes = [
+      changed > 0 && `${changed} changed`,
+      deleted > 0 && `${deleted} deleted`,
+      skipped > 0 && `${skipped} skipped (connection not open)`,
+      failed > 0 && `${failed} failed`,
+      trimmed > 0 && `older revisions dropped on ${trimmed} (${MAX_REVISIONS} kept per card)`
+    ].filter(Boolean);
+    showToast(
+      notes.length > 0 ? `Refreshed ${drifts.size} card${drifts.size === 1 ? '' : 's'}: ${notes.join(', ')}` : `${drifts.size} card${drifts.size === 1 ? ' is' : 's are'} up to date`,
+      changed + deleted + skipped + failed > 0 ? 'warning' : 'success',
+      3500
+    );
+  }, [canvasDocuments, activeConnection, getDocConnection, saveHistoryPoint, showToast]);
+
+  // Acts on a card's drift flag: 'diff' adds the current version next to the card with a Diff Node
+  // from the old snapshot, 'replace' swaps the snapshot for the current version, 'dismiss' drops the flag
+  const handleResolveDrift = useCallback((id, action) => {
+    const doc = canvasDocuments.find(d => d._id === id);
+    if (!doc?.drift) return;
+    saveHistoryPoint();
+    if (action === 'diff' && doc.drift.current) {
+      const currentId = Math.random().toString(36).substr(2, 9);
+      // The flag stays on the old card: it is still a stale snapshot
+      setCanvasDocuments(prev => [
+        ...prev,
+        {
+          _id: currentId,
+          data: doc.drift.current,
+          collection: doc.collection,
+          database: doc.database,
+          connection: doc.connection,
+          x: doc.x + 400,
+          y: doc.y,
+          width: 350,
+          height: null,
+          fetchedAt: doc.drift.checkedAt,
+          ...(doc.projection ? { projection: doc.projection } : {}),
+          expandedPaths: doc.expandedPaths || []
+        }
+      ]);
+      setDiffNodes(prev => [...prev, {
+        id: `diff-${Date.now()}`,
+        x: doc.x + 200,
+        y: doc.y - 50,
+        sourceDocId: id,
+        targetDocId: currentId,
+        dimmed: false
+      }]);
+    } else if (action === 'replace' && doc.drift.current) {
+      // The old snapshot and any local edits on top of it are gone, and so is the revert of an earlier write
+      setCanvasDocuments(prev => prev.map(d => d._id === id
+        ? { ...d, data: doc.drift.current, storedData: undefined, lastWrite: undefined, drift: undefined }
+        : d));
+    } else {
+      setCanvasDocuments(prev => prev.map(d => d._id === id ? { ...d, drift: undefined } : d));
+    }
+  }, [canvasDocuments, saveHistoryPoint]);
+
+  // What live mode watches, per open connection: [{ connection, session, targets: [{ dbName, colName, ids }] }].
+  // Serialized so the watch only restarts when the set of documents changes, not when cards move.
+  const liveWatchKey = React.useMemo(() => {
+    if (!isLive) return null;
+    const byConnection = new Map();
+    canvasDocuments.forEach(doc => {
+      if (!isStoredDocument(doc)) return;
+      const connection = getDocConnection(doc);
+      if (!connection) return;
+      if (!byConnection.has(connection.name)) byConnection.set(connection.name, { connection: connection.name, session: connection.session, targets: new Map() });
+      const targets = byConnection.get(connection.name).targets;
+      const key = `${doc.database}\u0000${doc.collection}`;
+      if (!targets.has(key)) targets.set(key, { dbName: doc.database, colName: doc.collection, ids: new Map() });
+      targets.get(key).ids.set(bsonToString(doc.data._id), doc.data._id);
+    });
+    if (byConnection.size === 0) return null;
+    return JSON.stringify([...byConnection.values()].map(({ connection, session, targets }) => ({
+      connection,
+      session,
+      targets: [...targets.values()].map(t => ({ dbName: t.dbName, colName: t.colName, ids: [...t.ids.values()] }))
+    })));
+  }, [isLive, canvasDocuments, getDocConnection]);
+
+  // Applies a change event to the matching cards: the new version becomes a revision and, unless the card
+  // has local edits, what the card shows; pulseAt makes the card pulse. Deleted documents become tombstones.
+  const applyLiveChange = useCallback((connectionName, { dbName, colName, operationType, id, document, at }) => {
+    const idText = bsonToString(id);
+    setCanvasDocuments(prev => prev.map(d => {
+      if ((d.connection || activeConnection?.name) !== connectionName || d.database !== dbName || d.collection !== colName
+        || d.data?._id === undefined || bsonToString(d.data._id) !== idText) return d;
+      if (operationType === 'delete') return { ...d, tombstone: { at }, pulseAt: at };
+      if (!document) return d;
+      // Change events carry the whole document; a projected card keeps to its own top-level fields
+      const current = d.projection ? pickFields(document, d.storedData || d.data) : document;
+      const updated = { ...d, ...addRevision(d, current, at), tombstone: undefined, drift: undefined, pulseAt: at };
+      return d.storedData
+        ? { ...updated, drift: { status: 'changed', current, checkedAt: at } }
+        : { ...updated, data: current };
+    }));
+  }, [activeConnection]);
+
+  React.useEffect(() => {
+    if (!liveWatchKey) return;
+    const controller = new AbortController();
+    const stopLive = (message) => {
+      if (controller.signal.aborted) return;
+      controller.abort();
+      setIsLive(false);
+      showToast(message, 'error', 6000);
+    };
+    JSON.parse(liveWatchKey).forEach(({ connection, session: watchSession, targets }) => {
+      watchDocuments(watchSession, targets, (type, data) => {
+        if (type === 'change') applyLiveChange(connection, data);
+        else if (type === 'error') stopLive(`${connection}: ${data.error}`);
+      }, controller.signal)
+        .then(() => stopLive(`Live updates from ${connection} ended`))
+        .catch(err => stopLive(`Live updates from ${connection} failed: ${err.message}`));
+    });
+    return () => controller.abort();
+  }, [liveWatchKey, applyLiveChange, showToast]);
+
+  // Diff Node between two revisions of the same card (indexes into its revisions)
+  const handleDiffRevisions = useCallback((id, sourceRevision, targetRevision) => {
+    const doc = canvasDocuments.find(d => d._id === id);
+    if (!doc) return;
+    saveHistoryPoint();
+    setDiffNodes(prev => [...prev, {
+      id: `diff-${Date.now()}`,
+      x: doc.x + 175,
+      y: doc.y - 80,
+      sourceDocId: id,
+      targetDocId: id,
+      sourceRevision,
+      targetRevision,
+      dimmed: false
+    }]);
+  }, [canvasDocuments, saveHistoryPoint]);
+
   const handleIdColorChange = useCallback((id) => {
     saveHistoryPoint();
     setIdColorOverrides(prev => ({
@@ -925,6 +1540,8 @@ function App() {
       setTextNodes([]);
       setImageNodes([]);
       setDiffNodes([]);
+      setExplainNodes([]);
+      setCollectionNodes([]);
       setMarkedSources(new Set());
       setHighlightedFields(new Set());
       setHoistedFields(new Set());
@@ -965,34 +1582,40 @@ function App() {
     setShowAllArrows(updater);
   }, [saveHistoryPoint]);
 
-  const handleConnectRequest = useCallback((id, fieldPath) => {
-    setConnectModalState({ isOpen: true, sourceId: id, fieldPath: fieldPath });
+  const handleConnectRequest = useCallback((id, fieldPath, sourceCollection, sourceDatabase, sourceConnection) => {
+    setConnectModalState({ isOpen: true, sourceId: id, fieldPath: fieldPath, sourceCollection, sourceDatabase, sourceConnection });
   }, []);
 
-  const handleQuickConnect = useCallback(async (sourceDocId, idValue, fieldPath, dbName, colName) => {
+  // targetField is set when a reference rule is followed: idValue is then the field's own value (EJSON),
+  // matched against that field of the target collection, and the rule stands in for the history
+  const handleQuickConnect = useCallback(async (sourceDocId, idValue, fieldPath, dbName, colName, targetField = null) => {
+    // The referenced document lives behind the same connection as the one pointing at it
+    const source = canvasDocuments.find(d => d._id === sourceDocId);
+    const connection = getDocConnection(source);
+    if (!connection) {
+      showToast('The connection of this document is not open', 'warning', 2500);
+      return;
+    }
     try {
       showToast(`Quick connecting to ${colName}...`, 'info', 1000);
 
       // Build query matching QueryBuilder format - ObjectId uses { $oid: value }
-      const queryObject = {
+      const queryObject = targetField ? { [targetField]: idValue } : {
         _id: { $oid: idValue }
       };
 
-      const data = await fetchDocuments(uri, dbName, colName, 20, queryObject);
+      const data = await fetchDocuments(connection.session, dbName, colName, 20, queryObject);
 
       if (data.documents && data.documents.length > 0) {
-        // Save to connection history so ⚡ becomes 🚀 next time
-        try {
-          const historyRaw = localStorage.getItem('mongoDV_connectionHistory');
-          const history = historyRaw ? JSON.parse(historyRaw) : {};
-          history[fieldPath] = { db: dbName, collection: colName };
-          localStorage.setItem('mongoDV_connectionHistory', JSON.stringify(history));
+        // Save to the relationship registry so ⚡ becomes 🚀 next time
+        if (!targetField) {
+          rememberRelationship({ database: source.database, collection: source.collection, path: fieldPath, targetDatabase: dbName, targetCollection: colName });
           // Trigger re-render of icons
           setConnectionHistoryVersion(v => v + 1);
-        } catch (e) { /* localStorage unavailable */ }
+        }
 
         // Use sourceDocId for positioning (the document that contains the clicked field)
-        handleConnectSubmit(data.documents, colName, sourceDocId);
+        handleConnectSubmit(data.documents, colName, sourceDocId, dbName, connection.name);
       } else {
         showToast('No documents found', 'warning', 2000);
       }
@@ -1000,9 +1623,86 @@ function App() {
       console.error("Quick connect failed", err);
       showToast(`Connection failed: ${err.message}`, 'error', 3000);
     }
-  }, [uri, showToast]);
+  }, [getDocConnection, canvasDocuments, showToast]);
+
+  // Fetches every document an array of references (or a single DBRef) points at, with one $in query per
+  // target collection. targets: [{ dbName, colName, ids }]. arrayPath is expanded on the source card so
+  // the arrows show; with remember, the target is kept for the whole array so every element gets 🚀.
+  const handleConnectAll = useCallback(async (sourceDocId, targets, { arrayPath = null, remember = false } = {}) => {
+    const source = canvasDocuments.find(d => d._id === sourceDocId);
+    const connection = getDocConnection(source);
+    if (!source || !connection) {
+      showToast('The connection of this document is not open', 'warning', 2500);
+      return;
+    }
+
+    // Ids already on the canvas (or listed twice) are fetched once at most
+    const docKey = (dbName, colName, id) => `${dbName}\u0000${colName}\u0000${bsonToString(id)}`;
+    const seen = new Set(canvasDocuments
+      .filter(d => (d.connection || activeConnection?.name) === connection.name && d.data?._id !== undefined)
+      .map(d => docKey(d.database, d.collection, d.data._id)));
+    const fetched = [];
+    let requested = 0;
+    let capped = false;
+    try {
+      for (const { dbName, colName, ids } of targets) {
+        const missing = ids.filter(id => {
+          const key = docKey(dbName, colName, id);
+          if (seen.has(key)) return false;
+          seen.add(key);
+          return true;
+        });
+        const room = CONNECT_ALL_MAX_DOCUMENTS - fetched.length;
+        if (missing.length > room) capped = true;
+        const batch = missing.slice(0, room);
+        if (batch.length === 0) continue;
+        requested += batch.length;
+        const data = await fetchDocuments(connection.session, dbName, colName, batch.length, { _id: { $in: batch } });
+        data.documents.forEach(document => fetched.push({ data: document, dbName, colName }));
+      }
+    } catch (err) {
+      console.error('Connect all failed', err);
+      showToast(`Connection failed: ${err.message}`, 'error', 3000);
+      return;
+    }
 
-  const handleConnectSubmit = (newDocs, collectionName, explicitSourceId = null) => {
+    if (remember && fetched.length > 0 && targets.length === 1) {
+      rememberRelationship({ database: source.database, collection: source.collection, path: arrayPath, targetDatabase: targets[0].dbName, targetCollection: targets[0].colName });
+      setConnectionHistoryVersion(v => v + 1);
+    }
+
+    if (fetched.length === 0) {
+      showToast(requested === 0 ? 'All referenced documents are already on the canvas' : 'No documents found', 'info', 2500);
+      return;
+    }
+
+    saveHistoryPoint();
+    const added = fetched.map(({ data, dbName, colName }, idx) => ({
+      _id: Math.random().toString(36).substr(2, 9),
+      data,
+      collection: colName,
+      database: dbName,
+      connection: connection.name,
+      x: source.x + 400 + idx * 30, // Cascade to the right of the source, as connecting does
+      y: source.y + idx * 30,
+      width: 350,
+      height: null,
+      fetchedAt: new Date().toISOString(),
+      expandedPaths: []
+    }));
+    setCanvasDocuments(prev => [
+      ...prev.map(d => d._id === sourceDocId && arrayPath ? { ...d, expandedPaths: expandedPathsFor([`${arrayPath}.0`], d.expandedPaths) } : d),
+      ...added
+    ]);
+    setSelectedIds(added.map(d => d._id));
+    showToast(
+      `Connected ${added.length} document${added.length > 1 ? 's' : ''}${capped ? ` (stopped at the ${CONNECT_ALL_MAX_DOCUMENTS} document limit)` : ''}`,
+      capped ? 'warning' : 'success',
+      2500
+    );
+  }, [canvasDocuments, getDocConnection, activeConnection, saveHistoryPoint, showToast]);
+
+  const handleConnectSubmit = (newDocs, collectionName, explicitSourceId = null, databaseName = null, connectionName = null, projection = null) => {
     if (!newDocs || newDocs.length === 0) return;
 
     saveHistoryPoint();
@@ -1037,10 +1737,14 @@ function App() {
         _id: canvasId,
         data: doc,
         collection: collectionName || 'Unknown',
+        database: databaseName,
+        connection: connectionName || activeConnection?.name,
         x: baseX + idx * 30, // Offset each new doc slightly
         y: baseY + idx * 30,
         width: 350,
         height: null,
+        fetchedAt: new Date().toISOString(),
+        ...(projection ? { projection } : {}),
         expandedPaths: []
       }));
 
@@ -1054,6 +1758,461 @@ function App() {
     setSelectedIds(newIds);
   };
 
+  // Collections searched by "Find referencing documents", per database (empty = all)
+  const getReferenceScope = (dbName) => {
+    try {
+      const raw = localStorage.getItem(`mongoDV_referenceScope_${dbName}`);
+      return raw ? JSON.parse(raw) : [];
+    } catch {
+      return [];
+    }
+  };
+
+  const handleConfigureReferenceScope = useCallback((docId) => {
+    const doc = canvasDocuments.find(d => d._id === docId);
+    const dbName = doc?.database || localStorage.getItem('mongoDV_lastUsedDb');
+    if (!dbName) {
+      showToast('Unknown database for this document', 'warning', 2000);
+      return;
+    }
+
+    const toScope = (input) => input.split(',').map(name => name.trim()).filter(Boolean);
+    setInputModal({
+      title: 'Reference search scope',
+      description: `Collections of "${dbName}" that "Find referencing documents" searches. Leave empty to search them all.`,
+      label: 'Collections (comma separated)',
+      initialValue: getReferenceScope(dbName).join(', '),
+      placeholder: 'all collections',
+      confirmLabel: 'Save',
+      validate: (input) => {
+        const scope = toScope(input);
+        const invalid = scope.find(name => name.includes('$') || name.includes('\0'));
+        if (invalid) return `"${invalid}" is not a collection name`;
+        const duplicate = scope.find((name, i) => scope.indexOf(name) !== i);
+        return duplicate ? `"${duplicate}" is listed twice` : null;
+      },
+      onConfirm: (input) => {
+        const scope = toScope(input);
+        try {
+          localStorage.setItem(`mongoDV_referenceScope_${dbName}`, JSON.stringify(scope));
+        } catch { /* localStorage unavailable */ }
+        showToast(scope.length > 0 ? `Reference search limited to ${scope.length} collection${scope.length > 1 ? 's' : ''}` : 'Reference search covers all collections', 'info', 2000);
+      }
+    });
+  }, [canvasDocuments, showToast]);
+
+  // Reference rules for keys that are not ObjectIds (utils/referenceRules): the key field of a collection, and
+  // the collection and field a reference field points at. Cards pick up changes via connectionHistoryVersion.
+  const handleToggleKeyField = useCallback((docId, path) => {
+    const doc = canvasDocuments.find(d => d._id === docId);
+    if (!doc?.collection) return;
+    const fieldPath = toFieldPath(path);
+    const isKey = getReferenceRules(doc.database).keyFields[doc.collection] === fieldPath;
+    setKeyField(doc.database, doc.collection, isKey ? null : fieldPath);
+    setConnectionHistoryVersion(v => v + 1);
+    showToast(isKey ? `${doc.collection} no longer has a key field` : `"${fieldPath}" is now the key of ${doc.collection}`, 'info', 2000);
+  }, [canvasDocuments, showToast]);
+
+  const handleEditReferenceRule = useCallback((docId, path) => {
+    const doc = canvasDocuments.find(d => d._id === docId);
+    if (!doc?.collection) return;
+    const fieldPath = toFieldPath(path);
+    const existing = findReferenceRule(doc.database, doc.collection, fieldPath);
+    setInputModal({
+      title: 'Reference rule',
+      description: `What ${doc.collection}.${fieldPath} references: collection.field, or just the collection to use its key field (else _id). Leave empty to remove the rule.`,
+      label: 'Target',
+      initialValue: existing ? `${existing.targetCollection}.${existing.targetField}` : '',
+      placeholder: 'customers.uuid',
+      confirmLabel: existing ? 'Save' : 'Add rule',
+      validate: (input) => {
+        const parts = input.trim().split('.');
+        if (!input.trim()) return existing ? null : 'Enter the collection (and field) this field references';
+        if (parts.some(part => !part)) return 'Collection and field names cannot be empty';
+        return parts.some(part => part.includes('$')) ? 'Names cannot contain "$"' : null;
+      },
+      onConfirm: (input) => {
+        const [collection, ...field] = input.trim().split('.');
+        setReferenceRule(doc.database, doc.collection, fieldPath, collection ? { collection, field: field.join('.') || null } : null);
+        setConnectionHistoryVersion(v => v + 1);
+        showToast(collection
+          ? `${doc.collection}.${fieldPath} now references ${collection}${field.length > 0 ? `.${field.join('.')}` : ''}`
+          : `Removed the rule for ${doc.collection}.${fieldPath}`, 'info', 2500);
+      }
+    });
+  }, [canvasDocuments, showToast]);
+
+  // Reverse lookup: add documents that point at this card's _id, laid out to its left.
+  // Reference rules into the card's collection are looked up too, by the key field each rule names.
+  const handleFindReferences = useCallback(async (docId) => {
+    const target = canvasDocuments.find(d => d._id === docId);
+    const dbName = target?.database || localStorage.getItem('mongoDV_lastUsedDb');
+    const hasObjectId = getBsonType(target?.data?._id) === 'ObjectId';
+    const keys = target && dbName
+      ? findInboundRules(dbName, target.collection)
+        .filter(rule => rule.sourceCollection) // Any-collection rules have no collection to search
+        .map(rule => ({ sourceCollection: rule.sourceCollection, path: rule.path, value: rule.targetField.split('.').reduce((cur, part) => cur?.[part], target.data) }))
+        .filter(key => isBsonValue(key.value) || ['string', 'number'].includes(typeof key.value))
+      : [];
+    if (!target || (!hasObjectId && keys.length === 0)) {
+      showToast('Reverse lookup needs a document with an ObjectId _id or a reference rule pointing at its collection', 'warning', 3000);
+      return;
+    }
+    if (!dbName) {
+      showToast('Unknown database for this document', 'warning', 2000);
+      return;
+    }
+    const connection = getDocConnection(target);
+    if (!connection) {
+      showToast('The connection of this document is not open', 'warning', 2500);
+      return;
+    }
+
+    try {
+      showToast(`Searching ${dbName} for references...`, 'info', 1500);
+      const scope = getReferenceScope(dbName);
+      const data = await findReferences(connection.session, dbName, hasObjectId ? target.data._id.$oid : null, {
+        collections: scope.length > 0 ? scope : undefined,
+        keys: keys.length > 0 ? keys : undefined
+      });
+
+      if (data.references.length === 0) {
+        showToast('No referencing documents found', 'warning', 2000);
+        return;
+      }
+
+      // Skip documents that are already on the canvas
+      const docKey = (conn, collection, id) => `${conn}:${collection}:${bsonToString(id)}`;
+      const onCanvas = new Set(canvasDocuments.filter(d => d.data?._id !== undefined).map(d => docKey(d.connection || activeConnection?.name, d.collection, d.data._id)));
+      const hits = data.references.filter(ref => !onCanvas.has(docKey(connection.name, ref.collection, ref.document._id)));
+      if (hits.length === 0) {
+        showToast('All referencing documents are already on the canvas', 'info', 2000);
+        return;
+      }
+
+      saveHistoryPoint();
+
+      const PER_COLUMN = 8;
+      const newDocs = hits.map((ref, idx) => {
+        // Expand the parents of each matching field so its arrow has something to attach to
+        const expandedPaths = new Set();
+        ref.paths.forEach(path => {
+          const parts = path.split('.');
+          for (let i = 1; i < parts.length; i++) expandedPaths.add(parts.slice(0, i).join('.'));
+        });
+
+        return {
+          _id: Math.random().toString(36).substr(2, 9),
+          data: ref.document,
+          collection: ref.collection,
+          database: dbName,
+          connection: connection.name,
+          x: target.x - 400 * (Math.floor(idx / PER_COLUMN) + 1),
+          y: target.y + (idx % PER_COLUMN) * 250,
+          width: 350,
+          height: null,
+          fetchedAt: new Date().toISOString(),
+          expandedPaths: Array.from(expandedPaths)
+        };
+      });
+
+      setCanvasDocuments(prev => [...prev, ...newDocs]);
+      setSelectedIds(newDocs.map(d => d._id));
+      showToast(`Found ${hits.length} referencing document${hits.length > 1 ? 's' : ''}`, 'success', 2000);
+    } catch (err) {
+      console.error("Find references failed", err);
+      showToast(`Reverse lookup failed: ${err.message}`, 'error', 3000);
+    }
+  }, [getDocConnection, activeConnection, canvasDocuments, saveHistoryPoint, showToast]);
+
+  // Follows every outgoing reference of a card breadth-first, up to the chosen depth, through the
+  // remembered and discovered mappings (DBRefs name their own target). Each level sends one $in query
+  // per target collection; new documents are laid out in one column per level, and documents already
+  // on the canvas are skipped.
+  const expandReferences = useCallback(async (root, connection, depth) => {
+    const docKey = (dbName, colName, id) => `${dbName}\u0000${colName}\u0000${bsonToString(id)}`;
+    const seen = new Set(canvasDocuments
+      .filter(d => (d.connection || activeConnection?.name) === connection.name && d.data?._id !== undefined)
+      .map(d => docKey(d.database, d.collection, d.data._id)));
+
+    const added = [];
+    let rootPaths = [];
+    let frontier = [{ data: root.data, database: root.database, collection: root.collection, isRoot: true }];
+    let capped = false;
+    try {
+      for (let level = 1; level <= depth && frontier.length > 0 && !capped; level++) {
+        // Target collection -> ids to fetch at this level
+        const targets = new Map();
+        frontier.forEach(doc => {
+          const followed = [];
+          findReferenceFields(doc.data).forEach(({ path, value, dbRef }) => {
+            const target = dbRef ? resolveDBRef(dbRef, doc.database) : resolveReference(doc.database, doc.collection, path);
+            if (!target) return;
+            followed.push(path);
+            const key = docKey(target.db, target.collection, value);
+            if (seen.has(key)) return;
+            seen.add(key);
+            const targetKey = `${target.db}\u0000${target.collection}`;
+            if (!targets.has(targetKey)) targets.set(targetKey, { dbName: target.db, colName: target.collection, ids: [] });
+            targets.get(targetKey).ids.push(value);
+          });
+          if (doc.isRoot) rootPaths = followed;
+          else doc.card.expandedPaths = expandedPathsFor(followed);
+        });
+
+        const levelDocs = [];
+        for (const { dbName, colName, ids } of targets.values()) {
+          const room = EXPAND_MAX_DOCUMENTS - added.length - levelDocs.length;
+          if (room <= 0) {
+            capped = true;
+            break;
+          }
+          if (ids.length > room) capped = true;
+          const batch = ids.slice(0, room);
+          const data = await fetchDocuments(connection.session, dbName, colName, batch.length, { _id: { $in: batch } });
+          data.documents.forEach(document => levelDocs.push({ data: document, database: dbName, collection: colName }));
+        }
+
+        levelDocs.forEach((doc, idx) => {
+          doc.card = {
+            _id: Math.random().toString(36).substr(2, 9),
+            data: doc.data,
+            collection: doc.collection,
+            database: doc.database,
+            connection: connection.name,
+            x: root.x + 400 * level,
+            y: root.y + idx * 250,
+            width: 350,
+            height: null,
+            fetchedAt: new Date().toISOString(),
+            expandedPaths: []
+          };
+          added.push(doc.card);
+        });
+        frontier = levelDocs;
+      }
+    } catch (err) {
+      console.error('Expand references failed', err);
+      showToast(`Expand failed: ${err.message}`, 'error', 4000);
+      if (added.length === 0) return;
+    }
+
+    if (added.length === 0) {
+      showToast(rootPaths.length === 0
+        ? 'No references with a remembered or discovered target collection'
+        : 'All referenced documents are already on the canvas', 'info', 2500);
+      return;
+    }
+    saveHistoryPoint();
+    setCanvasDocuments(prev => [
+      ...prev.map(d => d._id === root._id ? { ...d, expandedPaths: expandedPathsFor(rootPaths, d.expandedPaths) } : d),
+      ...added
+    ]);
+    setSelectedIds(added.map(d => d._id));
+    showToast(
+      `Added ${added.length} referenced document${added.length > 1 ? 's' : ''}${capped ? ` (stopped at the ${EXPAND_MAX_DOCUMENTS} document limit)` : ''}`,
+      capped ? 'warning' : 'success',
+      3000
+    );
+  }, [canvasDocuments, activeConnection, saveHistoryPoint, showToast]);
+
+  const handleExpandReferences = useCallback((docId) => {
+    const root = canvasDocuments.find(d => d._id === docId);
+    const connection = getDocConnection(root);
+    if (!root || !connection) {
+      showToast('The connection of this document is not open', 'warning', 2500);
+      return;
+    }
+    setInputModal({
+      title: 'Expand references',
+      description: `Follows the references of the card level by level and adds at most ${EXPAND_MAX_DOCUMENTS} documents.`,
+      label: `Levels (1-${EXPAND_MAX_DEPTH})`,
+      initialValue: '2',
+      inputType: 'number',
+      confirmLabel: 'Expand',
+      validate: (input) => depthError(input, EXPAND_MAX_DEPTH),
+      onConfirm: (input) => expandReferences(root, connection, Number(input))
+    });
+  }, [canvasDocuments, getDocConnection, expandReferences, showToast]);
+
+  // Asks the server for the shortest chain of references between two cards of the same database, adds
+  // the documents in between (cards already on the canvas are reused) and highlights the arrows along it
+  const findPath = useCallback(async (from, to, connection, relationships, maxDepth) => {
+    let steps;
+    try {
+      ({ steps } = await findReferencePath(connection.session, from.database,
+        { colName: from.collection, id: from.data._id },
+        { colName: to.collection, id: to.data._id },
+        { relationships, maxDepth }));
+    } catch (err) {
+      console.error('Find reference path failed', err);
+      showToast(`Path search failed: ${err.message}`, 'error', 4000);
+      return;
+    }
+    if (!steps) {
+      showToast(`No reference path within ${maxDepth} level${maxDepth > 1 ? 's' : ''}`, 'info', 3000);
+      return;
+    }
+
+    // One card per step: the two ends, cards already on the canvas, or new ones spread out between the ends
+    const hops = steps.length - 1;
+    const span = Math.max(to.x - from.x, 400 * hops);
+    const cards = steps.map((step, i) => {
+      if (i === 0) return from;
+      if (i === hops) return to;
+      const idText = bsonToString(step.document._id);
+      return canvasDocuments.find(d => (d.connection || activeConnection?.name) === connection.name && d.database === from.database
+        && d.collection === step.collection && d.data?._id !== undefined && bsonToString(d.data._id) === idText)
+        || {
+          _id: Math.random().toString(36).substr(2, 9),
+          data: step.document,
+          collection: step.collection,
+          database: from.database,
+          connection: connection.name,
+          x: from.x + span * i / hops,
+          y: from.y + (to.y - from.y) * i / hops,
+          width: 350,
+          height: null,
+          fetchedAt: new Date().toISOString(),
+          expandedPaths: []
+        };
+    });
+
+    // Each hop links the card holding the reference to the card it points at
+    const links = [];
+    const pathsToExpand = new Map(); // card _id -> reference fields on the path
+    steps.forEach((step, i) => {
+      if (i === 0) return;
+      const [holder, target] = step.via.direction === 'forward' ? [cards[i - 1], cards[i]] : [cards[i], cards[i - 1]];
+      const targetId = bsonToString(target.data._id);
+      const fields = findReferenceFields(holder.data)
+        .filter(({ path, value }) => toFieldPath(path) === step.via.path && bsonToString(value) === targetId)
+        .map(({ path }) => path);
+      pathsToExpand.set(holder._id, [...(pathsToExpand.get(holder._id) || []), ...fields]);
+      links.push(`${holder._id}>${target._id}`);
+    });
+
+    const existingIds = new Set(canvasDocuments.map(d => d._id));
+    const added = cards.filter(card => !existingIds.has(card._id));
+    saveHistoryPoint();
+    setCanvasDocuments(prev => [...prev, ...added].map(d => pathsToExpand.has(d._id)
+      ? { ...d, expandedPaths: expandedPathsFor(pathsToExpand.get(d._id), d.expandedPaths) }
+      : d));
+    setHighlightedPath({ cardIds: cards.map(card => card._id), links });
+    setSelectedIds(cards.map(card => card._id));
+    showToast(`Found a path of ${hops} reference${hops > 1 ? 's' : ''}${added.length > 0 ? `, added ${added.length} document${added.length > 1 ? 's' : ''}` : ''}`, 'success', 3000);
+  }, [canvasDocuments, activeConnection, saveHistoryPoint, showToast]);
+
+  const handleFindReferencePath = useCallback((fromId, toId) => {
+    const from = canvasDocuments.find(d => d._id === fromId);
+    const to = canvasDocuments.find(d => d._id === toId);
+    if (!from || !to || from.data?._id === undefined || to.data?._id === undefined) return;
+    if (from.collection === to.collection && bsonToString(from.data._id) === bsonToString(to.data._id)) {
+      showToast('Both cards show the same document', 'info', 2500);
+      return;
+    }
+    const connection = getDocConnection(from);
+    if (!connection || connection !== getDocConnection(to) || from.database !== to.database) {
+      showToast('Reference paths are searched within one database: pick two cards from the same connection and database', 'warning', 3500);
+      return;
+    }
+    const relationships = getKnownRelationships(from.database);
+    if (relationships.length === 0) {
+      showToast(`No known relationships in ${from.database}: run relationship discovery or quick connect a few references first`, 'warning', 4000);
+      return;
+    }
+    setInputModal({
+      title: 'Find reference path',
+      description: `Searches ${from.database} for the shortest chain of references from ${from.collection} to ${to.collection}.`,
+      label: `Levels (1-${REFERENCE_PATH_MAX_DEPTH})`,
+      initialValue: '4',
+      inputType: 'number',
+      confirmLabel: 'Search',
+      validate: (input) => depthError(input, REFERENCE_PATH_MAX_DEPTH),
+      onConfirm: (input) => findPath(from, to, connection, relationships, Number(input))
+    });
+  }, [canvasDocuments, getDocConnection, findPath, showToast]);
+
+  // Fetches the document with the same _id from another connection or database and opens a
+  // Diff Node between the two, e.g. to check that a prod fix matches staging
+  const handleCompareAcrossEnvironments = useCallback(async (docId, connectionName, dbName, colName) => {
+    setCompareModalState({ isOpen: false, docId: null });
+    const source = canvasDocuments.find(d => d._id === docId);
+    const connection = connections.find(c => c.name === connectionName);
+    if (!source || !connection) return;
+    const where = `${connectionName} / ${dbName}.${colName}`;
+
+    try {
+      const data = await fetchDocuments(connection.session, dbName, colName, 1, { _id: source.data._id });
+      const counterpart = data.documents?.[0];
+      if (!counterpart) {
+        showToast(`No document with this _id in ${where}`, 'warning', 3000);
+        return;
+      }
+
+      saveHistoryPoint();
+      // Reuse the counterpart card if it is already on the canvas
+      const idText = bsonToString(source.data._id);
+      const existing = canvasDocuments.find(d => (d.connection || activeConnection?.name) === connectionName
+        && d.database === dbName && d.collection === colName && d.data?._id !== undefined && bsonToString(d.data._id) === idText);
+      const target = existing || {
+        _id: Math.random().toString(36).substr(2, 9),
+        data: counterpart,
+        collection: colName,
+        database: dbName,
+        connection: connectionName,
+        x: source.x + 400,
+        y: source.y,
+        width: 350,
+        height: null,
+        fetchedAt: new Date().toISOString(),
+        expandedPaths: []
+      };
+      if (!existing) setCanvasDocuments(prev => [...prev, target]);
+      setDiffNodes(prev => [...prev, {
+        id: `diff-${Date.now()}`,
+        x: (source.x + target.x) / 2,
+        y: Math.min(source.y, target.y) - 50,
+        sourceDocId: source._id,
+        targetDocId: target._id,
+        dimmed: false
+      }]);
+      showToast(`Compared with ${where}`, 'success', 2000);
+    } catch (err) {
+      showToast(`Compare failed: ${err.message}`, 'error', 4000);
+    }
+  }, [canvasDocuments, connections, activeConnection, saveHistoryPoint, showToast]);
+
+  // Sample the database on the server to learn which collection each ObjectId field points at.
+  // The result replaces the field-name guess for quick connect and the connect modal.
+  const handleDiscoverRelationships = useCallback(async (dbName) => {
+    setDiscoveryProgress(prev => ({ ...prev, [dbName]: { done: 0, total: 0 } }));
+    try {
+      const { jobId } = await startRelationshipDiscovery(session, dbName);
+      let job;
+      do {
+        await new Promise(resolve => setTimeout(resolve, 1000));
+        job = await getDiscoveryStatus(jobId);
+        setDiscoveryProgress(prev => ({ ...prev, [dbName]: job.progress }));
+      } while (job.status === 'running');
+
+      if (job.status === 'failed') throw new Error(job.error);
+
+      saveRelationships(dbName, job.relationships);
+      setConnectionHistoryVersion(v => v + 1);
+      showToast(`Discovered ${job.relationships.length} relationship${job.relationships.length === 1 ? '' : 's'} in ${dbName}`, 'success', 2500);
+    } catch (err) {
+      console.error("Relationship discovery failed", err);
+      showToast(`Relationship discovery failed: ${err.message}`, 'error', 3000);
+    } finally {
+      setDiscoveryProgress(prev => {
+        const next = { ...prev };
+        delete next[dbName];
+        return next;
+      });
+    }
+  }, [session, showToast]);
+
   const getSavesFromStorage = () => {
     try {
       const raw = localStorage.getItem('mongoDV_saves_v1');
@@ -1302,6 +2461,11 @@ function App() {
   };
 
 
+  const compareDoc = compareModalState.isOpen ? canvasDocuments.find(d => d._id === compareModalState.docId) : null;
+  const compareSource = compareDoc
+    ? { connection: compareDoc.connection || activeConnection?.name, database: compareDoc.database, collection: compareDoc.collection }
+    : null;
+
   const Sidebar = () => (
     <div style={{
       width: '300px',
@@ -1317,31 +2481,71 @@ function App() {
 
       <div style={{ marginBottom: '2rem' }}>
         <div style={{ fontSize: '0.8rem', color: '#94a3b8', marginBottom: '0.5rem' }}>
-          {isOfflineMode ? 'Status' : 'Connected to:'}
-        </div>
-        <div style={{ fontSize: '0.9rem', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }} title={isOfflineMode ? 'Offline Mode' : uri}>
-          {isOfflineMode ? 'Offline Mode' : uri.replace(/\/\/([^:]+:[^@]+@)?/, '//***@')}
+          {isOfflineMode ? 'Status' : 'Connections'}
         </div>
-        {!isOfflineMode && (
-          <button
-            onClick={() => {
-              setIsConnected(false);
-              setIsOfflineMode(false);
-            }}
-            style={{
-              marginTop: '0.5rem',
-              background: 'transparent',
-              border: '1px solid var(--glass-border)',
-              color: '#94a3b8',
-              padding: '0.25rem 0.5rem',
-              borderRadius: '4px',
-              fontSize: '0.8rem',
-              cursor: 'pointer'
-            }}
-          >
-            {isOfflineMode ? 'Connect to DB' : 'Disconnect'}
-          </button>
+        {isOfflineMode ? (
+          <div style={{ fontSize: '0.9rem' }}>Offline Mode</div>
+        ) : (
+          <div style={{ display: 'flex', flexDirection: 'column', gap: '4px' }}>
+            {connections.map(connection => {
+              const isActive = connection.name === activeConnection?.name;
+              const envColor = ENVIRONMENTS[connection.environment]?.color || '#94a3b8';
+              return (
+                <div
+                  key={connection.name}
+                  onClick={() => !isActive && switchConnection(connection.name)}
+                  title={`${connection.name} (${connection.host})`}
+                  style={{
+                    display: 'flex',
+                    alignItems: 'center',
+                    gap: '6px',
+                    padding: '0.35rem 0.5rem',
+                    borderRadius: '4px',
+                    borderLeft: `3px solid ${envColor}`,
+                    background: isActive ? 'rgba(255,255,255,0.08)' : 'transparent',
+                    cursor: isActive ? 'default' : 'pointer'
+                  }}
+                >
+                  <div style={{ flex: 1, minWidth: 0 }}>
+                    <div style={{ fontSize: '0.9rem', color: isActive ? '#e2e8f0' : '#94a3b8', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                      {connection.name}
+                    </div>
+                    {connection.host !== connection.name && (
+                      <div style={{ fontSize: '0.7rem', color: '#64748b', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{connection.host}</div>
+                    )}
+                  </div>
+                  {connection.readOnly && <span title="Read-only" style={{ fontSize: '0.7rem' }}>🔒</span>}
+                  <button
+                    onClick={(e) => { e.stopPropagation(); handleDisconnect(connection); }}
+                    title="Disconnect"
+                    style={{ background: 'transparent', border: 'none', color: '#64748b', cursor: 'pointer', fontSize: '0.8rem', padding: '0 2px' }}
+                  >✕</button>
+                </div>
+              );
+            })}
+            {activeConnection && (
+              <EnvironmentBanner environment={activeConnection.environment} readOnly={activeConnection.readOnly} style={{ marginTop: '0.25rem' }} />
+            )}
+          </div>
         )}
+        <button
+          onClick={() => {
+            if (isOfflineMode) setIsOfflineMode(false);
+            else setIsAddingConnection(true);
+          }}
+          style={{
+            marginTop: '0.5rem',
+            background: 'transparent',
+            border: '1px solid var(--glass-border)',
+            color: '#94a3b8',
+            padding: '0.25rem 0.5rem',
+            borderRadius: '4px',
+            fontSize: '0.8rem',
+            cursor: 'pointer'
+          }}
+        >
+          {isOfflineMode ? 'Connect to DB' : '+ Add connection'}
+        </button>
       </div>
 
 
@@ -1374,6 +2578,36 @@ function App() {
               {canvasDocuments.length}
             </span>
           </button>
+          {!isOfflineMode && (
+            <button
+              onClick={() => setIsRegistryOpen(true)}
+              title="Where reference fields point: list, edit, import and export the remembered relationships"
+              style={{
+                width: '100%',
+                marginTop: '0.5rem',
+                padding: '0.5rem 0.75rem',
+                background: 'rgba(255,255,255,0.03)',
+                color: '#cbd5e1',
+                border: 'none',
+                borderRadius: '6px',
+                cursor: 'pointer',
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'space-between',
+                fontSize: '0.85rem'
+              }}
+              onMouseEnter={e => (e.currentTarget.style.background = 'rgba(255,255,255,0.08)')}
+              onMouseLeave={e => (e.currentTarget.style.background = 'rgba(255,255,255,0.03)')}
+            >
+              <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                <span>🗂</span>
+                <span>Relationship registry</span>
+              </div>
+              <span style={{ fontSize: '0.8rem', background: 'rgba(0,0,0,0.2)', padding: '2px 8px', borderRadius: '12px' }}>
+                {getRegistry().length}
+              </span>
+            </button>
+          )}
         </div>
 
         {isOfflineMode ? (
@@ -1423,6 +2657,37 @@ function App() {
                     }}>
                       {collections[db.name] ? (
                         <>
+                          {(() => {
+                            const progress = discoveryProgress[db.name];
+                            const discovered = getRelationships(db.name);
+                            return (
+                              <button
+                                onClick={(e) => {
+                                  e.stopPropagation();
+                                  handleDiscoverRelationships(db.name);
+                                }}
+                                disabled={!!progress}
+                                title={discovered
+                                  ? `${discovered.relationships.length} relationships discovered ${new Date(discovered.discoveredAt).toLocaleString()}. Click to run again.`
+                                  : 'Sample every collection to find which collection each ObjectId field points at'}
+                                style={{
+                                  width: '100%',
+                                  padding: '0.4rem',
+                                  marginBottom: '0.5rem',
+                                  background: 'rgba(96, 165, 250, 0.1)',
+                                  border: '1px solid rgba(96, 165, 250, 0.3)',
+                                  borderRadius: '4px',
+                                  color: '#93c5fd',
+                                  fontSize: '0.8rem',
+                                  cursor: progress ? 'wait' : 'pointer'
+                                }}
+                              >
+                                {progress
+                                  ? `Discovering... ${progress.total ? `${progress.done}/${progress.total}` : ''}`
+                                  : discovered ? `⚡ ${discovered.relationships.length} relationships (re-discover)` : '⚡ Discover relationships'}
+                              </button>
+                            );
+                          })()}
                           <input
                             type="text"
                             placeholder="Search collections..."
@@ -1455,6 +2720,13 @@ function App() {
                                 e.stopPropagation();
                                 handleCollectionClick(db.name, col.name);
                               }}
+                              draggable
+                              onDragStart={(e) => {
+                                // Dropped on the canvas, this becomes a collection node
+                                e.dataTransfer.setData(COLLECTION_DRAG_TYPE, JSON.stringify({ connection: activeConnection.name, database: db.name, collection: col.name }));
+                                e.dataTransfer.effectAllowed = 'copy';
+                              }}
+                              title="Drag onto the canvas for a collection overview"
                               onMouseEnter={(e) => {
                                 if (selectedCollection?.col !== col.name || selectedCollection?.db !== db.name)
                                   e.currentTarget.style.background = 'rgba(255,255,255,0.05)'
@@ -1511,7 +2783,12 @@ function App() {
           <input
             type="text"
             value={uri}
-            onChange={(e) => setUri(e.target.value)}
+            onChange={(e) => {
+              const saved = getSavedPolicy(e.target.value);
+              setUri(e.target.value);
+              setConnectionPolicy(saved);
+              setConnectionName(saved.name || '');
+            }}
             placeholder="mongodb://localhost:27017"
             style={{
               width: '100%',
@@ -1528,6 +2805,60 @@ function App() {
           />
         </div>
 
+        <div style={{ marginBottom: '1.5rem' }}>
+          <label style={{ display: 'block', marginBottom: '0.5rem', color: '#94a3b8' }}>Name</label>
+          <input
+            type="text"
+            value={connectionName}
+            onChange={(e) => setConnectionName(e.target.value)}
+            placeholder={connectionHost(uri)}
+            style={{
+              width: '100%',
+              padding: '0.75rem 1rem',
+              borderRadius: '8px',
+              border: '1px solid var(--glass-border)',
+              background: 'rgba(0, 0, 0, 0.2)',
+              color: 'white',
+              fontSize: '1rem',
+              outline: 'none'
+            }}
+          />
+        </div>
+
+        <div style={{ marginBottom: '1.5rem', display: 'flex', gap: '1rem', alignItems: 'center' }}>
+          <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', color: '#94a3b8' }}>
+            Environment
+            <select
+              value={connectionPolicy.environment || ''}
+              onChange={(e) => {
+                const environment = e.target.value || null;
+                // Prod starts out read-only; writing to it is an explicit choice
+                setConnectionPolicy(prev => ({ environment, readOnly: environment === 'prod' ? true : prev.readOnly }));
+              }}
+              style={{
+                padding: '0.5rem',
+                borderRadius: '8px',
+                border: '1px solid var(--glass-border)',
+                background: 'rgba(0, 0, 0, 0.2)',
+                color: ENVIRONMENTS[connectionPolicy.environment]?.color || 'white'
+              }}
+            >
+              <option value="">None</option>
+              {Object.entries(ENVIRONMENTS).map(([key, env]) => (
+                <option key={key} value={key}>{env.label}</option>
+              ))}
+            </select>
+          </label>
+          <label style={{ display: 'flex', alignItems: 'center', gap: '0.4rem', color: '#94a3b8', cursor: 'pointer' }} title="The server refuses every write on a read-only connection">
+            <input
+              type="checkbox"
+              checked={connectionPolicy.readOnly}
+              onChange={(e) => setConnectionPolicy(prev => ({ ...prev, readOnly: e.target.checked }))}
+            />
+            Read-only
+          </label>
+        </div>
+
         {error && (
           <div style={{
             marginBottom: '1.5rem',
@@ -1572,7 +2903,7 @@ function App() {
 
         <button
           type="button"
-          onClick={handleOfflineMode}
+          onClick={isConnected ? () => { setIsAddingConnection(false); setError(null); } : handleOfflineMode}
           style={{
             width: '100%',
             marginTop: '1rem',
@@ -1595,7 +2926,7 @@ function App() {
             e.currentTarget.style.borderColor = 'var(--glass-border)';
           }}
         >
-          Open Visualizer Canvas (Offline)
+          {isConnected ? 'Back to open connections' : 'Open Visualizer Canvas (Offline)'}
         </button>
       </form>
     </div>
@@ -1603,7 +2934,7 @@ function App() {
 
   return (
     <div style={{ height: '100vh', display: 'flex' }}>
-      {isConnected || isOfflineMode ? (
+      {(isConnected && !isAddingConnection) || isOfflineMode ? (
         <>
           <Sidebar />
           <div style={{ flex: 1, position: 'relative', overflow: 'hidden' }}>
@@ -1637,8 +2968,25 @@ function App() {
                 onUpdateDiffNodePosition={handleUpdateDiffNodePosition}
                 onUpdateDiffNode={handleUpdateDiffNode}
                 onDeleteDiffNode={handleDeleteDiffNode}
+                explainNodes={explainNodes}
+                onUpdateExplainNode={handleUpdateExplainNode}
+                onDeleteExplainNode={handleDeleteExplainNode}
+                collectionNodes={collectionNodes}
+                onDropCollection={handleDropCollection}
+                onUpdateCollectionNode={handleUpdateCollectionNode}
+                onDeleteCollectionNode={handleDeleteCollectionNode}
                 onConnect={handleConnectRequest}
                 onQuickConnect={handleQuickConnect}
+                onConnectAll={handleConnectAll}
+                onFindReferences={handleFindReferences}
+                onExpandReferences={isOfflineMode ? undefined : handleExpandReferences}
+                onFindReferencePath={isOfflineMode ? undefined : handleFindReferencePath}
+                highlightedPath={highlightedPath}
+                onClearHighlightedPath={() => setHighlightedPath(null)}
+                onCompareAcrossEnvironments={isOfflineMode ? undefined : (docId) => setCompareModalState({ isOpen: true, docId })}
+                onConfigureReferenceScope={handleConfigureReferenceScope}
+                onToggleKeyField={handleToggleKeyField}
+                onEditReferenceRule={handleEditReferenceRule}
                 connectionHistoryVersion={connectionHistoryVersion}
                 onClone={handleCloneCanvasDocument}
                 onDelete={handleDeleteCanvasDocument}
@@ -1650,6 +2998,16 @@ function App() {
                 onToggleExpand={handleToggleExpand}
                 onToggleBackdrop={handleToggleBackdrop}
                 onUpdateData={handleUpdateCanvasDocumentData}
+                // Hidden on read-only connections; the server refuses those writes anyway
+                onWriteData={isOfflineMode ? undefined : handleWriteCanvasDocument}
+                onRevertWrite={isOfflineMode ? undefined : handleRevertCanvasDocumentWrite}
+                onRefreshDocuments={isOfflineMode ? undefined : handleRefreshCanvasDocuments}
+                onResolveDrift={handleResolveDrift}
+                onDiffRevisions={handleDiffRevisions}
+                isLive={isLive}
+                onToggleLive={isOfflineMode ? undefined : () => setIsLive(prev => !prev)}
+                connections={connections}
+                activeConnection={activeConnection?.name ?? null}
                 onAddCustomDocument={handleAddCustomDocument}
                 markedSources={markedSources}
                 onMarkedSourcesChange={handleMarkedSourcesChange}
@@ -1688,15 +3046,74 @@ function App() {
                   </div>
                 </div>
 
-                <QueryBuilder schema={schema} onRunQuery={handleRunQuery} />
+                <div style={{ display: 'flex', gap: '0.25rem', marginBottom: '0.75rem' }}>
+                  {[['find', 'Query'], ['pipeline', 'Pipeline'], ['schema', 'Schema']].map(([mode, label]) => (
+                    <button
+                      key={mode}
+                      onClick={() => setQueryMode(mode)}
+                      style={{
+                        background: queryMode === mode ? 'rgba(96, 165, 250, 0.15)' : 'transparent',
+                        border: '1px solid',
+                        borderColor: queryMode === mode ? 'var(--primary)' : 'var(--glass-border)',
+                        color: queryMode === mode ? 'var(--primary)' : '#94a3b8',
+                        padding: '0.3rem 0.9rem',
+                        borderRadius: '4px',
+                        cursor: 'pointer',
+                        fontSize: '0.85rem'
+                      }}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+
+                {queryMode === 'schema' ? (
+                  <SchemaPanel
+                    stats={schemaStats}
+                    loading={schemaLoading}
+                    sampleSize={schemaSampleSize}
+                    onResample={handleResampleSchema}
+                    onCancel={schemaQuery.running ? schemaQuery.cancel : null}
+                    fetchValues={fetchFieldValues}
+                  />
+                ) : queryMode === 'pipeline' ? (
+                  <PipelineBuilder
+                    key={`${selectedCollection.db}.${selectedCollection.col}`}
+                    session={session}
+                    dbName={selectedCollection.db}
+                    colName={selectedCollection.col}
+                    onSendToCanvas={handleAddManyToCanvas}
+                    onExplain={(pipeline) => handleExplain({ pipeline })}
+                  />
+                ) : (
+                  <>
+                    <QueryOptions
+                      schema={schema}
+                      value={queryOptions}
+                      onChange={setQueryOptions}
+                      style={{ marginBottom: '0.75rem' }}
+                    />
+                    <QueryBuilder schema={schema} onRunQuery={handleRunQuery} onExplain={(query) => handleExplain({ query })} fetchSuggestions={fetchFieldValues} />
+                  </>
+                )}
 
                 <div style={{ marginBottom: '1.5rem', color: '#e2e8f0', display: 'flex', alignItems: 'center', gap: '0.5rem', flexWrap: 'wrap' }}>
                   <span style={{ opacity: 0.5 }}>Documents in</span>
                   <span style={{ color: 'var(--primary)' }}>{selectedCollection.col}</span>
                   <span style={{ fontSize: '0.8rem', padding: '0.2rem 0.5rem', background: 'rgba(255,255,255,0.05)', borderRadius: '4px', color: '#94a3b8' }}>
-                    {documents.length} results
+                    {docPage.totalCount ?? documents.length} results
                   </span>
                   <div style={{ marginLeft: 'auto', display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                    <Pagination
+                      skip={docPage.skip}
+                      count={documents.length}
+                      totalCount={docPage.totalCount}
+                      hasNext={!!docPage.nextCursor}
+                      hasPrev={!!docPage.prevCursor}
+                      loading={docLoading}
+                      onPrev={handlePrevPage}
+                      onNext={handleNextPage}
+                    />
                     <label style={{ fontSize: '0.8rem', color: '#94a3b8' }}>Limit:</label>
                     <input
                       type="number"
@@ -1740,11 +3157,21 @@ function App() {
                 {docLoading ? (
                   <div style={{ textAlign: 'center', padding: '3rem', color: '#64748b' }}>
                     Loading documents...
+                    {documentQuery.running && (
+                      <div style={{ marginTop: '0.75rem' }}>
+                        <button
+                          onClick={documentQuery.cancel}
+                          style={{ background: 'rgba(239, 68, 68, 0.15)', border: '1px solid rgba(239, 68, 68, 0.3)', color: '#f87171', padding: '0.3rem 0.9rem', borderRadius: '4px', cursor: 'pointer', fontSize: '0.85rem' }}
+                        >
+                          Cancel
+                        </button>
+                      </div>
+                    )}
                   </div>
                 ) : (
                   <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(300px, 1fr))', gap: '1rem' }}>
                     {documents.map((doc, idx) => (
-                      <div key={doc._id || idx} style={{
+                      <div key={doc._id ? bsonToString(doc._id) : idx} style={{
                         background: 'var(--panel-bg)',
                         border: '1px solid var(--glass-border)',
                         borderRadius: '8px',
@@ -1817,9 +3244,31 @@ function App() {
         onClose={() => setConnectModalState({ ...connectModalState, isOpen: false })}
         sourceId={connectModalState.sourceId}
         fieldPath={connectModalState.fieldPath}
-        initialUri={uri}
-        onConnect={handleConnectSubmit}
+        sourceCollection={connectModalState.sourceCollection}
+        sourceDatabase={connectModalState.sourceDatabase}
+        session={(connections.find(c => c.name === connectModalState.sourceConnection) || activeConnection)?.session}
+        onConnect={(docs, colName, dbName, projection) => {
+          handleConnectSubmit(docs, colName, null, dbName, connectModalState.sourceConnection, projection);
+          // The modal records the target in the relationship registry
+          setConnectionHistoryVersion(v => v + 1);
+        }}
       />
+      {compareSource && (
+        <CompareModal
+          onClose={() => setCompareModalState({ isOpen: false, docId: null })}
+          source={compareSource}
+          connections={connections}
+          onCompare={(connectionName, dbName, colName) => handleCompareAcrossEnvironments(compareModalState.docId, connectionName, dbName, colName)}
+        />
+      )}
+      {inputModal && <InputModal {...inputModal} onClose={() => setInputModal(null)} />}
+      {isRegistryOpen && (
+        <RelationshipRegistryModal
+          onClose={() => setIsRegistryOpen(false)}
+          onChange={() => setConnectionHistoryVersion(v => v + 1)}
+          defaultDatabase={expandedDb || localStorage.getItem('mongoDV_lastUsedDb')}
+        />
+      )}
       <SaveLoadModal
         isOpen={saveLoadModalState.isOpen}
         onClose={() => setSaveLoadModalState(prev => ({ ...prev, isOpen: false }))}
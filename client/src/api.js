@@ -1,11 +1,34 @@
+import { normalizeEjson } from './utils/bson';
+
 const API_BASE = 'http://localhost:3001/api';
 
-export const connectToMongo = async (uri) => {
-    const response = await fetch(`${API_BASE}/connect`, {
+// Id a query is tagged with on the server so cancelOperation() can kill it
+export const createOpId = () => crypto.randomUUID();
+
+// Error from a failed query response; code is e.g. 'TIMEOUT', 'CANCELLED' or 'CONFLICT' when the server says so
+const queryError = (data, fallback) => Object.assign(new Error(data.error || fallback), { code: data.code });
+
+// Called with the session handle the server no longer knows (idle eviction or a server restart)
+let sessionExpiredHandler = null;
+export const setSessionExpiredHandler = (handler) => { sessionExpiredHandler = handler; };
+
+const post = async (path, body, signal) => {
+    const response = await fetch(`${API_BASE}/${path}`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ uri }),
+        body: JSON.stringify(body),
+        signal,
     });
+    if (response.status === 401 && sessionExpiredHandler) sessionExpiredHandler(body.session);
+    return response;
+};
+
+// Opens a server-side session; resolves to { session, environment, readOnly }.
+// The connection string is only ever sent here: every other call passes the session handle.
+// environment ('dev' | 'staging' | 'prod' | null) and readOnly are the connection's safety policy,
+// enforced by the server on every write
+export const connectToMongo = async (uri, { environment = null, readOnly = false } = {}) => {
+    const response = await post('connect', { uri, environment, readOnly });
     if (!response.ok) {
         const error = await response.json();
         throw new Error(error.error || 'Failed to connect');
@@ -13,13 +36,13 @@ export const connectToMongo = async (uri) => {
     return response.json();
 };
 
+// Closes the session and its connection on the server
+export const disconnectSession = async (session) => {
+    await post('disconnect', { session });
+};
 
-export const listDatabases = async (uri) => {
-    const response = await fetch(`${API_BASE}/databases`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ uri }),
-    });
+export const listDatabases = async (session) => {
+    const response = await post('databases', { session });
     if (!response.ok) {
         const error = await response.json();
         throw new Error(error.error || 'Failed to list databases');
@@ -27,12 +50,8 @@ export const listDatabases = async (uri) => {
     return response.json();
 };
 
-export const listCollections = async (uri, dbName) => {
-    const response = await fetch(`${API_BASE}/collections`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ uri, dbName }),
-    });
+export const listCollections = async (session, dbName) => {
+    const response = await post('collections', { session, dbName });
     if (!response.ok) {
         const error = await response.json();
         throw new Error(error.error || 'Failed to list collections');
@@ -41,28 +60,186 @@ export const listCollections = async (uri, dbName) => {
 };
 
 
-export const fetchSchema = async (uri, dbName, colName) => {
-    const response = await fetch(`${API_BASE}/schema`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ uri, dbName, colName }),
-    });
+// Returns { schema: { path: dominantType }, fields: [{ path, types, itemTypes, count, probability, dominantType }], sampleSize }
+export const fetchSchema = async (session, dbName, colName, { sampleSize, opId, maxTimeMS } = {}) => {
+    const response = await post('schema', { session, dbName, colName, sampleSize, opId, maxTimeMS });
+    if (!response.ok) {
+        throw queryError(await response.json(), 'Failed to fetch schema');
+    }
+    return response.json();
+};
+
+// options: { sort, projection, skip, cursor, opId, maxTimeMS } - pass the nextCursor or prevCursor of a page
+// to get the page after or before it; skip only applies to the first page
+export const fetchDocuments = async (session, dbName, colName, limit = 20, query = {}, { sort, projection, skip, cursor, opId, maxTimeMS } = {}) => {
+    const response = await post('documents', { session, dbName, colName, limit, skip, query, sort, projection, cursor, opId, maxTimeMS });
+    if (!response.ok) {
+        throw queryError(await response.json(), 'Failed to fetch documents');
+    }
+    // Documents come back as canonical EJSON
+    const data = await response.json();
+    return { ...data, documents: normalizeEjson(data.documents) };
+};
+
+export const runAggregation = async (session, dbName, colName, pipeline = [], { previewStage = null, limit = 20, opId, maxTimeMS } = {}) => {
+    const response = await post('aggregate', { session, dbName, colName, pipeline, previewStage, limit, opId, maxTimeMS });
+    if (!response.ok) {
+        throw queryError(await response.json(), 'Failed to run aggregation');
+    }
+    // Documents come back as canonical EJSON
+    const data = await response.json();
+    return { ...data, documents: normalizeEjson(data.documents) };
+};
+
+// Reverse lookup: documents in dbName whose fields hold the ObjectId `id` (hex string)
+// collections limits the search to a subset; all collections are searched when omitted.
+// keys: [{ sourceCollection, path, value }] also looks up non-ObjectId keys named by reference rules
+// (id may then be null)
+export const findReferences = async (session, dbName, id, { collections, keys, limit = 20, opId, maxTimeMS } = {}) => {
+    const response = await post('references', { session, dbName, id, keys, collections, limit, opId, maxTimeMS });
+    if (!response.ok) {
+        throw queryError(await response.json(), 'Failed to find references');
+    }
+    const data = await response.json();
+    return {
+        ...data,
+        references: data.references.map(ref => ({ ...ref, document: normalizeEjson(ref.document) }))
+    };
+};
+
+// Shortest chain of references from one document to another: from and to are { colName, id },
+// relationships the known { sourceCollection, path, targetCollection } mappings to follow.
+// Resolves to { steps: [{ collection, document, via: { path, direction } | null }] | null, maxDepth }
+export const findReferencePath = async (session, dbName, from, to, { relationships, maxDepth = 4, opId, maxTimeMS } = {}) => {
+    const response = await post('reference-path', { session, dbName, from, to, relationships, maxDepth, opId, maxTimeMS });
+    if (!response.ok) {
+        throw queryError(await response.json(), 'Failed to find a reference path');
+    }
+    const data = await response.json();
+    return {
+        ...data,
+        steps: data.steps && data.steps.map(step => ({ ...step, document: normalizeEjson(step.document) }))
+    };
+};
+
+// Starts a background relationship discovery job for dbName; returns { jobId }
+export const startRelationshipDiscovery = async (session, dbName, { sampleSize = 200 } = {}) => {
+    const response = await post('relationships/discover', { session, dbName, sampleSize });
     if (!response.ok) {
         const error = await response.json();
-        throw new Error(error.error || 'Failed to fetch schema');
+        throw new Error(error.error || 'Failed to start relationship discovery');
     }
     return response.json();
 };
 
-export const fetchDocuments = async (uri, dbName, colName, limit = 20, query = {}) => {
-    const response = await fetch(`${API_BASE}/documents`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ uri, dbName, colName, limit, query }),
-    });
+// Returns { status: 'running' | 'done' | 'failed', progress: { done, total }, relationships, error }
+export const getDiscoveryStatus = async (jobId) => {
+    const response = await post('relationships/status', { jobId });
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to get discovery status');
+    }
+    return response.json();
+};
+
+// Validates a filter typed as JSON or mongosh syntax; resolves to the filter as EJSON.
+// On a syntax error the thrown Error carries the offending position, line and column.
+export const parseQueryText = async (text) => {
+    const response = await post('parse-query', { query: text });
+    const data = await response.json();
+    if (!response.ok) {
+        const error = new Error(data.error || 'Failed to parse query');
+        Object.assign(error, { position: data.position, line: data.line, column: data.column });
+        throw error;
+    }
+    return normalizeEjson(data.query);
+};
+
+// Most common values of `field` with counts: { values: [{ value, count }], distinctCount, truncated, scanLimit }
+export const fetchDistinctValues = async (session, dbName, colName, field, { query = {}, limit = 20, opId } = {}) => {
+    const response = await post('distinct', { session, dbName, colName, field, query, limit, opId });
+    if (!response.ok) {
+        throw queryError(await response.json(), 'Failed to get distinct values');
+    }
+    const data = await response.json();
+    return { ...data, values: normalizeEjson(data.values) };
+};
+
+// Kills a running query tagged with opId; resolves to { cancelled, killed }
+export const cancelOperation = async (opId) => {
+    const response = await post('cancel', { opId });
     if (!response.ok) {
         const error = await response.json();
-        throw new Error(error.error || 'Failed to fetch documents');
+        throw new Error(error.error || 'Failed to cancel operation');
+    }
+    return response.json();
+};
+
+// explain("executionStats") summary for a find ({ query, sort, projection }) or an aggregation ({ pipeline })
+// Resolves to { kind: 'find' | 'aggregate', plan: { tree, indexes, collscan, nReturned, totalKeysExamined, totalDocsExamined, executionTimeMillis, pipelineStages, rejectedPlans } }
+export const explainQuery = async (session, dbName, colName, { query, sort, projection, pipeline, opId, maxTimeMS } = {}) => {
+    const response = await post('explain', { session, dbName, colName, query, sort, projection, pipeline, opId, maxTimeMS });
+    if (!response.ok) {
+        throw queryError(await response.json(), 'Failed to explain query');
     }
     return response.json();
 };
+
+// Collection overview for the canvas collection node:
+// { name, type, storage: { count, size, storageSize, avgObjSize, totalIndexSize }, indexes: [{ name, key, size, ... }], options, sample }
+export const fetchCollectionStats = async (session, dbName, colName, { sampleSize = 3 } = {}) => {
+    const response = await post('collection-stats', { session, dbName, colName, sampleSize });
+    if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to get collection stats');
+    }
+    const data = await response.json();
+    return { ...data, sample: normalizeEjson(data.sample) };
+};
+
+// Writes an edited document back to the database. `before` is the document as it was fetched:
+// if the stored document no longer matches it the write is refused with code 'CONFLICT' and
+// the stored version attached as `current`. Returns the document as stored after the write.
+// On prod connections `confirmation` must be the database name, as typed by the user.
+// wholeDocument: `before` was fetched without a projection, so a field added since then is a conflict too.
+export const updateDocument = async (session, dbName, colName, before, after, { confirmation, wholeDocument } = {}) => {
+    const response = await post('update-document', { session, dbName, colName, before, after, confirmation, wholeDocument });
+    if (!response.ok) {
+        const data = await response.json();
+        const error = queryError(data, 'Failed to update document');
+        if (data.current) error.current = normalizeEjson(data.current);
+        throw error;
+    }
+    const data = await response.json();
+    return normalizeEjson(data.document);
+};
+
+// Streams live changes to the given documents: targets is [{ dbName, colName, ids }].
+// onEvent(type, data) receives the server-sent "ready", "change" ({ dbName, colName, operationType,
+// id, document, at }) and "error" events. Resolves when the server ends the stream or signal aborts it.
+export const watchDocuments = async (session, targets, onEvent, signal) => {
+    const response = await post('watch', { session, targets }, signal);
+    if (!response.ok) {
+        throw queryError(await response.json(), 'Failed to watch documents');
+    }
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+    try {
+        for (; ;) {
+            const { value, done } = await reader.read();
+            if (done) return;
+            buffer += value;
+            // Events are separated by a blank line; comment-only blocks are keep-alives
+            let end;
+            while ((end = buffer.indexOf('\n\n')) !== -1) {
+                const block = buffer.slice(0, end);
+                buffer = buffer.slice(end + 2);
+                const type = /^event: (.*)$/m.exec(block)?.[1];
+                const data = /^data: (.*)$/m.exec(block)?.[1];
+                if (type && data) onEvent(type, normalizeEjson(JSON.parse(data)));
+            }
+        }
+    } catch (err) {
+        if (err.name !== 'AbortError') throw err;
+    }
+};
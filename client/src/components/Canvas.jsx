@@ -1,10 +1,19 @@
 
 import React, { useState, useEffect, useRef, useMemo, memo, useCallback } from 'react';
 import DocumentCard from './DocumentCard';
+import ConfirmModal from './ConfirmModal';
+import EnvironmentBanner from './EnvironmentBanner';
 import { ConnectionContext } from '../contexts/ConnectionContext';
 import { useToast } from '../contexts/ToastContext';
 import { getColorFromId } from '../utils/colors';
 import { useDragAwareClick } from '../hooks/useDragAwareClick';
+import { getBsonType, isBsonValue, bsonToString, bsonEquals, toDate } from '../utils/bson';
+import { COLLECTION_DRAG_TYPE } from '../utils/dragTypes';
+import { isStoredDocument } from '../utils/storedDocuments';
+import { ENVIRONMENTS } from '../utils/environments';
+import { getRevisions, revisionAt, revisionPosition, MAX_REVISIONS } from '../utils/revisions';
+import { getReferenceRules, findReferenceRule, findInboundRules } from '../utils/referenceRules';
+import { toFieldPath } from '../utils/relationships';
 
 const getValueByPath = (obj, path) => {
     if (!path) return obj;
@@ -27,7 +36,7 @@ const getDateFromStableId = (docMap, stableId) => {
     if (!doc) return null;
     const val = getValueByPath(doc.data, path);
     if (!val) return null;
-    const date = new Date(val);
+    const date = toDate(val);
     return isNaN(date.getTime()) ? null : date;
 };
 
@@ -38,7 +47,7 @@ const getDocIdFromStableId = (stableId) => {
 };
 
 // Managed separately to avoid Canvas re-rendering on every frame
-const ConnectionLayer = memo(({ gapNodes, diffNodes = [], arrowDirection, nodeRegistry, zoom, pan, isPanning = false, hideArrowsWhilePanning = false, canvasRef, documents, idColorOverrides = {}, showBackdroppedArrows = true, showAllArrows = true, cardRefs }) => {
+const ConnectionLayer = memo(({ gapNodes, diffNodes = [], arrowDirection, nodeRegistry, zoom, pan, isPanning = false, hideArrowsWhilePanning = false, canvasRef, documents, idColorOverrides = {}, showBackdroppedArrows = true, showAllArrows = true, cardRefs, highlightedLinks }) => {
     // Track dimmed document IDs for line dimming
     const dimmedDocIds = useMemo(() => {
         const set = new Set();
@@ -110,17 +119,19 @@ const ConnectionLayer = memo(({ gapNodes, diffNodes = [], arrowDirection, nodeRe
                     return;
                 }
 
-                if (!grouped[node.value]) grouped[node.value] = { defs: [], refs: [] };
-                if (node.type === 'def') grouped[node.value].defs.push(node);
-                else grouped[node.value].refs.push(node);
+                // Ids only link within one connection: the same _id on staging and prod are different documents
+                const key = `${node.scope || ''}\u0000${node.value}`;
+                if (!grouped[key]) grouped[key] = { defs: [], refs: [] };
+                if (node.type === 'def') grouped[key].defs.push(node);
+                else grouped[key].refs.push(node);
             });
 
-            // Helper to check if a node's parent card is dimmed - optimized to avoid expensive DOM queries
+            // Id of the card a node sits in - read from the data-doc-id attribute instead of querying DOM
+            const cardIdOf = (nodeRef) => nodeRef.closest('[data-draggable-card]')?.getAttribute('data-doc-id');
+
+            // Helper to check if a node's parent card is dimmed
             const isNodeDimmed = (nodeRef) => {
-                const cardEl = nodeRef.closest('[data-draggable-card]');
-                if (!cardEl) return false;
-                // Use the data-doc-id attribute directly instead of querying DOM
-                const docId = cardEl.getAttribute('data-doc-id');
+                const docId = cardIdOf(nodeRef);
                 return docId && dimmedDocIds.has(docId);
             };
 
@@ -161,6 +172,8 @@ const ConnectionLayer = memo(({ gapNodes, diffNodes = [], arrowDirection, nodeRe
 
                             const variation = idColorOverrides[refNode.value] || 0;
                             const color = getColorFromId(refNode.value, variation);
+                            // Links along a found reference path are drawn bolder
+                            const isHighlighted = highlightedLinks?.has(`${cardIdOf(refNode.ref)}>${cardIdOf(defNode.ref)}`);
 
                             newLines.push({
                                 id: `${nodeRegistry.current.get(refNode.ref)?.value}-${refNode.value}-${defNode.value}`, // More stable ID structure could help but index is ok for now
@@ -170,6 +183,7 @@ const ConnectionLayer = memo(({ gapNodes, diffNodes = [], arrowDirection, nodeRe
                                 y2: isReverse ? start.y : end.y,
                                 color: color,
                                 dimmed: isDimmed,
+                                highlighted: isHighlighted,
                                 value: refNode.value // Store value to link to color/marker
                             });
                         });
@@ -326,7 +340,7 @@ const ConnectionLayer = memo(({ gapNodes, diffNodes = [], arrowDirection, nodeRe
 
         updateLines();
         return () => cancelAnimationFrame(frameRef.current);
-    }, [gapNodes, diffNodes, arrowDirection, zoom, pan, nodeRegistry, canvasRef, documents, dimmedDocIds, idColorOverrides, showAllArrows, showBackdroppedArrows, isPanning, hideArrowsWhilePanning]);
+    }, [gapNodes, diffNodes, arrowDirection, zoom, pan, nodeRegistry, canvasRef, documents, dimmedDocIds, idColorOverrides, showAllArrows, showBackdroppedArrows, isPanning, hideArrowsWhilePanning, highlightedLinks]);
 
     // Get unique values to create markers for
     const uniqueValues = useMemo(() => {
@@ -389,8 +403,8 @@ const ConnectionLayer = memo(({ gapNodes, diffNodes = [], arrowDirection, nodeRe
                         x2={line.x2}
                         y2={line.y2}
                         stroke={line.color || "#fbbf24"}
-                        strokeWidth={2 * zoom}
-                        strokeOpacity={line.dimmed ? (showBackdroppedArrows ? 0.1 : 0) : 0.6}
+                        strokeWidth={(line.highlighted ? 4 : 2) * zoom}
+                        strokeOpacity={line.highlighted ? 1 : line.dimmed ? (showBackdroppedArrows ? 0.1 : 0) : 0.6}
                         markerEnd={markerUrl}
                         style={{ transition: 'stroke-opacity 0.2s' }}
                     />
@@ -409,10 +423,21 @@ const ConnectionLayerWrapper = memo(({ isPanning, hideArrowsWhilePanning, ...pro
     return <ConnectionLayer isPanning={isPanning} hideArrowsWhilePanning={hideArrowsWhilePanning} {...props} />;
 });
 
-const DraggableCard = React.memo(({ doc, zoom, onConnect, onQuickConnect, connectionHistoryVersion, onFlagClick, onClone, onDelete, onDateClick, onToggleExpand, onExpandAll, onCollapseAll, isSelected, onMouseDown, dragOffset, registerRef, backdropToggleMode, backdropMouseDown, onToggleBackdrop, onUpdateData, onUpdateDimensions, onContextMenu }) => {
+// Also takes connectionHistoryVersion without reading it: a new version re-renders the memoized card,
+// and with it the reference links and quick connect targets it looks up in the registry.
+const DraggableCard = React.memo(({ doc, zoom, onConnect, onQuickConnect, onConnectAll, onFlagClick, onClone, onDelete, onDateClick, onToggleExpand, onExpandAll, onCollapseAll, isSelected, onMouseDown, dragOffset, registerRef, backdropToggleMode, backdropMouseDown, onToggleBackdrop, onUpdateData, onWriteData, onRevertWrite, onRefresh, onResolveDrift, onDiffRevisions, connection, connectionInfo, showConnection, onUpdateDimensions, onContextMenu, groupColor }) => {
     const cardRef = useRef(null);
     const [isEditing, setIsEditing] = useState(false);
     const [editData, setEditData] = useState('');
+    // Edit waiting for confirmation before it is written to the database: { data, diffs }
+    const [pendingWrite, setPendingWrite] = useState(null);
+    const [isWriting, setIsWriting] = useState(false);
+    const [confirmingRevert, setConfirmingRevert] = useState(false);
+    // Why the edited JSON cannot be saved or written, shown under the editor
+    const [editError, setEditError] = useState(null);
+    // Revision shown by the timeline scrubber (null = the card's snapshot) and the one it is diffed against
+    const [viewRevision, setViewRevision] = useState(null);
+    const [compareRevision, setCompareRevision] = useState(null);
 
     // Register this card's ref for box selection and dragging
     useEffect(() => {
@@ -505,12 +530,76 @@ const DraggableCard = React.memo(({ doc, zoom, onConnect, onQuickConnect, connec
     // Determine if this card is dimmed
     const isDimmed = doc.dimmed === true;
 
+    // Only documents fetched from a real collection, over an open writable connection, can be written back
+    const canWriteBack = !!onWriteData && !!connectionInfo && !connectionInfo.readOnly && isStoredDocument(doc);
+    // Prod writes are confirmed by typing the database name
+    const requireTypedConfirmation = connectionInfo?.environment === 'prod';
+    // Local edits keep the document as it was fetched; the write-back is checked against that
+    const storedData = doc.storedData || doc.data;
+
+    const revisions = getRevisions(doc);
+    const latestRevision = revisions.length - 1;
+    const snapshotRevision = revisions.findLastIndex(r => bsonEquals(r.data, storedData));
+    const shownRevision = viewRevision ?? (snapshotRevision === -1 ? latestRevision : snapshotRevision);
+    const otherRevision = compareRevision ?? (shownRevision === latestRevision ? latestRevision - 1 : latestRevision);
+    const viewedData = viewRevision !== null && revisions[viewRevision] ? revisions[viewRevision].data : doc.data;
+    const formatRevision = (index) => `rev ${revisionPosition(doc, index) + 1}${revisions[index].at ? ` · ${new Date(revisions[index].at).toLocaleString()}` : ''}`;
+
     const toggleBackdropHandler = useDragAwareClick((e) => { e.stopPropagation(); onToggleBackdrop && onToggleBackdrop(doc._id); });
     const editHandler = useDragAwareClick((e) => {
         e.stopPropagation();
+        setViewRevision(null);
         setIsEditing(true);
+        setPendingWrite(null);
+        setEditError(null);
         setEditData(JSON.stringify(doc.data, null, 2));
     });
+    const refreshHandler = useDragAwareClick((e) => { e.stopPropagation(); onRefresh && onRefresh([doc._id]); });
+    const revertHandler = useDragAwareClick((e) => {
+        e.stopPropagation();
+        setConfirmingRevert(true);
+    });
+
+    const handleConfirmRevert = async (confirmation) => {
+        setIsWriting(true);
+        await onRevertWrite?.(doc._id, confirmation);
+        setIsWriting(false);
+        setConfirmingRevert(false);
+    };
+
+    // The edited JSON, or null with the reason in editError
+    const parseEditData = () => {
+        try {
+            const parsed = JSON.parse(editData);
+            setEditError(null);
+            return parsed;
+        } catch (err) {
+            setEditError(`Invalid JSON: ${err.message}`);
+            return null;
+        }
+    };
+
+    const handleReviewWrite = () => {
+        const parsed = parseEditData();
+        if (!parsed) return;
+        const diffs = computeDocDiff(storedData, parsed);
+        if (diffs.length === 0) {
+            setEditError('Nothing to write: the document matches the stored version.');
+            return;
+        }
+        setPendingWrite({ data: parsed, diffs });
+    };
+
+    const handleConfirmWrite = async (confirmation) => {
+        setIsWriting(true);
+        const written = await onWriteData(doc._id, pendingWrite.data, confirmation);
+        setIsWriting(false);
+        // On failure stay on the diff; the toast says why
+        if (written) {
+            setPendingWrite(null);
+            setIsEditing(false);
+        }
+    };
     const cloneHandler = useDragAwareClick((e) => { e.stopPropagation(); onClone && onClone(doc._id); });
     const deleteHandler = useDragAwareClick((e) => { e.stopPropagation(); onDelete && onDelete(doc._id); });
 
@@ -529,6 +618,10 @@ const DraggableCard = React.memo(({ doc, zoom, onConnect, onQuickConnect, connec
                 background: 'var(--panel-bg)',
                 borderRadius: '8px',
                 border: '1px solid var(--glass-border)',
+                // Cards fetched from a collection that has a collection node carry its color
+                borderLeft: groupColor ? `4px solid ${groupColor}` : '1px solid var(--glass-border)',
+                // Tombstone: the live change stream reported the document deleted
+                ...(doc.tombstone ? { borderStyle: 'dashed', borderColor: 'rgba(239, 68, 68, 0.6)' } : {}),
                 padding: '1rem',
                 resize: 'both',
                 overflow: 'hidden',
@@ -537,7 +630,7 @@ const DraggableCard = React.memo(({ doc, zoom, onConnect, onQuickConnect, connec
                 display: 'flex',
                 flexDirection: 'column',
                 // Dimming effect when backdrop is toggled
-                opacity: isDimmed ? 0.15 : 1,
+                opacity: isDimmed ? 0.15 : doc.tombstone ? 0.6 : 1,
                 filter: isDimmed ? 'blur(1px)' : 'none',
                 cursor: backdropToggleMode ? 'crosshair' : undefined,
                 // Performance: isolate layout/paint recalculations to this element
@@ -574,6 +667,10 @@ const DraggableCard = React.memo(({ doc, zoom, onConnect, onQuickConnect, connec
                 onContextMenu && onContextMenu(e, doc._id);
             }}
         >
+            {doc.pulseAt && (
+                // Keyed by the change time so every live update replays the pulse
+                <div key={doc.pulseAt} style={{ position: 'absolute', inset: 0, borderRadius: '8px', pointerEvents: 'none', animation: 'card-pulse 1.5s ease-out forwards' }} />
+            )}
             <div
                 style={{
                     marginBottom: '0.5rem',
@@ -588,6 +685,16 @@ const DraggableCard = React.memo(({ doc, zoom, onConnect, onQuickConnect, connec
                 }}
             >
                 <div style={{ display: 'flex', flexDirection: 'column' }}>
+                    {showConnection && connection && (
+                        <span style={{
+                            fontSize: '0.65rem',
+                            color: ENVIRONMENTS[connectionInfo?.environment]?.color || '#94a3b8',
+                            fontWeight: 600,
+                            marginBottom: '2px'
+                        }} title={connectionInfo ? `Connection: ${connection}` : `Connection "${connection}" is not open`}>
+                            ⛁ {connection}{connectionInfo ? '' : ' (not connected)'}
+                        </span>
+                    )}
                     {doc.collection && (
                         <span style={{
                             fontSize: '0.65rem',
@@ -601,7 +708,7 @@ const DraggableCard = React.memo(({ doc, zoom, onConnect, onQuickConnect, connec
                         </span>
                     )}
                     <span style={{ fontSize: '0.8rem', color: '#64748b', fontWeight: 600 }}>
-                        ID: {doc.data._id || 'Unknown'}
+                        ID: {doc.data._id ? bsonToString(doc.data._id) : 'Unknown'}
                     </span>
                 </div>
 
@@ -667,7 +774,51 @@ const DraggableCard = React.memo(({ doc, zoom, onConnect, onQuickConnect, connec
                     >
                         <span style={{ fontSize: '0.9rem' }}>👁</span>
                     </button>
-                    {doc.collection === 'Custom' && (
+                    {onRefresh && connectionInfo && isStoredDocument(doc) && (
+                        <button
+                            title="Refresh from DB"
+                            onMouseDown={refreshHandler.onMouseDown}
+                            onClick={refreshHandler.onClick}
+                            style={{
+                                background: 'transparent',
+                                border: 'none',
+                                color: '#94a3b8',
+                                cursor: 'pointer',
+                                padding: '2px',
+                                borderRadius: '4px',
+                                display: 'flex',
+                                alignItems: 'center',
+                                justifyContent: 'center'
+                            }}
+                            onMouseEnter={e => e.currentTarget.style.color = 'var(--primary)'}
+                            onMouseLeave={e => e.currentTarget.style.color = '#94a3b8'}
+                        >
+                            <span style={{ fontSize: '0.9rem' }}>⟳</span>
+                        </button>
+                    )}
+                    {doc.lastWrite && onRevertWrite && (
+                        <button
+                            title="Revert the last write to the database"
+                            onMouseDown={revertHandler.onMouseDown}
+                            onClick={revertHandler.onClick}
+                            style={{
+                                background: 'transparent',
+                                border: 'none',
+                                color: '#fbbf24',
+                                cursor: 'pointer',
+                                padding: '2px',
+                                borderRadius: '4px',
+                                display: 'flex',
+                                alignItems: 'center',
+                                justifyContent: 'center'
+                            }}
+                            onMouseEnter={e => e.currentTarget.style.color = 'var(--primary)'}
+                            onMouseLeave={e => e.currentTarget.style.color = '#fbbf24'}
+                        >
+                            <span style={{ fontSize: '0.9rem' }}>↶</span>
+                        </button>
+                    )}
+                    {(doc.collection === 'Custom' || canWriteBack) && (
                         <button
                             title="Edit"
                             onMouseDown={editHandler.onMouseDown}
@@ -732,13 +883,165 @@ const DraggableCard = React.memo(({ doc, zoom, onConnect, onQuickConnect, connec
                 </div>
             </div>
 
+            {doc.tombstone && (
+                <div style={{ marginBottom: '8px', padding: '4px 8px', borderRadius: '4px', fontSize: '0.75rem', background: 'rgba(239, 68, 68, 0.15)', color: '#f87171' }}>
+                    🪦 Deleted from the database {new Date(doc.tombstone.at).toLocaleString()}
+                </div>
+            )}
+
+            {doc.drift && (
+                <div
+                    onMouseDown={(e) => e.stopPropagation()}
+                    title={`Checked ${new Date(doc.drift.checkedAt).toLocaleString()}`}
+                    style={{
+                        display: 'flex',
+                        alignItems: 'center',
+                        gap: '6px',
+                        marginBottom: '8px',
+                        padding: '4px 8px',
+                        borderRadius: '4px',
+                        fontSize: '0.75rem',
+                        background: doc.drift.status === 'deleted' ? 'rgba(239, 68, 68, 0.15)' : 'rgba(251, 191, 36, 0.15)',
+                        color: doc.drift.status === 'deleted' ? '#f87171' : '#fbbf24'
+                    }}
+                >
+                    <span style={{ flex: 1 }}>
+                        {doc.drift.status === 'deleted' ? '⚠ Deleted from the database' : '⚠ Changed in the database since fetched'}
+                    </span>
+                    {doc.drift.current && onResolveDrift && (
+                        <>
+                            <button
+                                onClick={(e) => { e.stopPropagation(); onResolveDrift(doc._id, 'diff'); }}
+                                title="Open a Diff Node between this snapshot and the current version"
+                                style={{ background: 'rgba(0,0,0,0.2)', border: 'none', color: 'inherit', cursor: 'pointer', padding: '1px 6px', borderRadius: '3px', fontSize: '0.7rem' }}
+                            >Diff</button>
+                            <button
+                                onClick={(e) => {
+                                    e.stopPropagation();
+                                    if (!doc.storedData || window.confirm('Replacing the snapshot discards the local edits on this card. Continue?')) {
+                                        onResolveDrift(doc._id, 'replace');
+                                    }
+                                }}
+                                title="Replace this snapshot with the current version"
+                                style={{ background: 'rgba(0,0,0,0.2)', border: 'none', color: 'inherit', cursor: 'pointer', padding: '1px 6px', borderRadius: '3px', fontSize: '0.7rem' }}
+                            >Replace</button>
+                        </>
+                    )}
+                    {onResolveDrift && (
+                        <button
+                            onClick={(e) => { e.stopPropagation(); onResolveDrift(doc._id, 'dismiss'); }}
+                            title="Dismiss"
+                            style={{ background: 'transparent', border: 'none', color: 'inherit', cursor: 'pointer', padding: '0 2px', fontSize: '0.75rem' }}
+                        >✕</button>
+                    )}
+                </div>
+            )}
+
+            {pendingWrite && (
+                <ConfirmModal
+                    title={`Write ${pendingWrite.diffs.length} change${pendingWrite.diffs.length > 1 ? 's' : ''} to ${doc.database}.${doc.collection}?`}
+                    confirmLabel="Write to database"
+                    typedName={requireTypedConfirmation ? doc.database : null}
+                    busy={isWriting}
+                    onConfirm={handleConfirmWrite}
+                    onClose={() => setPendingWrite(null)}
+                >
+                    <div style={{ fontFamily: 'monospace', fontSize: '0.8rem', background: 'rgba(0,0,0,0.2)', borderRadius: '6px', padding: '8px' }}>
+                        {pendingWrite.diffs.map((diff, idx) => (
+                            <div key={idx} style={{ padding: '2px 0', wordBreak: 'break-all' }}>
+                                <span style={{ color: '#cbd5e1' }}>{diff.path}: </span>
+                                <DiffValue {...diff} />
+                            </div>
+                        ))}
+                    </div>
+                    <div style={{ fontSize: '0.8rem', color: '#64748b' }}>
+                        Refused if the stored document changed since it was fetched. The previous version is kept so the write can be reverted.
+                    </div>
+                </ConfirmModal>
+            )}
+            {confirmingRevert && (
+                <ConfirmModal
+                    title={`Revert the last write to ${doc.database}.${doc.collection}?`}
+                    confirmLabel="Revert write"
+                    typedName={requireTypedConfirmation ? doc.database : null}
+                    busy={isWriting}
+                    onConfirm={handleConfirmRevert}
+                    onClose={() => setConfirmingRevert(false)}
+                >
+                    The document goes back to how it was before that write. Refused if it changed since.
+                </ConfirmModal>
+            )}
+
+            {revisions.length > 1 && !isEditing && (
+                <div
+                    onMouseDown={(e) => e.stopPropagation()}
+                    style={{ display: 'flex', flexDirection: 'column', gap: '4px', marginBottom: '8px', padding: '4px 8px', borderRadius: '4px', background: 'rgba(0,0,0,0.2)', fontSize: '0.7rem', color: '#94a3b8' }}
+                >
+                    <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                        <span title="Revisions of this document">🕘</span>
+                        <input
+                            type="range"
+                            min={0}
+                            max={latestRevision}
+                            value={shownRevision}
+                            onChange={(e) => {
+                                const index = Number(e.target.value);
+                                setViewRevision(index === snapshotRevision ? null : index);
+                                setCompareRevision(null);
+                            }}
+                            style={{ flex: 1, minWidth: 0 }}
+                        />
+                        {doc.droppedRevisions > 0 && (
+                            <span title={`${doc.droppedRevisions} older revision${doc.droppedRevisions === 1 ? ' was' : 's were'} dropped; the first and the latest ${MAX_REVISIONS - 1} are kept`}>
+                                +{doc.droppedRevisions} dropped
+                            </span>
+                        )}
+                        {viewRevision !== null && (
+                            <button
+                                onClick={(e) => { e.stopPropagation(); setViewRevision(null); setCompareRevision(null); }}
+                                title="Back to the card's snapshot"
+                                style={{ background: 'transparent', border: 'none', color: 'var(--primary)', cursor: 'pointer', padding: 0, fontSize: '0.7rem' }}
+                            >back</button>
+                        )}
+                    </div>
+                    <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                        <span style={{ flex: 1, color: viewRevision !== null ? '#fbbf24' : '#94a3b8', whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}>
+                            {formatRevision(shownRevision)} of {revisionPosition(doc, latestRevision) + 1}
+                        </span>
+                        {onDiffRevisions && (
+                            <>
+                                <select
+                                    value={otherRevision}
+                                    onChange={(e) => setCompareRevision(Number(e.target.value))}
+                                    title="Revision to diff against"
+                                    style={{ background: 'rgba(0,0,0,0.3)', border: '1px solid var(--glass-border)', color: '#cbd5e1', borderRadius: '3px', fontSize: '0.7rem', maxWidth: '90px' }}
+                                >
+                                    {revisions.map((_, index) => index !== shownRevision && (
+                                        <option key={index} value={index}>rev {revisionPosition(doc, index) + 1}</option>
+                                    ))}
+                                </select>
+                                <button
+                                    onClick={(e) => {
+                                        e.stopPropagation();
+                                        // Older revision on the left, like the other diffs
+                                        onDiffRevisions(doc._id, revisionPosition(doc, Math.min(shownRevision, otherRevision)), revisionPosition(doc, Math.max(shownRevision, otherRevision)));
+                                    }}
+                                    title="Open a Diff Node between the two revisions"
+                                    style={{ background: 'rgba(255,255,255,0.1)', border: 'none', color: '#cbd5e1', cursor: 'pointer', padding: '1px 6px', borderRadius: '3px', fontSize: '0.7rem' }}
+                                >Diff</button>
+                            </>
+                        )}
+                    </div>
+                </div>
+            )}
+
             <div style={{ flex: 1 }} onMouseDown={(e) => isEditing && e.stopPropagation()}>
                 {isEditing ? (
                     <div style={{ display: 'flex', flexDirection: 'column', gap: '8px', height: '100%' }}>
                         <textarea
                             autoFocus
                             value={editData}
-                            onChange={(e) => setEditData(e.target.value)}
+                            onChange={(e) => { setEditData(e.target.value); setEditError(null); }}
                             onKeyDown={(e) => {
                                 // Prevents panned/zoomed canvas from taking keyboard events while typing
                                 e.stopPropagation();
@@ -748,7 +1051,7 @@ const DraggableCard = React.memo(({ doc, zoom, onConnect, onQuickConnect, connec
                                 minHeight: '200px',
                                 flex: 1,
                                 background: 'rgba(0,0,0,0.2)',
-                                border: '1px solid var(--glass-border)',
+                                border: `1px solid ${editError ? '#f87171' : 'var(--glass-border)'}`,
                                 borderRadius: '4px',
                                 color: '#e2e8f0',
                                 fontFamily: 'monospace',
@@ -758,6 +1061,7 @@ const DraggableCard = React.memo(({ doc, zoom, onConnect, onQuickConnect, connec
                                 resize: 'vertical'
                             }}
                         />
+                        {editError && <div style={{ fontSize: '0.75rem', color: '#f87171' }}>{editError}</div>}
                         <div style={{ display: 'flex', gap: '8px', justifyContent: 'flex-end' }}>
                             <button
                                 onClick={(e) => { e.stopPropagation(); setIsEditing(false); }}
@@ -772,15 +1076,13 @@ const DraggableCard = React.memo(({ doc, zoom, onConnect, onQuickConnect, connec
                                 }}
                             >Cancel</button>
                             <button
+                                title={canWriteBack ? 'Change the canvas copy only' : undefined}
                                 onClick={(e) => {
                                     e.stopPropagation();
-                                    try {
-                                        const parsed = JSON.parse(editData);
-                                        onUpdateData && onUpdateData(doc._id, parsed);
-                                        setIsEditing(false);
-                                    } catch (err) {
-                                        alert("Invalid JSON: " + err.message);
-                                    }
+                                    const parsed = parseEditData();
+                                    if (!parsed) return;
+                                    onUpdateData && onUpdateData(doc._id, parsed);
+                                    setIsEditing(false);
                                 }}
                                 style={{
                                     padding: '4px 8px',
@@ -793,21 +1095,39 @@ const DraggableCard = React.memo(({ doc, zoom, onConnect, onQuickConnect, connec
                                     fontSize: '0.8rem'
                                 }}
                             >Save</button>
+                            {canWriteBack && (
+                                <button
+                                    title="Review the changes, then write them to the database"
+                                    onClick={(e) => { e.stopPropagation(); handleReviewWrite(); }}
+                                    style={{
+                                        padding: '4px 8px',
+                                        background: 'rgba(245, 158, 11, 0.15)',
+                                        border: '1px solid rgba(245, 158, 11, 0.4)',
+                                        borderRadius: '4px',
+                                        color: '#fbbf24',
+                                        cursor: 'pointer',
+                                        fontWeight: 600,
+                                        fontSize: '0.8rem'
+                                    }}
+                                >Save to database...</button>
+                            )}
                         </div>
                     </div>
                 ) : (
                     <DocumentCard
-                        data={doc.data}
+                        data={viewedData}
                         isRoot={true}
                         onConnect={onConnect}
                         onQuickConnect={onQuickConnect}
-                        connectionHistoryVersion={connectionHistoryVersion}
+                        onConnectAll={onConnectAll}
                         onDateClick={onDateClick}
                         onFlagClick={onFlagClick}
                         onToggleExpand={onToggleExpand}
                         expandedPaths={doc.expandedPaths || []}
                         docId={doc._id}
                         collection={doc.collection}
+                        database={doc.database}
+                        connection={connection}
                     />
                 )}
             </div>
@@ -936,6 +1256,11 @@ const computeDocDiff = (obj1, obj2, path = '') => {
             diffs.push({ path: fullPath, type: 'added', value: val2 });
         } else if (!hasKey2) {
             diffs.push({ path: fullPath, type: 'removed', value: val1 });
+        } else if (isBsonValue(val1) || isBsonValue(val2)) {
+            // BSON values (ObjectId, Date, Long, ...) are compared as leaves
+            if (!bsonEquals(val1, val2)) {
+                diffs.push({ path: fullPath, type: 'changed', oldValue: val1, newValue: val2 });
+            }
         } else if (val1 !== null && val2 !== null && typeof val1 === 'object' && typeof val2 === 'object' && !Array.isArray(val1) && !Array.isArray(val2)) {
             // Both are objects - recurse
             diffs.push(...computeDocDiff(val1, val2, fullPath));
@@ -948,6 +1273,10 @@ const computeDocDiff = (obj1, obj2, path = '') => {
                     diffs.push({ path: elemPath, type: 'added', value: val2[i] });
                 } else if (i >= val2.length) {
                     diffs.push({ path: elemPath, type: 'removed', value: val1[i] });
+                } else if (isBsonValue(val1[i]) || isBsonValue(val2[i])) {
+                    if (!bsonEquals(val1[i], val2[i])) {
+                        diffs.push({ path: elemPath, type: 'changed', oldValue: val1[i], newValue: val2[i] });
+                    }
                 } else if (typeof val1[i] === 'object' && typeof val2[i] === 'object' && val1[i] !== null && val2[i] !== null) {
                     diffs.push(...computeDocDiff(val1[i], val2[i], elemPath));
                 } else if (val1[i] !== val2[i]) {
@@ -966,6 +1295,7 @@ const DiffValue = ({ value, type, oldValue, newValue }) => {
     const formatValue = (val) => {
         if (val === null) return 'null';
         if (val === undefined) return 'undefined';
+        if (isBsonValue(val)) return bsonToString(val);
         if (typeof val === 'object') return JSON.stringify(val);
         return String(val);
     };
@@ -990,9 +1320,10 @@ const DiffValue = ({ value, type, oldValue, newValue }) => {
         const oldFormatted = formatValue(oldValue);
         const newFormatted = formatValue(newValue);
 
-        // Use character-level diff for strings
-        if (typeof oldValue === 'string' && typeof newValue === 'string') {
-            const { prefix, oldMiddle, newMiddle, suffix } = computeCharDiff(oldValue, newValue);
+        // Use character-level diff for strings (and BSON values of the same type, e.g. two ObjectIds)
+        const sameBsonType = getBsonType(oldValue) !== null && getBsonType(oldValue) === getBsonType(newValue);
+        if ((typeof oldValue === 'string' && typeof newValue === 'string') || sameBsonType) {
+            const { prefix, oldMiddle, newMiddle, suffix } = computeCharDiff(oldFormatted, newFormatted);
             return (
                 <span>
                     <span style={{ color: '#94a3b8' }}>{prefix}</span>
@@ -1096,18 +1427,34 @@ const DraggableDiffNode = memo(({ node, sourceDoc, targetDoc, zoom, onDelete, is
         };
     }, [node.id, onUpdateDiffNode, node.width, node.height]);
 
+    // Either side can be a revision of its card (by position in its history) instead of what the card shows now
+    const sourceRevision = node.sourceRevision != null && sourceDoc ? revisionAt(sourceDoc, node.sourceRevision) : null;
+    const targetRevision = node.targetRevision != null && targetDoc ? revisionAt(targetDoc, node.targetRevision) : null;
+    const sourceData = node.sourceRevision != null ? sourceRevision?.data : sourceDoc?.data;
+    const targetData = node.targetRevision != null ? targetRevision?.data : targetDoc?.data;
+
     // Compute diff
     const diffs = useMemo(() => {
-        if (!sourceDoc || !targetDoc) return [];
-        return computeDocDiff(sourceDoc.data, targetDoc.data);
-    }, [sourceDoc, targetDoc]);
+        if (!sourceData || !targetData) return [];
+        return computeDocDiff(sourceData, targetData);
+    }, [sourceData, targetData]);
 
     const getShortId = (id) => {
         if (!id) return '?';
-        const str = String(id);
+        const str = bsonToString(id);
         return str.length > 8 ? str.slice(0, 4) + '…' + str.slice(-4) : str;
     };
 
+    // The same document from two connections or databases: label each side by where it came from
+    const acrossSources = !!sourceDoc && !!targetDoc
+        && ((sourceDoc.connection || '') !== (targetDoc.connection || '') || sourceDoc.database !== targetDoc.database);
+    const getLabel = (doc, revisionIndex, revision) => {
+        if (revisionIndex != null) return `rev ${revisionIndex + 1}${revision?.at ? ` · ${new Date(revision.at).toLocaleTimeString()}` : ''}`;
+        return acrossSources
+            ? `${doc.connection ? `${doc.connection} / ` : ''}${doc.database}`
+            : getShortId(doc?.data?._id);
+    };
+
     return (
         <div
             ref={nodeRef}
@@ -1166,9 +1513,457 @@ const DraggableDiffNode = memo(({ node, sourceDoc, targetDoc, zoom, onDelete, is
                 flexShrink: 0
             }}>
                 <div style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '0.8rem', color: '#94a3b8', overflow: 'hidden' }}>
-                    <span style={{ color: '#f87171' }}>{getShortId(sourceDoc?.data?._id)}</span>
+                    <span style={{ color: '#f87171' }}>{getLabel(sourceDoc, node.sourceRevision, sourceRevision)}</span>
                     <span>↔</span>
-                    <span style={{ color: '#4ade80' }}>{getShortId(targetDoc?.data?._id)}</span>
+                    <span style={{ color: '#4ade80' }}>{getLabel(targetDoc, node.targetRevision, targetRevision)}</span>
+                </div>
+                <button
+                    onMouseDown={deleteHandler.onMouseDown}
+                    onClick={deleteHandler.onClick}
+                    style={{
+                        background: 'rgba(0,0,0,0.2)',
+                        border: 'none',
+                        borderRadius: '50%',
+                        width: '20px',
+                        height: '20px',
+                        display: 'flex',
+                        alignItems: 'center',
+                        justifyContent: 'center',
+                        cursor: 'pointer',
+                        color: '#94a3b8',
+                        fontSize: '0.75rem',
+                        padding: 0,
+                        flexShrink: 0
+                    }}
+                >
+                    ✕
+                </button>
+            </div>
+
+            {/* Content */}
+            <div style={{
+                padding: '8px 12px',
+                overflowY: 'auto',
+                flex: 1, // Take remaining space
+                fontSize: '0.85rem'
+            }}>
+                {!sourceData || !targetData ? (
+                    <div style={{ color: '#f87171', fontStyle: 'italic' }}>
+                        {(node.sourceRevision != null && sourceDoc && !sourceRevision) || (node.targetRevision != null && targetDoc && !targetRevision)
+                            ? 'Revision no longer kept: cards keep their first and latest revisions'
+                            : 'Document not found'}
+                    </div>
+                ) : diffs.length === 0 ? (
+                    <div style={{ color: '#4ade80', fontStyle: 'italic' }}>
+                        No differences
+                    </div>
+                ) : (
+                    <div style={{ display: 'flex', flexDirection: 'column', gap: '4px' }}>
+                        {diffs.map((diff, idx) => {
+                            let dateGap = null;
+                            if (diff.type === 'changed' && getBsonType(diff.oldValue) === 'Date' && getBsonType(diff.newValue) === 'Date') {
+                                const d1 = toDate(diff.oldValue);
+                                const d2 = toDate(diff.newValue);
+                                if (!isNaN(d1.getTime()) && !isNaN(d2.getTime())) {
+                                    dateGap = calculateTimeGap(d1, d2);
+                                }
+                            }
+
+                            return (
+                                <div key={idx} style={{
+                                    display: 'flex',
+                                    gap: '8px',
+                                    padding: '4px 6px',
+                                    borderRadius: '4px',
+                                    background: diff.type === 'added' ? 'rgba(74, 222, 128, 0.1)' :
+                                        diff.type === 'removed' ? 'rgba(248, 113, 113, 0.1)' :
+                                            'rgba(148, 163, 184, 0.1)',
+                                    alignItems: 'flex-start'
+                                }}>
+                                    <span style={{
+                                        color: diff.type === 'added' ? '#4ade80' :
+                                            diff.type === 'removed' ? '#f87171' :
+                                                '#94a3b8',
+                                        fontWeight: 500,
+                                        minWidth: '30%',
+                                        wordBreak: 'break-word'
+                                    }}>
+                                        {diff.path}:
+                                    </span>
+                                    <span style={{ wordBreak: 'break-word', flex: 1, display: 'flex', flexDirection: 'column', gap: '2px' }}>
+                                        <DiffValue
+                                            type={diff.type}
+                                            value={diff.value}
+                                            oldValue={diff.oldValue}
+                                            newValue={diff.newValue}
+                                        />
+                                        {dateGap && (
+                                            <span style={{
+                                                fontSize: '0.75rem',
+                                                color: '#fbbf24',
+                                                fontStyle: 'italic',
+                                                marginTop: '2px'
+                                            }}>
+                                                Gap: {dateGap.replace(/^(After:|Before:)\s*/, '')} {dateGap.startsWith('After:') ? '(later)' : '(earlier)'}
+                                            </span>
+                                        )}
+                                    </span>
+                                </div>
+                            );
+                        })}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+});
+
+const STAGE_COLORS = {
+    COLLSCAN: '#f87171',
+    IXSCAN: '#4ade80',
+    EXPRESS_IXSCAN: '#4ade80',
+    IDHACK: '#4ade80',
+    FETCH: '#60a5fa',
+    SORT: '#fbbf24'
+};
+
+const formatCount = (n) => (typeof n === 'number' ? n.toLocaleString() : '–');
+
+// One stage of a winning plan and its input stages, indented
+const PlanStage = ({ node, depth = 0 }) => (
+    <>
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '2px', padding: '3px 0 3px', paddingLeft: `${depth * 14}px` }}>
+            <div style={{ display: 'flex', alignItems: 'baseline', gap: '6px', flexWrap: 'wrap' }}>
+                {depth > 0 && <span style={{ color: '#475569' }}>└</span>}
+                <span style={{ fontWeight: 600, color: STAGE_COLORS[node.stage] || '#cbd5e1', fontFamily: 'monospace' }}>{node.stage}</span>
+                {node.indexName && <span style={{ color: '#94a3b8', fontFamily: 'monospace' }}>{node.indexName}</span>}
+                {node.keyPattern && <span style={{ color: '#64748b', fontFamily: 'monospace', fontSize: '0.75rem' }}>{JSON.stringify(node.keyPattern)}</span>}
+                {node.direction === 'backward' && <span style={{ color: '#64748b', fontSize: '0.75rem' }}>(backward)</span>}
+            </div>
+            {node.nReturned !== undefined && (
+                <div style={{ color: '#64748b', fontSize: '0.75rem', paddingLeft: depth > 0 ? '14px' : 0 }}>
+                    returned {formatCount(node.nReturned)}
+                    {node.keysExamined !== undefined && ` · keys ${formatCount(node.keysExamined)}`}
+                    {node.docsExamined !== undefined && ` · docs ${formatCount(node.docsExamined)}`}
+                </div>
+            )}
+            {node.filter && (
+                <div title={JSON.stringify(node.filter)} style={{ color: '#64748b', fontSize: '0.75rem', fontFamily: 'monospace', paddingLeft: depth > 0 ? '14px' : 0, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                    filter {JSON.stringify(node.filter)}
+                </div>
+            )}
+        </div>
+        {node.children.map((child, idx) => <PlanStage key={idx} node={child} depth={depth + 1} />)}
+    </>
+);
+
+// Winning plan of an explain("executionStats") run, as returned by /api/explain
+const DraggableExplainNode = memo(({ node, onDelete, isSelected, onMouseDown, registerRef, onContextMenu, onUpdateExplainNode }) => {
+    const nodeRef = useRef(null);
+    const { plan } = node;
+
+    const deleteHandler = useDragAwareClick((e) => { e.stopPropagation(); onDelete(node.id); });
+
+    useEffect(() => {
+        if (registerRef) {
+            registerRef(node.id, nodeRef.current);
+            return () => registerRef(node.id, null);
+        }
+    }, [node.id, registerRef]);
+
+    // Persist user resizes, same as diff nodes
+    useEffect(() => {
+        if (!nodeRef.current) return;
+
+        let timeout;
+        const ro = new ResizeObserver(entries => {
+            for (let entry of entries) {
+                const target = entry.target;
+                const widthChanged = Math.abs(target.offsetWidth - (node.width || 360)) > 3;
+                const heightChanged = target.style.height !== '' && Math.abs(target.offsetHeight - (node.height || 0)) > 3;
+                if (widthChanged || heightChanged) {
+                    clearTimeout(timeout);
+                    timeout = setTimeout(() => {
+                        onUpdateExplainNode && onUpdateExplainNode(node.id, {
+                            width: target.offsetWidth,
+                            height: heightChanged ? target.offsetHeight : node.height
+                        });
+                    }, 500);
+                }
+            }
+        });
+
+        ro.observe(nodeRef.current);
+        return () => {
+            ro.disconnect();
+            clearTimeout(timeout);
+        };
+    }, [node.id, onUpdateExplainNode, node.width, node.height]);
+
+    const statStyle = { display: 'flex', flexDirection: 'column', alignItems: 'center', flex: 1, padding: '4px', background: 'rgba(0,0,0,0.2)', borderRadius: '4px' };
+    const docsPerResult = plan.nReturned > 0 ? plan.totalDocsExamined / plan.nReturned : null;
+
+    return (
+        <div
+            ref={nodeRef}
+            onContextMenu={(e) => onContextMenu && onContextMenu(e, node.id)}
+            onMouseDown={(e) => {
+                const rect = e.currentTarget.getBoundingClientRect();
+                // Let the browser's resize handle (bottom-right) work
+                if (e.clientX > rect.right - 20 && e.clientY > rect.bottom - 20) {
+                    e.stopPropagation();
+                    return;
+                }
+                e.stopPropagation();
+                onMouseDown(e, node.id);
+            }}
+            style={{
+                position: 'absolute',
+                left: node.x,
+                top: node.y,
+                transform: 'translate(-50%, -50%)',
+                background: '#1e293b',
+                border: isSelected ? '2px solid var(--primary)' : `1px solid ${plan.collscan ? 'rgba(248, 113, 113, 0.5)' : 'var(--glass-border)'}`,
+                borderRadius: '8px',
+                minWidth: '300px',
+                width: node.width || 360,
+                height: node.height,
+                maxHeight: node.height ? 'none' : '480px',
+                resize: 'both',
+                overflow: 'hidden',
+                cursor: 'grab',
+                zIndex: isSelected ? 2001 : 100,
+                boxShadow: isSelected ? '0 0 0 3px var(--primary), 0 8px 16px rgba(0,0,0,0.4)' : '0 4px 12px rgba(0,0,0,0.3)',
+                userSelect: 'none',
+                display: 'flex',
+                flexDirection: 'column',
+                transition: 'box-shadow 0.2s, border 0.2s, opacity 0.2s, filter 0.2s',
+                opacity: node.dimmed ? 0.3 : 1,
+                filter: node.dimmed ? 'blur(1px) grayscale(50%)' : 'none',
+                fontSize: '0.85rem'
+            }}
+            data-centered="true"
+        >
+            {/* Header */}
+            <div style={{
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'space-between',
+                padding: '8px 12px',
+                background: 'rgba(0,0,0,0.2)',
+                borderBottom: '1px solid var(--glass-border)',
+                gap: '8px',
+                flexShrink: 0
+            }}>
+                <div style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '0.8rem', color: '#94a3b8', overflow: 'hidden', whiteSpace: 'nowrap' }}>
+                    <span>🔍 Explain</span>
+                    <span style={{ color: '#e2e8f0', overflow: 'hidden', textOverflow: 'ellipsis' }}>{node.database}.{node.collection}</span>
+                    <span style={{ color: '#64748b' }}>{node.kind}</span>
+                </div>
+                <button
+                    onMouseDown={deleteHandler.onMouseDown}
+                    onClick={deleteHandler.onClick}
+                    style={{
+                        background: 'rgba(0,0,0,0.2)',
+                        border: 'none',
+                        borderRadius: '50%',
+                        width: '20px',
+                        height: '20px',
+                        display: 'flex',
+                        alignItems: 'center',
+                        justifyContent: 'center',
+                        cursor: 'pointer',
+                        color: '#94a3b8',
+                        fontSize: '0.75rem',
+                        padding: 0,
+                        flexShrink: 0
+                    }}
+                >
+                    ✕
+                </button>
+            </div>
+
+            {/* Content */}
+            <div style={{ padding: '8px 12px', overflowY: 'auto', flex: 1, display: 'flex', flexDirection: 'column', gap: '8px' }}>
+                {node.queryText && (
+                    <div title={node.queryText} style={{ fontFamily: 'monospace', fontSize: '0.75rem', color: '#bfdbfe', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                        {node.queryText}
+                    </div>
+                )}
+
+                {plan.collscan && (
+                    <div style={{ padding: '6px 8px', background: 'rgba(248, 113, 113, 0.1)', border: '1px solid rgba(248, 113, 113, 0.3)', borderRadius: '4px', color: '#f87171', fontSize: '0.8rem' }}>
+                        ⚠ COLLSCAN: no index is used, every document in the collection is read
+                    </div>
+                )}
+
+                <div style={{ display: 'flex', gap: '6px' }}>
+                    <div style={statStyle}>
+                        <span style={{ color: '#e2e8f0', fontWeight: 600 }}>{formatCount(plan.nReturned)}</span>
+                        <span style={{ color: '#64748b', fontSize: '0.7rem' }}>returned</span>
+                    </div>
+                    <div style={statStyle}>
+                        <span style={{ color: '#e2e8f0', fontWeight: 600 }}>{formatCount(plan.totalKeysExamined)}</span>
+                        <span style={{ color: '#64748b', fontSize: '0.7rem' }}>keys examined</span>
+                    </div>
+                    <div style={statStyle}>
+                        <span style={{ color: docsPerResult !== null && docsPerResult > 10 ? '#fbbf24' : '#e2e8f0', fontWeight: 600 }}>{formatCount(plan.totalDocsExamined)}</span>
+                        <span style={{ color: '#64748b', fontSize: '0.7rem' }}>docs examined</span>
+                    </div>
+                    <div style={statStyle}>
+                        <span style={{ color: '#e2e8f0', fontWeight: 600 }}>{formatCount(plan.executionTimeMillis)}</span>
+                        <span style={{ color: '#64748b', fontSize: '0.7rem' }}>ms</span>
+                    </div>
+                </div>
+
+                <div style={{ fontSize: '0.8rem', color: '#94a3b8' }}>
+                    Index: {plan.indexes.length > 0
+                        ? <span style={{ color: '#4ade80', fontFamily: 'monospace' }}>{plan.indexes.join(', ')}</span>
+                        : <span style={{ color: '#f87171' }}>none</span>}
+                    {plan.rejectedPlans > 0 && <span style={{ color: '#64748b' }}> · {plan.rejectedPlans} rejected plan{plan.rejectedPlans > 1 ? 's' : ''}</span>}
+                </div>
+
+                <div style={{ borderTop: '1px solid var(--glass-border)', paddingTop: '6px' }}>
+                    {plan.tree
+                        ? <PlanStage node={plan.tree} />
+                        : <div style={{ color: '#64748b', fontStyle: 'italic' }}>No plan returned</div>}
+                    {plan.pipelineStages.length > 0 && (
+                        <div style={{ marginTop: '4px', color: '#94a3b8', fontSize: '0.8rem' }}>
+                            then <span style={{ fontFamily: 'monospace', color: '#cbd5e1' }}>{plan.pipelineStages.join(' → ')}</span>
+                        </div>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+});
+
+const formatBytes = (bytes) => {
+    if (typeof bytes !== 'number') return '–';
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+};
+
+// Overview of a collection dragged in from the sidebar, as returned by /api/collection-stats
+const DraggableCollectionNode = memo(({ node, color, memberCount = 0, onSelectMembers, onDelete, isSelected, onMouseDown, registerRef, onContextMenu, onUpdateCollectionNode }) => {
+    const nodeRef = useRef(null);
+    const [showValidator, setShowValidator] = useState(false);
+    const { stats } = node;
+    const { storage, indexes = [], options = {} } = stats;
+
+    const deleteHandler = useDragAwareClick((e) => { e.stopPropagation(); onDelete(node.id); });
+    const selectMembersHandler = useDragAwareClick((e) => { e.stopPropagation(); onSelectMembers && onSelectMembers(node.id); });
+    const validatorHandler = useDragAwareClick((e) => { e.stopPropagation(); setShowValidator(v => !v); });
+
+    useEffect(() => {
+        if (registerRef) {
+            registerRef(node.id, nodeRef.current);
+            return () => registerRef(node.id, null);
+        }
+    }, [node.id, registerRef]);
+
+    // Persist user resizes, same as diff nodes
+    useEffect(() => {
+        if (!nodeRef.current) return;
+
+        let timeout;
+        const ro = new ResizeObserver(entries => {
+            for (let entry of entries) {
+                const target = entry.target;
+                const widthChanged = Math.abs(target.offsetWidth - (node.width || 340)) > 3;
+                const heightChanged = target.style.height !== '' && Math.abs(target.offsetHeight - (node.height || 0)) > 3;
+                if (widthChanged || heightChanged) {
+                    clearTimeout(timeout);
+                    timeout = setTimeout(() => {
+                        onUpdateCollectionNode && onUpdateCollectionNode(node.id, {
+                            width: target.offsetWidth,
+                            height: heightChanged ? target.offsetHeight : node.height
+                        });
+                    }, 500);
+                }
+            }
+        });
+
+        ro.observe(nodeRef.current);
+        return () => {
+            ro.disconnect();
+            clearTimeout(timeout);
+        };
+    }, [node.id, onUpdateCollectionNode, node.width, node.height]);
+
+    const statStyle = { display: 'flex', flexDirection: 'column', alignItems: 'center', flex: 1, padding: '4px', background: 'rgba(0,0,0,0.2)', borderRadius: '4px' };
+    const sectionTitle = { fontSize: '0.7rem', color: '#64748b', textTransform: 'uppercase', letterSpacing: '0.05em', marginBottom: '4px' };
+    const badges = [
+        stats.type !== 'collection' && stats.type,
+        options.capped && `capped${options.size ? ` ${formatBytes(options.size)}` : ''}${options.max ? ` / ${options.max.toLocaleString()} docs` : ''}`,
+        options.expireAfterSeconds !== undefined && `TTL ${options.expireAfterSeconds}s`
+    ].filter(Boolean);
+
+    return (
+        <div
+            ref={nodeRef}
+            onContextMenu={(e) => onContextMenu && onContextMenu(e, node.id)}
+            onMouseDown={(e) => {
+                const rect = e.currentTarget.getBoundingClientRect();
+                // Let the browser's resize handle (bottom-right) work
+                if (e.clientX > rect.right - 20 && e.clientY > rect.bottom - 20) {
+                    e.stopPropagation();
+                    return;
+                }
+                e.stopPropagation();
+                onMouseDown(e, node.id);
+            }}
+            style={{
+                position: 'absolute',
+                left: node.x,
+                top: node.y,
+                transform: 'translate(-50%, -50%)',
+                background: '#1e293b',
+                border: isSelected ? '2px solid var(--primary)' : `2px solid ${color}`,
+                borderRadius: '10px',
+                minWidth: '280px',
+                width: node.width || 340,
+                height: node.height,
+                maxHeight: node.height ? 'none' : '560px',
+                resize: 'both',
+                overflow: 'hidden',
+                cursor: 'grab',
+                zIndex: isSelected ? 2001 : 100,
+                boxShadow: isSelected ? '0 0 0 3px var(--primary), 0 8px 16px rgba(0,0,0,0.4)' : '0 4px 12px rgba(0,0,0,0.3)',
+                userSelect: 'none',
+                display: 'flex',
+                flexDirection: 'column',
+                transition: 'box-shadow 0.2s, border 0.2s, opacity 0.2s, filter 0.2s',
+                opacity: node.dimmed ? 0.3 : 1,
+                filter: node.dimmed ? 'blur(1px) grayscale(50%)' : 'none',
+                fontSize: '0.85rem'
+            }}
+            data-centered="true"
+        >
+            {/* Header */}
+            <div style={{
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'space-between',
+                padding: '8px 12px',
+                background: 'rgba(0,0,0,0.25)',
+                borderBottom: `1px solid ${color}`,
+                gap: '8px',
+                flexShrink: 0
+            }}>
+                <div style={{ display: 'flex', alignItems: 'center', gap: '6px', overflow: 'hidden', whiteSpace: 'nowrap' }}>
+                    <span style={{ width: '10px', height: '10px', borderRadius: '50%', background: color, flexShrink: 0 }} />
+                    <span style={{ color: '#64748b', fontSize: '0.8rem' }}>{node.connection ? `${node.connection} / ` : ''}{node.database}.</span>
+                    <span style={{ color: '#e2e8f0', fontWeight: 600, overflow: 'hidden', textOverflow: 'ellipsis' }}>{node.collection}</span>
+                    {badges.map(badge => (
+                        <span key={badge} style={{ fontSize: '0.7rem', padding: '1px 6px', borderRadius: '8px', background: 'rgba(255,255,255,0.08)', color: '#cbd5e1' }}>{badge}</span>
+                    ))}
                 </div>
                 <button
                     onMouseDown={deleteHandler.onMouseDown}
@@ -1194,77 +1989,108 @@ const DraggableDiffNode = memo(({ node, sourceDoc, targetDoc, zoom, onDelete, is
             </div>
 
             {/* Content */}
-            <div style={{
-                padding: '8px 12px',
-                overflowY: 'auto',
-                flex: 1, // Take remaining space
-                fontSize: '0.85rem'
-            }}>
-                {!sourceDoc || !targetDoc ? (
-                    <div style={{ color: '#f87171', fontStyle: 'italic' }}>
-                        Document not found
+            <div style={{ padding: '8px 12px', overflowY: 'auto', flex: 1, display: 'flex', flexDirection: 'column', gap: '10px' }}>
+                {storage ? (
+                    <div style={{ display: 'flex', gap: '6px' }}>
+                        <div style={statStyle}>
+                            <span style={{ color: '#e2e8f0', fontWeight: 600 }}>{typeof storage.count === 'number' ? storage.count.toLocaleString() : '–'}</span>
+                            <span style={{ color: '#64748b', fontSize: '0.7rem' }}>documents</span>
+                        </div>
+                        <div style={statStyle} title={`Uncompressed data size ${formatBytes(storage.size)}`}>
+                            <span style={{ color: '#e2e8f0', fontWeight: 600 }}>{formatBytes(storage.storageSize)}</span>
+                            <span style={{ color: '#64748b', fontSize: '0.7rem' }}>storage</span>
+                        </div>
+                        <div style={statStyle}>
+                            <span style={{ color: '#e2e8f0', fontWeight: 600 }}>{formatBytes(storage.avgObjSize)}</span>
+                            <span style={{ color: '#64748b', fontSize: '0.7rem' }}>avg doc</span>
+                        </div>
+                        <div style={statStyle}>
+                            <span style={{ color: '#e2e8f0', fontWeight: 600 }}>{formatBytes(storage.totalIndexSize)}</span>
+                            <span style={{ color: '#64748b', fontSize: '0.7rem' }}>indexes</span>
+                        </div>
                     </div>
-                ) : diffs.length === 0 ? (
-                    <div style={{ color: '#4ade80', fontStyle: 'italic' }}>
-                        No differences
+                ) : options.viewOn && (
+                    <div style={{ color: '#94a3b8' }}>
+                        View on <span style={{ color: '#e2e8f0', fontFamily: 'monospace' }}>{options.viewOn}</span>
+                        <div title={JSON.stringify(options.pipeline)} style={{ fontFamily: 'monospace', fontSize: '0.75rem', color: '#bfdbfe', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                            {JSON.stringify(options.pipeline)}
+                        </div>
                     </div>
-                ) : (
-                    <div style={{ display: 'flex', flexDirection: 'column', gap: '4px' }}>
-                        {diffs.map((diff, idx) => {
-                            let dateGap = null;
-                            if (diff.type === 'changed' && typeof diff.oldValue === 'string' && typeof diff.newValue === 'string') {
-                                const d1 = new Date(diff.oldValue);
-                                const d2 = new Date(diff.newValue);
-                                // Heuristic: valid valid date and string length > 5 (avoids short numbers/strings)
-                                if (!isNaN(d1.getTime()) && !isNaN(d2.getTime()) && diff.oldValue.length > 5 && diff.newValue.length > 5 && d1.getFullYear() > 1900 && d1.getFullYear() < 2200) {
-                                    dateGap = calculateTimeGap(d1, d2);
-                                }
-                            }
+                )}
 
-                            return (
-                                <div key={idx} style={{
-                                    display: 'flex',
-                                    gap: '8px',
-                                    padding: '4px 6px',
-                                    borderRadius: '4px',
-                                    background: diff.type === 'added' ? 'rgba(74, 222, 128, 0.1)' :
-                                        diff.type === 'removed' ? 'rgba(248, 113, 113, 0.1)' :
-                                            'rgba(148, 163, 184, 0.1)',
-                                    alignItems: 'flex-start'
-                                }}>
-                                    <span style={{
-                                        color: diff.type === 'added' ? '#4ade80' :
-                                            diff.type === 'removed' ? '#f87171' :
-                                                '#94a3b8',
-                                        fontWeight: 500,
-                                        minWidth: '30%',
-                                        wordBreak: 'break-word'
-                                    }}>
-                                        {diff.path}:
-                                    </span>
-                                    <span style={{ wordBreak: 'break-word', flex: 1, display: 'flex', flexDirection: 'column', gap: '2px' }}>
-                                        <DiffValue
-                                            type={diff.type}
-                                            value={diff.value}
-                                            oldValue={diff.oldValue}
-                                            newValue={diff.newValue}
-                                        />
-                                        {dateGap && (
-                                            <span style={{
-                                                fontSize: '0.75rem',
-                                                color: '#fbbf24',
-                                                fontStyle: 'italic',
-                                                marginTop: '2px'
-                                            }}>
-                                                Gap: {dateGap.replace(/^(After:|Before:)\s*/, '')} {dateGap.startsWith('After:') ? '(later)' : '(earlier)'}
-                                            </span>
-                                        )}
-                                    </span>
+                {options.timeseries && (
+                    <div style={{ fontSize: '0.8rem', color: '#94a3b8' }}>
+                        Time series on <span style={{ fontFamily: 'monospace', color: '#e2e8f0' }}>{options.timeseries.timeField}</span>
+                        {options.timeseries.metaField && <> · meta <span style={{ fontFamily: 'monospace', color: '#e2e8f0' }}>{options.timeseries.metaField}</span></>}
+                        {options.timeseries.granularity && <> · {options.timeseries.granularity}</>}
+                    </div>
+                )}
+
+                {indexes.length > 0 && (
+                    <div>
+                        <div style={sectionTitle}>Indexes ({indexes.length})</div>
+                        {indexes.map(index => (
+                            <div key={index.name} style={{ display: 'flex', alignItems: 'baseline', gap: '6px', padding: '2px 0', fontSize: '0.8rem' }}>
+                                <span style={{ color: '#4ade80', fontFamily: 'monospace', whiteSpace: 'nowrap' }}>{index.name}</span>
+                                <span title={JSON.stringify(index.key)} style={{ flex: 1, color: '#94a3b8', fontFamily: 'monospace', fontSize: '0.75rem', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                                    {JSON.stringify(index.key)}
+                                </span>
+                                {index.unique && <span style={{ color: '#fbbf24', fontSize: '0.7rem' }}>unique</span>}
+                                {index.sparse && <span style={{ color: '#94a3b8', fontSize: '0.7rem' }}>sparse</span>}
+                                {index.expireAfterSeconds !== undefined && <span style={{ color: '#f472b6', fontSize: '0.7rem' }}>TTL {index.expireAfterSeconds}s</span>}
+                                {index.partialFilterExpression && <span title={JSON.stringify(index.partialFilterExpression)} style={{ color: '#94a3b8', fontSize: '0.7rem' }}>partial</span>}
+                                <span style={{ color: '#64748b', fontSize: '0.75rem', whiteSpace: 'nowrap' }}>{formatBytes(index.size)}</span>
+                            </div>
+                        ))}
+                    </div>
+                )}
+
+                {options.validator && (
+                    <div>
+                        <div style={{ ...sectionTitle, display: 'flex', alignItems: 'center', gap: '6px' }}>
+                            Validator{options.validator.$jsonSchema ? ' ($jsonSchema)' : ''}
+                            {options.validationLevel && <span style={{ textTransform: 'none' }}>· {options.validationLevel} / {options.validationAction}</span>}
+                            <button
+                                onMouseDown={validatorHandler.onMouseDown}
+                                onClick={validatorHandler.onClick}
+                                style={{ marginLeft: 'auto', background: 'transparent', border: 'none', color: '#93c5fd', cursor: 'pointer', fontSize: '0.7rem', padding: 0 }}
+                            >
+                                {showValidator ? 'hide' : 'show'}
+                            </button>
+                        </div>
+                        {showValidator && (
+                            <pre style={{ margin: 0, maxHeight: '200px', overflow: 'auto', background: 'rgba(0,0,0,0.3)', borderRadius: '4px', padding: '6px', fontSize: '0.7rem', color: '#bfdbfe', userSelect: 'text' }}>
+                                {JSON.stringify(options.validator.$jsonSchema || options.validator, null, 2)}
+                            </pre>
+                        )}
+                    </div>
+                )}
+
+                {stats.sample?.length > 0 && (
+                    <div>
+                        <div style={sectionTitle}>Sample</div>
+                        <div style={{ display: 'flex', flexDirection: 'column', gap: '4px', maxHeight: '180px', overflowY: 'auto' }}>
+                            {stats.sample.map((doc, idx) => (
+                                <div key={idx} style={{ background: 'rgba(0,0,0,0.2)', borderRadius: '4px', padding: '4px 6px', fontSize: '0.8rem' }}>
+                                    <DocumentCard data={doc} isRoot={true} />
                                 </div>
-                            );
-                        })}
+                            ))}
+                        </div>
                     </div>
                 )}
+
+                <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', fontSize: '0.75rem', color: '#64748b' }}>
+                    <span>{memberCount} card{memberCount === 1 ? '' : 's'} on canvas</span>
+                    {memberCount > 0 && (
+                        <button
+                            onMouseDown={selectMembersHandler.onMouseDown}
+                            onClick={selectMembersHandler.onClick}
+                            style={{ background: 'transparent', border: `1px solid ${color}`, color, borderRadius: '4px', cursor: 'pointer', fontSize: '0.7rem', padding: '2px 8px' }}
+                        >
+                            Select group
+                        </button>
+                    )}
+                </div>
             </div>
         </div>
     );
@@ -1718,6 +2544,16 @@ const Canvas = ({
     onUpdateDimensions,
     onConnect,
     onQuickConnect,
+    onConnectAll,
+    onFindReferences,
+    onExpandReferences,
+    onFindReferencePath,
+    highlightedPath = null, // { cardIds, links } of the last reference path search, highlighted until cleared
+    onClearHighlightedPath,
+    onCompareAcrossEnvironments,
+    onConfigureReferenceScope,
+    onToggleKeyField,
+    onEditReferenceRule,
     connectionHistoryVersion,
     onClone,
     onDelete,
@@ -1748,6 +2584,13 @@ const Canvas = ({
     onUpdateDiffNodePosition,
     onUpdateDiffNode,
     onDeleteDiffNode,
+    explainNodes = [],
+    onUpdateExplainNode,
+    onDeleteExplainNode,
+    collectionNodes = [],
+    onDropCollection,
+    onUpdateCollectionNode,
+    onDeleteCollectionNode,
     onToggleExpand,
     onExpandAll,
     onCollapseAll,
@@ -1765,6 +2608,15 @@ const Canvas = ({
     onShowAllArrowsChange,
     onToggleBackdrop,
     onUpdateData,
+    onWriteData,
+    onRevertWrite,
+    onRefreshDocuments,
+    onResolveDrift,
+    onDiffRevisions,
+    isLive = false,
+    onToggleLive,
+    connections = [], // Open connections: [{ name, environment, readOnly }]
+    activeConnection = null, // Name of the connection the sidebar browses; documents saved without one belong to it
     onAddCustomDocument,
     idColorOverrides = {},
     onIdColorChange,
@@ -1918,6 +2770,14 @@ const Canvas = ({
             }
         }
 
+        // Check explain and collection nodes (centered on x, y)
+        if (!targetCanvasPos) {
+            const centered = explainNodes.find(n => n.id === entityId) || collectionNodes.find(n => n.id === entityId);
+            if (centered) {
+                targetCanvasPos = { x: centered.x, y: centered.y };
+            }
+        }
+
         if (!targetCanvasPos) return;
 
         const viewport = canvasRef.current.getBoundingClientRect();
@@ -1926,7 +2786,7 @@ const Canvas = ({
         const targetPanY = viewport.height / 2 - targetCanvasPos.y * targetZoom;
 
         navigateToView({ x: targetPanX, y: targetPanY }, targetZoom, selectAfterAnim);
-    }, [documents, gapNodes, textNodes, imageNodes, diffNodes, navigateToView, setSelectedIds]);
+    }, [documents, gapNodes, textNodes, imageNodes, diffNodes, explainNodes, collectionNodes, navigateToView, setSelectedIds]);
 
     const handleFlagClick = useCallback((targetValue) => {
         if (!canvasRef.current) return;
@@ -1953,7 +2813,7 @@ const Canvas = ({
 
         // If not found in registry (collapsed or not a source yet), look for document with this _id
         if (!targetCanvasPos) {
-            const targetDoc = documents.find(d => d._id === targetValue || (d.data && d.data._id === targetValue));
+            const targetDoc = documents.find(d => d._id === targetValue || (d.data && d.data._id !== undefined && bsonToString(d.data._id) === targetValue));
             if (targetDoc) {
                 targetCanvasPos = {
                     x: targetDoc.x + 175, // Center of 350px card
@@ -2016,6 +2876,35 @@ const Canvas = ({
         return map;
     }, [documents]);
 
+    // "refCardId>defCardId" keys of the arrows along the highlighted reference path
+    const highlightedLinks = useMemo(() => highlightedPath && new Set(highlightedPath.links), [highlightedPath]);
+
+    // Cards are grouped with the collection node of the collection they were fetched from.
+    // Cards saved without a database match on the collection name alone.
+    const connectionsByName = useMemo(() => new Map(connections.map(c => [c.name, c])), [connections]);
+    const activeConnectionInfo = connectionsByName.get(activeConnection);
+
+    const collectionGroups = useMemo(() => {
+        const groups = new Map(); // collection node id -> { color, memberIds }
+        const cardColors = new Map(); // card _id -> group color
+        collectionNodes.forEach(node => groups.set(node.id, { color: getColorFromId(`${node.connection || ''}/${node.database}.${node.collection}`), memberIds: [] }));
+        documents.forEach(doc => {
+            const owner = collectionNodes.find(node => node.collection === doc.collection
+                && (!doc.database || doc.database === node.database)
+                && (doc.connection || activeConnection) === (node.connection || activeConnection));
+            if (!owner) return;
+            const group = groups.get(owner.id);
+            group.memberIds.push(doc._id);
+            cardColors.set(doc._id, group.color);
+        });
+        return { groups, cardColors };
+    }, [collectionNodes, documents, activeConnection]);
+
+    const handleSelectCollectionGroup = useCallback((nodeId) => {
+        const group = collectionGroups.groups.get(nodeId);
+        if (group) setSelectedIds([nodeId, ...group.memberIds]);
+    }, [collectionGroups, setSelectedIds]);
+
     // Copy selected nodes to internal clipboard
     const handleCopySelected = useCallback(() => {
         const ids = selectedIdsRef.current;
@@ -2030,6 +2919,8 @@ const Canvas = ({
         const copiedTexts = textNodes.filter(n => idsSet.has(n.id)).map(n => ({ ...n }));
         const copiedImages = imageNodes.filter(n => idsSet.has(n.id)).map(n => ({ ...n }));
         const copiedDiffs = diffNodes.filter(n => idsSet.has(n.id)).map(n => ({ ...n }));
+        const copiedExplains = explainNodes.filter(n => idsSet.has(n.id)).map(n => ({ ...n }));
+        const copiedCollections = collectionNodes.filter(n => idsSet.has(n.id)).map(n => ({ ...n }));
 
         clipboardRef.current = {
             documents: copiedDocs,
@@ -2037,9 +2928,11 @@ const Canvas = ({
             textNodes: copiedTexts,
             imageNodes: copiedImages,
             diffNodes: copiedDiffs,
+            explainNodes: copiedExplains,
+            collectionNodes: copiedCollections,
             pasteCount: 0
         };
-    }, [documents, gapNodes, textNodes, imageNodes, diffNodes]);
+    }, [documents, gapNodes, textNodes, imageNodes, diffNodes, explainNodes, collectionNodes]);
 
     // Paste from internal clipboard
     const handlePasteFromClipboard = useCallback(() => {
@@ -2055,11 +2948,13 @@ const Canvas = ({
         const newId = (prefix) => `${prefix}-${ts}-${Math.random().toString(36).substr(2, 4)}-${counter++}`;
 
         // Generate new IDs
-        clip.documents.forEach(d => idMap.set(d._id, newId(d.data?._id || 'doc')));
+        clip.documents.forEach(d => idMap.set(d._id, newId(d.data?._id ? bsonToString(d.data._id) : 'doc')));
         clip.gapNodes.forEach(n => idMap.set(n.id, newId('gap')));
         clip.textNodes.forEach(n => idMap.set(n.id, newId('text')));
         clip.imageNodes.forEach(n => idMap.set(n.id, newId('image')));
         clip.diffNodes.forEach(n => idMap.set(n.id, newId('diff')));
+        clip.explainNodes.forEach(n => idMap.set(n.id, newId('explain')));
+        clip.collectionNodes.forEach(n => idMap.set(n.id, newId('collection')));
 
         const remap = (id) => idMap.get(id) || id;
 
@@ -2103,12 +2998,28 @@ const Canvas = ({
             targetDocId: idMap.has(n.targetDocId) ? remap(n.targetDocId) : n.targetDocId
         }));
 
+        const newExplains = clip.explainNodes.map(n => ({
+            ...n,
+            id: remap(n.id),
+            x: n.x + offset,
+            y: n.y + offset
+        }));
+
+        const newCollections = clip.collectionNodes.map(n => ({
+            ...n,
+            id: remap(n.id),
+            x: n.x + offset,
+            y: n.y + offset
+        }));
+
         onPasteNodes({
             documents: newDocs,
             gapNodes: newGaps,
             textNodes: newTexts,
             imageNodes: newImages,
-            diffNodes: newDiffs
+            diffNodes: newDiffs,
+            explainNodes: newExplains,
+            collectionNodes: newCollections
         });
 
         // Select the newly pasted nodes
@@ -2117,7 +3028,9 @@ const Canvas = ({
             ...newGaps.map(n => n.id),
             ...newTexts.map(n => n.id),
             ...newImages.map(n => n.id),
-            ...newDiffs.map(n => n.id)
+            ...newDiffs.map(n => n.id),
+            ...newExplains.map(n => n.id),
+            ...newCollections.map(n => n.id)
         ];
         setSelectedIds(allNewIds);
     }, [onPasteNodes, setSelectedIds]);
@@ -2427,12 +3340,12 @@ const Canvas = ({
     }, [onAddGapNode, dateSelection]);
 
     // Connection Logic
-    const nodeRegistry = useRef(new Map()); // Map<id, { type: 'def'|'ref', ref: HTMLElement, value: string }>
+    const nodeRegistry = useRef(new Map()); // Map<id, { type: 'def'|'ref', ref: HTMLElement, value: string, scope: connection name }>
 
     // Register/Unregister nodes - Memoized to prevent Context value updates
-    const registerNode = useMemo(() => (value, type, ref) => {
+    const registerNode = useMemo(() => (value, type, ref, scope) => {
         if (!ref) return;
-        nodeRegistry.current.set(ref, { value, type, ref });
+        nodeRegistry.current.set(ref, { value, type, ref, scope });
     }, []);
 
     const unregisterNode = useMemo(() => (ref) => {
@@ -2785,9 +3698,13 @@ const Canvas = ({
                         } else {
                             // Diff Node?
                             const diffNode = diffNodes.find(n => n.id === selId);
+                            const explainNode = !diffNode && (explainNodes.find(n => n.id === selId) || collectionNodes.find(n => n.id === selId));
                             if (diffNode) {
                                 modelX = diffNode.x;
                                 modelY = diffNode.y;
+                            } else if (explainNode) {
+                                modelX = explainNode.x;
+                                modelY = explainNode.y;
                             } else {
                                 // Document?
                                 const doc = documents.find(d => d._id === selId);
@@ -2935,6 +3852,21 @@ const Canvas = ({
         }}
             onDoubleClick={handleDoubleClick}
             onWheel={handleWheel}
+            onDragOver={(e) => {
+                // Collections dragged from the sidebar
+                if (onDropCollection && e.dataTransfer.types.includes(COLLECTION_DRAG_TYPE)) {
+                    e.preventDefault();
+                    e.dataTransfer.dropEffect = 'copy';
+                }
+            }}
+            onDrop={(e) => {
+                const payload = e.dataTransfer.getData(COLLECTION_DRAG_TYPE);
+                if (!payload || !onDropCollection) return;
+                e.preventDefault();
+                const rect = canvasRef.current.getBoundingClientRect();
+                const { connection, database, collection } = JSON.parse(payload);
+                onDropCollection(connection, database, collection, (e.clientX - rect.left - pan.x) / zoom, (e.clientY - rect.top - pan.y) / zoom);
+            }}
             onMouseDown={(e) => {
                 if (backdropToggleMode) {
                     setBackdropMouseDown(true);
@@ -3029,9 +3961,11 @@ const Canvas = ({
                                 <DraggableCard
                                     key={doc._id}
                                     doc={doc}
+                                    groupColor={collectionGroups.cardColors.get(doc._id)}
                                     zoom={zoom}
                                     onConnect={onConnect}
                                     onQuickConnect={onQuickConnect}
+                                    onConnectAll={onConnectAll}
                                     connectionHistoryVersion={connectionHistoryVersion}
                                     onFlagClick={handleFlagClick}
                                     onClone={onClone}
@@ -3060,6 +3994,14 @@ const Canvas = ({
                                     backdropMouseDown={backdropMouseDown}
                                     onToggleBackdrop={onToggleBackdrop}
                                     onUpdateData={onUpdateData}
+                                    onWriteData={onWriteData}
+                                    onRevertWrite={onRevertWrite}
+                                    onRefresh={onRefreshDocuments}
+                                    onResolveDrift={onResolveDrift}
+                                    onDiffRevisions={onDiffRevisions}
+                                    connection={doc.connection || activeConnection}
+                                    connectionInfo={connectionsByName.get(doc.connection || activeConnection)}
+                                    showConnection={connections.length > 1 || (!!doc.connection && !connectionsByName.has(doc.connection))}
                                     onUpdateDimensions={onUpdateDimensions}
                                     onContextMenu={handleNodeContextMenu}
                                 />
@@ -3165,6 +4107,49 @@ const Canvas = ({
                             />
                         ))}
 
+                        {/* Collection Nodes */}
+                        {collectionNodes.map(node => (
+                            <DraggableCollectionNode
+                                key={node.id}
+                                node={node}
+                                color={collectionGroups.groups.get(node.id)?.color}
+                                memberCount={collectionGroups.groups.get(node.id)?.memberIds.length}
+                                onSelectMembers={handleSelectCollectionGroup}
+                                onUpdateCollectionNode={onUpdateCollectionNode}
+                                onDelete={onDeleteCollectionNode}
+                                isSelected={selectedIds.includes(node.id) || boxSelectPreviewIds.includes(node.id)}
+                                onMouseDown={handleCardMouseDown}
+                                onContextMenu={handleNodeContextMenu}
+                                registerRef={(id, el) => {
+                                    if (el) {
+                                        cardRefs.current.set(id, el);
+                                    } else {
+                                        cardRefs.current.delete(id);
+                                    }
+                                }}
+                            />
+                        ))}
+
+                        {/* Explain Nodes */}
+                        {explainNodes.map(node => (
+                            <DraggableExplainNode
+                                key={node.id}
+                                node={node}
+                                onUpdateExplainNode={onUpdateExplainNode}
+                                onDelete={onDeleteExplainNode}
+                                isSelected={selectedIds.includes(node.id) || boxSelectPreviewIds.includes(node.id)}
+                                onMouseDown={handleCardMouseDown}
+                                onContextMenu={handleNodeContextMenu}
+                                registerRef={(id, el) => {
+                                    if (el) {
+                                        cardRefs.current.set(id, el);
+                                    } else {
+                                        cardRefs.current.delete(id);
+                                    }
+                                }}
+                            />
+                        ))}
+
                         {pendingCustomCard && (
                             <div style={{
                                 position: 'absolute',
@@ -3263,6 +4248,7 @@ const Canvas = ({
                 showBackdroppedArrows={showBackdroppedArrows}
                 showAllArrows={showAllArrows}
                 cardRefs={cardRefs}
+                highlightedLinks={highlightedLinks}
             />
 
             {/* Date Selection Indicators */}
@@ -3618,6 +4604,145 @@ const Canvas = ({
                         <span style={{ marginRight: '8px' }}>⇔</span>
                         Compare with...
                     </button>
+                    {onCompareAcrossEnvironments && docMap.get(cardContextMenu.docId)?.database && docMap.get(cardContextMenu.docId)?.data?._id !== undefined && (
+                        <button
+                            onClick={(e) => {
+                                e.stopPropagation();
+                                onCompareAcrossEnvironments(cardContextMenu.docId);
+                                setCardContextMenu(null);
+                            }}
+                            style={{
+                                display: 'flex',
+                                alignItems: 'center',
+                                width: '100%',
+                                padding: '8px 12px',
+                                background: 'transparent',
+                                border: 'none',
+                                color: '#e2e8f0',
+                                cursor: 'pointer',
+                                textAlign: 'left',
+                                fontSize: '0.9rem',
+                                borderRadius: '4px',
+                            }}
+                            onMouseEnter={e => e.currentTarget.style.background = 'rgba(255,255,255,0.1)'}
+                            onMouseLeave={e => e.currentTarget.style.background = 'transparent'}
+                        >
+                            <span style={{ marginRight: '8px' }}>⇆</span>
+                            Compare with other environment…
+                        </button>
+                    )}
+                    {onExpandReferences && docMap.get(cardContextMenu.docId)?.database && (
+                        <button
+                            onClick={(e) => {
+                                e.stopPropagation();
+                                onExpandReferences(cardContextMenu.docId);
+                                setCardContextMenu(null);
+                            }}
+                            style={{
+                                display: 'flex',
+                                alignItems: 'center',
+                                width: '100%',
+                                padding: '8px 12px',
+                                background: 'transparent',
+                                border: 'none',
+                                color: '#e2e8f0',
+                                cursor: 'pointer',
+                                textAlign: 'left',
+                                fontSize: '0.9rem',
+                                borderRadius: '4px',
+                            }}
+                            onMouseEnter={e => e.currentTarget.style.background = 'rgba(255,255,255,0.1)'}
+                            onMouseLeave={e => e.currentTarget.style.background = 'transparent'}
+                        >
+                            <span style={{ marginRight: '8px' }}>⇉</span>
+                            Expand references…
+                        </button>
+                    )}
+                    {onFindReferencePath && selectedIds.length === 2 && selectedIds.includes(cardContextMenu.docId)
+                        && selectedIds.every(id => docMap.get(id)?.database) && (
+                        <button
+                            onClick={(e) => {
+                                e.stopPropagation();
+                                onFindReferencePath(cardContextMenu.docId, selectedIds.find(id => id !== cardContextMenu.docId));
+                                setCardContextMenu(null);
+                            }}
+                            style={{
+                                display: 'flex',
+                                alignItems: 'center',
+                                width: '100%',
+                                padding: '8px 12px',
+                                background: 'transparent',
+                                border: 'none',
+                                color: '#e2e8f0',
+                                cursor: 'pointer',
+                                textAlign: 'left',
+                                fontSize: '0.9rem',
+                                borderRadius: '4px',
+                            }}
+                            onMouseEnter={e => e.currentTarget.style.background = 'rgba(255,255,255,0.1)'}
+                            onMouseLeave={e => e.currentTarget.style.background = 'transparent'}
+                        >
+                            <span style={{ marginRight: '8px' }}>⤳</span>
+                            Find reference path to the other selected card…
+                        </button>
+                    )}
+                    {onFindReferences && (getBsonType(docMap.get(cardContextMenu.docId)?.data?._id) === 'ObjectId'
+                        || findInboundRules(docMap.get(cardContextMenu.docId)?.database, docMap.get(cardContextMenu.docId)?.collection).length > 0) && (
+                        <>
+                            <button
+                                onClick={(e) => {
+                                    e.stopPropagation();
+                                    onFindReferences(cardContextMenu.docId);
+                                    setCardContextMenu(null);
+                                }}
+                                style={{
+                                    display: 'flex',
+                                    alignItems: 'center',
+                                    width: '100%',
+                                    padding: '8px 12px',
+                                    background: 'transparent',
+                                    border: 'none',
+                                    color: '#e2e8f0',
+                                    cursor: 'pointer',
+                                    textAlign: 'left',
+                                    fontSize: '0.9rem',
+                                    borderRadius: '4px',
+                                }}
+                                onMouseEnter={e => e.currentTarget.style.background = 'rgba(255,255,255,0.1)'}
+                                onMouseLeave={e => e.currentTarget.style.background = 'transparent'}
+                            >
+                                <span style={{ marginRight: '8px' }}>⇠</span>
+                                Find referencing documents
+                            </button>
+                            {onConfigureReferenceScope && (
+                                <button
+                                    onClick={(e) => {
+                                        e.stopPropagation();
+                                        onConfigureReferenceScope(cardContextMenu.docId);
+                                        setCardContextMenu(null);
+                                    }}
+                                    style={{
+                                        display: 'flex',
+                                        alignItems: 'center',
+                                        width: '100%',
+                                        padding: '8px 12px',
+                                        background: 'transparent',
+                                        border: 'none',
+                                        color: '#94a3b8',
+                                        cursor: 'pointer',
+                                        textAlign: 'left',
+                                        fontSize: '0.85rem',
+                                        borderRadius: '4px',
+                                    }}
+                                    onMouseEnter={e => e.currentTarget.style.background = 'rgba(255,255,255,0.1)'}
+                                    onMouseLeave={e => e.currentTarget.style.background = 'transparent'}
+                                >
+                                    <span style={{ marginRight: '8px' }}>⚙</span>
+                                    Reference search scope...
+                                </button>
+                            )}
+                        </>
+                    )}
                     <div style={{ height: '1px', background: 'var(--glass-border)', margin: '4px 0' }} />
                     <button
                         onClick={(e) => {
@@ -3732,6 +4857,62 @@ const Canvas = ({
                     >
                         {hoistedFields.has(`${contextMenu.collection}:${contextMenu.path}`) ? '↓ Unhoist' : '📌 Hoist to Top'}
                     </button>
+                    {onToggleKeyField && contextMenu.collection && (
+                        <button
+                            onClick={(e) => {
+                                e.stopPropagation();
+                                onToggleKeyField(contextMenu.docId, contextMenu.path);
+                                setContextMenu(null);
+                            }}
+                            style={{
+                                display: 'flex',
+                                alignItems: 'center',
+                                width: '100%',
+                                padding: '8px 12px',
+                                background: 'transparent',
+                                border: 'none',
+                                color: '#e2e8f0',
+                                cursor: 'pointer',
+                                textAlign: 'left',
+                                fontSize: '0.9rem',
+                                borderRadius: '4px',
+                            }}
+                            onMouseEnter={e => e.currentTarget.style.background = 'rgba(255,255,255,0.1)'}
+                            onMouseLeave={e => e.currentTarget.style.background = 'transparent'}
+                        >
+                            {getReferenceRules(docMap.get(contextMenu.docId)?.database).keyFields[contextMenu.collection] === toFieldPath(contextMenu.path)
+                                ? `🔑 Unset key of ${contextMenu.collection}`
+                                : `🔑 Use as key of ${contextMenu.collection}`}
+                        </button>
+                    )}
+                    {onEditReferenceRule && contextMenu.collection && (
+                        <button
+                            onClick={(e) => {
+                                e.stopPropagation();
+                                onEditReferenceRule(contextMenu.docId, contextMenu.path);
+                                setContextMenu(null);
+                            }}
+                            style={{
+                                display: 'flex',
+                                alignItems: 'center',
+                                width: '100%',
+                                padding: '8px 12px',
+                                background: 'transparent',
+                                border: 'none',
+                                color: '#e2e8f0',
+                                cursor: 'pointer',
+                                textAlign: 'left',
+                                fontSize: '0.9rem',
+                                borderRadius: '4px',
+                            }}
+                            onMouseEnter={e => e.currentTarget.style.background = 'rgba(255,255,255,0.1)'}
+                            onMouseLeave={e => e.currentTarget.style.background = 'transparent'}
+                        >
+                            {findReferenceRule(docMap.get(contextMenu.docId)?.database, contextMenu.collection, contextMenu.path)
+                                ? '→ Edit reference rule…'
+                                : '→ Add reference rule…'}
+                        </button>
+                    )}
                     <div style={{ height: '1px', background: 'rgba(255,255,255,0.05)', margin: '4px 0' }} />
                     <button
                         onClick={(e) => {
@@ -3739,7 +4920,7 @@ const Canvas = ({
                             const doc = docMap.get(contextMenu.docId);
                             if (doc) {
                                 const value = getValueByPath(doc.data, contextMenu.path);
-                                const text = typeof value === 'object' && value !== null ? JSON.stringify(value, null, 2) : String(value);
+                                const text = isBsonValue(value) ? bsonToString(value) : (typeof value === 'object' && value !== null ? JSON.stringify(value, null, 2) : String(value));
                                 navigator.clipboard.writeText(text);
                                 showToast('Value copied to clipboard', 'info', 2000);
                             }
@@ -3770,7 +4951,7 @@ const Canvas = ({
                             if (doc) {
                                 const value = getValueByPath(doc.data, contextMenu.path);
                                 const key = contextMenu.path.split('.').pop();
-                                const valueText = typeof value === 'object' && value !== null ? JSON.stringify(value, null, 2) : String(value);
+                                const valueText = isBsonValue(value) ? bsonToString(value) : (typeof value === 'object' && value !== null ? JSON.stringify(value, null, 2) : String(value));
                                 navigator.clipboard.writeText(`${key}: ${valueText}`);
                                 showToast('Key and Value copied to clipboard', 'info', 2000);
                             }
@@ -3964,6 +5145,12 @@ const Canvas = ({
             }}
                 onMouseDown={e => e.stopPropagation()} // Prevent pan starting from HUD
             >
+                {activeConnectionInfo && (activeConnectionInfo.environment || activeConnectionInfo.readOnly) && (
+                    <>
+                        <EnvironmentBanner environment={activeConnectionInfo.environment} readOnly={activeConnectionInfo.readOnly} compact />
+                        <div style={{ width: '1px', height: '15px', background: 'rgba(255,255,255,0.2)' }}></div>
+                    </>
+                )}
                 <button
                     onClick={onUndo}
                     disabled={!canUndo}
@@ -4023,6 +5210,39 @@ const Canvas = ({
                 >
                     <span style={{ fontSize: '0.9rem' }}>+</span>
                 </button>
+                {onToggleLive && (
+                    <button
+                        onClick={onToggleLive}
+                        title={isLive ? 'Live updates on: cards follow the database (click to stop)' : 'Live updates: follow the documents on the canvas through change streams'}
+                        style={{ background: 'transparent', border: 'none', color: isLive ? '#4ade80' : '#94a3b8', cursor: 'pointer', fontSize: '0.8rem', fontWeight: 600, display: 'flex', alignItems: 'center', gap: '4px' }}
+                    >
+                        <span style={{ fontSize: '0.7rem' }}>{isLive ? '●' : '○'}</span> LIVE
+                    </button>
+                )}
+                {highlightedPath && (
+                    <span
+                        title="Arrows along the last reference path found are highlighted"
+                        style={{ color: '#fbbf24', fontSize: '0.8rem', fontWeight: 600, display: 'flex', alignItems: 'center', gap: '4px' }}
+                    >
+                        ⤳ PATH ({highlightedPath.links.length})
+                        <button
+                            onClick={onClearHighlightedPath}
+                            title="Clear path highlight"
+                            style={{ background: 'transparent', border: 'none', color: '#94a3b8', cursor: 'pointer', fontSize: '0.8rem', padding: 0 }}
+                        >
+                            ✕
+                        </button>
+                    </span>
+                )}
+                {onRefreshDocuments && (
+                    <button
+                        onClick={() => onRefreshDocuments()}
+                        title="Refresh all cards from DB"
+                        style={{ background: 'transparent', border: 'none', color: '#94a3b8', cursor: 'pointer', fontSize: '1rem', display: 'flex', alignItems: 'center' }}
+                    >
+                        ⟳
+                    </button>
+                )}
                 <div style={{ width: '1px', height: '15px', background: 'rgba(255,255,255,0.2)' }}></div>
                 <button
                     onClick={() => onArrowDirectionChange && onArrowDirectionChange(prev => prev === 'forward' ? 'reverse' : 'forward')}
@@ -4241,6 +5461,12 @@ const Canvas = ({
                                 label = 'Image ' + (entry.id || '').slice(-6);
                             } else if (entry.type === 'diff') {
                                 label = 'Diff ' + (entry.id || '').slice(-6);
+                            } else if (entry.type === 'collection') {
+                                const n = collectionNodes.find(n => n.id === entry.id);
+                                label = 'Collection ' + (n ? n.collection : (entry.id || '').slice(-6));
+                            } else if (entry.type === 'explain') {
+                                const n = explainNodes.find(n => n.id === entry.id);
+                                label = 'Explain ' + (n ? n.collection : (entry.id || '').slice(-6));
                             }
                             return (
                                 <div key={entry.id + '-' + idx} style={{
@@ -4347,6 +5573,8 @@ const Canvas = ({
                                         if (textNodes.find(n => n.id === id)) return { id, type: 'text', view: currentView };
                                         if (imageNodes.find(n => n.id === id)) return { id, type: 'image', view: currentView };
                                         if (diffNodes.find(n => n.id === id)) return { id, type: 'diff', view: currentView };
+                                        if (explainNodes.find(n => n.id === id)) return { id, type: 'explain', view: currentView };
+                                        if (collectionNodes.find(n => n.id === id)) return { id, type: 'collection', view: currentView };
                                         return null;
                                     })
                                     .filter(Boolean);
@@ -0,0 +1,156 @@
+import React, { useState } from 'react';
+import { ENVIRONMENTS } from '../utils/environments';
+
+const fieldStyle = {
+    width: '100%',
+    padding: '0.6rem',
+    borderRadius: '6px',
+    border: '1px solid rgba(255,255,255,0.1)',
+    background: 'rgba(0,0,0,0.3)',
+    color: 'white',
+    fontSize: '0.95rem',
+    outline: 'none'
+};
+
+// Picks where to look up the counterpart of a canvas document: another open connection, or another
+// database on the same one. source is { connection, database, collection }.
+// Mounted only while open, so every opening starts from the source document's defaults.
+const CompareModal = ({ onClose, source, connections = [], onCompare }) => {
+    // Default to the same database and collection on the first other connection
+    const [connectionName, setConnectionName] = useState(() => (connections.find(c => c.name !== source.connection) || connections[0])?.name || '');
+    const [database, setDatabase] = useState(source.database || '');
+    const [collection, setCollection] = useState(source.collection || '');
+
+    const target = connections.find(c => c.name === connectionName);
+    const isSameDocument = connectionName === source.connection && database === source.database && collection === source.collection;
+    const canCompare = !!target && !!database && !!collection.trim() && !isSameDocument;
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (canCompare) onCompare(connectionName, database, collection.trim());
+    };
+
+    return (
+        <div style={{
+            position: 'fixed',
+            top: 0,
+            left: 0,
+            right: 0,
+            bottom: 0,
+            background: 'rgba(0,0,0,0.7)',
+            backdropFilter: 'blur(5px)',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            zIndex: 2000
+        }}
+            onClick={onClose}
+        >
+            <div style={{
+                background: '#1e293b',
+                border: '1px solid rgba(255,255,255,0.1)',
+                borderRadius: '12px',
+                width: '100%',
+                maxWidth: '400px',
+                padding: '1.5rem',
+                boxShadow: '0 20px 25px -5px rgba(0, 0, 0, 0.5), 0 8px 10px -6px rgba(0, 0, 0, 0.5)',
+                display: 'flex',
+                flexDirection: 'column',
+                gap: '1rem'
+            }}
+                onClick={e => e.stopPropagation()}
+            >
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                    <h2 style={{ margin: 0, fontSize: '1.25rem', color: '#f8fafc' }}>Compare with other environment</h2>
+                    <button
+                        onClick={onClose}
+                        style={{ background: 'transparent', border: 'none', color: '#94a3b8', cursor: 'pointer', fontSize: '1.2rem' }}
+                    >
+                        ✕
+                    </button>
+                </div>
+
+                <div style={{ fontSize: '0.85rem', color: '#94a3b8' }}>
+                    Fetches the document with the same <code>_id</code> from{' '}
+                    <span style={{ color: '#e2e8f0' }}>{source.connection ? `${source.connection} / ` : ''}{source.database}.{source.collection}</span>
+                    {' '}elsewhere and opens a diff between the two.
+                </div>
+
+                <form onSubmit={handleSubmit} style={{ display: 'flex', flexDirection: 'column', gap: '1rem' }}>
+                    <div>
+                        <label style={{ display: 'block', marginBottom: '0.5rem', color: '#cbd5e1', fontSize: '0.9rem' }}>Connection</label>
+                        <select
+                            value={connectionName}
+                            onChange={(e) => setConnectionName(e.target.value)}
+                            style={{ ...fieldStyle, color: ENVIRONMENTS[target?.environment]?.color || 'white' }}
+                        >
+                            {connections.map(c => (
+                                <option key={c.name} value={c.name}>
+                                    {c.name}{ENVIRONMENTS[c.environment] ? ` (${ENVIRONMENTS[c.environment].label})` : ''}
+                                </option>
+                            ))}
+                        </select>
+                    </div>
+
+                    <div>
+                        <label style={{ display: 'block', marginBottom: '0.5rem', color: '#cbd5e1', fontSize: '0.9rem' }}>Database</label>
+                        <select value={database} onChange={(e) => setDatabase(e.target.value)} style={fieldStyle}>
+                            {target && !target.databases.some(db => db.name === database) && (
+                                <option value={database}>{database || 'Choose a database'}</option>
+                            )}
+                            {(target?.databases || []).map(db => (
+                                <option key={db.name} value={db.name}>{db.name}</option>
+                            ))}
+                        </select>
+                    </div>
+
+                    <div>
+                        <label style={{ display: 'block', marginBottom: '0.5rem', color: '#cbd5e1', fontSize: '0.9rem' }}>Collection</label>
+                        <input type="text" value={collection} onChange={(e) => setCollection(e.target.value)} style={fieldStyle} />
+                    </div>
+
+                    {isSameDocument && (
+                        <div style={{ fontSize: '0.8rem', color: '#fbbf24' }}>
+                            That is where this document came from; pick another connection or database.
+                        </div>
+                    )}
+
+                    <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '0.75rem', marginTop: '0.5rem' }}>
+                        <button
+                            type="button"
+                            onClick={onClose}
+                            style={{
+                                padding: '0.5rem 1rem',
+                                borderRadius: '6px',
+                                border: '1px solid rgba(255,255,255,0.1)',
+                                background: 'transparent',
+                                color: '#e2e8f0',
+                                cursor: 'pointer'
+                            }}
+                        >
+                            Cancel
+                        </button>
+                        <button
+                            type="submit"
+                            disabled={!canCompare}
+                            style={{
+                                padding: '0.5rem 1rem',
+                                borderRadius: '6px',
+                                border: 'none',
+                                background: 'var(--primary)',
+                                color: 'white',
+                                cursor: canCompare ? 'pointer' : 'not-allowed',
+                                opacity: canCompare ? 1 : 0.5,
+                                fontWeight: 600
+                            }}
+                        >
+                            Compare
+                        </button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+};
+
+export default CompareModal;
@@ -0,0 +1,138 @@
+import React, { useState } from 'react';
+import { createPortal } from 'react-dom';
+
+// Confirmation for writes to a database. With typedName set (prod connections), the user has to type it
+// before confirming; onConfirm gets what was typed, so the server can check it too. Rendered into
+// document.body, as cards sit inside the zoomed canvas. Mounted only while open.
+const ConfirmModal = ({ title, children, confirmLabel = 'Confirm', typedName = null, busy = false, onConfirm, onClose }) => {
+    const [typed, setTyped] = useState('');
+    const typedMatches = !typedName || typed === typedName;
+    const canConfirm = typedMatches && !busy;
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (canConfirm) onConfirm(typedName ? typed : undefined);
+    };
+
+    return createPortal(
+        <div style={{
+            position: 'fixed',
+            top: 0,
+            left: 0,
+            right: 0,
+            bottom: 0,
+            background: 'rgba(0,0,0,0.7)',
+            backdropFilter: 'blur(5px)',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            zIndex: 2000,
+            cursor: 'default'
+        }}
+            onClick={(e) => { e.stopPropagation(); if (!busy) onClose(); }}
+            onMouseDown={(e) => e.stopPropagation()} // Keep the card under it from starting a drag
+            onKeyDown={(e) => e.stopPropagation()}
+        >
+            <div style={{
+                background: '#1e293b',
+                border: `1px solid ${typedName ? 'rgba(239, 68, 68, 0.5)' : 'rgba(255,255,255,0.1)'}`,
+                borderRadius: '12px',
+                width: '100%',
+                maxWidth: '520px',
+                maxHeight: '85vh',
+                padding: '1.5rem',
+                boxShadow: '0 20px 25px -5px rgba(0, 0, 0, 0.5), 0 8px 10px -6px rgba(0, 0, 0, 0.5)',
+                display: 'flex',
+                flexDirection: 'column',
+                gap: '1rem'
+            }}
+                onClick={e => e.stopPropagation()}
+            >
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                    <h2 style={{ margin: 0, fontSize: '1.25rem', color: '#f8fafc' }}>{title}</h2>
+                    <button
+                        onClick={onClose}
+                        disabled={busy}
+                        style={{ background: 'transparent', border: 'none', color: '#94a3b8', cursor: 'pointer', fontSize: '1.2rem' }}
+                    >
+                        ✕
+                    </button>
+                </div>
+
+                <div style={{ display: 'flex', flexDirection: 'column', gap: '0.75rem', overflowY: 'auto', minHeight: 0, fontSize: '0.85rem', color: '#cbd5e1' }}>
+                    {children}
+                </div>
+
+                <form onSubmit={handleSubmit} style={{ display: 'flex', flexDirection: 'column', gap: '1rem' }}>
+                    {typedName && (
+                        <div>
+                            <label style={{ display: 'block', marginBottom: '0.5rem', color: '#f87171', fontSize: '0.9rem' }}>
+                                This is a PROD connection. Type <b style={{ fontFamily: 'monospace' }}>{typedName}</b> to confirm:
+                            </label>
+                            <input
+                                type="text"
+                                value={typed}
+                                onChange={(e) => setTyped(e.target.value)}
+                                autoFocus
+                                spellCheck={false}
+                                style={{
+                                    width: '100%',
+                                    padding: '0.75rem',
+                                    borderRadius: '6px',
+                                    border: `1px solid ${typed && !typedMatches ? '#f87171' : 'rgba(255,255,255,0.1)'}`,
+                                    background: 'rgba(0,0,0,0.3)',
+                                    color: 'white',
+                                    fontFamily: 'monospace',
+                                    fontSize: '1rem',
+                                    outline: 'none',
+                                    boxSizing: 'border-box'
+                                }}
+                            />
+                            {typed && !typedMatches && (
+                                <div style={{ marginTop: '0.4rem', color: '#f87171', fontSize: '0.8rem' }}>Does not match the database name</div>
+                            )}
+                        </div>
+                    )}
+
+                    <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '0.75rem' }}>
+                        <button
+                            type="button"
+                            onClick={onClose}
+                            disabled={busy}
+                            style={{
+                                padding: '0.5rem 1rem',
+                                borderRadius: '6px',
+                                border: '1px solid rgba(255,255,255,0.1)',
+                                background: 'transparent',
+                                color: '#e2e8f0',
+                                cursor: 'pointer'
+                            }}
+                        >
+                            Cancel
+                        </button>
+                        <button
+                            type="submit"
+                            disabled={!canConfirm}
+                            autoFocus={!typedName}
+                            style={{
+                                padding: '0.5rem 1rem',
+                                borderRadius: '6px',
+                                border: 'none',
+                                background: '#f59e0b',
+                                color: '#0f172a',
+                                fontWeight: 600,
+                                cursor: busy ? 'wait' : canConfirm ? 'pointer' : 'not-allowed',
+                                opacity: canConfirm ? 1 : 0.5
+                            }}
+                        >
+                            {busy ? 'Writing...' : confirmLabel}
+                        </button>
+                    </div>
+                </form>
+            </div>
+        </div>,
+        document.body
+    );
+};
+
+export default ConfirmModal;
@@ -1,18 +1,47 @@
-import React, { useState, useEffect, useRef } from 'react';
-import { listDatabases, listCollections, fetchDocuments, fetchSchema } from '../api';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { listDatabases, listCollections, fetchDocuments, fetchSchema, fetchDistinctValues } from '../api';
 import QueryBuilder from './QueryBuilder';
+import QueryOptions from './QueryOptions';
+import Pagination from './Pagination';
 import { predictCollectionName, findBestMatch } from '../utils/prediction';
+import { findRelationship, getRelationships, lookupRegistry, rememberRelationship } from '../utils/relationships';
+import { DEFAULT_QUERY_OPTIONS, toFindOptions } from '../utils/queryOptions';
+import useQueryOperation from '../hooks/useQueryOperation';
+import { bsonToString } from '../utils/bson';
+
+// Pick the target collection for a reference field: a discovered relationship wins,
+// the field-name heuristic is only used while discovery has not run for the database
+const predictTargetCollection = (dbName, sourceCollection, fieldPath, collections) => {
+    const fieldName = fieldPath.split('.').pop();
+    const discovered = findRelationship(dbName, sourceCollection, fieldPath);
+    if (discovered && collections.some(c => c.name === discovered.targetCollection)) {
+        return { collection: discovered.targetCollection, hint: `Discovered: ${fieldName} (${Math.round(discovered.confidence * 100)}%)` };
+    }
+    if (getRelationships(dbName)) {
+        return { collection: null, hint: `No discovered relationship for: ${fieldName}` };
+    }
+    const predicted = predictCollectionName(fieldPath);
+    if (!predicted) return { collection: null, hint: `Could not predict from: ${fieldName}` };
+    const match = findBestMatch(predicted, collections);
+    return match
+        ? { collection: match, hint: `Predicted: ${fieldName}` }
+        : { collection: null, hint: `No match for: ${predicted}` };
+};
 
-const ConnectModal = ({ isOpen, onClose, sourceId, fieldPath, initialUri, onConnect }) => {
+const ConnectModal = ({ isOpen, onClose, sourceId, fieldPath, sourceCollection, sourceDatabase, session, onConnect }) => {
     const [databases, setDatabases] = useState([]);
     const [selectedDb, setSelectedDb] = useState('');
     const [collections, setCollections] = useState([]);
     const [selectedCol, setSelectedCol] = useState('');
     const [loading, setLoading] = useState(false);
+    const documentQuery = useQueryOperation();
     const [error, setError] = useState(null);
     const [schema, setSchema] = useState({});
-    const [queryObject, setQueryObject] = useState({});
+    const [queryObject, setQueryObject] = useState({}); // null while a visual filter holds an invalid value
     const [initialQuery, setInitialQuery] = useState(null);
+    const [queryOptions, setQueryOptions] = useState(DEFAULT_QUERY_OPTIONS);
+    const [limit, setLimit] = useState(20);
+    const [preview, setPreview] = useState(null); // { documents, skip, totalCount, nextCursor, prevCursor } for the page that Connect will add
 
     // Track if we've already auto-selected for this modal open
     const hasAutoSelectedDb = useRef(false);
@@ -30,7 +59,7 @@ const ConnectModal = ({ isOpen, onClose, sourceId, fieldPath, initialUri, onConn
     const fetchDatabases = async (autoSelect = false) => {
         setLoadingDbs(true);
         try {
-            const data = await listDatabases(initialUri);
+            const data = await listDatabases(session);
             setDatabases(data.databases);
             // Cache databases
             try {
@@ -39,7 +68,7 @@ const ConnectModal = ({ isOpen, onClose, sourceId, fieldPath, initialUri, onConn
 
             // Auto-select cached db if requested
             if (autoSelect && !hasAutoSelectedDb.current) {
-                const cachedDb = localStorage.getItem('mongoDV_lastUsedDb');
+                const cachedDb = sourceDatabase || localStorage.getItem('mongoDV_lastUsedDb');
                 if (cachedDb && data.databases.some(db => db.name === cachedDb)) {
                     hasAutoSelectedDb.current = true;
                     setSelectedDb(cachedDb);
@@ -56,19 +85,20 @@ const ConnectModal = ({ isOpen, onClose, sourceId, fieldPath, initialUri, onConn
 
     // Load from cache instantly, then optionally fetch fresh
     useEffect(() => {
-        if (isOpen && initialUri) {
+        if (isOpen && session) {
             // Reset state on open
             hasAutoSelectedDb.current = false;
             hasAutoSelectedCol.current = false;
             setAutoSelectHint(null);
             setPredictedHint(null);
             setError(null);
+            setPreview(null);
 
-            // First, check if we have a stored connection for this exact field path
+            // First, check the relationship registry for this field of the source collection
             if (fieldPath) {
                 try {
-                    const connectionHistory = JSON.parse(localStorage.getItem('mongoDV_connectionHistory') || '{}');
-                    const savedConnection = connectionHistory[fieldPath];
+                    const registered = lookupRegistry(sourceDatabase, sourceCollection, fieldPath);
+                    const savedConnection = registered && { db: registered.targetDatabase, collection: registered.targetCollection, query: registered.query };
 
                     if (savedConnection) {
                         // We have a saved connection for this field - use it!
@@ -99,7 +129,8 @@ const ConnectModal = ({ isOpen, onClose, sourceId, fieldPath, initialUri, onConn
             // Try to load cached databases instantly
             try {
                 const cachedDbs = localStorage.getItem('mongoDV_cachedDatabases');
-                const cachedDb = localStorage.getItem('mongoDV_lastUsedDb');
+                // References usually stay inside the source document's database
+                const cachedDb = sourceDatabase || localStorage.getItem('mongoDV_lastUsedDb');
 
                 if (cachedDbs) {
                     const dbs = JSON.parse(cachedDbs);
@@ -119,19 +150,12 @@ const ConnectModal = ({ isOpen, onClose, sourceId, fieldPath, initialUri, onConn
 
                             // Try to predict collection
                             if (fieldPath) {
-                                const predicted = predictCollectionName(fieldPath);
-                                if (predicted) {
-                                    const match = findBestMatch(predicted, cols);
-                                    if (match) {
-                                        hasAutoSelectedCol.current = true;
-                                        setSelectedCol(match);
-                                        setPredictedHint(`Predicted: ${fieldPath.split('.').pop()}`);
-                                    } else {
-                                        setPredictedHint(`No match for: ${predicted}`);
-                                    }
-                                } else {
-                                    setPredictedHint(`Could not predict from: ${fieldPath.split('.').pop()}`);
+                                const prediction = predictTargetCollection(cachedDb, sourceCollection, fieldPath, cols);
+                                if (prediction.collection) {
+                                    hasAutoSelectedCol.current = true;
+                                    setSelectedCol(prediction.collection);
                                 }
+                                setPredictedHint(prediction.hint);
                             }
                         } else {
                             // No cached collections, fetch them
@@ -147,13 +171,13 @@ const ConnectModal = ({ isOpen, onClose, sourceId, fieldPath, initialUri, onConn
                 fetchDatabases(true);
             }
         }
-    }, [isOpen, initialUri, sourceId]);
+    }, [isOpen, session, sourceId]);
 
     const handleRefreshSchema = async () => {
         if (!selectedDb || !selectedCol) return;
         setLoadingSchema(true);
         try {
-            const schemaData = await fetchSchema(initialUri, selectedDb, selectedCol);
+            const schemaData = await fetchSchema(session, selectedDb, selectedCol);
             setSchema(schemaData.schema || {});
         } catch (err) {
             console.error("Failed to refresh schema", err);
@@ -165,7 +189,7 @@ const ConnectModal = ({ isOpen, onClose, sourceId, fieldPath, initialUri, onConn
     const loadCollections = async (dbName, autoPredict = true) => {
         setLoadingCols(true);
         try {
-            const data = await listCollections(initialUri, dbName);
+            const data = await listCollections(session, dbName);
             const sortedCollections = data.collections.sort((a, b) => a.name.localeCompare(b.name));
             setCollections(sortedCollections);
 
@@ -176,25 +200,18 @@ const ConnectModal = ({ isOpen, onClose, sourceId, fieldPath, initialUri, onConn
 
             // Try to predict and auto-select collection
             if (autoPredict && !hasAutoSelectedCol.current && fieldPath) {
-                const predicted = predictCollectionName(fieldPath);
-                if (predicted) {
-                    const match = findBestMatch(predicted, sortedCollections);
-                    if (match) {
-                        hasAutoSelectedCol.current = true;
-                        setSelectedCol(match);
-                        setPredictedHint(`Predicted: ${fieldPath.split('.').pop()}`);
-                        // Also fetch schema for the predicted collection
-                        try {
-                            const schemaData = await fetchSchema(initialUri, dbName, match);
-                            setSchema(schemaData.schema || {});
-                        } catch (e) {
-                            console.error("Failed to fetch schema", e);
-                        }
-                    } else {
-                        setPredictedHint(`No match for: ${predicted}`);
+                const prediction = predictTargetCollection(dbName, sourceCollection, fieldPath, sortedCollections);
+                setPredictedHint(prediction.hint);
+                if (prediction.collection) {
+                    hasAutoSelectedCol.current = true;
+                    setSelectedCol(prediction.collection);
+                    // Also fetch schema for the predicted collection
+                    try {
+                        const schemaData = await fetchSchema(session, dbName, prediction.collection);
+                        setSchema(schemaData.schema || {});
+                    } catch (e) {
+                        console.error("Failed to fetch schema", e);
                     }
-                } else {
-                    setPredictedHint(`Could not predict from: ${fieldPath.split('.').pop()}`);
                 }
             }
         } catch (err) {
@@ -204,9 +221,43 @@ const ConnectModal = ({ isOpen, onClose, sourceId, fieldPath, initialUri, onConn
         }
     };
 
+    // Any change to what would be fetched invalidates the previewed page
+    const handleQueryChange = useCallback((query) => {
+        setQueryObject(query);
+        setPreview(null);
+    }, []);
+
+    const fetchFieldValues = useCallback((field) => {
+        if (!selectedDb || !selectedCol) return Promise.reject(new Error('Select a collection first'));
+        return fetchDistinctValues(session, selectedDb, selectedCol, field);
+    }, [session, selectedDb, selectedCol]);
+
+    const handleOptionsChange = (options) => {
+        setQueryOptions(options);
+        setPreview(null);
+    };
+
+    const loadPreview = async (page = {}) => {
+        setLoading(true);
+        setError(null);
+        const opId = documentQuery.start();
+        try {
+            const data = await fetchDocuments(session, selectedDb, selectedCol, limit, queryObject, { ...toFindOptions(queryOptions), ...page, opId });
+            setPreview({ documents: data.documents, skip: data.skip || 0, totalCount: data.totalCount ?? null, nextCursor: data.nextCursor || null, prevCursor: data.prevCursor || null });
+        } catch (err) {
+            if (!documentQuery.reportInterrupted(err, 'Preview')) {
+                setError(err.message);
+            }
+        } finally {
+            documentQuery.finish(opId);
+            setLoading(false);
+        }
+    };
+
     const handleDbChange = async (e) => {
         const dbName = e.target.value;
         setSelectedDb(dbName);
+        setPreview(null);
         setSelectedCol('');
         setSchema({});
         setCollections([]);
@@ -226,10 +277,11 @@ const ConnectModal = ({ isOpen, onClose, sourceId, fieldPath, initialUri, onConn
     const handleColChange = async (e) => {
         const colName = e.target.value;
         setSelectedCol(colName);
+        setPreview(null);
         setPredictedHint(null); // Clear hint when manually changing
         if (colName && selectedDb) {
             try {
-                const schemaData = await fetchSchema(initialUri, selectedDb, colName);
+                const schemaData = await fetchSchema(session, selectedDb, colName);
                 setSchema(schemaData.schema || {});
             } catch (err) {
                 console.error("Failed to fetch schema", err);
@@ -240,31 +292,38 @@ const ConnectModal = ({ isOpen, onClose, sourceId, fieldPath, initialUri, onConn
 
     const handleSubmit = async (e) => {
         e.preventDefault();
+        if (!queryObject) return; // A visual filter holds an invalid value
         setLoading(true);
         setError(null);
 
+        const opId = documentQuery.start();
         try {
-            const data = await fetchDocuments(initialUri, selectedDb, selectedCol, 20, queryObject);
+            // Connect the previewed page, or the first page if nothing was previewed
+            const { projection } = toFindOptions(queryOptions);
+            const documents = preview
+                ? preview.documents
+                : (await fetchDocuments(session, selectedDb, selectedCol, limit, queryObject, { ...toFindOptions(queryOptions), opId })).documents;
 
-            // Store this connection in history for this field path
+            // Record the target in the relationship registry for this field of the source collection
             if (fieldPath) {
-                try {
-                    const connectionHistory = JSON.parse(localStorage.getItem('mongoDV_connectionHistory') || '{}');
-                    connectionHistory[fieldPath] = {
-                        db: selectedDb,
-                        collection: selectedCol,
-                        query: queryObject,
-                        timestamp: Date.now()
-                    };
-                    localStorage.setItem('mongoDV_connectionHistory', JSON.stringify(connectionHistory));
-                } catch (e) { /* localStorage unavailable */ }
+                rememberRelationship({
+                    database: sourceDatabase,
+                    collection: sourceCollection,
+                    path: fieldPath,
+                    targetDatabase: selectedDb,
+                    targetCollection: selectedCol,
+                    query: queryObject
+                });
             }
 
-            onConnect(data.documents, selectedCol);
+            onConnect(documents, selectedCol, selectedDb, projection);
             onClose();
         } catch (err) {
-            setError(err.message);
+            if (!documentQuery.reportInterrupted(err, 'Connect query')) {
+                setError(err.message);
+            }
         } finally {
+            documentQuery.finish(opId);
             setLoading(false);
         }
     };
@@ -395,7 +454,7 @@ const ConnectModal = ({ isOpen, onClose, sourceId, fieldPath, initialUri, onConn
                             </button>
                         </div>
                         {predictedHint && (() => {
-                            const isSuccess = predictedHint.startsWith('Predicted:') || predictedHint.startsWith('Remembered:');
+                            const isSuccess = predictedHint.startsWith('Predicted:') || predictedHint.startsWith('Remembered:') || predictedHint.startsWith('Discovered:');
                             const isRemembered = predictedHint.startsWith('Remembered:');
                             return (
                                 <div style={{
@@ -436,7 +495,8 @@ const ConnectModal = ({ isOpen, onClose, sourceId, fieldPath, initialUri, onConn
                         </div>
                         <QueryBuilder
                             schema={schema}
-                            onQueryChange={setQueryObject}
+                            onQueryChange={handleQueryChange}
+                            fetchSuggestions={fetchFieldValues}
                             showRunButton={false}
                             initialFilters={initialFilters}
                             initialQuery={initialQuery}
@@ -444,30 +504,85 @@ const ConnectModal = ({ isOpen, onClose, sourceId, fieldPath, initialUri, onConn
                         />
                     </div>
 
+                    {/* Sort, limit and paging */}
+                    <div style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem' }}>
+                        <QueryOptions schema={schema} value={queryOptions} onChange={handleOptionsChange} />
+                        <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', flexWrap: 'wrap' }}>
+                            <label style={{ fontSize: '0.8rem', color: '#94a3b8' }}>Limit:</label>
+                            <input
+                                type="number"
+                                value={limit}
+                                min={1}
+                                onChange={(e) => { setLimit(e.target.value); setPreview(null); }}
+                                style={{ background: 'rgba(0,0,0,0.2)', border: '1px solid #475569', color: '#cbd5e1', padding: '0.25rem 0.5rem', borderRadius: '4px', width: '60px', textAlign: 'center' }}
+                            />
+                            <button
+                                type="button"
+                                onClick={() => loadPreview()}
+                                disabled={loading || !selectedDb || !selectedCol || !queryObject}
+                                style={{ padding: '0.3rem 0.8rem', borderRadius: '4px', border: '1px solid #475569', background: '#0f172a', color: '#cbd5e1', cursor: (loading || !selectedDb || !selectedCol || !queryObject) ? 'not-allowed' : 'pointer', fontSize: '0.8rem' }}
+                            >
+                                Preview
+                            </button>
+                            {documentQuery.running && (
+                                <button
+                                    type="button"
+                                    onClick={documentQuery.cancel}
+                                    style={{ padding: '0.3rem 0.8rem', borderRadius: '4px', border: '1px solid rgba(239, 68, 68, 0.3)', background: 'rgba(239, 68, 68, 0.15)', color: '#f87171', cursor: 'pointer', fontSize: '0.8rem' }}
+                                >
+                                    Stop query
+                                </button>
+                            )}
+                            {preview && (
+                                <div style={{ marginLeft: 'auto' }}>
+                                    <Pagination
+                                        skip={preview.skip}
+                                        count={preview.documents.length}
+                                        totalCount={preview.totalCount}
+                                        hasNext={!!preview.nextCursor}
+                                        hasPrev={!!preview.prevCursor}
+                                        loading={loading}
+                                        onPrev={() => loadPreview({ cursor: preview.prevCursor })}
+                                        onNext={() => loadPreview({ cursor: preview.nextCursor })}
+                                    />
+                                </div>
+                            )}
+                        </div>
+                        {preview && preview.documents.length > 0 && (
+                            <div style={{ maxHeight: '120px', overflowY: 'auto', background: 'rgba(15, 23, 42, 0.5)', borderRadius: '6px', padding: '0.5rem', fontFamily: 'monospace', fontSize: '0.75rem', color: '#94a3b8' }}>
+                                {preview.documents.map((doc, idx) => (
+                                    <div key={idx}>
+                                        <span style={{ color: '#64748b' }}>{preview.skip + idx + 1}.</span> {doc._id !== undefined ? bsonToString(doc._id) : '(no _id)'}
+                                    </div>
+                                ))}
+                            </div>
+                        )}
+                    </div>
+
 
                     <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '1rem', marginTop: '1rem' }}>
                         <button
                             type="button"
-                            onClick={onClose}
+                            onClick={() => { documentQuery.cancel(); onClose(); }}
                             style={{ padding: '0.6rem 1.2rem', borderRadius: '6px', border: '1px solid #475569', background: 'transparent', color: '#cbd5e1', cursor: 'pointer' }}
                         >
                             Cancel
                         </button>
                         <button
                             type="submit"
-                            disabled={loading || !selectedDb || !selectedCol}
+                            disabled={loading || !selectedDb || !selectedCol || !queryObject}
                             style={{
                                 padding: '0.6rem 1.2rem',
                                 borderRadius: '6px',
                                 border: 'none',
                                 background: 'linear-gradient(to right, #3b82f6, #8b5cf6)',
                                 color: 'white',
-                                cursor: (loading || !selectedDb || !selectedCol) ? 'not-allowed' : 'pointer',
+                                cursor: (loading || !selectedDb || !selectedCol || !queryObject) ? 'not-allowed' : 'pointer',
                                 fontWeight: 600,
-                                opacity: (loading || !selectedDb || !selectedCol) ? 0.7 : 1
+                                opacity: (loading || !selectedDb || !selectedCol || !queryObject) ? 0.7 : 1
                             }}
                         >
-                            {loading ? 'Connecting...' : 'Connect'}
+                            {loading ? 'Connecting...' : (preview ? `Connect ${preview.documents.length}` : 'Connect')}
                         </button>
                     </div>
 
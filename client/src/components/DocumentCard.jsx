@@ -3,103 +3,119 @@ import { useConnection } from '../contexts/ConnectionContext';
 import { getColorFromId } from '../utils/colors';
 import { useDragAwareClick } from '../hooks/useDragAwareClick';
 import { predictCollectionName, findBestMatch } from '../utils/prediction';
-
-const isObjectId = (value) => {
-    return typeof value === 'string' && /^[0-9a-fA-F]{24}$/.test(value);
-};
-
-const isDate = (value) => {
-    return typeof value === 'string' &&
-        /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:?\d{2})?$/.test(value) &&
-        !isNaN(Date.parse(value));
+import { resolveReference, resolveDBRef, getRelationships } from '../utils/relationships';
+import { getBsonType, isBsonValue, bsonToString } from '../utils/bson';
+import { findKeyLink } from '../utils/referenceRules';
+
+// Small muted label showing the BSON type next to a value
+const TypeBadge = ({ type }) => (
+    <span style={{ opacity: 0.5, fontSize: '0.7rem', marginLeft: '4px', color: '#94a3b8' }}>{type}</span>
+);
+
+// Where quick connect takes an ObjectId field: remembered and discovered targets first, then a collection
+// predicted from the field name. Returns { type, db, collection } or null.
+const findQuickConnectTarget = (database, collection, path) => {
+    try {
+        const known = resolveReference(database, collection, path);
+        if (known) return known;
+
+        const cachedDb = database || localStorage.getItem('mongoDV_lastUsedDb');
+        // Name-based prediction is only a fallback until discovery has run for this database
+        const predicted = getRelationships(cachedDb) ? null : predictCollectionName(path);
+        if (predicted && cachedDb) {
+            const cachedCollectionsRaw = localStorage.getItem(`mongoDV_cachedCollections_${cachedDb}`);
+            if (cachedCollectionsRaw) {
+                const cachedCollections = JSON.parse(cachedCollectionsRaw);
+                const match = findBestMatch(predicted, cachedCollections);
+                if (match) {
+                    return {
+                        type: 'predicted',
+                        db: cachedDb,
+                        collection: match
+                    };
+                }
+            }
+        }
+    } catch (e) {
+        // localStorage unavailable
+    }
+    return null;
 };
 
-
-const ValueDisplay = ({ value, onConnect, onQuickConnect, connectionHistoryVersion, onDateClick, onFlagClick, isIdField, docId, path, collection }) => {
+const ValueDisplay = ({ value, onConnect, onQuickConnect, onConnectAll, onDateClick, onFlagClick, isIdField, docId, path, collection, database, connection }) => {
     const { registerNode, unregisterNode, markedSources, idColorOverrides = {}, onIdColorChange } = useConnection();
     const spanRef = useRef(null);
 
     // Check if this field is marked as a source (keyed by collection:path)
     const isMarkedSource = markedSources && collection && markedSources.has(`${collection}:${path}`);
 
+    // Real BSON type from EJSON (null for plain JSON values)
+    const bsonType = getBsonType(value);
+    // String identity used for arrows, colors and lookups (hex string for ObjectIds; a DBRef goes by its $id)
+    const nodeValue = bsonType === 'DBRef' ? bsonToString(value.$id) : bsonType ? bsonToString(value) : value;
+
+    // Key fields and reference rules link values that are not ObjectIds (UUIDs, slugs, integer ids).
+    // Looked up on every render: the registry is cached, and cards re-render when it changes.
+    const keyLink = findKeyLink(database, collection, path, value);
+
     useEffect(() => {
         if (spanRef.current) {
-            // Register if it's an ObjectId OR if it's marked as a source
-            if (typeof value === 'string' && (isObjectId(value) || isMarkedSource)) {
+            if (keyLink) {
+                registerNode(keyLink.value, keyLink.type, spanRef.current, connection);
+                return () => unregisterNode(spanRef.current);
+            }
+            // Register if it's an ObjectId or a DBRef, OR if it's marked as a source
+            if (bsonType === 'ObjectId' || bsonType === 'DBRef' || (isMarkedSource && (typeof value === 'string' || bsonType))) {
                 // Marked sources act as 'def' so arrows can point TO them
                 const type = (isIdField || isMarkedSource) ? 'def' : 'ref';
-                registerNode(value, type, spanRef.current);
+                registerNode(nodeValue, type, spanRef.current, connection);
                 return () => unregisterNode(spanRef.current);
             }
         }
-    }, [value, isIdField, isMarkedSource, registerNode, unregisterNode]);
+    }, [nodeValue, bsonType, isIdField, isMarkedSource, keyLink, registerNode, unregisterNode, connection]);
 
     // Drag-aware handlers
-    const idColorHandlers = useDragAwareClick((e) => { e.stopPropagation(); onIdColorChange(value); });
+    const idColorHandlers = useDragAwareClick((e) => { e.stopPropagation(); onIdColorChange(nodeValue); });
     const connectHandlers = useDragAwareClick((e) => {
         if (onConnect) {
             e.stopPropagation();
-            onConnect(value, path);
+            onConnect(nodeValue, path, collection, database, connection);
+        }
+    });
+    const flagHandlers = useDragAwareClick((e) => { e.stopPropagation(); onFlagClick && onFlagClick(keyLink ? keyLink.value : nodeValue); });
+    // A DBRef names its own collection (and maybe database), so it is fetched without asking
+    const dbRefHandlers = useDragAwareClick((e) => {
+        if (bsonType === 'DBRef' && onConnectAll) {
+            e.stopPropagation();
+            const target = resolveDBRef(value, database);
+            onConnectAll(docId, [{ dbName: target.db, colName: target.collection, ids: [value.$id] }]);
         }
     });
-    const flagHandlers = useDragAwareClick((e) => { e.stopPropagation(); onFlagClick && onFlagClick(value); });
     const dateHandlers = useDragAwareClick((e) => {
         if (onDateClick) {
             e.stopPropagation();
             const stableId = `date-${docId}-${path}`;
-            onDateClick(value, e, stableId);
+            onDateClick(nodeValue, e, stableId);
         }
     });
 
     // Quick connect logic - check for remembered or predicted connections
-    const quickConnectInfo = useMemo(() => {
-        if (!path || isIdField || !onQuickConnect) return null;
-
-        try {
-            // Check connection history first
-            const historyRaw = localStorage.getItem('mongoDV_connectionHistory');
-            if (historyRaw) {
-                const history = JSON.parse(historyRaw);
-                if (history[path]) {
-                    return {
-                        type: 'remembered',
-                        db: history[path].db,
-                        collection: history[path].collection
-                    };
-                }
-            }
+    const quickConnectInfo = !path || isIdField || !onQuickConnect ? null : findQuickConnectTarget(database, collection, path);
 
-            // Try prediction
-            const predicted = predictCollectionName(path);
-            if (predicted) {
-                // Get cached databases and try to find a match
-                const cachedDb = localStorage.getItem('mongoDV_lastUsedDb');
-                if (cachedDb) {
-                    const cachedCollectionsRaw = localStorage.getItem(`mongoDV_cachedCollections_${cachedDb}`);
-                    if (cachedCollectionsRaw) {
-                        const cachedCollections = JSON.parse(cachedCollectionsRaw);
-                        const match = findBestMatch(predicted, cachedCollections);
-                        if (match) {
-                            return {
-                                type: 'predicted',
-                                db: cachedDb,
-                                collection: match
-                            };
-                        }
-                    }
-                }
-            }
-        } catch (e) {
-            // localStorage unavailable
+    // A reference rule names the target collection and field, so the value is looked up there directly
+    const ruleConnectHandlers = useDragAwareClick((e) => {
+        if (keyLink?.rule && onQuickConnect) {
+            e.stopPropagation();
+            const dbName = database || localStorage.getItem('mongoDV_lastUsedDb');
+            onQuickConnect(docId, value, path, dbName, keyLink.rule.targetCollection, keyLink.rule.targetField);
         }
-        return null;
-    }, [path, isIdField, onQuickConnect, connectionHistoryVersion]);
+    });
 
     const quickConnectHandlers = useDragAwareClick((e) => {
         if (quickConnectInfo && onQuickConnect) {
             e.stopPropagation();
             // Pass docId (source document), value (ID to query), path, db, collection
-            onQuickConnect(docId, value, path, quickConnectInfo.db, quickConnectInfo.collection);
+            onQuickConnect(docId, nodeValue, path, quickConnectInfo.db, quickConnectInfo.collection);
         }
     });
 
@@ -107,126 +123,253 @@ const ValueDisplay = ({ value, onConnect, onQuickConnect, connectionHistoryVersi
     if (value === null) return <span style={{ color: '#94a3b8', fontStyle: 'italic' }}>null</span>;
     if (value === undefined) return <span style={{ color: '#94a3b8', fontStyle: 'italic' }}>undefined</span>;
 
-    if (typeof value === 'boolean') {
-        return <span style={{ color: value ? '#4ade80' : '#f87171', fontWeight: 600 }}>{String(value)}</span>;
-    }
-
-    if (typeof value === 'number') {
-        return <span style={{ color: '#60a5fa' }}>{value}</span>;
-    }
-
-    if (typeof value === 'string') {
-        if (isObjectId(value)) {
-            return (
-                <span style={{ display: 'inline-flex', alignItems: 'center', gap: '4px' }}>
-                    {onIdColorChange && (
+    if (keyLink) {
+        const color = getColorFromId(keyLink.value, idColorOverrides[keyLink.value] || 0);
+        return (
+            <span style={{ display: 'inline-flex', alignItems: 'baseline', gap: '4px' }}>
+                <span
+                    ref={spanRef}
+                    style={{
+                        color,
+                        fontFamily: 'monospace',
+                        wordBreak: 'break-word',
+                        textDecoration: 'underline',
+                        textDecorationStyle: 'dotted'
+                    }}
+                    title={keyLink.type === 'def' ? `Key of ${collection}` : `References ${keyLink.rule.targetCollection}.${keyLink.rule.targetField}`}
+                >
+                    {typeof value === 'string' ? `"${value}"` : nodeValue}
+                </span>
+                {bsonType && <TypeBadge type={bsonType} />}
+                {keyLink.type === 'ref' && (
+                    <>
+                        {onQuickConnect && (
+                            <button
+                                onMouseDown={ruleConnectHandlers.onMouseDown}
+                                onClick={ruleConnectHandlers.onClick}
+                                title={`Quick connect to ${keyLink.rule.targetCollection}.${keyLink.rule.targetField} (reference rule)`}
+                                style={{
+                                    background: 'transparent',
+                                    border: 'none',
+                                    cursor: 'pointer',
+                                    padding: '2px',
+                                    fontSize: '0.8rem',
+                                    opacity: 0.8,
+                                    marginLeft: '2px'
+                                }}
+                            >
+                                🚀
+                            </button>
+                        )}
                         <button
-                            onMouseDown={idColorHandlers.onMouseDown}
-                            onClick={idColorHandlers.onClick}
-                            title="Randomize Color"
+                            onMouseDown={flagHandlers.onMouseDown}
+                            onClick={flagHandlers.onClick}
+                            title="Go to definition"
                             style={{
                                 background: 'transparent',
                                 border: 'none',
-                                color: getColorFromId(value, idColorOverrides[value] || 0),
                                 cursor: 'pointer',
                                 padding: '2px',
-                                display: 'flex',
-                                alignItems: 'center',
                                 fontSize: '0.8rem',
-                                opacity: 0.8,
-                                transition: 'transform 0.1s'
+                                opacity: 0.7,
+                                marginLeft: '2px'
                             }}
-                            onMouseEnter={e => e.currentTarget.style.transform = 'scale(1.2)'}
-                            onMouseLeave={e => e.currentTarget.style.transform = 'scale(1)'}
                         >
-                            👁
+                            🚩
                         </button>
-                    )}
-                    <span
-                        ref={spanRef}
-                        onMouseDown={connectHandlers.onMouseDown}
-                        onClick={connectHandlers.onClick}
+                    </>
+                )}
+            </span>
+        );
+    }
+
+    if (typeof value === 'boolean') {
+        return <span style={{ color: value ? '#4ade80' : '#f87171', fontWeight: 600 }}>{String(value)}</span>;
+    }
+
+    if (typeof value === 'number') {
+        return <span style={{ color: '#60a5fa' }}>{value}</span>;
+    }
+
+    if (bsonType === 'ObjectId') {
+        return (
+            <span style={{ display: 'inline-flex', alignItems: 'center', gap: '4px' }}>
+                {onIdColorChange && (
+                    <button
+                        onMouseDown={idColorHandlers.onMouseDown}
+                        onClick={idColorHandlers.onClick}
+                        title="Randomize Color"
                         style={{
-                            color: getColorFromId(value, idColorOverrides[value] || 0),
-                            fontFamily: 'monospace',
-                            cursor: onConnect ? 'pointer' : 'text',
-                            textDecoration: onConnect ? 'underline' : 'none',
-                            textDecorationStyle: onConnect ? 'dotted' : 'none'
+                            background: 'transparent',
+                            border: 'none',
+                            color: getColorFromId(nodeValue, idColorOverrides[nodeValue] || 0),
+                            cursor: 'pointer',
+                            padding: '2px',
+                            display: 'flex',
+                            alignItems: 'center',
+                            fontSize: '0.8rem',
+                            opacity: 0.8,
+                            transition: 'transform 0.1s'
                         }}
-                        title={onConnect ? "Click to connect" : ""}
+                        onMouseEnter={e => e.currentTarget.style.transform = 'scale(1.2)'}
+                        onMouseLeave={e => e.currentTarget.style.transform = 'scale(1)'}
                     >
-                        {value}
-                    </span>
-                    {(isIdField || isMarkedSource) ? null : (
-                        <>
-                            {quickConnectInfo && (
-                                <button
-                                    onMouseDown={quickConnectHandlers.onMouseDown}
-                                    onClick={quickConnectHandlers.onClick}
-                                    title={quickConnectInfo.type === 'remembered'
-                                        ? `Quick connect to ${quickConnectInfo.collection} (remembered)`
-                                        : `Quick connect to ${quickConnectInfo.collection} (predicted)`}
-                                    style={{
-                                        background: 'transparent',
-                                        border: 'none',
-                                        cursor: 'pointer',
-                                        padding: '2px',
-                                        fontSize: '0.8rem',
-                                        opacity: 0.8,
-                                        transition: 'transform 0.1s, opacity 0.1s',
-                                        marginLeft: '2px',
-                                        color: quickConnectInfo.type === 'remembered' ? '#4ade80' : '#fbbf24'
-                                    }}
-                                    onMouseEnter={e => { e.currentTarget.style.transform = 'scale(1.2)'; e.currentTarget.style.opacity = '1'; }}
-                                    onMouseLeave={e => { e.currentTarget.style.transform = 'scale(1)'; e.currentTarget.style.opacity = '0.8'; }}
-                                >
-                                    {quickConnectInfo.type === 'remembered' ? '🚀' : '⚡'}
-                                </button>
-                            )}
+                        👁
+                    </button>
+                )}
+                <span
+                    ref={spanRef}
+                    onMouseDown={connectHandlers.onMouseDown}
+                    onClick={connectHandlers.onClick}
+                    style={{
+                        color: getColorFromId(nodeValue, idColorOverrides[nodeValue] || 0),
+                        fontFamily: 'monospace',
+                        cursor: onConnect ? 'pointer' : 'text',
+                        textDecoration: onConnect ? 'underline' : 'none',
+                        textDecorationStyle: onConnect ? 'dotted' : 'none'
+                    }}
+                    title={onConnect ? "Click to connect" : ""}
+                >
+                    {nodeValue}
+                </span>
+                {(isIdField || isMarkedSource) ? null : (
+                    <>
+                        {quickConnectInfo && (
                             <button
-                                onMouseDown={flagHandlers.onMouseDown}
-                                onClick={flagHandlers.onClick}
-                                title="Go to definition"
+                                onMouseDown={quickConnectHandlers.onMouseDown}
+                                onClick={quickConnectHandlers.onClick}
+                                title={quickConnectInfo.type === 'remembered'
+                                    ? `Quick connect to ${quickConnectInfo.collection} (remembered)`
+                                    : quickConnectInfo.type === 'discovered'
+                                        ? `Quick connect to ${quickConnectInfo.collection} (discovered, ${Math.round(quickConnectInfo.confidence * 100)}% of sampled ids found)`
+                                        : `Quick connect to ${quickConnectInfo.collection} (predicted)`}
                                 style={{
                                     background: 'transparent',
                                     border: 'none',
                                     cursor: 'pointer',
                                     padding: '2px',
                                     fontSize: '0.8rem',
-                                    opacity: 0.7,
-                                    transition: 'transform 0.1s',
-                                    marginLeft: '2px'
+                                    opacity: 0.8,
+                                    transition: 'transform 0.1s, opacity 0.1s',
+                                    marginLeft: '2px',
+                                    color: quickConnectInfo.type === 'remembered' ? '#4ade80' : quickConnectInfo.type === 'discovered' ? '#60a5fa' : '#fbbf24'
                                 }}
-                                onMouseEnter={e => e.currentTarget.style.transform = 'scale(1.2)'}
-                                onMouseLeave={e => e.currentTarget.style.transform = 'scale(1)'}
+                                onMouseEnter={e => { e.currentTarget.style.transform = 'scale(1.2)'; e.currentTarget.style.opacity = '1'; }}
+                                onMouseLeave={e => { e.currentTarget.style.transform = 'scale(1)'; e.currentTarget.style.opacity = '0.8'; }}
                             >
-                                🚩
+                                {quickConnectInfo.type === 'remembered' ? '🚀' : '⚡'}
                             </button>
-                        </>
-                    )}
+                        )}
+                        <button
+                            onMouseDown={flagHandlers.onMouseDown}
+                            onClick={flagHandlers.onClick}
+                            title="Go to definition"
+                            style={{
+                                background: 'transparent',
+                                border: 'none',
+                                cursor: 'pointer',
+                                padding: '2px',
+                                fontSize: '0.8rem',
+                                opacity: 0.7,
+                                transition: 'transform 0.1s',
+                                marginLeft: '2px'
+                            }}
+                            onMouseEnter={e => e.currentTarget.style.transform = 'scale(1.2)'}
+                            onMouseLeave={e => e.currentTarget.style.transform = 'scale(1)'}
+                        >
+                            🚩
+                        </button>
+                    </>
+                )}
+            </span>
+        );
+    }
+
+    if (bsonType === 'DBRef') {
+        const target = resolveDBRef(value, database);
+        return (
+            <span style={{ display: 'inline-flex', alignItems: 'center', gap: '4px' }}>
+                <span style={{ color: '#94a3b8', fontSize: '0.8rem' }}>{target.db !== database ? `${target.db}.` : ''}{target.collection}</span>
+                <span
+                    ref={spanRef}
+                    onMouseDown={dbRefHandlers.onMouseDown}
+                    onClick={dbRefHandlers.onClick}
+                    style={{
+                        color: getColorFromId(nodeValue, idColorOverrides[nodeValue] || 0),
+                        fontFamily: 'monospace',
+                        cursor: onConnectAll ? 'pointer' : 'text',
+                        textDecoration: onConnectAll ? 'underline' : 'none',
+                        textDecorationStyle: onConnectAll ? 'dotted' : 'none'
+                    }}
+                    title={onConnectAll ? `Click to open the referenced document in ${target.collection}` : ''}
+                >
+                    {nodeValue}
                 </span>
-            );
-        }
-        if (isDate(value)) {
-            const stableId = `date-${docId}-${path}`;
-            return (
+                <TypeBadge type="DBRef" />
+                <button
+                    onMouseDown={flagHandlers.onMouseDown}
+                    onClick={flagHandlers.onClick}
+                    title="Go to definition"
+                    style={{
+                        background: 'transparent',
+                        border: 'none',
+                        cursor: 'pointer',
+                        padding: '2px',
+                        fontSize: '0.8rem',
+                        opacity: 0.7,
+                        marginLeft: '2px'
+                    }}
+                >
+                    🚩
+                </button>
+            </span>
+        );
+    }
+
+    if (bsonType === 'Date') {
+        const stableId = `date-${docId}-${path}`;
+        return (
+            <span
+                id={stableId}
+                onMouseDown={dateHandlers.onMouseDown}
+                onClick={dateHandlers.onClick}
+                style={{
+                    color: '#22d3ee',
+                    cursor: onDateClick ? 'pointer' : 'text',
+                    textDecoration: onDateClick ? 'underline' : 'none',
+                    textDecorationStyle: onDateClick ? 'dotted' : 'none'
+                }}
+                title="Click to measure time gap"
+                data-date-value={nodeValue}
+            >
+                {nodeValue}
+            </span>
+        );
+    }
+
+    // Remaining BSON types (Long, Decimal128, UUID, Binary, Timestamp, ...) render as text with their type
+    if (bsonType) {
+        const isNumeric = ['Long', 'Decimal128', 'Double', 'Int32'].includes(bsonType);
+        return (
+            <span style={{ display: 'inline-flex', alignItems: 'baseline' }}>
                 <span
-                    id={stableId}
-                    onMouseDown={dateHandlers.onMouseDown}
-                    onClick={dateHandlers.onClick}
+                    ref={spanRef}
                     style={{
-                        color: '#22d3ee',
-                        cursor: onDateClick ? 'pointer' : 'text',
-                        textDecoration: onDateClick ? 'underline' : 'none',
-                        textDecorationStyle: onDateClick ? 'dotted' : 'none'
+                        color: isMarkedSource ? getColorFromId(nodeValue, idColorOverrides[nodeValue] || 0) : (isNumeric ? '#60a5fa' : '#cbd5e1'),
+                        fontFamily: isNumeric ? 'inherit' : 'monospace',
+                        wordBreak: 'break-word',
+                        textDecoration: isMarkedSource ? 'underline' : 'none',
+                        textDecorationStyle: isMarkedSource ? 'dotted' : 'none'
                     }}
-                    title="Click to measure time gap"
-                    data-date-value={value}
                 >
-                    "{value}"
+                    {nodeValue}
                 </span>
-            );
-        }
+                <TypeBadge type={bsonType} />
+            </span>
+        );
+    }
+
+    if (typeof value === 'string') {
         // For marked sources that aren't ObjectIds or Dates, attach the ref
         if (isMarkedSource) {
             const markedColorHandlers = useDragAwareClick((e) => { e.stopPropagation(); onIdColorChange(value); });
@@ -274,7 +417,7 @@ const ValueDisplay = ({ value, onConnect, onQuickConnect, connectionHistoryVersi
     return <span style={{ color: '#cbd5e1' }}>{String(value)}</span>;
 };
 
-const CollapsibleField = ({ label, children, typeLabel, initialOpen = false, isOpen: controlledIsOpen, onToggle }) => {
+const CollapsibleField = ({ label, children, typeLabel, actions, initialOpen = false, isOpen: controlledIsOpen, onToggle }) => {
     const [localIsOpen, setLocalIsOpen] = useState(initialOpen);
 
     const isControlled = controlledIsOpen !== undefined;
@@ -309,6 +452,7 @@ const CollapsibleField = ({ label, children, typeLabel, initialOpen = false, isO
                 <span style={{ fontSize: '0.7rem', transform: isOpen ? 'rotate(90deg)' : 'rotate(0deg)', transition: 'transform 0.1s' }}>▶</span>
                 <span style={{ fontWeight: 600, color: label === '_id' ? 'var(--primary)' : '#cbd5e1' }}>{label}:</span>
                 <span style={{ opacity: 0.5, fontSize: '0.75rem' }}>{typeLabel}</span>
+                {actions}
             </div>
             {isOpen && (
                 <div style={{ paddingLeft: '12px', borderLeft: '1px solid rgba(255,255,255,0.05)', marginLeft: '3px' }}>
@@ -319,9 +463,74 @@ const CollapsibleField = ({ label, children, typeLabel, initialOpen = false, isO
     );
 };
 
-const DocumentCard = ({ data, isRoot = false, onConnect, onQuickConnect, connectionHistoryVersion, onDateClick, onFlagClick, path = '', docId, collection, expandedPaths, onToggleExpand }) => {
+// What "connect all" fetches for an array: { targets: [{ dbName, colName, ids }], count, unresolved, remember },
+// or null for arrays without references
+const planConnectAll = ({ objectIds, dbRefs, firstIdIndex }, database, collection, path) => {
+    if (objectIds.length === 0 && dbRefs.length === 0) return null;
+
+    const idTarget = firstIdIndex >= 0 ? findQuickConnectTarget(database, collection, `${path}.${firstIdIndex}`) : null;
+    const targets = new Map(); // "db.collection" -> { dbName, colName, ids }
+    const add = ({ db, collection: colName }, id) => {
+        const key = `${db}\u0000${colName}`;
+        if (!targets.has(key)) targets.set(key, { dbName: db, colName, ids: [] });
+        targets.get(key).ids.push(id);
+    };
+    if (idTarget) objectIds.forEach(id => add(idTarget, id));
+    dbRefs.forEach(ref => add(resolveDBRef(ref, database), ref.$id));
+
+    return {
+        targets: [...targets.values()],
+        count: (idTarget ? objectIds.length : 0) + dbRefs.length,
+        unresolved: idTarget ? 0 : objectIds.length,
+        // Remember the array's target once it worked, as quick connect does for single fields
+        remember: !!idTarget && dbRefs.length === 0
+    };
+};
+
+// "Connect all" on an array of references: ObjectIds go to the target quick connect would use for the
+// array, DBRefs to the collection they name. Renders nothing for arrays without references.
+const ConnectAllButton = ({ items, path, docId, collection, database, onConnectAll }) => {
+    const references = useMemo(() => ({
+        objectIds: items.filter(item => getBsonType(item) === 'ObjectId'),
+        dbRefs: items.filter(item => getBsonType(item) === 'DBRef'),
+        firstIdIndex: items.findIndex(item => getBsonType(item) === 'ObjectId')
+    }), [items]);
+
+    // The target is looked up on every render, like quick connect's, so it follows registry changes
+    const plan = planConnectAll(references, database, collection, path);
+
+    const handlers = useDragAwareClick((e) => {
+        e.stopPropagation();
+        if (plan && plan.count > 0) onConnectAll(docId, plan.targets, { arrayPath: path, remember: plan.remember });
+    });
+
+    if (!plan) return null;
+    const collections = plan.targets.map(t => t.colName).join(', ');
+    return (
+        <button
+            onMouseDown={handlers.onMouseDown}
+            onClick={handlers.onClick}
+            title={plan.count > 0
+                ? `Connect all ${plan.count} referenced document${plan.count > 1 ? 's' : ''} (${collections})${plan.unresolved > 0 ? `; ${plan.unresolved} ids have no known target` : ''}`
+                : 'No target known for these ids: quick connect one of them or run relationship discovery first'}
+            style={{
+                background: 'transparent',
+                border: 'none',
+                cursor: plan.count > 0 ? 'pointer' : 'not-allowed',
+                padding: '0 2px',
+                fontSize: '0.75rem',
+                color: '#60a5fa',
+                opacity: plan.count > 0 ? 0.9 : 0.4
+            }}
+        >
+            ⇶ all
+        </button>
+    );
+};
+
+const DocumentCard = ({ data, isRoot = false, onConnect, onQuickConnect, onConnectAll, onDateClick, onFlagClick, path = '', docId, collection, database, connection, expandedPaths, onToggleExpand }) => {
     // Extract ID if at root. Prefer passed docId (Wrapper ID) over data._id if available.
-    const currentDocId = docId || (isRoot && data ? data._id : 'unknown');
+    const currentDocId = docId || (isRoot && data ? (isBsonValue(data._id) ? bsonToString(data._id) : data._id) : 'unknown');
 
     // Helper to determine if a path is expanded
     const isExpanded = (checkPath) => {
@@ -340,10 +549,13 @@ const DocumentCard = ({ data, isRoot = false, onConnect, onQuickConnect, connect
                         <div key={index} style={{ display: 'flex', gap: '4px', alignItems: 'flex-start' }}>
                             <span style={{ color: '#64748b', fontSize: '0.8rem', minWidth: '15px' }}>{index}:</span>
                             <div style={{ flex: 1 }}>
-                                {typeof item === 'object' && item !== null ? (
+                                {typeof item === 'object' && item !== null && !isBsonValue(item) ? (
                                     <CollapsibleField
                                         label={index}
                                         typeLabel={Array.isArray(item) ? `Array[${item.length}]` : `Object{${Object.keys(item).length}}`}
+                                        actions={Array.isArray(item) && onConnectAll && (
+                                            <ConnectAllButton items={item} path={currentPath} docId={currentDocId} collection={collection} database={database} onConnectAll={onConnectAll} />
+                                        )}
                                         isOpen={isExpanded(currentPath)}
                                         onToggle={() => onToggleExpand && onToggleExpand(currentDocId, currentPath)}
                                     >
@@ -351,12 +563,14 @@ const DocumentCard = ({ data, isRoot = false, onConnect, onQuickConnect, connect
                                             data={item}
                                             onConnect={onConnect}
                                             onQuickConnect={onQuickConnect}
-                                            connectionHistoryVersion={connectionHistoryVersion}
+                                            onConnectAll={onConnectAll}
                                             onDateClick={onDateClick}
                                             onFlagClick={onFlagClick}
                                             path={currentPath}
                                             docId={currentDocId}
                                             collection={collection}
+                                            database={database}
+                                            connection={connection}
                                             expandedPaths={expandedPaths}
                                             onToggleExpand={onToggleExpand}
                                         />
@@ -366,12 +580,14 @@ const DocumentCard = ({ data, isRoot = false, onConnect, onQuickConnect, connect
                                         value={item}
                                         onConnect={onConnect}
                                         onQuickConnect={onQuickConnect}
-                                        connectionHistoryVersion={connectionHistoryVersion}
+                                        onConnectAll={onConnectAll}
                                         onDateClick={onDateClick}
                                         onFlagClick={onFlagClick}
                                         path={currentPath}
                                         docId={currentDocId}
                                         collection={collection}
+                                        database={database}
+                                        connection={connection}
                                     />
                                 )}
                             </div>
@@ -383,7 +599,7 @@ const DocumentCard = ({ data, isRoot = false, onConnect, onQuickConnect, connect
     }
 
     // Object Handling
-    if (typeof data === 'object' && data !== null) {
+    if (typeof data === 'object' && data !== null && !isBsonValue(data)) {
         if (Object.keys(data).length === 0) return <span style={{ color: '#94a3b8', fontSize: '0.85rem' }}>{"{}"}</span>;
 
         // Get hoistedFields from context
@@ -403,7 +619,7 @@ const DocumentCard = ({ data, isRoot = false, onConnect, onQuickConnect, connect
         return (
             <div style={{ display: 'flex', flexDirection: 'column', gap: '2px', width: '100%' }}>
                 {sortedEntries.map(([key, value]) => {
-                    const isComplex = typeof value === 'object' && value !== null;
+                    const isComplex = typeof value === 'object' && value !== null && !isBsonValue(value);
                     const nextPath = `${path ? path + '.' : ''}${key}`;
 
                     if (isComplex) {
@@ -413,6 +629,9 @@ const DocumentCard = ({ data, isRoot = false, onConnect, onQuickConnect, connect
                                 key={key}
                                 label={key}
                                 typeLabel={typeCount}
+                                actions={Array.isArray(value) && onConnectAll && (
+                                    <ConnectAllButton items={value} path={nextPath} docId={currentDocId} collection={collection} database={database} onConnectAll={onConnectAll} />
+                                )}
                                 initialOpen={false}
                                 isOpen={isExpanded(nextPath)}
                                 onToggle={() => onToggleExpand && onToggleExpand(currentDocId, nextPath)}
@@ -421,12 +640,14 @@ const DocumentCard = ({ data, isRoot = false, onConnect, onQuickConnect, connect
                                     data={value}
                                     onConnect={onConnect}
                                     onQuickConnect={onQuickConnect}
-                                    connectionHistoryVersion={connectionHistoryVersion}
+                                    onConnectAll={onConnectAll}
                                     onDateClick={onDateClick}
                                     onFlagClick={onFlagClick}
                                     path={nextPath}
                                     docId={currentDocId}
                                     collection={collection}
+                                    database={database}
+                                    connection={connection}
                                     expandedPaths={expandedPaths}
                                     onToggleExpand={onToggleExpand}
                                 />
@@ -438,6 +659,8 @@ const DocumentCard = ({ data, isRoot = false, onConnect, onQuickConnect, connect
                     const isMarked = markedSources && collection && markedSources.has(`${collection}:${nextPath}`);
                     const isHighlighted = highlightedFields && collection && highlightedFields.has(`${collection}:${nextPath}`);
                     const isHoisted = contextHoistedFields && collection && contextHoistedFields.has(`${collection}:${nextPath}`);
+                    // ObjectId _ids are colored by their hex string, same as the arrows
+                    const colorKey = isBsonValue(value) ? bsonToString(value) : value;
 
                     return (
                         <div key={key} style={{
@@ -462,7 +685,7 @@ const DocumentCard = ({ data, isRoot = false, onConnect, onQuickConnect, connect
                                 }}
                                 style={{
                                     fontWeight: 600,
-                                    color: isHighlighted ? '#34d399' : (key === '_id' ? getColorFromId(value, idColorOverrides[value] || 0) : '#94a3b8'),
+                                    color: isHighlighted ? '#34d399' : (key === '_id' ? getColorFromId(colorKey, idColorOverrides[colorKey] || 0) : '#94a3b8'),
                                     fontSize: '0.85rem',
                                     whiteSpace: 'nowrap',
                                     cursor: 'context-menu',
@@ -476,13 +699,15 @@ const DocumentCard = ({ data, isRoot = false, onConnect, onQuickConnect, connect
                                 value={value}
                                 onConnect={onConnect}
                                 onQuickConnect={onQuickConnect}
-                                connectionHistoryVersion={connectionHistoryVersion}
+                                onConnectAll={onConnectAll}
                                 onFlagClick={onFlagClick}
                                 isIdField={key === '_id'}
                                 onDateClick={onDateClick}
                                 path={nextPath}
                                 docId={currentDocId}
                                 collection={collection}
+                                database={database}
+                                connection={connection}
                             />
                         </div>
                     );
@@ -495,12 +720,14 @@ const DocumentCard = ({ data, isRoot = false, onConnect, onQuickConnect, connect
         value={data}
         onConnect={onConnect}
         onQuickConnect={onQuickConnect}
-        connectionHistoryVersion={connectionHistoryVersion}
+        onConnectAll={onConnectAll}
         onDateClick={onDateClick}
         onFlagClick={onFlagClick}
         path={path}
         docId={currentDocId}
         collection={collection}
+        database={database}
+        connection={connection}
     />;
 };
 
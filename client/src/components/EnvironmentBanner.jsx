@@ -0,0 +1,37 @@
+import React from 'react';
+import { ENVIRONMENTS } from '../utils/environments';
+
+// Colored label of the connection's environment, with a READ-ONLY tag when writes are refused.
+// `compact` is the inline form used in the canvas HUD.
+const EnvironmentBanner = ({ environment, readOnly, compact = false, style = {} }) => {
+    const env = ENVIRONMENTS[environment];
+    if (!env && !readOnly) return null;
+    const color = env ? env.color : '#94a3b8';
+
+    return (
+        <div
+            title={readOnly ? 'Read-only connection: writes are refused by the server' : `${env.label} connection`}
+            style={{
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: compact ? 'flex-start' : 'space-between',
+                gap: '6px',
+                padding: compact ? '2px 6px' : '0.4rem 0.6rem',
+                borderRadius: '4px',
+                background: `${color}26`,
+                border: `1px solid ${color}66`,
+                color,
+                fontSize: compact ? '0.7rem' : '0.75rem',
+                fontWeight: 700,
+                letterSpacing: '0.5px',
+                whiteSpace: 'nowrap',
+                ...style
+            }}
+        >
+            <span>{env ? env.label : 'NO ENVIRONMENT'}</span>
+            {readOnly && <span style={{ fontWeight: 600, opacity: 0.85 }}>🔒 READ-ONLY</span>}
+        </div>
+    );
+};
+
+export default EnvironmentBanner;
@@ -0,0 +1,121 @@
+import React, { useState } from 'react';
+
+// Asks for one value, in place of window.prompt: validate(value) returns an error message, shown under
+// the field while the value is invalid, or null. onConfirm gets the value as typed. Mounted only while open.
+const InputModal = ({ title, description, label, initialValue = '', placeholder, inputType = 'text', validate, confirmLabel = 'OK', danger = false, onConfirm, onClose }) => {
+    const [value, setValue] = useState(initialValue);
+    const error = validate ? validate(value) : null;
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (error) return;
+        onConfirm(value);
+        onClose();
+    };
+
+    return (
+        <div style={{
+            position: 'fixed',
+            top: 0,
+            left: 0,
+            right: 0,
+            bottom: 0,
+            background: 'rgba(0,0,0,0.7)',
+            backdropFilter: 'blur(5px)',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            zIndex: 2000
+        }}
+            onClick={onClose}
+        >
+            <div style={{
+                background: '#1e293b',
+                border: '1px solid rgba(255,255,255,0.1)',
+                borderRadius: '12px',
+                width: '100%',
+                maxWidth: '440px',
+                padding: '1.5rem',
+                boxShadow: '0 20px 25px -5px rgba(0, 0, 0, 0.5), 0 8px 10px -6px rgba(0, 0, 0, 0.5)',
+                display: 'flex',
+                flexDirection: 'column',
+                gap: '1rem'
+            }}
+                onClick={e => e.stopPropagation()}
+            >
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                    <h2 style={{ margin: 0, fontSize: '1.25rem', color: danger ? '#f87171' : '#f8fafc' }}>{title}</h2>
+                    <button
+                        onClick={onClose}
+                        style={{ background: 'transparent', border: 'none', color: '#94a3b8', cursor: 'pointer', fontSize: '1.2rem' }}
+                    >
+                        ✕
+                    </button>
+                </div>
+
+                {description && <div style={{ fontSize: '0.85rem', color: '#94a3b8' }}>{description}</div>}
+
+                <form onSubmit={handleSubmit} style={{ display: 'flex', flexDirection: 'column', gap: '1rem' }}>
+                    <div>
+                        <label style={{ display: 'block', marginBottom: '0.5rem', color: '#cbd5e1', fontSize: '0.9rem' }}>{label}</label>
+                        <input
+                            type={inputType}
+                            value={value}
+                            onChange={(e) => setValue(e.target.value)}
+                            placeholder={placeholder}
+                            autoFocus
+                            spellCheck={false}
+                            style={{
+                                width: '100%',
+                                padding: '0.75rem',
+                                borderRadius: '6px',
+                                border: `1px solid ${error ? '#f87171' : 'rgba(255,255,255,0.1)'}`,
+                                background: 'rgba(0,0,0,0.3)',
+                                color: 'white',
+                                fontSize: '1rem',
+                                outline: 'none',
+                                boxSizing: 'border-box'
+                            }}
+                        />
+                        {error && <div style={{ marginTop: '0.4rem', color: '#f87171', fontSize: '0.8rem' }}>{error}</div>}
+                    </div>
+
+                    <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '0.75rem' }}>
+                        <button
+                            type="button"
+                            onClick={onClose}
+                            style={{
+                                padding: '0.5rem 1rem',
+                                borderRadius: '6px',
+                                border: '1px solid rgba(255,255,255,0.1)',
+                                background: 'transparent',
+                                color: '#e2e8f0',
+                                cursor: 'pointer'
+                            }}
+                        >
+                            Cancel
+                        </button>
+                        <button
+                            type="submit"
+                            disabled={!!error}
+                            style={{
+                                padding: '0.5rem 1rem',
+                                borderRadius: '6px',
+                                border: 'none',
+                                background: danger ? '#dc2626' : 'var(--primary)',
+                                color: 'white',
+                                fontWeight: 600,
+                                cursor: error ? 'not-allowed' : 'pointer',
+                                opacity: error ? 0.5 : 1
+                            }}
+                        >
+                            {confirmLabel}
+                        </button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+};
+
+export default InputModal;
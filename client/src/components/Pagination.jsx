@@ -0,0 +1,30 @@
+import React from 'react';
+
+// "1–20 of 1,234" label with Prev / Next buttons for paged document queries
+const Pagination = ({ skip = 0, count = 0, totalCount = null, hasNext = false, hasPrev = false, loading = false, onPrev, onNext }) => {
+    const buttonStyle = (enabled) => ({
+        background: 'rgba(255,255,255,0.05)',
+        border: '1px solid var(--glass-border)',
+        color: enabled ? '#cbd5e1' : '#475569',
+        padding: '0.2rem 0.6rem',
+        borderRadius: '4px',
+        cursor: enabled ? 'pointer' : 'not-allowed',
+        fontSize: '0.8rem'
+    });
+
+    const canPrev = hasPrev && !loading;
+    const canNext = hasNext && !loading;
+
+    return (
+        <div style={{ display: 'inline-flex', alignItems: 'center', gap: '0.5rem' }}>
+            <button type="button" onClick={onPrev} disabled={!canPrev} style={buttonStyle(canPrev)}>‹ Prev</button>
+            <span style={{ fontSize: '0.8rem', color: '#94a3b8', whiteSpace: 'nowrap' }}>
+                {count === 0 ? '0' : `${(skip + 1).toLocaleString()}–${(skip + count).toLocaleString()}`}
+                {totalCount !== null && ` of ${totalCount.toLocaleString()}`}
+            </span>
+            <button type="button" onClick={onNext} disabled={!canNext} style={buttonStyle(canNext)}>Next ›</button>
+        </div>
+    );
+};
+
+export default Pagination;
@@ -0,0 +1,281 @@
+import React, { useState } from 'react';
+import { runAggregation, createOpId, cancelOperation } from '../api';
+import useQueryOperation from '../hooks/useQueryOperation';
+import DocumentCard from './DocumentCard';
+
+// Default bodies for the stage operators offered in the dropdown
+const STAGE_TEMPLATES = {
+    $match: '{\n  \n}',
+    $lookup: '{\n  "from": "",\n  "localField": "",\n  "foreignField": "_id",\n  "as": ""\n}',
+    $group: '{\n  "_id": null,\n  "count": { "$sum": 1 }\n}',
+    $project: '{\n  \n}',
+    $addFields: '{\n  \n}',
+    $unwind: '"$field"',
+    $sort: '{\n  "_id": -1\n}',
+    $limit: '10',
+    $skip: '0',
+    $sample: '{\n  "size": 10\n}',
+    $count: '"count"'
+};
+
+const PREVIEW_LIMIT = 5;
+
+const PipelineBuilder = ({ session, dbName, colName, onSendToCanvas, onExplain, style = {} }) => {
+    const [stages, setStages] = useState([{ operator: '$match', body: STAGE_TEMPLATES.$match, enabled: true }]);
+    const [previews, setPreviews] = useState({}); // { [stageIndex]: { loading, opId, documents, error } }
+    const [resultLimit, setResultLimit] = useState(20);
+    const [results, setResults] = useState(null); // { documents } | null
+    const [running, setRunning] = useState(false);
+    const runQuery = useQueryOperation();
+    const [error, setError] = useState(null);
+
+    // Parse every enabled stage body into a pipeline stage object
+    // Throws with the offending stage number if a body is not valid JSON
+    const buildPipeline = (upToIndex = stages.length - 1) => {
+        const pipeline = [];
+        stages.slice(0, upToIndex + 1).forEach((stage, idx) => {
+            if (!stage.enabled) return;
+            try {
+                pipeline.push({ [stage.operator]: JSON.parse(stage.body) });
+            } catch (e) {
+                throw new Error(`Stage ${idx + 1} (${stage.operator}): ${e.message}`);
+            }
+        });
+        return pipeline;
+    };
+
+    const updateStage = (index, updates) => {
+        setStages(prev => prev.map((s, i) => i === index ? { ...s, ...updates } : s));
+        // Previews of this stage and everything after it are stale now
+        setPreviews(prev => {
+            const next = {};
+            Object.keys(prev).forEach(key => {
+                if (Number(key) < index) next[key] = prev[key];
+            });
+            return next;
+        });
+        setResults(null);
+    };
+
+    const addStage = () => {
+        setStages(prev => [...prev, { operator: '$match', body: STAGE_TEMPLATES.$match, enabled: true }]);
+    };
+
+    const removeStage = (index) => {
+        setStages(prev => prev.filter((_, i) => i !== index));
+        setPreviews({});
+        setResults(null);
+    };
+
+    const moveStage = (index, direction) => {
+        const target = index + direction;
+        if (target < 0 || target >= stages.length) return;
+        setStages(prev => {
+            const next = [...prev];
+            [next[index], next[target]] = [next[target], next[index]];
+            return next;
+        });
+        setPreviews({});
+        setResults(null);
+    };
+
+    const handlePreview = async (index) => {
+        const opId = createOpId();
+        setPreviews(prev => ({ ...prev, [index]: { loading: true, opId } }));
+        try {
+            const pipeline = buildPipeline(index);
+            const data = await runAggregation(session, dbName, colName, pipeline, { limit: PREVIEW_LIMIT, opId });
+            setPreviews(prev => ({ ...prev, [index]: { documents: data.documents } }));
+        } catch (err) {
+            runQuery.reportInterrupted(err, `Stage ${index + 1} preview`);
+            setPreviews(prev => ({ ...prev, [index]: { error: err.message } }));
+        }
+    };
+
+    const handleRun = async () => {
+        setRunning(true);
+        setError(null);
+        setResults(null);
+        const opId = runQuery.start();
+        try {
+            const pipeline = buildPipeline();
+            const data = await runAggregation(session, dbName, colName, pipeline, { limit: resultLimit, opId });
+            setResults({ documents: data.documents });
+        } catch (err) {
+            if (!runQuery.reportInterrupted(err, 'Pipeline')) {
+                setError(err.message);
+            }
+        } finally {
+            runQuery.finish(opId);
+            setRunning(false);
+        }
+    };
+
+    const handleExplain = () => {
+        setError(null);
+        try {
+            onExplain(buildPipeline());
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    return (
+        <div style={{ marginBottom: '2rem', background: 'var(--panel-bg)', padding: '1.5rem', borderRadius: '8px', border: '1px solid var(--glass-border)', ...style }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1rem' }}>
+                <h3 style={{ fontSize: '1.1rem', color: '#e2e8f0' }}>Aggregation Pipeline</h3>
+                <button type="button" onClick={addStage} style={{
+                    background: 'rgba(255,255,255,0.1)', border: 'none', color: '#cbd5e1', cursor: 'pointer', padding: '0.4rem 0.8rem', borderRadius: '4px', fontSize: '0.9rem'
+                }}>+ Add Stage</button>
+            </div>
+
+            <div style={{ display: 'flex', flexDirection: 'column', gap: '1rem', marginBottom: '1.5rem' }}>
+                {stages.map((stage, idx) => {
+                    const preview = previews[idx];
+                    return (
+                        <div key={idx} style={{
+                            border: '1px solid var(--glass-border)',
+                            borderRadius: '6px',
+                            padding: '0.75rem',
+                            background: 'rgba(0,0,0,0.15)',
+                            opacity: stage.enabled ? 1 : 0.5
+                        }}>
+                            <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', marginBottom: '0.5rem' }}>
+                                <span style={{ color: '#64748b', fontSize: '0.8rem', minWidth: '20px' }}>{idx + 1}.</span>
+                                <select
+                                    value={stage.operator}
+                                    onChange={(e) => {
+                                        const operator = e.target.value;
+                                        updateStage(idx, { operator, body: STAGE_TEMPLATES[operator] ?? stage.body });
+                                    }}
+                                    style={{
+                                        background: 'rgba(0,0,0,0.3)', border: '1px solid var(--glass-border)', color: '#e2e8f0', padding: '0.4rem', borderRadius: '4px', minWidth: '130px'
+                                    }}
+                                >
+                                    {Object.keys(STAGE_TEMPLATES).map(op => <option key={op} value={op}>{op}</option>)}
+                                </select>
+                                <label style={{ display: 'flex', alignItems: 'center', gap: '4px', fontSize: '0.8rem', color: '#94a3b8' }}>
+                                    <input
+                                        type="checkbox"
+                                        checked={stage.enabled}
+                                        onChange={(e) => updateStage(idx, { enabled: e.target.checked })}
+                                    />
+                                    Enabled
+                                </label>
+                                <div style={{ marginLeft: 'auto', display: 'flex', gap: '4px' }}>
+                                    {preview?.loading ? (
+                                        <button type="button" onClick={() => cancelOperation(preview.opId).catch(() => { })} title="Cancel this preview" style={{
+                                            background: 'rgba(239, 68, 68, 0.15)', border: '1px solid rgba(239, 68, 68, 0.3)', color: '#f87171', cursor: 'pointer', padding: '0.3rem 0.6rem', borderRadius: '4px', fontSize: '0.8rem'
+                                        }}>... Cancel</button>
+                                    ) : (
+                                        <button type="button" onClick={() => handlePreview(idx)} title="Preview output of this stage" style={{
+                                            background: 'rgba(96, 165, 250, 0.2)', border: '1px solid rgba(96, 165, 250, 0.3)', color: '#93c5fd', cursor: 'pointer', padding: '0.3rem 0.6rem', borderRadius: '4px', fontSize: '0.8rem'
+                                        }}>▶ Preview</button>
+                                    )}
+                                    <button type="button" onClick={() => moveStage(idx, -1)} disabled={idx === 0} title="Move up" style={{
+                                        background: 'transparent', border: 'none', color: idx === 0 ? '#334155' : '#94a3b8', cursor: idx === 0 ? 'default' : 'pointer'
+                                    }}>▲</button>
+                                    <button type="button" onClick={() => moveStage(idx, 1)} disabled={idx === stages.length - 1} title="Move down" style={{
+                                        background: 'transparent', border: 'none', color: idx === stages.length - 1 ? '#334155' : '#94a3b8', cursor: idx === stages.length - 1 ? 'default' : 'pointer'
+                                    }}>▼</button>
+                                    <button type="button" onClick={() => removeStage(idx)} style={{
+                                        background: 'rgba(239, 68, 68, 0.2)', color: '#f87171', border: '1px solid rgba(239, 68, 68, 0.3)', borderRadius: '4px', width: '26px', height: '26px', cursor: 'pointer'
+                                    }}>✕</button>
+                                </div>
+                            </div>
+                            <textarea
+                                value={stage.body}
+                                onChange={(e) => updateStage(idx, { body: e.target.value })}
+                                style={{
+                                    width: '100%',
+                                    height: '90px',
+                                    background: 'rgba(0,0,0,0.4)',
+                                    border: '1px solid var(--glass-border)',
+                                    borderRadius: '4px',
+                                    color: '#bfdbfe',
+                                    fontFamily: 'monospace',
+                                    fontSize: '0.85rem',
+                                    padding: '0.5rem',
+                                    resize: 'vertical'
+                                }}
+                            />
+                            {preview?.error && (
+                                <div style={{ marginTop: '0.5rem', color: '#f87171', fontSize: '0.8rem' }}>{preview.error}</div>
+                            )}
+                            {preview?.documents && (
+                                <div style={{ marginTop: '0.5rem' }}>
+                                    <div style={{ fontSize: '0.75rem', color: '#94a3b8', marginBottom: '0.25rem' }}>
+                                        Output preview ({preview.documents.length}{preview.documents.length === PREVIEW_LIMIT ? '+' : ''} documents)
+                                    </div>
+                                    <div style={{ maxHeight: '200px', overflowY: 'auto', display: 'flex', flexDirection: 'column', gap: '0.5rem' }}>
+                                        {preview.documents.map((doc, docIdx) => (
+                                            <div key={docIdx} style={{ background: 'rgba(0,0,0,0.2)', borderRadius: '4px', padding: '0.5rem', fontSize: '0.85rem' }}>
+                                                <DocumentCard data={doc} isRoot={true} />
+                                            </div>
+                                        ))}
+                                        {preview.documents.length === 0 && (
+                                            <div style={{ color: '#64748b', fontSize: '0.8rem', fontStyle: 'italic' }}>No documents reach this stage.</div>
+                                        )}
+                                    </div>
+                                </div>
+                            )}
+                        </div>
+                    );
+                })}
+            </div>
+
+            {error && (
+                <div style={{ padding: '0.75rem', background: 'rgba(239, 68, 68, 0.1)', border: '1px solid rgba(239, 68, 68, 0.2)', color: '#f87171', borderRadius: '6px', marginBottom: '1rem', fontSize: '0.9rem' }}>
+                    {error}
+                </div>
+            )}
+
+            <div style={{ display: 'flex', alignItems: 'center', gap: '0.75rem', flexWrap: 'wrap' }}>
+                <button onClick={handleRun} disabled={running} style={{
+                    background: 'linear-gradient(to right, var(--primary), var(--accent))', color: 'white', border: 'none', padding: '0.6rem 1.5rem', borderRadius: '6px', fontWeight: 600, cursor: running ? 'wait' : 'pointer', opacity: running ? 0.7 : 1
+                }}>
+                    {running ? 'Running...' : 'Run Pipeline'}
+                </button>
+                {onExplain && (
+                    <button onClick={handleExplain} title="Show the pipeline's query plan on the canvas" style={{
+                        background: 'rgba(255,255,255,0.1)', color: '#cbd5e1', border: '1px solid var(--glass-border)', padding: '0.6rem 1rem', borderRadius: '6px', cursor: 'pointer'
+                    }}>
+                        🔍 Explain
+                    </button>
+                )}
+                {runQuery.running && (
+                    <button onClick={runQuery.cancel} style={{
+                        background: 'rgba(239, 68, 68, 0.15)', border: '1px solid rgba(239, 68, 68, 0.3)', color: '#f87171', padding: '0.6rem 1rem', borderRadius: '6px', cursor: 'pointer'
+                    }}>
+                        Cancel
+                    </button>
+                )}
+                <label style={{ fontSize: '0.8rem', color: '#94a3b8' }}>Limit:</label>
+                <input
+                    type="number"
+                    value={resultLimit}
+                    onChange={(e) => setResultLimit(e.target.value)}
+                    style={{
+                        background: 'rgba(0,0,0,0.2)', border: '1px solid var(--glass-border)', color: '#cbd5e1', padding: '0.25rem 0.5rem', borderRadius: '4px', width: '60px', textAlign: 'center'
+                    }}
+                />
+                {results && (
+                    <>
+                        <span style={{ fontSize: '0.85rem', color: '#94a3b8' }}>{results.documents.length} results</span>
+                        <button
+                            onClick={() => onSendToCanvas && onSendToCanvas(results.documents)}
+                            disabled={results.documents.length === 0}
+                            style={{
+                                background: 'rgba(255,255,255,0.05)', border: '1px solid var(--glass-border)', color: '#cbd5e1', padding: '0.5rem 1rem', borderRadius: '6px', cursor: results.documents.length === 0 ? 'not-allowed' : 'pointer'
+                            }}
+                        >
+                            ⇱ Send {results.documents.length} to Canvas
+                        </button>
+                    </>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default PipelineBuilder;
@@ -1,205 +1,405 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useMemo, useRef, useId } from 'react';
+import { parseQueryText } from '../api';
+import { isBsonValue, bsonToString } from '../utils/bson';
+import { OPERATOR_LABELS, BSON_TYPE_ALIASES, createGroup, createCondition, isGroup, buildQuery, parseQuery } from '../utils/queryModel';
 
-const QueryBuilder = ({ schema = {}, onRunQuery, onQueryChange, showRunButton = true, initialFilters = [], initialQuery = null, style = {} }) => {
-    const [filters, setFilters] = useState(initialFilters);
+const NUMERIC_TYPES = ['Int32', 'Double', 'Long', 'Decimal128', 'number'];
+
+// Filter value type for a schema type; arrays use their element type ("Array<ObjectId>" -> ObjectId)
+const toFilterType = (schemaType = '') => {
+    const type = schemaType.replace(/^Array<(.+)>$/, '$1');
+    if (NUMERIC_TYPES.includes(type)) return 'Number';
+    if (['Boolean', 'boolean'].includes(type)) return 'Boolean';
+    if (type === 'ObjectId' || type === 'Date') return type;
+    return 'string';
+};
+
+const GROUP_LABELS = { $and: 'AND', $or: 'OR', $nor: 'NOR' };
+const GROUP_COLORS = { $and: '#60a5fa', $or: '#fbbf24', $nor: '#f87171' };
+// Operators whose value is cast with the selected value type
+const TYPED_OPERATORS = ['=', '!=', '>', '>=', '<', '<=', 'in', 'nin'];
+
+const inputStyle = {
+    background: 'rgba(0,0,0,0.3)', border: '1px solid var(--glass-border)', color: '#e2e8f0', padding: '0.5rem', borderRadius: '4px'
+};
+const smallButtonStyle = {
+    background: 'rgba(255,255,255,0.1)', border: 'none', color: '#cbd5e1', cursor: 'pointer', padding: '0.25rem 0.6rem', borderRadius: '4px', fontSize: '0.8rem'
+};
+const removeButtonStyle = {
+    background: 'rgba(239, 68, 68, 0.2)', color: '#f87171', border: '1px solid rgba(239, 68, 68, 0.3)', borderRadius: '4px', width: '30px', height: '30px', cursor: 'pointer', display: 'flex', alignItems: 'center', justifyContent: 'center'
+};
+
+// Immutable update of the node at `path` (list of child indices from the root group)
+const updateAt = (group, path, updater) => {
+    if (path.length === 0) return updater(group);
+    const [index, ...rest] = path;
+    return {
+        ...group,
+        children: group.children.map((child, i) => i === index ? updateAt(child, rest, updater) : child)
+    };
+};
+
+// Text to put in a value input for a suggested value; nested objects/arrays aren't suggested
+const suggestionText = (value) => {
+    if (value === null) return null;
+    if (isBsonValue(value)) return bsonToString(value);
+    if (typeof value === 'object') return null;
+    return String(value);
+};
+
+// fetchSuggestions(field) resolves to { values: [{ value, count }], truncated } for value autocomplete.
+// onQueryChange gets null while a visual filter holds a value that can't be used, so nothing runs it.
+const QueryBuilder = ({ schema = {}, onRunQuery, onExplain, onQueryChange, fetchSuggestions, showRunButton = true, initialFilters = [], initialQuery = null, style = {} }) => {
+    const [root, setRoot] = useState(() => createGroup('$and', initialFilters.map(filter => ({ ...createCondition(), ...filter }))));
     const [jsonPreview, setJsonPreview] = useState('{}');
+    const [syncError, setSyncError] = useState(null); // { message, position } - why the text can't be shown as visual filters
     const initializedRef = useRef(false);
+    const skipJsonSyncRef = useRef(false); // Set when the visual tree was rebuilt from the JSON text
+    const textareaRef = useRef(null);
+    const parseTimerRef = useRef(null);
+    const parseRequestRef = useRef(0); // Drops server parse results for text that has since changed
+    // { source, byField: { [field]: { loading } | { values, truncated } | { error } } }
+    // Cached values belong to the fetcher that loaded them, so switching collection drops them
+    const [suggestionCache, setSuggestionCache] = useState({ source: null, byField: {} });
+    const suggestions = suggestionCache.source === fetchSuggestions ? suggestionCache.byField : {};
+    const datalistPrefix = useId();
+
+    // Distinct values are fetched once per field, the first time its value input gets focus
+    const loadSuggestions = async (field) => {
+        if (!fetchSuggestions || !field || suggestions[field]) return;
+        const source = fetchSuggestions;
+        const setEntry = (entry) => setSuggestionCache(prev => ({
+            source,
+            byField: { ...(prev.source === source ? prev.byField : {}), [field]: entry }
+        }));
+        setEntry({ loading: true });
+        try {
+            const data = await source(field);
+            setEntry({ values: data.values, truncated: data.truncated });
+        } catch (err) {
+            setEntry({ error: err.message });
+        }
+    };
+
+    // The visual filters as a query, or the reason one of their values can't be used
+    const built = useMemo(() => {
+        try {
+            return { query: buildQuery(root), error: null };
+        } catch (err) {
+            return { query: null, error: { message: err.message, path: err.path } };
+        }
+    }, [root]);
+    // Once the text has been edited it is what runs, whatever the visual filters hold
+    const invalidFilter = syncError ? null : built.error;
 
     // Convert schema object to array of keys for dropdown
     const schemaKeys = Object.keys(schema);
 
+    // Rebuild the visual filters from a filter object, keeping the text as the user wrote it
+    const applyParsedQuery = (query) => {
+        try {
+            const model = parseQuery(query);
+            skipJsonSyncRef.current = true;
+            setRoot(model);
+            setSyncError(null);
+        } catch (err) {
+            setSyncError({ message: err.message });
+        }
+    };
+
+    const handleJsonChange = (val) => {
+        setJsonPreview(val);
+        clearTimeout(parseTimerRef.current);
+        const requestId = ++parseRequestRef.current;
+
+        let parsed;
+        try {
+            parsed = JSON.parse(val);
+        } catch {
+            // Not JSON: pass the text on as-is and let the server parse it as mongosh syntax
+            // (ObjectId(), ISODate(), /regex/, unquoted keys...). A bad query is rejected there, never run as {}.
+            if (onQueryChange) onQueryChange(val);
+            parseTimerRef.current = setTimeout(async () => {
+                try {
+                    const query = await parseQueryText(val);
+                    if (requestId === parseRequestRef.current) applyParsedQuery(query);
+                } catch (err) {
+                    if (requestId === parseRequestRef.current) setSyncError({ message: err.message, position: err.position });
+                }
+            }, 400);
+            return;
+        }
+        if (onQueryChange) onQueryChange(parsed);
+        applyParsedQuery(parsed);
+    };
+
     useEffect(() => {
         if (!initializedRef.current) {
             initializedRef.current = true;
-            if (initialQuery && filters.length === 0 && Object.keys(initialQuery).length > 0) {
-                const json = JSON.stringify(initialQuery, null, 2);
-                setJsonPreview(json);
+            if (typeof initialQuery === 'string' && initialQuery.trim() && initialFilters.length === 0) {
+                handleJsonChange(initialQuery);
+                return;
+            }
+            if (initialQuery && typeof initialQuery === 'object' && initialFilters.length === 0 && Object.keys(initialQuery).length > 0) {
+                applyParsedQuery(initialQuery);
+                setJsonPreview(JSON.stringify(initialQuery, null, 2));
                 if (onQueryChange) onQueryChange(initialQuery);
                 return;
             }
         }
 
-        // Re-generate JSON when filters change
-        const query = {};
-        filters.forEach(filter => {
-            if (!filter.field || filter.value === '') return;
-
-            let val = filter.value;
-
-            // Type casting
-            try {
-                if (filter.type === 'Number') {
-                    val = Number(val);
-                } else if (filter.type === 'Boolean') {
-                    val = val === 'true';
-                } else if (filter.type === 'ObjectId') {
-                    val = { $oid: val };
-                } else if (filter.type === 'Date') {
-                    val = { $date: val };
-                }
-            } catch (e) {
-                console.warn("Failed to cast value", e);
-            }
+        // The JSON text is the source of this change; don't reformat it under the cursor
+        if (skipJsonSyncRef.current) {
+            skipJsonSyncRef.current = false;
+            return;
+        }
 
-            if (filter.operator === '=') {
-                query[filter.field] = val;
-            } else if (filter.operator === '!=') {
-                query[filter.field] = { $ne: val };
-            } else if (filter.operator === '>') {
-                query[filter.field] = { $gt: val };
-            } else if (filter.operator === '>=') {
-                query[filter.field] = { $gte: val };
-            } else if (filter.operator === '<') {
-                query[filter.field] = { $lt: val };
-            } else if (filter.operator === '<=') {
-                query[filter.field] = { $lte: val };
-            }
-        });
-        const json = JSON.stringify(query, null, 2);
-        setJsonPreview(json);
+        // Re-generate JSON when filters change; an invalid value keeps the last valid text
+        if (built.query) setJsonPreview(JSON.stringify(built.query, null, 2));
+        setSyncError(null);
         if (onQueryChange) {
-            onQueryChange(query);
+            onQueryChange(built.query);
         }
-    }, [filters, onQueryChange]);
+    }, [built, onQueryChange]);
+
+    const goToError = () => {
+        const textarea = textareaRef.current;
+        if (!textarea || syncError?.position === undefined) return;
+        textarea.focus();
+        textarea.setSelectionRange(syncError.position, syncError.position + 1);
+    };
+
+    // JSON text runs as an object, anything else goes to the server's mongosh parser
+    const currentQuery = () => {
+        try {
+            return JSON.parse(jsonPreview);
+        } catch {
+            return jsonPreview;
+        }
+    };
 
-    const addFilter = () => {
+    const newCondition = () => {
         const defaultField = schemaKeys[0] || '';
-        const defaultType = schema[defaultField] || 'string';
-        setFilters([...filters, {
-            field: defaultField,
-            operator: '=',
-            value: '',
-            type: defaultType
-        }]);
+        return createCondition(defaultField, toFilterType(schema[defaultField]));
     };
 
-    const removeFilter = (index) => {
-        const newFilters = [...filters];
-        newFilters.splice(index, 1);
-        setFilters(newFilters);
+    const addChild = (groupPath, child) => {
+        setRoot(prev => updateAt(prev, groupPath, group => ({ ...group, children: [...group.children, child] })));
     };
 
-    const updateFilter = (index, key, val) => {
-        const newFilters = [...filters];
-        newFilters[index][key] = val;
+    const removeNode = (path) => {
+        const parentPath = path.slice(0, -1);
+        const index = path[path.length - 1];
+        setRoot(prev => updateAt(prev, parentPath, group => ({ ...group, children: group.children.filter((_, i) => i !== index) })));
+    };
+
+    const updateCondition = (path, key, val) => {
+        setRoot(prev => updateAt(prev, path, condition => {
+            const next = { ...condition, [key]: val };
+            // If field changes, update type to default for that field
+            if (key === 'field') {
+                next.type = toFilterType(schema[val]);
+            }
+            // Operators with a fixed kind of operand start from a sensible value
+            if (key === 'operator') {
+                if (val === 'exists') next.value = 'true';
+                else if (val === 'type') next.value = BSON_TYPE_ALIASES[0];
+                else if (['exists', 'type'].includes(condition.operator)) next.value = '';
+            }
+            return next;
+        }));
+    };
 
-        // If field changes, update type to default for that field
-        if (key === 'field') {
-            newFilters[index].type = schema[val] || 'string';
-            // newFilters[index].value = ''; // FIX: Don't reset value on field change
+    const renderValueInput = (filter, path) => {
+        const update = (key) => (e) => updateCondition(path, key, e.target.value);
+        const isInvalid = invalidFilter?.path?.join('.') === path.join('.');
+        const valueStyle = isInvalid ? { ...inputStyle, border: '1px solid rgba(239, 68, 68, 0.6)' } : inputStyle;
+        const valueTitle = isInvalid ? invalidFilter.message : undefined;
+
+        if (filter.operator === 'exists') {
+            return (
+                <select value={filter.value} onChange={update('value')} style={{ ...inputStyle, flex: 1 }}>
+                    <option value="true">Field exists</option>
+                    <option value="false">Field is missing</option>
+                </select>
+            );
+        }
+        if (filter.operator === 'type') {
+            return (
+                <select value={filter.value} onChange={update('value')} style={{ ...inputStyle, flex: 1 }}>
+                    {BSON_TYPE_ALIASES.map(alias => <option key={alias} value={alias}>{alias}</option>)}
+                </select>
+            );
+        }
+        if (filter.operator === 'regex') {
+            return (
+                <>
+                    <input type="text" placeholder="Pattern, e.g. ^order-" value={filter.value} onChange={update('value')}
+                        style={{ ...inputStyle, flex: 1, minWidth: '150px', fontFamily: 'monospace' }} />
+                    <input type="text" placeholder="imsx" title="Regex flags (i, m, s, x)" value={filter.flags}
+                        onChange={(e) => updateCondition(path, 'flags', e.target.value.replace(/[^imsx]/g, ''))}
+                        style={{ ...inputStyle, width: '60px', fontFamily: 'monospace' }} />
+                </>
+            );
+        }
+        if (filter.operator === 'elemMatch') {
+            return (
+                <input type="text" placeholder='{ "status": "failed" }' value={filter.value} onChange={update('value')} title={valueTitle}
+                    style={{ ...valueStyle, flex: 1, minWidth: '150px', fontFamily: 'monospace' }} />
+            );
         }
+        if (filter.operator === 'size') {
+            return (
+                <input type="number" min="0" placeholder="Array length" value={filter.value} onChange={update('value')} title={valueTitle}
+                    style={{ ...valueStyle, flex: 1, minWidth: '100px' }} />
+            );
+        }
+        if (filter.type === 'Boolean' && filter.operator !== 'in' && filter.operator !== 'nin') {
+            return (
+                <select value={filter.value} onChange={update('value')} style={{ ...inputStyle, flex: 1 }}>
+                    <option value="">Select...</option>
+                    <option value="true">True</option>
+                    <option value="false">False</option>
+                </select>
+            );
+        }
+        const isList = filter.operator === 'in' || filter.operator === 'nin';
+        const fieldSuggestions = suggestions[filter.field];
+        const datalistId = `${datalistPrefix}-values-${path.join('-')}`;
+        return (
+            <>
+                <input
+                    type="text"
+                    placeholder={isList ? 'Comma separated values' : filter.type === 'ObjectId' ? '24 hex chars' : filter.type === 'Date' ? 'ISO Date String' : 'Value'}
+                    value={filter.value}
+                    onChange={update('value')}
+                    onFocus={() => loadSuggestions(filter.field)}
+                    list={fetchSuggestions && !isList ? datalistId : undefined}
+                    title={valueTitle || (fieldSuggestions?.loading ? 'Loading common values...' : fieldSuggestions?.error ? `No suggestions: ${fieldSuggestions.error}` : undefined)}
+                    style={{ ...valueStyle, flex: 1, minWidth: '150px' }}
+                />
+                {fieldSuggestions?.values && (
+                    <datalist id={datalistId}>
+                        {fieldSuggestions.values.map(({ value, count }) => {
+                            const text = suggestionText(value);
+                            return text === null ? null : <option key={text} value={text}>{`${count.toLocaleString()} docs`}</option>;
+                        })}
+                    </datalist>
+                )}
+            </>
+        );
+    };
+
+    const renderCondition = (filter, path) => (
+        <div key={path.join('.')} style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', flexWrap: 'wrap' }}>
+            <select
+                value={filter.field}
+                onChange={(e) => updateCondition(path, 'field', e.target.value)}
+                style={{ ...inputStyle, minWidth: '150px' }}
+            >
+                {schemaKeys.map(key => <option key={key} value={key}>{key}{schema[key] ? ` (${schema[key]})` : ''}</option>)}
+                {!schemaKeys.includes(filter.field) && filter.field && <option value={filter.field}>{filter.field}</option>}
+            </select>
+
+            {TYPED_OPERATORS.includes(filter.operator) && (
+                <select
+                    value={filter.type}
+                    onChange={(e) => updateCondition(path, 'type', e.target.value)}
+                    style={{ ...inputStyle, color: '#94a3b8', width: '100px', fontSize: '0.85rem' }}
+                >
+                    <option value="string">String</option>
+                    <option value="Number">Number</option>
+                    <option value="Boolean">Boolean</option>
+                    <option value="ObjectId">ObjectId</option>
+                    <option value="Date">Date</option>
+                </select>
+            )}
+
+            <select
+                value={filter.operator}
+                onChange={(e) => updateCondition(path, 'operator', e.target.value)}
+                style={{ ...inputStyle, width: '95px' }}
+            >
+                {Object.entries(OPERATOR_LABELS).map(([op, label]) => <option key={op} value={op}>{label}</option>)}
+            </select>
+
+            {renderValueInput(filter, path)}
 
-        setFilters(newFilters);
+            <button type="button" onClick={() => removeNode(path)} style={removeButtonStyle}>✕</button>
+        </div>
+    );
+
+    const renderGroup = (group, path) => {
+        const isRoot = path.length === 0;
+        return (
+            <div key={path.join('.')} style={{
+                display: 'flex',
+                flexDirection: 'column',
+                gap: '0.8rem',
+                ...(isRoot ? {} : {
+                    borderLeft: `2px solid ${GROUP_COLORS[group.op]}`,
+                    paddingLeft: '0.75rem',
+                    paddingTop: '0.25rem',
+                    paddingBottom: '0.25rem',
+                    background: 'rgba(0,0,0,0.1)',
+                    borderRadius: '0 4px 4px 0'
+                })
+            }}>
+                <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center' }}>
+                    <select
+                        value={group.op}
+                        onChange={(e) => setRoot(prev => updateAt(prev, path, g => ({ ...g, op: e.target.value })))}
+                        title="How the filters in this group combine"
+                        style={{ ...inputStyle, padding: '0.25rem 0.4rem', fontSize: '0.8rem', fontWeight: 600, color: GROUP_COLORS[group.op] }}
+                    >
+                        {Object.entries(GROUP_LABELS).map(([op, label]) => <option key={op} value={op}>{label}</option>)}
+                    </select>
+                    <button type="button" onClick={() => addChild(path, newCondition())} style={smallButtonStyle}>+ Filter</button>
+                    <button type="button" onClick={() => addChild(path, createGroup(group.op === '$and' ? '$or' : '$and'))} style={smallButtonStyle}>+ Group</button>
+                    {!isRoot && (
+                        <button type="button" onClick={() => removeNode(path)} title="Remove group" style={{ ...smallButtonStyle, marginLeft: 'auto', background: 'transparent', color: '#f87171' }}>✕ Group</button>
+                    )}
+                </div>
+                {group.children.map((child, idx) => isGroup(child)
+                    ? renderGroup(child, [...path, idx])
+                    : renderCondition(child, [...path, idx]))}
+            </div>
+        );
     };
 
     return (
         <div style={{ marginBottom: '2rem', background: 'var(--panel-bg)', padding: '1.5rem', borderRadius: '8px', border: '1px solid var(--glass-border)', ...style }}>
             <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1rem' }}>
                 <h3 style={{ fontSize: '1.1rem', color: '#e2e8f0' }}>Query Builder</h3>
-                <button type="button" onClick={addFilter} style={{
+                <button type="button" onClick={() => addChild([], newCondition())} style={{
                     background: 'rgba(255,255,255,0.1)', border: 'none', color: '#cbd5e1', cursor: 'pointer', padding: '0.4rem 0.8rem', borderRadius: '4px', fontSize: '0.9rem'
                 }}>+ Add Filter</button>
             </div>
 
-            {filters.length === 0 && (
+            {root.children.length === 0 && (
                 <div style={{ color: '#64748b', fontSize: '0.9rem', fontStyle: 'italic', marginBottom: '1rem' }}>
                     No filters active. Showing all documents.
                 </div>
             )}
 
-            <div style={{ display: 'flex', flexDirection: 'column', gap: '0.8rem', marginBottom: '1.5rem' }}>
-                {filters.map((filter, idx) => (
-                    <div key={idx} style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', flexWrap: 'wrap' }}>
-                        <select
-                            value={filter.field}
-                            onChange={(e) => updateFilter(idx, 'field', e.target.value)}
-                            style={{
-                                background: 'rgba(0,0,0,0.3)', border: '1px solid var(--glass-border)', color: '#e2e8f0', padding: '0.5rem', borderRadius: '4px', minWidth: '150px'
-                            }}
-                        >
-                            {schemaKeys.map(key => <option key={key} value={key}>{key}</option>)}
-                            {!schemaKeys.includes(filter.field) && filter.field && <option value={filter.field}>{filter.field}</option>}
-                        </select>
-
-                        <select
-                            value={filter.type}
-                            onChange={(e) => updateFilter(idx, 'type', e.target.value)}
-                            style={{
-                                background: 'rgba(0,0,0,0.3)', border: '1px solid var(--glass-border)', color: '#94a3b8', padding: '0.5rem', borderRadius: '4px', width: '100px', fontSize: '0.85rem'
-                            }}
-                        >
-                            <option value="string">String</option>
-                            <option value="Number">Number</option>
-                            <option value="Boolean">Boolean</option>
-                            <option value="ObjectId">ObjectId</option>
-                            <option value="Date">Date</option>
-                        </select>
-
-                        <select
-                            value={filter.operator}
-                            onChange={(e) => updateFilter(idx, 'operator', e.target.value)}
-                            style={{
-                                background: 'rgba(0,0,0,0.3)', border: '1px solid var(--glass-border)', color: '#e2e8f0', padding: '0.5rem', borderRadius: '4px', width: '60px'
-                            }}
-                        >
-                            <option value="=">=</option>
-                            <option value="!=">!=</option>
-                            <option value=">">&gt;</option>
-                            <option value=">=">&gt;=</option>
-                            <option value="<">&lt;</option>
-                            <option value="<=">&lt;=</option>
-                        </select>
-
-                        {filter.type === 'Boolean' ? (
-                            <select
-                                value={filter.value}
-                                onChange={(e) => updateFilter(idx, 'value', e.target.value)}
-                                style={{
-                                    background: 'rgba(0,0,0,0.3)', border: '1px solid var(--glass-border)', color: '#e2e8f0', padding: '0.5rem', borderRadius: '4px', flex: 1
-                                }}
-                            >
-                                <option value="">Select...</option>
-                                <option value="true">True</option>
-                                <option value="false">False</option>
-                            </select>
-                        ) : (
-                            <input
-                                type="text"
-                                placeholder={filter.type === 'ObjectId' ? '24 hex chars' : filter.type === 'Date' ? 'ISO Date String' : 'Value'}
-                                value={filter.value}
-                                onChange={(e) => updateFilter(idx, 'value', e.target.value)}
-                                style={{
-                                    background: 'rgba(0,0,0,0.3)', border: '1px solid var(--glass-border)', color: '#e2e8f0', padding: '0.5rem', borderRadius: '4px', flex: 1, minWidth: '150px'
-                                }}
-                            />
-                        )}
-
-                        <button type="button" onClick={() => removeFilter(idx)} style={{
-                            background: 'rgba(239, 68, 68, 0.2)', color: '#f87171', border: '1px solid rgba(239, 68, 68, 0.3)', borderRadius: '4px', width: '30px', height: '30px', cursor: 'pointer', display: 'flex', alignItems: 'center', justifyContent: 'center'
-                        }}>✕</button>
-                    </div>
-                ))}
-            </div>
+            {root.children.length > 0 && (
+                <div style={{ marginBottom: '1.5rem' }}>
+                    {renderGroup(root, [])}
+                </div>
+            )}
 
             <div style={{ marginBottom: '1rem' }}>
-                <div style={{ fontSize: '0.8rem', color: '#94a3b8', marginBottom: '0.5rem' }}>Query Preview (JSON) - <i>You can edit this manually</i></div>
+                <div style={{ fontSize: '0.8rem', color: '#94a3b8', marginBottom: '0.5rem' }}>Query Preview (JSON) - <i>You can edit this manually, or paste a mongosh filter</i></div>
                 <textarea
+                    ref={textareaRef}
                     value={jsonPreview}
-                    onChange={(e) => {
-                        const val = e.target.value;
-                        setJsonPreview(val);
-                        try {
-                            const parsed = JSON.parse(val);
-                            if (onQueryChange) onQueryChange(parsed);
-                        } catch (e) {
-                            // Invalid JSON, don't update query object yet
-                        }
-                    }}
+                    spellCheck={false}
+                    onChange={(e) => handleJsonChange(e.target.value)}
                     style={{
                         width: '100%',
                         height: '100px',
                         background: 'rgba(0,0,0,0.4)',
-                        border: '1px solid var(--glass-border)',
+                        border: `1px solid ${syncError ? 'rgba(251, 191, 36, 0.4)' : 'var(--glass-border)'}`,
                         borderRadius: '4px',
                         color: '#bfdbfe',
                         fontFamily: 'monospace',
@@ -208,14 +408,42 @@ const QueryBuilder = ({ schema = {}, onRunQuery, onQueryChange, showRunButton =
                         resize: 'vertical'
                     }}
                 />
+                {invalidFilter && (
+                    <div style={{ marginTop: '0.25rem', fontSize: '0.75rem', color: '#f87171' }}>
+                        ✕ {invalidFilter.message}. Fix the highlighted filter to run the query.
+                    </div>
+                )}
+                {syncError && (
+                    <div style={{ marginTop: '0.25rem', fontSize: '0.75rem', color: syncError.position !== undefined ? '#f87171' : '#fbbf24' }}>
+                        {syncError.position !== undefined ? (
+                            <>
+                                ✕ {syncError.message}{' '}
+                                <button type="button" onClick={goToError} style={{ background: 'transparent', border: 'none', color: '#93c5fd', cursor: 'pointer', padding: 0, fontSize: '0.75rem', textDecoration: 'underline' }}>Go to error</button>
+                            </>
+                        ) : (
+                            <>⚠ Visual filters not updated: {syncError.message}. Editing the filters above will replace this text.</>
+                        )}
+                    </div>
+                )}
             </div>
 
             {showRunButton && (
-                <button onClick={() => onRunQuery && onRunQuery(JSON.parse(jsonPreview))} style={{
-                    background: 'linear-gradient(to right, var(--primary), var(--accent))', color: 'white', border: 'none', padding: '0.6rem 1.5rem', borderRadius: '6px', fontWeight: 600, cursor: 'pointer'
-                }}>
-                    Run Query
-                </button>
+                <div style={{ display: 'flex', gap: '0.5rem' }}>
+                    <button onClick={() => onRunQuery && onRunQuery(currentQuery())} disabled={!!invalidFilter} style={{
+                        background: 'linear-gradient(to right, var(--primary), var(--accent))', color: 'white', border: 'none', padding: '0.6rem 1.5rem', borderRadius: '6px', fontWeight: 600,
+                        cursor: invalidFilter ? 'not-allowed' : 'pointer', opacity: invalidFilter ? 0.5 : 1
+                    }}>
+                        Run Query
+                    </button>
+                    {onExplain && (
+                        <button onClick={() => onExplain(currentQuery())} disabled={!!invalidFilter} title="Show the query plan on the canvas" style={{
+                            background: 'rgba(255,255,255,0.1)', color: '#cbd5e1', border: '1px solid var(--glass-border)', padding: '0.6rem 1rem', borderRadius: '6px',
+                            cursor: invalidFilter ? 'not-allowed' : 'pointer', opacity: invalidFilter ? 0.5 : 1
+                        }}>
+                            🔍 Explain
+                        </button>
+                    )}
+                </div>
             )}
         </div>
     );
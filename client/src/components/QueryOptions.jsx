@@ -0,0 +1,55 @@
+import React from 'react';
+
+// Sort, projection and timeout controls for find() queries
+const QueryOptions = ({ schema = {}, value, onChange, style = {} }) => {
+    const schemaKeys = Object.keys(schema);
+    const update = (key, val) => onChange({ ...value, [key]: val });
+
+    const inputStyle = {
+        background: 'rgba(0,0,0,0.3)', border: '1px solid var(--glass-border)', color: '#e2e8f0', padding: '0.4rem', borderRadius: '4px', fontSize: '0.85rem'
+    };
+
+    return (
+        <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', flexWrap: 'wrap', ...style }}>
+            <label style={{ fontSize: '0.8rem', color: '#94a3b8' }}>Sort:</label>
+            <select
+                value={value.sortField}
+                onChange={(e) => update('sortField', e.target.value)}
+                style={{ ...inputStyle, minWidth: '130px' }}
+            >
+                <option value="">Natural order</option>
+                {!schemaKeys.includes('_id') && <option value="_id">_id</option>}
+                {schemaKeys.map(key => <option key={key} value={key}>{key}</option>)}
+                {value.sortField && value.sortField !== '_id' && !schemaKeys.includes(value.sortField) && <option value={value.sortField}>{value.sortField}</option>}
+            </select>
+            <select
+                value={value.sortDirection}
+                onChange={(e) => update('sortDirection', Number(e.target.value))}
+                disabled={!value.sortField}
+                style={{ ...inputStyle, color: '#94a3b8', opacity: value.sortField ? 1 : 0.5 }}
+            >
+                <option value={-1}>Newest / Desc</option>
+                <option value={1}>Oldest / Asc</option>
+            </select>
+            <label style={{ fontSize: '0.8rem', color: '#94a3b8', marginLeft: '0.5rem' }}>Projection:</label>
+            <input
+                type="text"
+                placeholder='{ "name": 1, "status": 1 }'
+                value={value.projection}
+                onChange={(e) => update('projection', e.target.value)}
+                style={{ ...inputStyle, flex: 1, minWidth: '150px', fontFamily: 'monospace' }}
+            />
+            <label style={{ fontSize: '0.8rem', color: '#94a3b8', marginLeft: '0.5rem' }} title="Server-side time limit (maxTimeMS). Leave empty for the server default.">Timeout (s):</label>
+            <input
+                type="number"
+                min="1"
+                placeholder="30"
+                value={value.timeout ?? ''}
+                onChange={(e) => update('timeout', e.target.value)}
+                style={{ ...inputStyle, width: '64px' }}
+            />
+        </div>
+    );
+};
+
+export default QueryOptions;
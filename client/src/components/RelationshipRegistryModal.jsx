@@ -0,0 +1,376 @@
+import React, { useState, useRef } from 'react';
+import { useToast } from '../contexts/ToastContext';
+import { getRegistry, getKeyFields, replaceRegistryEntry, removeRegistryEntry, setRegistryKeyField, parseRegistryFile, importRegistry, exportRegistry } from '../utils/relationships';
+
+const fieldStyle = {
+    width: '100%',
+    padding: '0.4rem 0.5rem',
+    borderRadius: '6px',
+    border: '1px solid rgba(255,255,255,0.1)',
+    background: 'rgba(0,0,0,0.3)',
+    color: 'white',
+    fontSize: '0.85rem',
+    outline: 'none',
+    boxSizing: 'border-box'
+};
+
+const buttonStyle = {
+    padding: '0.4rem 0.8rem',
+    borderRadius: '6px',
+    border: '1px solid rgba(255,255,255,0.1)',
+    background: 'transparent',
+    color: '#e2e8f0',
+    cursor: 'pointer',
+    fontSize: '0.85rem'
+};
+
+const iconButtonStyle = { background: 'transparent', border: 'none', color: '#94a3b8', cursor: 'pointer', fontSize: '0.9rem', padding: '0 0.25rem' };
+
+const DRAFT_FIELDS = [
+    { key: 'database', label: 'Database', placeholder: 'shop' },
+    { key: 'collection', label: 'Collection', placeholder: 'any collection' },
+    { key: 'path', label: 'Field', placeholder: 'items.productId' },
+    { key: 'targetDatabase', label: 'Target database', placeholder: 'same database' },
+    { key: 'targetCollection', label: 'Target collection', placeholder: 'products' }
+];
+
+const KEY_FIELD_DRAFT_FIELDS = [
+    { key: 'database', label: 'Database', placeholder: 'shop' },
+    { key: 'collection', label: 'Collection', placeholder: 'customers' },
+    { key: 'path', label: 'Key field', placeholder: 'uuid' }
+];
+
+const labelStyle = { display: 'flex', flexDirection: 'column', gap: '0.25rem', color: '#cbd5e1', fontSize: '0.8rem' };
+
+// Lists, edits and shares the relationship registry: which collection a reference field points at,
+// keyed by database, collection (or any collection) and field path, plus the reference rules and key
+// fields that link keys other than ObjectIds. Quick connect, the connect modal and the link icons and
+// arrows on cards all read from it. Mounted only while open.
+const RelationshipRegistryModal = ({ onClose, onChange, defaultDatabase }) => {
+    const { showToast } = useToast();
+    const [entries, setEntries] = useState(getRegistry);
+    const [keyFields, setKeyFields] = useState(getKeyFields);
+    const [filter, setFilter] = useState('');
+    const [draft, setDraft] = useState(null); // { previous, database, collection, path, targetDatabase, targetCollection, rule, targetField, query? }
+    const [keyFieldDraft, setKeyFieldDraft] = useState(null); // { previous, database, collection, path }
+    const fileInputRef = useRef(null);
+
+    const updateEntries = (next) => {
+        setEntries(next);
+        onChange?.();
+    };
+
+    const updateKeyFields = (next) => {
+        setKeyFields(next);
+        onChange?.();
+    };
+
+    const search = filter.trim().toLowerCase();
+    const matchesSearch = (values) => !search || values.some(value => value && value.toLowerCase().includes(search));
+    const visibleEntries = entries
+        .filter(entry => matchesSearch([entry.database, entry.collection, entry.path, entry.targetDatabase, entry.targetCollection, entry.targetField]))
+        .sort((a, b) => `${a.database}.${a.collection || ''}.${a.path}`.localeCompare(`${b.database}.${b.collection || ''}.${b.path}`));
+    const visibleKeyFields = keyFields
+        .filter(keyField => matchesSearch([keyField.database, keyField.collection, keyField.path]))
+        .sort((a, b) => `${a.database}.${a.collection}`.localeCompare(`${b.database}.${b.collection}`));
+    const isEmpty = entries.length === 0 && keyFields.length === 0;
+
+    const canSave = !!draft && !!draft.database.trim() && !!draft.path.trim() && !!draft.targetCollection.trim();
+    const canSaveKeyField = !!keyFieldDraft && KEY_FIELD_DRAFT_FIELDS.every(({ key }) => keyFieldDraft[key].trim());
+
+    const handleSave = (e) => {
+        e.preventDefault();
+        if (!canSave) return;
+        const database = draft.database.trim();
+        updateEntries(replaceRegistryEntry(draft.previous, {
+            database,
+            collection: draft.collection.trim() || null,
+            path: draft.path.trim(),
+            targetDatabase: draft.targetDatabase.trim() || database,
+            targetCollection: draft.targetCollection.trim(),
+            ...(draft.query ? { query: draft.query } : {}),
+            ...(draft.rule ? { rule: true } : {}),
+            ...(draft.rule && draft.targetField.trim() ? { targetField: draft.targetField.trim() } : {})
+        }));
+        setDraft(null);
+    };
+
+    const handleSaveKeyField = (e) => {
+        e.preventDefault();
+        if (!canSaveKeyField) return;
+        const { previous } = keyFieldDraft;
+        if (previous) setRegistryKeyField(previous.database, previous.collection, null);
+        updateKeyFields(setRegistryKeyField(keyFieldDraft.database.trim(), keyFieldDraft.collection.trim(), keyFieldDraft.path.trim()));
+        setKeyFieldDraft(null);
+    };
+
+    const handleDeleteKeyField = (keyField) => {
+        if (!window.confirm(`Forget the key field of ${keyField.database}.${keyField.collection}?`)) return;
+        updateKeyFields(setRegistryKeyField(keyField.database, keyField.collection, null));
+    };
+
+    const handleDelete = (entry) => {
+        if (!window.confirm(`Forget where ${entry.collection || '*'}.${entry.path} points?`)) return;
+        updateEntries(removeRegistryEntry(entry));
+        if (draft?.previous === entry) setDraft(null);
+    };
+
+    const handleExport = () => {
+        const blob = new Blob([JSON.stringify(exportRegistry(), null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `mongoDV-relationships-${new Date().toISOString().slice(0, 10)}.json`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    };
+
+    const handleImportFile = (e) => {
+        const file = e.target.files[0];
+        e.target.value = ''; // Allow picking the same file again
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = (event) => {
+            try {
+                const { added, updated } = importRegistry(parseRegistryFile(JSON.parse(event.target.result)));
+                updateEntries(getRegistry());
+                setKeyFields(getKeyFields());
+                showToast(`Imported relationships and key fields: ${added} added, ${updated} updated`, 'success', 3000);
+            } catch (err) {
+                showToast(`Import failed: ${err.message}`, 'error', 4000);
+            }
+        };
+        reader.readAsText(file);
+    };
+
+    const startEdit = (entry) => setDraft({
+        previous: entry,
+        database: entry.database,
+        collection: entry.collection || '',
+        path: entry.path,
+        targetDatabase: entry.targetDatabase || '',
+        targetCollection: entry.targetCollection,
+        rule: !!entry.rule,
+        targetField: entry.targetField || '',
+        query: entry.query
+    });
+
+    const startAdd = () => setDraft({
+        previous: null,
+        database: defaultDatabase || '',
+        collection: '',
+        path: '',
+        targetDatabase: '',
+        targetCollection: '',
+        rule: false,
+        targetField: ''
+    });
+
+    return (
+        <div style={{
+            position: 'fixed',
+            top: 0,
+            left: 0,
+            right: 0,
+            bottom: 0,
+            background: 'rgba(0,0,0,0.7)',
+            backdropFilter: 'blur(5px)',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            zIndex: 2000
+        }}
+            onClick={onClose}
+        >
+            <div style={{
+                background: '#1e293b',
+                border: '1px solid rgba(255,255,255,0.1)',
+                borderRadius: '12px',
+                width: '100%',
+                maxWidth: '720px',
+                maxHeight: '85vh',
+                padding: '1.5rem',
+                boxShadow: '0 20px 25px -5px rgba(0, 0, 0, 0.5), 0 8px 10px -6px rgba(0, 0, 0, 0.5)',
+                display: 'flex',
+                flexDirection: 'column',
+                gap: '1rem'
+            }}
+                onClick={e => e.stopPropagation()}
+            >
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                    <h2 style={{ margin: 0, fontSize: '1.25rem', color: '#f8fafc' }}>Relationship registry</h2>
+                    <button
+                        onClick={onClose}
+                        style={{ background: 'transparent', border: 'none', color: '#94a3b8', cursor: 'pointer', fontSize: '1.2rem' }}
+                    >
+                        ✕
+                    </button>
+                </div>
+
+                <div style={{ fontSize: '0.85rem', color: '#94a3b8' }}>
+                    Where reference fields point, learned from quick connect or added by hand. An entry without a
+                    collection applies to the field in every collection of its database. Reference rules link keys
+                    that are not ObjectIds, by a target field or else the target collection's key field.
+                </div>
+
+                <div style={{ display: 'flex', gap: '0.5rem' }}>
+                    <input
+                        type="text"
+                        value={filter}
+                        onChange={(e) => setFilter(e.target.value)}
+                        placeholder="Filter by database, collection or field…"
+                        style={{ ...fieldStyle, flex: 1 }}
+                    />
+                    <button type="button" onClick={startAdd} style={buttonStyle}>+ Add</button>
+                    <button type="button" onClick={() => fileInputRef.current?.click()} style={buttonStyle}>Import</button>
+                    <button type="button" onClick={handleExport} disabled={isEmpty} style={{ ...buttonStyle, opacity: isEmpty ? 0.5 : 1 }}>Export</button>
+                    <input ref={fileInputRef} type="file" accept=".json,application/json" onChange={handleImportFile} style={{ display: 'none' }} />
+                </div>
+
+                {draft && (
+                    <form onSubmit={handleSave} style={{ display: 'flex', flexDirection: 'column', gap: '0.75rem', padding: '0.75rem', borderRadius: '8px', background: 'rgba(0,0,0,0.2)' }}>
+                        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: '0.5rem' }}>
+                            {DRAFT_FIELDS.map(({ key, label, placeholder }) => (
+                                <label key={key} style={labelStyle}>
+                                    {label}
+                                    <input
+                                        type="text"
+                                        value={draft[key]}
+                                        placeholder={placeholder}
+                                        onChange={(e) => setDraft(prev => ({ ...prev, [key]: e.target.value }))}
+                                        style={fieldStyle}
+                                    />
+                                </label>
+                            ))}
+                            {draft.rule && (
+                                <label style={labelStyle}>
+                                    Target field
+                                    <input
+                                        type="text"
+                                        value={draft.targetField}
+                                        placeholder="key field, else _id"
+                                        onChange={(e) => setDraft(prev => ({ ...prev, targetField: e.target.value }))}
+                                        style={fieldStyle}
+                                    />
+                                </label>
+                            )}
+                        </div>
+                        <label style={{ display: 'flex', alignItems: 'center', gap: '0.4rem', color: '#cbd5e1', fontSize: '0.8rem' }}>
+                            <input
+                                type="checkbox"
+                                checked={draft.rule}
+                                onChange={(e) => setDraft(prev => ({ ...prev, rule: e.target.checked }))}
+                            />
+                            Reference rule: the field holds a key other than an ObjectId
+                        </label>
+                        <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '0.5rem' }}>
+                            <button type="button" onClick={() => setDraft(null)} style={buttonStyle}>Cancel</button>
+                            <button
+                                type="submit"
+                                disabled={!canSave}
+                                style={{ ...buttonStyle, border: 'none', background: 'var(--primary)', color: 'white', fontWeight: 600, cursor: canSave ? 'pointer' : 'not-allowed', opacity: canSave ? 1 : 0.5 }}
+                            >
+                                {draft.previous ? 'Save' : 'Add'}
+                            </button>
+                        </div>
+                    </form>
+                )}
+
+                <div style={{ overflowY: 'auto', display: 'flex', flexDirection: 'column', gap: '0.25rem' }}>
+                    {visibleEntries.length === 0 && (
+                        <div style={{ color: '#64748b', fontSize: '0.85rem', textAlign: 'center', padding: '1rem' }}>
+                            {entries.length === 0 ? 'No relationships yet. Quick connect a field, or add one by hand.' : 'No relationships match the filter.'}
+                        </div>
+                    )}
+                    {visibleEntries.map(entry => (
+                        <div
+                            key={`${entry.database}|${entry.collection || ''}|${entry.path}`}
+                            style={{
+                                display: 'flex',
+                                alignItems: 'center',
+                                gap: '0.5rem',
+                                padding: '0.4rem 0.5rem',
+                                borderRadius: '6px',
+                                background: draft?.previous === entry ? 'rgba(96, 165, 250, 0.15)' : 'rgba(255,255,255,0.03)',
+                                fontFamily: 'monospace',
+                                fontSize: '0.85rem'
+                            }}
+                        >
+                            <span style={{ color: '#64748b' }}>{entry.database}</span>
+                            <span style={{ color: entry.collection ? '#e2e8f0' : '#64748b', fontStyle: entry.collection ? 'normal' : 'italic' }}>
+                                {entry.collection || 'any'}
+                            </span>
+                            <span style={{ color: '#fbbf24' }}>{entry.path}</span>
+                            <span style={{ color: '#64748b' }}>→</span>
+                            <span style={{ color: '#60a5fa', flex: 1 }}>
+                                {entry.targetDatabase && entry.targetDatabase !== entry.database ? `${entry.targetDatabase}.` : ''}{entry.targetCollection}
+                                {entry.rule && <span style={{ color: '#a78bfa' }}>.{entry.targetField || 'key'}</span>}
+                            </span>
+                            {entry.rule && <span title="Reference rule: links a key other than an ObjectId" style={{ color: '#a78bfa', fontSize: '0.75rem' }}>rule</span>}
+                            {entry.query && <span title={JSON.stringify(entry.query)} style={{ color: '#94a3b8', fontSize: '0.75rem' }}>query</span>}
+                            <button type="button" onClick={() => startEdit(entry)} title="Edit" style={iconButtonStyle}>✎</button>
+                            <button type="button" onClick={() => handleDelete(entry)} title="Delete" style={iconButtonStyle}>🗑</button>
+                        </div>
+                    ))}
+
+                    <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: '0.75rem' }}>
+                        <h3 style={{ margin: 0, fontSize: '0.95rem', color: '#f8fafc' }}>Key fields</h3>
+                        <button
+                            type="button"
+                            onClick={() => setKeyFieldDraft({ previous: null, database: defaultDatabase || '', collection: '', path: '' })}
+                            style={buttonStyle}
+                        >
+                            + Add key field
+                        </button>
+                    </div>
+                    {keyFieldDraft && (
+                        <form onSubmit={handleSaveKeyField} style={{ display: 'flex', alignItems: 'flex-end', gap: '0.5rem', padding: '0.75rem', borderRadius: '8px', background: 'rgba(0,0,0,0.2)' }}>
+                            {KEY_FIELD_DRAFT_FIELDS.map(({ key, label, placeholder }) => (
+                                <label key={key} style={{ ...labelStyle, flex: 1 }}>
+                                    {label}
+                                    <input
+                                        type="text"
+                                        value={keyFieldDraft[key]}
+                                        placeholder={placeholder}
+                                        onChange={(e) => setKeyFieldDraft(prev => ({ ...prev, [key]: e.target.value }))}
+                                        style={fieldStyle}
+                                    />
+                                </label>
+                            ))}
+                            <button type="button" onClick={() => setKeyFieldDraft(null)} style={buttonStyle}>Cancel</button>
+                            <button
+                                type="submit"
+                                disabled={!canSaveKeyField}
+                                style={{ ...buttonStyle, border: 'none', background: 'var(--primary)', color: 'white', fontWeight: 600, cursor: canSaveKeyField ? 'pointer' : 'not-allowed', opacity: canSaveKeyField ? 1 : 0.5 }}
+                            >
+                                Save
+                            </button>
+                        </form>
+                    )}
+                    {visibleKeyFields.length === 0 && (
+                        <div style={{ color: '#64748b', fontSize: '0.85rem', textAlign: 'center', padding: '0.5rem' }}>
+                            {keyFields.length === 0 ? 'No key fields. Rules without a target field match _id.' : 'No key fields match the filter.'}
+                        </div>
+                    )}
+                    {visibleKeyFields.map(keyField => (
+                        <div
+                            key={`${keyField.database}|${keyField.collection}`}
+                            style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', padding: '0.4rem 0.5rem', borderRadius: '6px', background: 'rgba(255,255,255,0.03)', fontFamily: 'monospace', fontSize: '0.85rem' }}
+                        >
+                            <span style={{ color: '#64748b' }}>{keyField.database}</span>
+                            <span style={{ color: '#e2e8f0' }}>{keyField.collection}</span>
+                            <span style={{ color: '#a78bfa', flex: 1 }}>{keyField.path}</span>
+                            <button type="button" onClick={() => setKeyFieldDraft({ previous: keyField, ...keyField })} title="Edit" style={iconButtonStyle}>✎</button>
+                            <button type="button" onClick={() => handleDeleteKeyField(keyField)} title="Delete" style={iconButtonStyle}>🗑</button>
+                        </div>
+                    ))}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default RelationshipRegistryModal;
@@ -0,0 +1,155 @@
+import React, { useState } from 'react';
+import ValueHistogram from './ValueHistogram';
+
+const TYPE_COLORS = {
+    String: '#4ade80',
+    Int32: '#60a5fa',
+    Double: '#60a5fa',
+    Long: '#3b82f6',
+    Decimal128: '#2563eb',
+    Boolean: '#f472b6',
+    ObjectId: '#fbbf24',
+    Date: '#a78bfa',
+    Object: '#94a3b8',
+    Array: '#22d3ee',
+    Null: '#475569',
+    UUID: '#fb923c',
+    Binary: '#fb923c'
+};
+
+const SAMPLE_SIZES = [100, 500, 1000, 5000];
+
+const percent = (ratio) => `${Math.round(ratio * 100)}%`;
+
+// One horizontal bar split by how often each type was seen for a field
+const TypeBar = ({ types }) => {
+    const total = Object.values(types).reduce((sum, n) => sum + n, 0);
+    const entries = Object.entries(types).sort((a, b) => b[1] - a[1]);
+    return (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '3px', minWidth: '140px' }}>
+            <div style={{ display: 'flex', height: '6px', borderRadius: '3px', overflow: 'hidden', background: 'rgba(255,255,255,0.05)' }}>
+                {entries.map(([type, n]) => (
+                    <div key={type} title={`${type}: ${n}`} style={{ width: percent(n / total), background: TYPE_COLORS[type] || '#cbd5e1' }} />
+                ))}
+            </div>
+            <div style={{ display: 'flex', gap: '6px', flexWrap: 'wrap', fontSize: '0.7rem' }}>
+                {entries.map(([type, n]) => (
+                    <span key={type} style={{ color: TYPE_COLORS[type] || '#cbd5e1' }}>
+                        {type} {entries.length > 1 && <span style={{ color: '#64748b' }}>{percent(n / total)}</span>}
+                    </span>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+// Sampled schema of a collection: every nested dot path with its type mix and how many documents have it
+// fetchValues(field) backs the per-field values histogram; onCancel is set while a sample can be cancelled
+const SchemaPanel = ({ stats, loading = false, sampleSize, onResample, onCancel, fetchValues, style = {} }) => {
+    const [histogramField, setHistogramField] = useState(null);
+
+    return (
+        <div style={{ marginBottom: '2rem', background: 'var(--panel-bg)', padding: '1.5rem', borderRadius: '8px', border: '1px solid var(--glass-border)', ...style }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1rem', gap: '0.5rem' }}>
+                <h3 style={{ fontSize: '1.1rem', color: '#e2e8f0' }}>
+                    Schema
+                    {stats && <span style={{ fontSize: '0.8rem', color: '#64748b', fontWeight: 400, marginLeft: '0.5rem' }}>sampled {stats.sampleSize.toLocaleString()} documents</span>}
+                </h3>
+                <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                    <select
+                        value={sampleSize}
+                        onChange={(e) => onResample && onResample(Number(e.target.value))}
+                        disabled={loading}
+                        style={{ background: 'rgba(0,0,0,0.3)', border: '1px solid var(--glass-border)', color: '#94a3b8', padding: '0.3rem', borderRadius: '4px', fontSize: '0.8rem' }}
+                    >
+                        {SAMPLE_SIZES.map(size => <option key={size} value={size}>Sample {size}</option>)}
+                    </select>
+                    <button type="button" onClick={() => onResample && onResample(sampleSize)} disabled={loading} style={{
+                        background: 'rgba(255,255,255,0.1)', border: 'none', color: '#cbd5e1', cursor: loading ? 'wait' : 'pointer', padding: '0.3rem 0.7rem', borderRadius: '4px', fontSize: '0.8rem'
+                    }}>{loading ? '...' : '🔄 Resample'}</button>
+                    {loading && onCancel && (
+                        <button type="button" onClick={onCancel} style={{
+                            background: 'rgba(239, 68, 68, 0.15)', border: 'none', color: '#f87171', cursor: 'pointer', padding: '0.3rem 0.7rem', borderRadius: '4px', fontSize: '0.8rem'
+                        }}>Cancel</button>
+                    )}
+                </div>
+            </div>
+
+            {!stats || stats.fields.length === 0 ? (
+                <div style={{ color: '#64748b', fontSize: '0.9rem', fontStyle: 'italic' }}>
+                    {loading ? 'Sampling documents...' : 'No fields found.'}
+                </div>
+            ) : (
+                <div style={{ maxHeight: '400px', overflowY: 'auto', display: 'flex', flexDirection: 'column' }}>
+                    {stats.fields.map(field => {
+                        const depth = field.path.split('.').length - 1;
+                        return (
+                            <React.Fragment key={field.path}>
+                                <div style={{
+                                    display: 'flex',
+                                    alignItems: 'center',
+                                    gap: '1rem',
+                                    padding: '0.4rem 0',
+                                    borderBottom: '1px solid rgba(255,255,255,0.04)'
+                                }}>
+                                    <span title={field.path} style={{
+                                        flex: 1,
+                                        paddingLeft: `${depth}rem`,
+                                        fontFamily: 'monospace',
+                                        fontSize: '0.85rem',
+                                        color: depth === 0 ? '#e2e8f0' : '#cbd5e1',
+                                        overflow: 'hidden',
+                                        textOverflow: 'ellipsis',
+                                        whiteSpace: 'nowrap'
+                                    }}>
+                                        {depth > 0 && <span style={{ color: '#475569' }}>└ </span>}
+                                        {field.path.split('.').pop()}
+                                    </span>
+                                    <TypeBar types={field.types} />
+                                    {field.itemTypes && (
+                                        <span title="Array element types" style={{ fontSize: '0.7rem', color: '#64748b', whiteSpace: 'nowrap' }}>
+                                            [{Object.keys(field.itemTypes).join(' | ')}]
+                                        </span>
+                                    )}
+                                    <span title={`${field.count} of ${stats.sampleSize} sampled documents have this field`} style={{
+                                        width: '48px',
+                                        textAlign: 'right',
+                                        fontSize: '0.8rem',
+                                        color: field.probability < 1 ? '#fbbf24' : '#64748b'
+                                    }}>{percent(field.probability)}</span>
+                                    {fetchValues && (
+                                        <button
+                                            type="button"
+                                            onClick={() => setHistogramField(histogramField === field.path ? null : field.path)}
+                                            disabled={field.dominantType === 'Object'}
+                                            title={field.dominantType === 'Object' ? 'Sub-documents have no value histogram' : 'Values histogram'}
+                                            style={{
+                                                background: histogramField === field.path ? 'rgba(96, 165, 250, 0.2)' : 'transparent',
+                                                border: 'none',
+                                                borderRadius: '4px',
+                                                cursor: field.dominantType === 'Object' ? 'default' : 'pointer',
+                                                opacity: field.dominantType === 'Object' ? 0.2 : 0.8,
+                                                fontSize: '0.8rem'
+                                            }}
+                                        >📊</button>
+                                    )}
+                                </div>
+                                {histogramField === field.path && (
+                                    // Shown inline: the list scrolls, so an absolutely positioned popover would be clipped
+                                    <ValueHistogram
+                                        field={field.path}
+                                        loadValues={fetchValues}
+                                        onClose={() => setHistogramField(null)}
+                                        style={{ position: 'static', width: 'auto', margin: '0.25rem 0 0.5rem' }}
+                                    />
+                                )}
+                            </React.Fragment>
+                        );
+                    })}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default SchemaPanel;
@@ -0,0 +1,79 @@
+import React, { useState, useEffect } from 'react';
+import { isBsonValue, bsonToString } from '../utils/bson';
+
+const formatValue = (value) => {
+    if (value === null) return 'null';
+    if (isBsonValue(value)) return bsonToString(value);
+    if (typeof value === 'object') return JSON.stringify(value);
+    if (typeof value === 'string') return `"${value}"`;
+    return String(value);
+};
+
+// Popover with the most common values of a field, as horizontal bars
+const ValueHistogram = ({ field, loadValues, onClose, style = {} }) => {
+    const [state, setState] = useState({ loading: true });
+
+    useEffect(() => {
+        let cancelled = false;
+        loadValues(field)
+            .then(data => !cancelled && setState({ data }))
+            .catch(err => !cancelled && setState({ error: err.message }));
+        return () => { cancelled = true; };
+    }, [field, loadValues]);
+
+    const values = state.data?.values || [];
+    const max = Math.max(1, ...values.map(v => v.count));
+
+    return (
+        <div
+            onClick={(e) => e.stopPropagation()}
+            style={{
+                position: 'absolute',
+                top: '100%',
+                right: 0,
+                zIndex: 20,
+                width: '340px',
+                maxHeight: '320px',
+                overflowY: 'auto',
+                background: '#1e293b',
+                border: '1px solid var(--glass-border)',
+                borderRadius: '8px',
+                padding: '0.75rem',
+                boxShadow: '0 10px 25px rgba(0,0,0,0.5)',
+                ...style
+            }}
+        >
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '0.5rem' }}>
+                <span style={{ fontSize: '0.8rem', color: '#e2e8f0', fontFamily: 'monospace' }}>{field}</span>
+                <button type="button" onClick={onClose} style={{ background: 'transparent', border: 'none', color: '#94a3b8', cursor: 'pointer' }}>✕</button>
+            </div>
+
+            {state.loading && <div style={{ fontSize: '0.8rem', color: '#64748b' }}>Counting values...</div>}
+            {state.error && <div style={{ fontSize: '0.8rem', color: '#f87171' }}>{state.error}</div>}
+            {state.data && values.length === 0 && <div style={{ fontSize: '0.8rem', color: '#64748b', fontStyle: 'italic' }}>No values found.</div>}
+
+            {values.map(({ value, count }) => (
+                <div key={formatValue(value)} style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', marginBottom: '4px', fontSize: '0.75rem' }}>
+                    <span title={formatValue(value)} style={{ width: '120px', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap', color: '#cbd5e1', fontFamily: 'monospace' }}>
+                        {formatValue(value)}
+                    </span>
+                    <div style={{ flex: 1, height: '8px', background: 'rgba(255,255,255,0.05)', borderRadius: '4px', overflow: 'hidden' }}>
+                        <div style={{ width: `${(count / max) * 100}%`, height: '100%', background: 'var(--primary)' }} />
+                    </div>
+                    <span style={{ width: '48px', textAlign: 'right', color: '#94a3b8' }}>{count.toLocaleString()}</span>
+                </div>
+            ))}
+
+            {state.data && (
+                <div style={{ marginTop: '0.5rem', fontSize: '0.7rem', color: '#64748b' }}>
+                    {state.data.truncated
+                        ? `Top ${values.length} of ${state.data.distinctCount.toLocaleString()} distinct values`
+                        : `${state.data.distinctCount.toLocaleString()} distinct values`}
+                    {` · up to ${state.data.scanLimit.toLocaleString()} documents scanned`}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ValueHistogram;
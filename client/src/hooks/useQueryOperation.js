@@ -0,0 +1,47 @@
+import { useState, useCallback } from 'react';
+import { createOpId, cancelOperation } from '../api';
+import { useToast } from '../contexts/ToastContext';
+
+// Tracks the running query of a component so it can be cancelled on the server.
+// start() returns the opId to send with the request; finish(opId) clears it once the request settles.
+const useQueryOperation = () => {
+    const { showToast } = useToast();
+    const [opId, setOpId] = useState(null);
+
+    const start = useCallback(() => {
+        const id = createOpId();
+        setOpId(id);
+        return id;
+    }, []);
+
+    const finish = useCallback((id) => {
+        setOpId(current => current === id ? null : current);
+    }, []);
+
+    const cancel = useCallback(async () => {
+        if (!opId) return;
+        try {
+            await cancelOperation(opId);
+        } catch (err) {
+            showToast('Cancel failed: ' + err.message, 'error');
+        }
+    }, [opId, showToast]);
+
+    // Timeouts and cancels get their own toasts; returns false for any other error so the
+    // caller can report it the usual way
+    const reportInterrupted = useCallback((err, action = 'Query') => {
+        if (err.code === 'TIMEOUT') {
+            showToast(`${action} timed out on the server. Narrow the filter or raise the timeout.`, 'warning', 5000);
+            return true;
+        }
+        if (err.code === 'CANCELLED') {
+            showToast(`${action} cancelled`, 'info', 2000);
+            return true;
+        }
+        return false;
+    }, [showToast]);
+
+    return { running: opId !== null, start, finish, cancel, reportInterrupted };
+};
+
+export default useQueryOperation;
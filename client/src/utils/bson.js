@@ -0,0 +1,145 @@
+// Helpers for MongoDB Extended JSON (EJSON) values.
+// Documents arrive from the server as canonical EJSON and are kept in that shape
+// (e.g. { $oid: '...' }, { $date: '...' }) so the real BSON type survives rendering,
+// copy/paste, saves and exports. Only plain int/double wrappers are unwrapped.
+
+// Single-key wrapper -> BSON type name
+const TYPE_KEYS = {
+    $oid: 'ObjectId',
+    $date: 'Date',
+    $numberInt: 'Int32',
+    $numberLong: 'Long',
+    $numberDouble: 'Double',
+    $numberDecimal: 'Decimal128',
+    $binary: 'Binary',
+    $uuid: 'UUID',
+    $timestamp: 'Timestamp',
+    $regularExpression: 'RegExp',
+    $symbol: 'Symbol',
+    $code: 'Code',
+    $minKey: 'MinKey',
+    $maxKey: 'MaxKey'
+};
+
+const UUID_SUBTYPES = ['03', '04'];
+
+// DBRefs stay plain objects in EJSON: { $ref: collection, $id: value } with an optional $db
+const DBREF_KEYS = ['$ref', '$id', '$db'];
+
+// Returns the BSON type name of an EJSON wrapper, or null for plain values
+export const getBsonType = (value) => {
+    if (typeof value !== 'object' || value === null || Array.isArray(value)) return null;
+    const keys = Object.keys(value);
+    if (keys.length === 0) return null;
+    if (typeof value.$ref === 'string' && '$id' in value && keys.every(key => DBREF_KEYS.includes(key))) return 'DBRef';
+    // $code may carry a $scope alongside it; every other wrapper has a single key
+    if (keys.length > 1 && !(keys.length === 2 && '$code' in value && '$scope' in value)) return null;
+    const type = TYPE_KEYS['$code' in value ? '$code' : keys[0]];
+    if (!type) return null;
+    if (type === 'Binary' && UUID_SUBTYPES.includes(value.$binary?.subType)) return 'UUID';
+    return type;
+};
+
+export const isBsonValue = (value) => getBsonType(value) !== null;
+
+const base64ToHex = (base64) => {
+    try {
+        return Array.from(atob(base64), c => c.charCodeAt(0).toString(16).padStart(2, '0')).join('');
+    } catch {
+        return null;
+    }
+};
+
+// Converts a Date wrapper (canonical or relaxed) or any date-like value to a Date
+export const toDate = (value) => {
+    if (getBsonType(value) === 'Date') {
+        const raw = value.$date;
+        if (typeof raw === 'object' && raw !== null && raw.$numberLong !== undefined) {
+            return new Date(Number(raw.$numberLong));
+        }
+        return new Date(raw);
+    }
+    return new Date(value);
+};
+
+// Display string for a value; BSON wrappers render as their natural text form
+export const bsonToString = (value) => {
+    switch (getBsonType(value)) {
+        case 'ObjectId': return value.$oid;
+        case 'Date': {
+            const date = toDate(value);
+            return isNaN(date.getTime()) ? String(value.$date) : date.toISOString();
+        }
+        case 'Int32': return value.$numberInt;
+        case 'Long': return value.$numberLong;
+        case 'Double': return value.$numberDouble;
+        case 'Decimal128': return value.$numberDecimal;
+        case 'UUID': {
+            const hex = value.$uuid ? value.$uuid.replace(/-/g, '') : base64ToHex(value.$binary.base64);
+            if (!hex || hex.length !== 32) return value.$uuid || value.$binary.base64;
+            return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+        }
+        case 'Binary': return `Binary(${value.$binary.subType}, ${value.$binary.base64})`;
+        case 'Timestamp': return `Timestamp(${value.$timestamp.t}, ${value.$timestamp.i})`;
+        case 'RegExp': return `/${value.$regularExpression.pattern}/${value.$regularExpression.options}`;
+        case 'Symbol': return value.$symbol;
+        case 'Code': return value.$code;
+        case 'MinKey': return 'MinKey';
+        case 'MaxKey': return 'MaxKey';
+        case 'DBRef': return `DBRef(${value.$db ? `${value.$db}.` : ''}${value.$ref}, ${bsonToString(value.$id)})`;
+        default: return String(value);
+    }
+};
+
+// Two values are equal when their EJSON representations match
+export const bsonEquals = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Normalizes canonical EJSON from the server for client use:
+// - { $numberInt } and finite, fractional { $numberDouble } become plain numbers. Whole doubles (5.0)
+//   stay as { $numberDouble }: as plain numbers they would be written back as Int32.
+// - { $date: { $numberLong } } becomes { $date: ISO string } when representable
+export const normalizeEjson = (value) => {
+    if (Array.isArray(value)) return value.map(normalizeEjson);
+    if (typeof value !== 'object' || value === null) return value;
+
+    const type = getBsonType(value);
+    if (type === 'Int32') return Number(value.$numberInt);
+    if (type === 'Double') {
+        const num = Number(value.$numberDouble);
+        return Number.isFinite(num) && !Number.isInteger(num) ? num : value;
+    }
+    if (type === 'Date') {
+        const date = toDate(value);
+        const year = date.getUTCFullYear();
+        return !isNaN(date.getTime()) && year >= 1970 && year <= 9999 ? { $date: date.toISOString() } : value;
+    }
+    if (type === 'DBRef') return { ...value, $id: normalizeEjson(value.$id) };
+    if (type) return value;
+
+    const result = {};
+    for (const [key, val] of Object.entries(value)) {
+        result[key] = normalizeEjson(val);
+    }
+    return result;
+};
+
+const LEGACY_OBJECT_ID = /^[0-9a-fA-F]{24}$/;
+const LEGACY_ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:?\d{2})?$/;
+
+// Saves made before documents were kept as EJSON stored ObjectIds and Dates as plain strings.
+// Upgrade them the same way the old renderer guessed, so existing boards keep their arrows.
+export const upgradeLegacyValue = (value) => {
+    if (Array.isArray(value)) return value.map(upgradeLegacyValue);
+    if (typeof value === 'string') {
+        if (LEGACY_OBJECT_ID.test(value)) return { $oid: value };
+        if (LEGACY_ISO_DATE.test(value) && !isNaN(Date.parse(value))) return { $date: new Date(value).toISOString() };
+        return value;
+    }
+    if (typeof value !== 'object' || value === null || isBsonValue(value)) return value;
+
+    const result = {};
+    for (const [key, val] of Object.entries(value)) {
+        result[key] = upgradeLegacyValue(val);
+    }
+    return result;
+};
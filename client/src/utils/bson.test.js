@@ -0,0 +1,19 @@
+import { describe, it, expect } from 'vitest';
+import { normalizeEjson, getBsonType } from './bson';
+
+describe('normalizeEjson', () => {
+    it('turns Int32 and fractional doubles into plain numbers', () => {
+        expect(normalizeEjson({ a: { $numberInt: '5' }, b: { $numberDouble: '5.5' } })).toEqual({ a: 5, b: 5.5 });
+    });
+
+    it('keeps whole and non-finite doubles typed so they are written back as Double', () => {
+        const doc = normalizeEjson({ price: { $numberDouble: '5.0' }, ratio: { $numberDouble: 'NaN' }, nested: [{ $numberDouble: '-2.0' }] });
+        expect(doc).toEqual({ price: { $numberDouble: '5.0' }, ratio: { $numberDouble: 'NaN' }, nested: [{ $numberDouble: '-2.0' }] });
+        expect(getBsonType(doc.price)).toBe('Double');
+    });
+
+    it('normalizes dates and DBRef ids', () => {
+        expect(normalizeEjson({ at: { $date: { $numberLong: '0' } } })).toEqual({ at: { $date: '1970-01-01T00:00:00.000Z' } });
+        expect(normalizeEjson({ $ref: 'users', $id: { $numberInt: '7' } })).toEqual({ $ref: 'users', $id: 7 });
+    });
+});
@@ -0,0 +1,3 @@
+// dataTransfer type for collections dragged from the sidebar onto the canvas.
+// The payload is JSON: { connection, database, collection }
+export const COLLECTION_DRAG_TYPE = 'application/x-mongodv-collection';
@@ -0,0 +1,35 @@
+// Environment labels a connection can carry. The server enforces the policy that goes with
+// them (read-only, typed confirmation for prod writes); these drive the banners.
+export const ENVIRONMENTS = {
+    dev: { label: 'DEV', color: '#4ade80' },
+    staging: { label: 'STAGING', color: '#fbbf24' },
+    prod: { label: 'PROD', color: '#ef4444' }
+};
+
+export const DEFAULT_CONNECTION_POLICY = { environment: null, readOnly: false };
+
+const POLICIES_KEY = 'mongoDV_connectionPolicies';
+
+// Policies are remembered per host, keyed without the credentials and options of the connection string
+const policyKey = (uri) => uri.replace(/\/\/([^@/]*@)?/, '//').split('?')[0];
+
+// Host part of a connection string, e.g. the default name of a connection
+export const connectionHost = (uri) => uri.replace(/^[^/]*\/\/([^@/]*@)?/, '').split(/[/?]/)[0];
+
+// Saved policies also remember the name the connection was given: { environment, readOnly, name }
+export const getSavedPolicy = (uri) => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(POLICIES_KEY) || '{}');
+        return saved[policyKey(uri)] || DEFAULT_CONNECTION_POLICY;
+    } catch {
+        return DEFAULT_CONNECTION_POLICY;
+    }
+};
+
+export const savePolicy = (uri, policy) => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(POLICIES_KEY) || '{}');
+        saved[policyKey(uri)] = policy;
+        localStorage.setItem(POLICIES_KEY, JSON.stringify(saved));
+    } catch { /* localStorage unavailable */ }
+};
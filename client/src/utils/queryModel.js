@@ -0,0 +1,238 @@
+// Visual query model used by QueryBuilder.
+// A query is a tree of groups and conditions:
+//   group:     { kind: 'group', op: '$and' | '$or' | '$nor', children: [...] }
+//   condition: { field, operator, value, type, flags }
+// buildQuery() turns the tree into a MongoDB filter (EJSON) and throws a QueryValueError for a
+// value that can't be used; parseQuery() does the reverse for hand-edited filters and throws
+// when a filter has no visual equivalent.
+
+export const GROUP_OPS = ['$and', '$or', '$nor'];
+
+// operator -> MongoDB operator (null = equality)
+export const OPERATORS = {
+    '=': null,
+    '!=': '$ne',
+    '>': '$gt',
+    '>=': '$gte',
+    '<': '$lt',
+    '<=': '$lte',
+    'in': '$in',
+    'nin': '$nin',
+    'exists': '$exists',
+    'regex': '$regex',
+    'elemMatch': '$elemMatch',
+    'size': '$size',
+    'type': '$type'
+};
+
+export const OPERATOR_LABELS = {
+    '=': '=', '!=': '!=', '>': '>', '>=': '>=', '<': '<', '<=': '<=',
+    'in': 'in', 'nin': 'not in', 'exists': 'exists', 'regex': 'regex',
+    'elemMatch': 'elemMatch', 'size': 'size', 'type': 'type'
+};
+
+// Aliases accepted by $type
+export const BSON_TYPE_ALIASES = ['string', 'int', 'long', 'double', 'decimal', 'number', 'bool', 'date', 'objectId', 'object', 'array', 'null', 'binData', 'timestamp', 'regex'];
+
+export const createGroup = (op = '$and', children = []) => ({ kind: 'group', op, children });
+
+export const createCondition = (field = '', type = 'string') => ({ field, operator: '=', value: '', type, flags: '' });
+
+export const isGroup = (node) => node?.kind === 'group';
+
+// A condition value that can't be turned into a filter; path locates the condition in the tree
+export class QueryValueError extends Error {
+    constructor(message, path) {
+        super(message);
+        this.name = 'QueryValueError';
+        this.path = path;
+    }
+}
+
+// Cast a raw input string to the condition's value type
+const castValue = (raw, type, fail) => {
+    const val = typeof raw === 'string' ? raw.trim() : raw;
+    if (type === 'Number') {
+        // Number('abc') would serialize as null and match something else entirely
+        if (val === '' || !Number.isFinite(Number(val))) fail(`"${val}" is not a number`);
+        return Number(val);
+    }
+    if (type === 'Boolean') return val === 'true';
+    if (type === 'ObjectId') return { $oid: val };
+    if (type === 'Date') return { $date: val };
+    return raw;
+};
+
+// Condition -> { field: operatorExpression }, or null while it is incomplete.
+// Throws a QueryValueError for a value that is filled in but invalid: dropping the clause would
+// silently broaden the filter.
+const buildCondition = (condition, path) => {
+    const { field, operator, value, type, flags } = condition;
+    if (!field || value === '' || value === undefined) return null;
+    const fail = (reason) => {
+        throw new QueryValueError(`${OPERATOR_LABELS[operator]} on "${field}": ${reason}`, path);
+    };
+
+    switch (operator) {
+        case '=':
+            return { [field]: castValue(value, type, fail) };
+        case 'in':
+        case 'nin':
+            return { [field]: { [OPERATORS[operator]]: String(value).split(',').map(v => v.trim()).filter(v => v !== '').map(v => castValue(v, type, fail)) } };
+        case 'exists':
+            return { [field]: { $exists: value === 'true' } };
+        case 'regex':
+            return { [field]: flags ? { $regex: value, $options: flags } : { $regex: value } };
+        case 'elemMatch': {
+            // Sub-query is written as JSON
+            let subQuery;
+            try {
+                subQuery = JSON.parse(value);
+            } catch (err) {
+                fail(`invalid JSON (${err.message})`);
+            }
+            if (typeof subQuery !== 'object' || subQuery === null || Array.isArray(subQuery)) fail('the sub-query must be a JSON object');
+            return { [field]: { $elemMatch: subQuery } };
+        }
+        case 'size': {
+            const size = Number(String(value).trim());
+            if (!Number.isInteger(size) || size < 0) fail(`"${value}" is not a non-negative integer`);
+            return { [field]: { $size: size } };
+        }
+        case 'type':
+            return { [field]: { $type: value } };
+        default:
+            return { [field]: { [OPERATORS[operator]]: castValue(value, type, fail) } };
+    }
+};
+
+// Combine clauses of an AND: different fields merge into one object, operator objects on the
+// same field merge when they don't collide; anything else falls back to an explicit $and.
+const mergeAnd = (clauses) => {
+    const merged = {};
+    for (const clause of clauses) {
+        const [[field, expr]] = Object.entries(clause);
+        const existing = merged[field];
+        if (existing === undefined) {
+            merged[field] = expr;
+            continue;
+        }
+        const isOperatorObject = (v) => typeof v === 'object' && v !== null && !Array.isArray(v) && Object.keys(v).every(k => k.startsWith('$') && k !== '$oid' && k !== '$date');
+        if (isOperatorObject(existing) && isOperatorObject(expr) && !Object.keys(expr).some(k => k in existing)) {
+            merged[field] = { ...existing, ...expr };
+            continue;
+        }
+        return { $and: clauses };
+    }
+    return merged;
+};
+
+// { a: 1, $and: [{ b: 2 }] } -> [{ a: 1 }, { b: 2 }]
+const splitAnd = (clause) => Object.entries(clause).flatMap(([key, expr]) => key === '$and' ? expr.flatMap(splitAnd) : [{ [key]: expr }]);
+
+// Build a MongoDB filter from a group; incomplete conditions and empty groups are skipped.
+// path is the group's position in the tree, reported by QueryValueError.
+export const buildQuery = (group, path = []) => {
+    const clauses = group.children
+        .map((child, index) => isGroup(child) ? buildQuery(child, [...path, index]) : buildCondition(child, [...path, index]))
+        .filter(clause => clause && Object.keys(clause).length > 0);
+
+    if (clauses.length === 0) return {};
+    if (group.op === '$and') return mergeAnd(clauses.flatMap(splitAnd));
+    return { [group.op]: clauses };
+};
+
+// ---- JSON -> visual ----
+
+// Plain value in a filter -> { value, type } for a condition input
+const toInput = (value) => {
+    if (typeof value === 'number') return { value: String(value), type: 'Number' };
+    if (typeof value === 'boolean') return { value: String(value), type: 'Boolean' };
+    if (typeof value === 'string') return { value, type: 'string' };
+    if (value && typeof value === 'object' && Object.keys(value).length === 1) {
+        if (typeof value.$oid === 'string') return { value: value.$oid, type: 'ObjectId' };
+        if (typeof value.$date === 'string') return { value: value.$date, type: 'Date' };
+    }
+    throw new Error(`Value ${JSON.stringify(value)} cannot be edited visually`);
+};
+
+const listToInput = (values, field, op) => {
+    if (!Array.isArray(values)) throw new Error(`${op} on "${field}" needs an array`);
+    const inputs = values.map(toInput);
+    const type = inputs[0]?.type || 'string';
+    if (inputs.some(input => input.type !== type)) throw new Error(`${op} on "${field}" mixes value types`);
+    if (inputs.some(input => input.value.includes(','))) throw new Error(`${op} on "${field}" has values containing commas`);
+    return { value: inputs.map(input => input.value).join(', '), type };
+};
+
+const REVERSE_OPERATORS = Object.fromEntries(Object.entries(OPERATORS).filter(([, mongoOp]) => mongoOp).map(([op, mongoOp]) => [mongoOp, op]));
+
+// { field: expression } -> list of conditions
+const parseField = (field, expr) => {
+    // Regex literal from mongosh syntax: /pattern/flags
+    if (expr && typeof expr === 'object' && Object.keys(expr).length === 1 && expr.$regularExpression) {
+        return [{ ...createCondition(field), operator: 'regex', value: expr.$regularExpression.pattern, flags: expr.$regularExpression.options || '' }];
+    }
+    const isOperatorObject = expr && typeof expr === 'object' && !Array.isArray(expr)
+        && Object.keys(expr).length > 0 && Object.keys(expr).every(k => k.startsWith('$'))
+        && !('$oid' in expr) && !('$date' in expr);
+    if (!isOperatorObject) {
+        return [{ ...createCondition(field), ...toInput(expr), operator: '=' }];
+    }
+
+    const conditions = [];
+    const { $options, ...ops } = expr;
+    for (const [mongoOp, operand] of Object.entries(ops)) {
+        const operator = REVERSE_OPERATORS[mongoOp];
+        if (!operator) throw new Error(`Operator ${mongoOp} on "${field}" has no visual equivalent`);
+        const condition = { ...createCondition(field), operator };
+        if (operator === 'in' || operator === 'nin') {
+            Object.assign(condition, listToInput(operand, field, mongoOp));
+        } else if (operator === 'exists') {
+            condition.value = String(!!operand);
+        } else if (operator === 'regex') {
+            if (typeof operand !== 'string') throw new Error(`$regex on "${field}" must be a string pattern`);
+            condition.value = operand;
+            condition.flags = $options || '';
+        } else if (operator === 'elemMatch') {
+            condition.value = JSON.stringify(operand);
+        } else if (operator === 'size') {
+            condition.value = String(operand);
+            condition.type = 'Number';
+        } else if (operator === 'type') {
+            if (typeof operand !== 'string') throw new Error(`$type on "${field}" must be a type alias`);
+            condition.value = operand;
+        } else {
+            Object.assign(condition, toInput(operand));
+        }
+        conditions.push(condition);
+    }
+    if ($options !== undefined && !('$regex' in ops)) throw new Error(`$options on "${field}" needs $regex`);
+    return conditions;
+};
+
+// Parse a MongoDB filter into a visual group; throws with a reason if it can't be represented
+export const parseQuery = (query) => {
+    if (typeof query !== 'object' || query === null || Array.isArray(query)) {
+        throw new Error('Query must be an object');
+    }
+
+    const children = [];
+    for (const [key, expr] of Object.entries(query)) {
+        if (GROUP_OPS.includes(key)) {
+            if (!Array.isArray(expr)) throw new Error(`${key} needs an array`);
+            const subGroups = expr.map(sub => parseQuery(sub));
+            if (key === '$and') {
+                // An explicit $and is just more conditions
+                subGroups.forEach(sub => children.push(...sub.children));
+            } else {
+                children.push(createGroup(key, subGroups.map(sub => sub.children.length === 1 ? sub.children[0] : sub)));
+            }
+        } else if (key.startsWith('$')) {
+            throw new Error(`Top-level ${key} has no visual equivalent`);
+        } else {
+            children.push(...parseField(key, expr));
+        }
+    }
+    return createGroup('$and', children);
+};
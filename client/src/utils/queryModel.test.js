@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'vitest';
+import { createGroup, createCondition, buildQuery, parseQuery, QueryValueError } from './queryModel';
+
+const condition = (field, operator, value, type = 'string', flags = '') => ({ ...createCondition(field, type), operator, value, flags });
+
+describe('buildQuery', () => {
+    it('merges AND conditions on different fields and operators on the same field', () => {
+        const query = buildQuery(createGroup('$and', [
+            condition('status', '=', 'paid'),
+            condition('total', '>=', '10', 'Number'),
+            condition('total', '<', '100', 'Number'),
+            condition('userId', 'in', 'aaaaaaaaaaaaaaaaaaaaaaaa, bbbbbbbbbbbbbbbbbbbbbbbb', 'ObjectId')
+        ]));
+        expect(query).toEqual({
+            status: 'paid',
+            total: { $gte: 10, $lt: 100 },
+            userId: { $in: [{ $oid: 'aaaaaaaaaaaaaaaaaaaaaaaa' }, { $oid: 'bbbbbbbbbbbbbbbbbbbbbbbb' }] }
+        });
+    });
+
+    it('falls back to $and when conditions on a field collide', () => {
+        const query = buildQuery(createGroup('$and', [condition('a', '>', '1', 'Number'), condition('a', '>', '5', 'Number')]));
+        expect(query).toEqual({ $and: [{ a: { $gt: 1 } }, { a: { $gt: 5 } }] });
+    });
+
+    it('nests groups and skips incomplete conditions', () => {
+        const query = buildQuery(createGroup('$and', [
+            condition('name', 'regex', '^ab', 'string', 'i'),
+            condition('', '=', 'x'),
+            createGroup('$or', [condition('x', 'exists', 'false'), condition('tags', 'size', '0')]),
+            createGroup('$nor', [])
+        ]));
+        expect(query).toEqual({
+            name: { $regex: '^ab', $options: 'i' },
+            $or: [{ x: { $exists: false } }, { tags: { $size: 0 } }]
+        });
+    });
+
+    it('throws instead of dropping an elemMatch with invalid JSON', () => {
+        const group = createGroup('$and', [condition('a', '=', '1'), createGroup('$or', [condition('items', 'elemMatch', '{ status: ')])]);
+        expect(() => buildQuery(group)).toThrow(QueryValueError);
+        try {
+            buildQuery(group);
+        } catch (err) {
+            expect(err.path).toEqual([1, 0]);
+        }
+        expect(() => buildQuery(createGroup('$and', [condition('items', 'elemMatch', '[1]')]))).toThrow(/JSON object/);
+    });
+
+    it('throws for numbers that are not numbers', () => {
+        expect(() => buildQuery(createGroup('$and', [condition('total', '=', 'abc', 'Number')]))).toThrow(/"abc" is not a number/);
+        expect(() => buildQuery(createGroup('$and', [condition('total', 'in', '1, x', 'Number')]))).toThrow(QueryValueError);
+        expect(() => buildQuery(createGroup('$and', [condition('tags', 'size', '1.5')]))).toThrow(/non-negative integer/);
+    });
+});
+
+describe('parseQuery', () => {
+    it('round-trips filters through the visual model', () => {
+        const queries = [
+            { status: 'paid', total: { $gte: 10, $lt: 100 } },
+            { userId: { $nin: [{ $oid: 'aaaaaaaaaaaaaaaaaaaaaaaa' }] }, createdAt: { $gt: { $date: '2024-01-01T00:00:00.000Z' } } },
+            { $or: [{ a: true }, { b: { $exists: false } }], name: { $regex: '^x', $options: 'i' } },
+            { items: { $elemMatch: { status: 'failed' } }, tags: { $size: 2 }, note: { $type: 'string' } }
+        ];
+        queries.forEach(query => expect(buildQuery(parseQuery(query))).toEqual(query));
+    });
+
+    it('turns mongosh regex literals into regex conditions', () => {
+        const group = parseQuery({ name: { $regularExpression: { pattern: '^ab', options: 'i' } } });
+        expect(buildQuery(group)).toEqual({ name: { $regex: '^ab', $options: 'i' } });
+    });
+
+    it('throws with a reason for filters without a visual equivalent', () => {
+        expect(() => parseQuery([])).toThrow('Query must be an object');
+        expect(() => parseQuery({ $where: 'x' })).toThrow(/Top-level \$where/);
+        expect(() => parseQuery({ a: { $all: [1] } })).toThrow(/\$all on "a"/);
+        expect(() => parseQuery({ a: { $in: [1, 'x'] } })).toThrow(/mixes value types/);
+    });
+});
@@ -0,0 +1,23 @@
+// Sort / projection form state shared by the sidebar document list and the Connect modal
+// timeout is in seconds; empty means the server default
+export const DEFAULT_QUERY_OPTIONS = { sortField: '', sortDirection: -1, projection: '', timeout: '' };
+
+// Converts QueryOptions form state into the find() options accepted by fetchDocuments
+// Throws if the projection is not valid JSON
+export const toFindOptions = ({ sortField, sortDirection, projection, timeout } = DEFAULT_QUERY_OPTIONS) => {
+    const options = {};
+    if (sortField) {
+        options.sort = { [sortField]: sortDirection };
+    }
+    if (projection && projection.trim()) {
+        try {
+            options.projection = JSON.parse(projection);
+        } catch (e) {
+            throw new Error('Projection is not valid JSON: ' + e.message);
+        }
+    }
+    if (Number(timeout) > 0) {
+        options.maxTimeMS = Math.round(Number(timeout) * 1000);
+    }
+    return options;
+};
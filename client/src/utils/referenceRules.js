@@ -0,0 +1,107 @@
+import { getBsonType, bsonToString } from './bson';
+import { getKeyFields, getRegistry, removeRegistryEntry, replaceRegistryEntry, setRegistryKeyField, toFieldPath } from './relationships';
+
+// Hand-made reference rules for keys that are not ObjectIds (UUIDs, slugs, integer ids), e.g.
+// orders.customerRef -> customers.uuid. They live in the relationship registry (rule entries and key
+// fields, see utils/relationships), so they are shared with its import and export; this module reads
+// them per database as { keyFields: { [collection]: path }, rules: [{ sourceCollection, path, targetCollection, targetField }] }.
+// sourceCollection is null for rules that apply to the field in any collection. Paths are stored without array indices.
+
+// Cards saved before databases were tracked fall back to the last used database, as quick connect does
+const resolveDb = (dbName) => dbName || localStorage.getItem('mongoDV_lastUsedDb');
+
+// Per-database views of one registry snapshot; a save replaces the snapshot and so the views
+let viewsOf = { relationships: null, keyFields: null, byDb: new Map() };
+
+export const getReferenceRules = (dbName) => {
+    const db = resolveDb(dbName);
+    if (!db) return { keyFields: {}, rules: [] };
+    const relationships = getRegistry();
+    const keyFields = getKeyFields();
+    if (viewsOf.relationships !== relationships || viewsOf.keyFields !== keyFields) {
+        viewsOf = { relationships, keyFields, byDb: new Map() };
+    }
+    if (!viewsOf.byDb.has(db)) {
+        viewsOf.byDb.set(db, {
+            keyFields: Object.fromEntries(keyFields.filter(keyField => keyField.database === db).map(keyField => [keyField.collection, keyField.path])),
+            rules: relationships
+                .filter(entry => entry.rule && entry.database === db && entry.targetDatabase === db)
+                .map(entry => ({ sourceCollection: entry.collection, path: entry.path, targetCollection: entry.targetCollection, targetField: entry.targetField || null }))
+        });
+    }
+    return viewsOf.byDb.get(db);
+};
+
+// Sets (or clears, with a null path) the key field of a collection
+export const setKeyField = (dbName, collection, path) => {
+    setRegistryKeyField(resolveDb(dbName), collection, path);
+};
+
+// Adds or replaces the rule for sourceCollection.path; a null target removes it.
+// Without a targetField the rule follows the target collection's key field (else _id).
+export const setReferenceRule = (dbName, sourceCollection, path, target) => {
+    const database = resolveDb(dbName);
+    const key = { database, collection: sourceCollection, path: toFieldPath(path) };
+    if (!target) {
+        removeRegistryEntry(key);
+        return;
+    }
+    replaceRegistryEntry(null, {
+        ...key,
+        targetDatabase: database,
+        targetCollection: target.collection,
+        rule: true,
+        ...(target.field ? { targetField: toFieldPath(target.field) } : {})
+    });
+};
+
+const targetFieldOf = (config, rule) => rule.targetField || config.keyFields[rule.targetCollection] || '_id';
+
+// Rule for a field of a document in `collection`: the one for its own collection, else the any-collection one
+const matchRule = (config, collection, fieldPath) => {
+    const candidates = config.rules.filter(rule => rule.path === fieldPath);
+    return candidates.find(rule => rule.sourceCollection === collection)
+        || candidates.find(rule => !rule.sourceCollection)
+        || null;
+};
+
+// The rule followed by a field of a document in `collection`, with its target field resolved
+export const findReferenceRule = (dbName, collection, path) => {
+    const config = getReferenceRules(dbName);
+    const rule = matchRule(config, collection, toFieldPath(path));
+    return rule ? { ...rule, targetField: targetFieldOf(config, rule) } : null;
+};
+
+// Rules pointing at documents of `collection`: what a reverse lookup on one of them searches
+export const findInboundRules = (dbName, collection) => {
+    const config = getReferenceRules(dbName);
+    return config.rules
+        .filter(rule => rule.targetCollection === collection)
+        .map(rule => ({ ...rule, targetField: targetFieldOf(config, rule) }));
+};
+
+// Values that can act as keys: strings, numbers and BSON scalars other than ObjectIds (linked anyway) and dates
+const isKeyValue = (value) => {
+    const type = getBsonType(value);
+    if (type) return !['ObjectId', 'DBRef', 'Date'].includes(type);
+    return typeof value === 'string' || typeof value === 'number';
+};
+
+// How a field takes part in rule-based links: as a key ('def') of its collection, or as a reference ('ref')
+// following a rule. value is the arrow identity, scoped by the target collection so that equal integer
+// ids of unrelated collections do not link up. Returns { type, value, rule? } or null.
+export const findKeyLink = (dbName, collection, path, value) => {
+    if (!collection || !path || !isKeyValue(value)) return null;
+    const config = getReferenceRules(dbName);
+    if (config.rules.length === 0 && Object.keys(config.keyFields).length === 0) return null;
+
+    const fieldPath = toFieldPath(path);
+    const text = getBsonType(value) ? bsonToString(value) : String(value);
+    const rule = matchRule(config, collection, fieldPath);
+    if (rule) {
+        return { type: 'ref', value: `${rule.targetCollection}:${text}`, rule: { ...rule, targetField: targetFieldOf(config, rule) } };
+    }
+    const isKey = config.keyFields[collection] === fieldPath
+        || config.rules.some(r => r.targetCollection === collection && targetFieldOf(config, r) === fieldPath);
+    return isKey ? { type: 'def', value: `${collection}:${text}` } : null;
+};
@@ -0,0 +1,63 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+const memoryStorage = () => {
+    const items = new Map();
+    return {
+        get length() { return items.size; },
+        key: (i) => [...items.keys()][i] ?? null,
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key)
+    };
+};
+
+let rules;
+let relationships;
+
+beforeEach(async () => {
+    vi.stubGlobal('localStorage', memoryStorage());
+    vi.resetModules();
+    rules = await import('./referenceRules');
+    relationships = await import('./relationships');
+});
+
+describe('reference rules', () => {
+    it('are stored in the relationship registry', () => {
+        rules.setKeyField('shop', 'customers', 'uuid');
+        rules.setReferenceRule('shop', 'orders', 'items.0.customerRef', { collection: 'customers', field: null });
+        expect(relationships.getKeyFields()).toEqual([{ database: 'shop', collection: 'customers', path: 'uuid' }]);
+        expect(relationships.getRegistry()).toMatchObject([{ database: 'shop', collection: 'orders', path: 'items.customerRef', targetCollection: 'customers', rule: true }]);
+        expect(rules.getReferenceRules('shop')).toEqual({
+            keyFields: { customers: 'uuid' },
+            rules: [{ sourceCollection: 'orders', path: 'items.customerRef', targetCollection: 'customers', targetField: null }]
+        });
+
+        rules.setReferenceRule('shop', 'orders', 'items.customerRef', null);
+        expect(relationships.getRegistry()).toEqual([]);
+    });
+
+    it('resolve the target field from the rule, the key field or _id', () => {
+        rules.setReferenceRule('shop', 'orders', 'customerRef', { collection: 'customers', field: null });
+        expect(rules.findReferenceRule('shop', 'orders', 'customerRef').targetField).toBe('_id');
+        rules.setKeyField('shop', 'customers', 'uuid');
+        expect(rules.findReferenceRule('shop', 'orders', 'customerRef').targetField).toBe('uuid');
+        rules.setReferenceRule('shop', 'orders', 'customerRef', { collection: 'customers', field: 'legacyId' });
+        expect(rules.findInboundRules('shop', 'customers')).toMatchObject([{ sourceCollection: 'orders', targetField: 'legacyId' }]);
+    });
+
+    it('link keys and references, preferring the rule of the collection', () => {
+        rules.setKeyField('shop', 'customers', 'uuid');
+        relationships.replaceRegistryEntry(null, { database: 'shop', collection: null, path: 'ref', targetDatabase: 'shop', targetCollection: 'customers', rule: true });
+        relationships.replaceRegistryEntry(null, { database: 'shop', collection: 'audit', path: 'ref', targetDatabase: 'shop', targetCollection: 'admins', rule: true });
+        expect(rules.findKeyLink('shop', 'customers', 'uuid', 'c-1')).toEqual({ type: 'def', value: 'customers:c-1' });
+        expect(rules.findKeyLink('shop', 'orders', 'ref', 'c-1')).toMatchObject({ type: 'ref', value: 'customers:c-1' });
+        expect(rules.findKeyLink('shop', 'audit', 'ref', 'c-1')).toMatchObject({ type: 'ref', value: 'admins:c-1' });
+        expect(rules.findKeyLink('shop', 'orders', 'ref', { $oid: 'aaaaaaaaaaaaaaaaaaaaaaaa' })).toBeNull();
+    });
+
+    it('leave ObjectId registry entries alone', () => {
+        relationships.rememberRelationship({ database: 'shop', collection: 'orders', path: 'userId', targetCollection: 'users' });
+        expect(rules.getReferenceRules('shop').rules).toEqual([]);
+        expect(rules.getReferenceRules('shop')).toBe(rules.getReferenceRules('shop'));
+    });
+});
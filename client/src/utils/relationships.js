@@ -0,0 +1,313 @@
+import { getBsonType } from './bson';
+
+// Relationship maps produced by the server-side discovery job, stored per database.
+// Paths are stored without array indices (e.g. "items.productId"), so lookups strip them too.
+
+const storageKey = (dbName) => `mongoDV_relationships_${dbName}`;
+
+export const saveRelationships = (dbName, relationships) => {
+    try {
+        localStorage.setItem(storageKey(dbName), JSON.stringify({ discoveredAt: new Date().toISOString(), relationships }));
+    } catch {
+        // localStorage unavailable or full
+    }
+};
+
+// Parsed discovery results by database, reused while the stored text is the same
+const relationshipsCache = new Map(); // dbName -> { raw, parsed }
+
+// Returns { discoveredAt, relationships } or null if discovery never ran for this database
+export const getRelationships = (dbName) => {
+    if (!dbName) return null;
+    try {
+        const raw = localStorage.getItem(storageKey(dbName));
+        if (!raw) return null;
+        const cached = relationshipsCache.get(dbName);
+        if (cached?.raw === raw) return cached.parsed;
+        const parsed = JSON.parse(raw);
+        relationshipsCache.set(dbName, { raw, parsed });
+        return parsed;
+    } catch {
+        return null;
+    }
+};
+
+export const toFieldPath = (path) => path.split('.').filter(part => !/^\d+$/.test(part)).join('.');
+
+// Best discovered target for a field of a document in the given collection
+export const findRelationship = (dbName, collection, path) => {
+    const stored = getRelationships(dbName);
+    if (!stored || !path) return null;
+    const fieldPath = toFieldPath(path);
+    const candidates = stored.relationships.filter(rel => rel.path === fieldPath);
+    // Prefer the mapping sampled from the same collection; fall back to the same field name elsewhere
+    return candidates.find(rel => rel.sourceCollection === collection)
+        || candidates.sort((a, b) => b.confidence - a.confidence)[0]
+        || null;
+};
+
+// Relationship registry: reference targets confirmed by hand (quick connect, the connect modal, the
+// registry editor or a reference rule), stored as { relationships, keyFields }:
+// relationships: [{ database, collection, path, targetDatabase, targetCollection, query?, rule?, targetField?, updatedAt }]
+//   collection is null for entries that apply to the field in any collection of the database.
+//   Reference rules (rule: true) link keys that are not ObjectIds (UUIDs, slugs, integer ids) to the
+//   targetField of the target documents, or to the target collection's key field when it is unset.
+// keyFields: [{ database, collection, path }], the key field of a collection that rules follow by default.
+// Older stores are migrated the first time the registry is read: a bare array of entries (version 1),
+// mongoDV_connectionHistory, which was keyed by field path alone (as any-collection entries of their
+// target's database), and the per-database mongoDV_referenceRules_* stores.
+
+const REGISTRY_KEY = 'mongoDV_relationshipRegistry';
+const LEGACY_HISTORY_KEY = 'mongoDV_connectionHistory';
+const LEGACY_RULES_PREFIX = 'mongoDV_referenceRules_';
+export const REGISTRY_FILE_TYPE = 'mongoDV-relationships';
+
+const sameRegistryKey = (a, b) => a.database === b.database && (a.collection || null) === (b.collection || null) && a.path === b.path;
+const sameKeyField = (a, b) => a.database === b.database && a.collection === b.collection;
+
+// Parsed registry, kept until it is saved again here or changed by another tab. Saves always store new
+// objects, so callers may memoize on its identity.
+let registryCache = null;
+if (typeof window !== 'undefined') {
+    window.addEventListener('storage', (e) => {
+        if (e.key === REGISTRY_KEY || e.key === null) registryCache = null;
+    });
+}
+
+const saveRegistryStore = (registry) => {
+    registryCache = registry;
+    try {
+        localStorage.setItem(REGISTRY_KEY, JSON.stringify(registry));
+    } catch {
+        // localStorage unavailable or full
+    }
+};
+
+const migrateConnectionHistory = (relationships) => {
+    const history = JSON.parse(localStorage.getItem(LEGACY_HISTORY_KEY) || '{}');
+    Object.entries(history).forEach(([path, entry]) => {
+        if (!entry?.db || !entry.collection) return;
+        const migratedEntry = {
+            database: entry.db,
+            collection: null,
+            path: toFieldPath(path),
+            targetDatabase: entry.db,
+            targetCollection: entry.collection,
+            ...(entry.query ? { query: entry.query } : {}),
+            updatedAt: entry.timestamp ? new Date(entry.timestamp).toISOString() : null
+        };
+        // "items.0.productId" and "items.3.productId" become one entry
+        if (!relationships.some(other => sameRegistryKey(other, migratedEntry))) relationships.push(migratedEntry);
+    });
+    localStorage.removeItem(LEGACY_HISTORY_KEY);
+};
+
+// { keyFields: { [collection]: path }, rules: [{ sourceCollection, path, targetCollection, targetField }] } per database
+const migrateReferenceRules = (registry) => {
+    const keys = Array.from({ length: localStorage.length }, (_, i) => localStorage.key(i))
+        .filter(key => key?.startsWith(LEGACY_RULES_PREFIX));
+    keys.forEach(key => {
+        const database = key.slice(LEGACY_RULES_PREFIX.length);
+        const { keyFields = {}, rules = [] } = JSON.parse(localStorage.getItem(key) || '{}');
+        Object.entries(keyFields).forEach(([collection, path]) => {
+            registry.keyFields = [...registry.keyFields.filter(other => !sameKeyField(other, { database, collection })), { database, collection, path }];
+        });
+        rules.forEach(rule => {
+            const entry = {
+                database,
+                collection: rule.sourceCollection || null,
+                path: rule.path,
+                targetDatabase: database,
+                targetCollection: rule.targetCollection,
+                rule: true,
+                ...(rule.targetField ? { targetField: rule.targetField } : {}),
+                updatedAt: null
+            };
+            registry.relationships = [...registry.relationships.filter(other => !sameRegistryKey(other, entry)), entry];
+        });
+        localStorage.removeItem(key);
+    });
+    return keys.length > 0;
+};
+
+// Returns { relationships, keyFields }
+const readRegistry = () => {
+    if (registryCache) return registryCache;
+    try {
+        const raw = localStorage.getItem(REGISTRY_KEY);
+        const stored = raw ? JSON.parse(raw) : null;
+        const registry = {
+            relationships: Array.isArray(stored) ? stored : stored?.relationships || [],
+            keyFields: stored?.keyFields || []
+        };
+        let migrated = !raw || Array.isArray(stored);
+        if (!raw) migrateConnectionHistory(registry.relationships);
+        if (migrateReferenceRules(registry)) migrated = true;
+        if (migrated) saveRegistryStore(registry);
+        registryCache = registry;
+        return registry;
+    } catch {
+        return { relationships: [], keyFields: [] };
+    }
+};
+
+export const getRegistry = () => readRegistry().relationships;
+
+export const getKeyFields = () => readRegistry().keyFields;
+
+export const saveRegistry = (relationships) => saveRegistryStore({ ...readRegistry(), relationships });
+
+// Registry entry for a field: the one for its own collection, else the any-collection one
+export const lookupRegistry = (dbName, collection, path) => {
+    const db = dbName || localStorage.getItem('mongoDV_lastUsedDb');
+    if (!db || !path) return null;
+    const fieldPath = toFieldPath(path);
+    const candidates = getRegistry().filter(entry => entry.database === db && entry.path === fieldPath);
+    return candidates.find(entry => entry.collection === collection)
+        || candidates.find(entry => !entry.collection)
+        || null;
+};
+
+// Adds or updates the entry for database/collection/path
+export const rememberRelationship = ({ database, collection, path, targetDatabase, targetCollection, query }) => {
+    const db = database || localStorage.getItem('mongoDV_lastUsedDb');
+    if (!db || !path || !targetCollection) return;
+    const entry = {
+        database: db,
+        collection: collection || null,
+        path: toFieldPath(path),
+        targetDatabase: targetDatabase || db,
+        targetCollection,
+        ...(query ? { query } : {}),
+        updatedAt: new Date().toISOString()
+    };
+    saveRegistry([...getRegistry().filter(other => !sameRegistryKey(other, entry)), entry]);
+};
+
+// Saves entry in place of previous (null when adding), dropping any other entry for the same field.
+// Returns the updated registry.
+export const replaceRegistryEntry = (previous, entry) => {
+    const stamped = { ...entry, collection: entry.collection || null, path: toFieldPath(entry.path), updatedAt: new Date().toISOString() };
+    const registry = getRegistry().filter(other => !(previous && sameRegistryKey(other, previous)) && !sameRegistryKey(other, stamped));
+    saveRegistry([...registry, stamped]);
+    return [...registry, stamped];
+};
+
+export const removeRegistryEntry = (entry) => {
+    const registry = getRegistry().filter(other => !sameRegistryKey(other, entry));
+    saveRegistry(registry);
+    return registry;
+};
+
+// Sets (or clears, with a null path) the key field of a collection. Returns the updated key fields.
+export const setRegistryKeyField = (database, collection, path) => {
+    const keyFields = [
+        ...getKeyFields().filter(other => !sameKeyField(other, { database, collection })),
+        ...(path ? [{ database, collection, path: toFieldPath(path) }] : [])
+    ];
+    saveRegistryStore({ ...readRegistry(), keyFields });
+    return keyFields;
+};
+
+const isName = (value) => typeof value === 'string' && value.trim() !== '';
+
+// { relationships, keyFields } from a shared mapping file: an export of this registry (either version)
+// or a bare array of entries. Throws when the file holds no valid entry.
+export const parseRegistryFile = (json) => {
+    const list = Array.isArray(json) ? json : json?.type === REGISTRY_FILE_TYPE ? json.relationships : null;
+    if (!Array.isArray(list)) throw new Error('Not a relationship registry file');
+    const relationships = list
+        .filter(entry => entry && isName(entry.database) && isName(entry.path) && isName(entry.targetCollection))
+        .map(entry => ({
+            database: entry.database,
+            collection: isName(entry.collection) ? entry.collection : null,
+            path: toFieldPath(entry.path),
+            targetDatabase: isName(entry.targetDatabase) ? entry.targetDatabase : entry.database,
+            targetCollection: entry.targetCollection,
+            ...(entry.query ? { query: entry.query } : {}),
+            ...(entry.rule === true ? { rule: true } : {}),
+            ...(entry.rule === true && isName(entry.targetField) ? { targetField: toFieldPath(entry.targetField) } : {}),
+            updatedAt: entry.updatedAt || null
+        }));
+    const keyFields = (Array.isArray(json?.keyFields) ? json.keyFields : [])
+        .filter(keyField => keyField && isName(keyField.database) && isName(keyField.collection) && isName(keyField.path))
+        .map(({ database, collection, path }) => ({ database, collection, path: toFieldPath(path) }));
+    if (relationships.length === 0 && keyFields.length === 0) throw new Error('The file holds no relationship entries');
+    return { relationships, keyFields };
+};
+
+// Merges a parsed file into the registry, imported entries and key fields winning; returns { added, updated }
+export const importRegistry = ({ relationships, keyFields = [] }) => {
+    const registry = readRegistry();
+    const merge = (current, imported, same) => {
+        const merged = [...current];
+        let updated = 0;
+        imported.forEach(item => {
+            const index = merged.findIndex(other => same(other, item));
+            if (index >= 0) {
+                merged[index] = item;
+                updated++;
+            } else {
+                merged.push(item);
+            }
+        });
+        return { merged, updated };
+    };
+    const entries = merge(registry.relationships, relationships, sameRegistryKey);
+    const keys = merge(registry.keyFields, keyFields, sameKeyField);
+    saveRegistryStore({ relationships: entries.merged, keyFields: keys.merged });
+    const updated = entries.updated + keys.updated;
+    return { added: relationships.length + keyFields.length - updated, updated };
+};
+
+export const exportRegistry = () => ({
+    type: REGISTRY_FILE_TYPE,
+    version: 2,
+    exportedAt: new Date().toISOString(),
+    ...readRegistry()
+});
+
+// Known target of a reference field: the registry entry for it ('remembered'), else the discovered
+// mapping ('discovered'). Name-based guesses are left to callers.
+// dbName falls back to the last used database, as for cards saved before databases were tracked.
+export const resolveReference = (dbName, collection, path) => {
+    const remembered = lookupRegistry(dbName, collection, path);
+    if (remembered) {
+        return { type: 'remembered', db: remembered.targetDatabase, collection: remembered.targetCollection };
+    }
+
+    const cachedDb = dbName || localStorage.getItem('mongoDV_lastUsedDb');
+    const discovered = findRelationship(cachedDb, collection, path);
+    return discovered
+        ? { type: 'discovered', db: cachedDb, collection: discovered.targetCollection, confidence: discovered.confidence }
+        : null;
+};
+
+// Target of a DBRef: the collection it names, in its $db or else the database of the document holding it
+export const resolveDBRef = (dbRef, dbName) => ({ type: 'dbref', db: dbRef.$db || dbName, collection: dbRef.$ref });
+
+// Every reference mapping known for dbName as { sourceCollection, path, targetCollection }: the discovered
+// ones, plus the registry entries pointing inside the same database (null sourceCollection = any collection).
+// Reference rules are left out: they link keys, not ObjectIds.
+export const getKnownRelationships = (dbName) => {
+    const known = (getRelationships(dbName)?.relationships || [])
+        .map(({ sourceCollection, path, targetCollection }) => ({ sourceCollection, path, targetCollection }));
+    getRegistry()
+        .filter(entry => entry.database === dbName && entry.targetDatabase === dbName && !entry.rule)
+        .forEach(entry => known.push({ sourceCollection: entry.collection, path: entry.path, targetCollection: entry.targetCollection }));
+    return known;
+};
+
+// Candidate references in a document: every ObjectId outside an _id field, as { path, value }, and
+// every DBRef as { path, value: its $id, dbRef }. Paths use the same dotted form as the document cards
+// (array indices included).
+export const findReferenceFields = (data, path = '') => {
+    if (typeof data !== 'object' || data === null) return [];
+    return Object.entries(data).flatMap(([key, value]) => {
+        const fieldPath = path ? `${path}.${key}` : key;
+        const type = getBsonType(value);
+        if (type === 'ObjectId') return key === '_id' ? [] : [{ path: fieldPath, value }];
+        if (type === 'DBRef') return [{ path: fieldPath, value: value.$id, dbRef: value }];
+        return type ? [] : findReferenceFields(value, fieldPath);
+    });
+};
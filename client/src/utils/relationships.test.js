@@ -0,0 +1,95 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+// A fresh localStorage and a fresh module (so its registry cache is empty) for every test
+const memoryStorage = (initial = {}) => {
+    const items = new Map(Object.entries(initial));
+    return {
+        get length() { return items.size; },
+        key: (i) => [...items.keys()][i] ?? null,
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: vi.fn((key, value) => items.set(key, String(value))),
+        removeItem: (key) => items.delete(key)
+    };
+};
+
+const load = async (initial) => {
+    vi.stubGlobal('localStorage', memoryStorage(initial));
+    vi.resetModules();
+    return import('./relationships');
+};
+
+beforeEach(() => vi.unstubAllGlobals());
+
+describe('relationship registry', () => {
+    it('migrates the version 1 array, connection history and reference rules', async () => {
+        const { getRegistry, getKeyFields } = await load({
+            mongoDV_connectionHistory: JSON.stringify({ 'items.0.productId': { db: 'shop', collection: 'products', timestamp: 1000 } }),
+            mongoDV_referenceRules_shop: JSON.stringify({
+                keyFields: { customers: 'uuid' },
+                rules: [{ sourceCollection: 'orders', path: 'customerRef', targetCollection: 'customers', targetField: null }]
+            })
+        });
+        expect(getRegistry()).toEqual([
+            { database: 'shop', collection: null, path: 'items.productId', targetDatabase: 'shop', targetCollection: 'products', updatedAt: '1970-01-01T00:00:01.000Z' },
+            { database: 'shop', collection: 'orders', path: 'customerRef', targetDatabase: 'shop', targetCollection: 'customers', rule: true, updatedAt: null }
+        ]);
+        expect(getKeyFields()).toEqual([{ database: 'shop', collection: 'customers', path: 'uuid' }]);
+        expect(localStorage.getItem('mongoDV_referenceRules_shop')).toBeNull();
+        expect(JSON.parse(localStorage.getItem('mongoDV_relationshipRegistry')).keyFields).toHaveLength(1);
+
+        const legacy = await load({ mongoDV_relationshipRegistry: JSON.stringify([{ database: 'a', collection: null, path: 'x', targetDatabase: 'a', targetCollection: 'b' }]) });
+        expect(legacy.getRegistry()).toHaveLength(1);
+        expect(legacy.getKeyFields()).toEqual([]);
+    });
+
+    it('looks up the entry of the collection before the any-collection one', async () => {
+        const { rememberRelationship, lookupRegistry } = await load();
+        rememberRelationship({ database: 'shop', collection: null, path: 'userId', targetCollection: 'users' });
+        rememberRelationship({ database: 'shop', collection: 'audit', path: 'userId', targetCollection: 'admins' });
+        expect(lookupRegistry('shop', 'audit', 'userId').targetCollection).toBe('admins');
+        expect(lookupRegistry('shop', 'orders', 'userId').targetCollection).toBe('users');
+        expect(lookupRegistry('other', 'orders', 'userId')).toBeNull();
+    });
+
+    it('caches the parsed registry until it is written', async () => {
+        const { getRegistry, rememberRelationship } = await load({ mongoDV_relationshipRegistry: JSON.stringify({ relationships: [], keyFields: [] }) });
+        const getItem = vi.spyOn(localStorage, 'getItem');
+        const first = getRegistry();
+        expect(getRegistry()).toBe(first);
+        expect(getItem).toHaveBeenCalledTimes(1);
+
+        rememberRelationship({ database: 'shop', collection: 'orders', path: 'userId', targetCollection: 'users' });
+        const second = getRegistry();
+        expect(second).not.toBe(first);
+        expect(second).toHaveLength(1);
+        expect(getItem).toHaveBeenCalledTimes(1);
+    });
+
+    it('round-trips rules and key fields through export and import', async () => {
+        const source = await load();
+        source.rememberRelationship({ database: 'shop', collection: 'orders', path: 'userId', targetCollection: 'users' });
+        source.replaceRegistryEntry(null, { database: 'shop', collection: 'orders', path: 'customerRef', targetDatabase: 'shop', targetCollection: 'customers', rule: true, targetField: 'uuid' });
+        source.setRegistryKeyField('shop', 'products', 'sku');
+        const file = JSON.parse(JSON.stringify(source.exportRegistry()));
+        expect(file.version).toBe(2);
+
+        const target = await load();
+        target.rememberRelationship({ database: 'shop', collection: 'orders', path: 'userId', targetCollection: 'accounts' });
+        expect(target.importRegistry(target.parseRegistryFile(file))).toEqual({ added: 2, updated: 1 });
+        const withoutStamp = (entry) => ({ ...entry, updatedAt: null });
+        expect(target.getRegistry().map(withoutStamp)).toEqual(source.getRegistry().map(withoutStamp));
+        expect(target.getKeyFields()).toEqual([{ database: 'shop', collection: 'products', path: 'sku' }]);
+    });
+
+    it('parses version 1 files and bare arrays, and rejects other files', async () => {
+        const { parseRegistryFile } = await load();
+        const entry = { database: 'shop', path: 'items.2.productId', targetCollection: 'products' };
+        expect(parseRegistryFile({ type: 'mongoDV-relationships', version: 1, relationships: [entry] })).toEqual({
+            relationships: [{ database: 'shop', collection: null, path: 'items.productId', targetDatabase: 'shop', targetCollection: 'products', updatedAt: null }],
+            keyFields: []
+        });
+        expect(parseRegistryFile([entry]).relationships).toHaveLength(1);
+        expect(() => parseRegistryFile({ relationships: [entry] })).toThrow('Not a relationship registry file');
+        expect(() => parseRegistryFile([{ database: 'shop' }])).toThrow('no relationship entries');
+    });
+});
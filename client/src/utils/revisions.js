@@ -0,0 +1,37 @@
+import { bsonEquals } from './bson';
+
+// Versions of a card's stored document seen so far, oldest first: [{ data, at }].
+// Cards only get a revisions list once a second version shows up; before that the
+// snapshot the card was fetched with is the one revision (at is null for older saves).
+export const getRevisions = (doc) => doc.revisions || [{ data: doc.storedData || doc.data, at: doc.fetchedAt || null }];
+
+// Revisions kept per card: the first one (the version the card was fetched with) and the latest ones.
+// The card counts the revisions dropped in between in droppedRevisions.
+export const MAX_REVISIONS = 20;
+
+// Card fields for a new version of its document, { revisions, droppedRevisions }: data is appended unless
+// it is what the latest revision already holds, and the oldest revision after the first is dropped
+// when the card already has MAX_REVISIONS
+export const addRevision = (doc, data, at) => {
+    const revisions = getRevisions(doc);
+    const dropped = doc.droppedRevisions || 0;
+    if (bsonEquals(revisions[revisions.length - 1].data, data)) return { revisions, droppedRevisions: dropped || undefined };
+    const next = [...revisions, { data, at }];
+    const overflow = Math.max(0, next.length - MAX_REVISIONS);
+    return {
+        revisions: overflow > 0 ? [next[0], ...next.slice(1 + overflow)] : next,
+        droppedRevisions: dropped + overflow || undefined
+    };
+};
+
+// Revisions are numbered from 1 over the whole history, dropped ones included. Diff Nodes refer to
+// revisions by position in that history (number - 1), so they keep pointing at the same version.
+export const revisionPosition = (doc, index) => (index === 0 ? 0 : index + (doc.droppedRevisions || 0));
+
+// Revision at a position in the history, or null when it was dropped
+export const revisionAt = (doc, position) => {
+    const revisions = getRevisions(doc);
+    if (position === 0) return revisions[0];
+    const index = position - (doc.droppedRevisions || 0);
+    return index >= 1 ? revisions[index] || null : null;
+};
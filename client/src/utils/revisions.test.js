@@ -0,0 +1,43 @@
+import { describe, it, expect } from 'vitest';
+import { addRevision, getRevisions, revisionAt, revisionPosition, MAX_REVISIONS } from './revisions';
+
+const card = { data: { _id: 1, n: 0 }, fetchedAt: 'fetched' };
+
+// The card after n more versions of its document
+const withVersions = (doc, count) => {
+    let current = doc;
+    const first = getRevisions(doc).at(-1).data.n + 1;
+    for (let n = first; n < first + count; n++) current = { ...current, ...addRevision(current, { _id: 1, n }, `at ${n}`) };
+    return current;
+};
+
+describe('revisions', () => {
+    it('start with the snapshot the card was fetched with and skip unchanged versions', () => {
+        expect(getRevisions(card)).toEqual([{ data: card.data, at: 'fetched' }]);
+        expect(addRevision(card, { _id: 1, n: 0 }, 'later')).toEqual({ revisions: [{ data: card.data, at: 'fetched' }], droppedRevisions: undefined });
+        expect(addRevision(card, { _id: 1, n: 1 }, 'later').revisions).toHaveLength(2);
+    });
+
+    it('keep the first and the latest revisions and count the dropped ones', () => {
+        const full = withVersions(card, MAX_REVISIONS - 1);
+        expect(full.revisions).toHaveLength(MAX_REVISIONS);
+        expect(full.droppedRevisions).toBeUndefined();
+
+        const trimmed = withVersions(full, 3);
+        expect(trimmed.revisions).toHaveLength(MAX_REVISIONS);
+        expect(trimmed.droppedRevisions).toBe(3);
+        expect(trimmed.revisions[0].at).toBe('fetched');
+        expect(trimmed.revisions[1].data.n).toBe(4);
+        expect(trimmed.revisions[MAX_REVISIONS - 1].data.n).toBe(MAX_REVISIONS + 2);
+    });
+
+    it('are addressed by position in the whole history', () => {
+        const trimmed = withVersions(card, MAX_REVISIONS + 2);
+        expect(revisionPosition(trimmed, 0)).toBe(0);
+        expect(revisionPosition(trimmed, 1)).toBe(4);
+        expect(revisionAt(trimmed, 0).at).toBe('fetched');
+        expect(revisionAt(trimmed, 4).data.n).toBe(4);
+        expect(revisionAt(trimmed, 2)).toBeNull();
+        expect(revisionAt(trimmed, MAX_REVISIONS + 3)).toBeNull();
+    });
+});
@@ -0,0 +1,5 @@
+// Whether a canvas card stands for a document stored in its collection, so it can be refreshed,
+// watched and written back. Custom documents and aggregation output (fromAggregation: stages like
+// $group make up their own _ids) only exist on the canvas.
+export const isStoredDocument = (doc) => !!doc.database && doc.data?._id !== undefined
+    && !['Custom', 'Unknown'].includes(doc.collection) && !doc.fromAggregation;
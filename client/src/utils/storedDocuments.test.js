@@ -0,0 +1,17 @@
+import { describe, it, expect } from 'vitest';
+import { isStoredDocument } from './storedDocuments';
+
+describe('isStoredDocument', () => {
+    const card = { database: 'shop', collection: 'orders', data: { _id: { $oid: 'aaaaaaaaaaaaaaaaaaaaaaaa' } } };
+
+    it('accepts documents fetched from a collection', () => {
+        expect(isStoredDocument(card)).toBe(true);
+    });
+
+    it('rejects aggregation output, custom documents and documents without an _id', () => {
+        expect(isStoredDocument({ ...card, data: { _id: 'paid', total: 3 }, fromAggregation: true })).toBe(false);
+        expect(isStoredDocument({ ...card, collection: 'Custom' })).toBe(false);
+        expect(isStoredDocument({ ...card, database: undefined })).toBe(false);
+        expect(isStoredDocument({ ...card, data: { total: 3 } })).toBe(false);
+    });
+});
@@ -0,0 +1,34 @@
+// Extended JSON on the way in and out: filters and pipelines arrive with EJSON type wrappers,
+// documents leave as canonical EJSON so the client sees every BSON type.
+
+const { BSON } = require('mongodb');
+
+const { EJSON } = BSON;
+
+// Extended JSON type wrappers that are converted back into real BSON values
+const EJSON_TYPE_KEYS = ['$oid', '$date', '$numberInt', '$numberLong', '$numberDouble', '$numberDecimal', '$binary', '$uuid', '$timestamp', '$regularExpression', '$minKey', '$maxKey'];
+
+// Recursive function to convert extended JSON syntax ($oid, $date, $numberLong, ...) to actual types
+const processQuery = (obj) => {
+    if (Array.isArray(obj)) {
+        return obj.map(item => processQuery(item));
+    } else if (typeof obj === 'object' && obj !== null) {
+        // Check for extended syntax - only single-key wrappers, so query operators are left alone
+        const keys = Object.keys(obj);
+        if (keys.length === 1 && EJSON_TYPE_KEYS.includes(keys[0])) {
+            return EJSON.deserialize(obj, { relaxed: false });
+        }
+
+        const newObj = {};
+        for (const [key, value] of Object.entries(obj)) {
+            newObj[key] = processQuery(value);
+        }
+        return newObj;
+    }
+    return obj;
+};
+
+// Documents are sent as canonical Extended JSON so BSON types survive the trip to the client
+const toEjson = (docs) => EJSON.serialize(docs, { relaxed: false });
+
+module.exports = { processQuery, toEjson };
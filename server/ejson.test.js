@@ -0,0 +1,53 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId, Long, Decimal128, Int32, Double, Binary } = require('mongodb');
+const { processQuery, toEjson } = require('./ejson');
+
+test('turns EJSON type wrappers in filters into BSON values', () => {
+    const filter = processQuery({
+        _id: { $oid: '507f1f77bcf86cd799439011' },
+        count: { $numberLong: '9007199254740993' },
+        price: { $numberDecimal: '1.10' },
+        tags: { $in: [{ $numberInt: '1' }, { $numberDouble: '2.0' }] }
+    });
+    assert.ok(filter._id instanceof ObjectId);
+    assert.ok(filter.count instanceof Long);
+    assert.equal(filter.count.toString(), '9007199254740993');
+    assert.ok(filter.price instanceof Decimal128);
+    assert.equal(filter.price.toString(), '1.10');
+    assert.ok(filter.tags.$in[0] instanceof Int32);
+    assert.ok(filter.tags.$in[1] instanceof Double);
+});
+
+test('leaves query operators and objects that only look like wrappers alone', () => {
+    const filter = processQuery({ createdAt: { $gte: { $date: '2024-01-01T00:00:00Z' }, $lt: { $date: '2025-01-01T00:00:00Z' } } });
+    assert.deepEqual(Object.keys(filter.createdAt), ['$gte', '$lt']);
+    assert.ok(filter.createdAt.$gte instanceof Date);
+    assert.deepEqual(processQuery({ meta: { $oid: 'x', note: 'kept' } }), { meta: { $oid: 'x', note: 'kept' } });
+    assert.deepEqual(processQuery([{ $match: { n: 1 } }, null, 'text']), [{ $match: { n: 1 } }, null, 'text']);
+});
+
+test('sends documents as canonical EJSON that keeps every type', () => {
+    const id = new ObjectId('507f1f77bcf86cd799439011');
+    const [doc] = toEjson([{
+        _id: id,
+        n: 5,
+        whole: new Double(5),
+        big: Long.fromString('9007199254740993'),
+        price: Decimal128.fromString('1.10'),
+        at: new Date(0),
+        data: new Binary(Buffer.from('hi'))
+    }]);
+    assert.deepEqual(doc, {
+        _id: { $oid: '507f1f77bcf86cd799439011' },
+        n: { $numberInt: '5' },
+        whole: { $numberDouble: '5.0' },
+        big: { $numberLong: '9007199254740993' },
+        price: { $numberDecimal: '1.10' },
+        at: { $date: { $numberLong: '0' } },
+        data: { $binary: { base64: 'aGk=', subType: '00' } }
+    });
+    // and the same values come back from a filter built of them
+    assert.ok(processQuery(doc).big.equals(Long.fromString('9007199254740993')));
+    assert.ok(processQuery(doc)._id.equals(id));
+});
@@ -1,6 +1,11 @@
 const express = require('express');
-const { MongoClient, ObjectId } = require('mongodb');
+const { MongoClient, ObjectId, BSON } = require('mongodb');
+const { EJSON } = BSON;
 const cors = require('cors');
+const crypto = require('crypto');
+const { parseShellQuery } = require('./shellQuery');
+const { processQuery, toEjson } = require('./ejson');
+const { queryFingerprint, pagingSort, invertSort, sortKeyValues, keysetFilter, encodeCursor, decodeCursor } = require('./paging');
 require('dotenv').config();
 
 const app = express();
@@ -9,65 +14,201 @@ const port = process.env.PORT || 3001;
 app.use(cors());
 app.use(express.json());
 
-// Connection Pool
-const clients = new Map();
+// Connection sessions. /api/connect opens a MongoClient and returns an opaque session handle;
+// every other route sends the handle, so the connection string and its credentials cross the
+// wire once and are never logged. Sessions idle for SESSION_IDLE_MS are closed.
+const SESSION_IDLE_MS = parseInt(process.env.SESSION_IDLE_MS) || 30 * 60 * 1000;
+const sessions = new Map(); // sessionId -> { uri, host, client, policy, lastUsed, active }
 
-// Helper to get or create client connection
-const withClient = async (uri, operation) => {
-    let client = clients.get(uri);
+// Host part of a connection string, safe to log: no credentials, no options
+const redactUri = (uri) => uri.replace(/^[^/]*\/\/([^@/]*@)?/, '').split(/[/?]/)[0];
 
-    if (!client) {
+const closeSession = async (sessionId) => {
+    const session = sessions.get(sessionId);
+    if (!session) return false;
+    sessions.delete(sessionId);
+    try { await session.client?.close(); } catch (e) { }
+    console.log(`Session closed for ${session.host}`);
+    return true;
+};
+
+setInterval(() => {
+    const now = Date.now();
+    sessions.forEach((session, sessionId) => {
+        if (session.active === 0 && now - session.lastUsed > SESSION_IDLE_MS) {
+            console.log(`Evicting idle session for ${session.host}`);
+            closeSession(sessionId);
+        }
+    });
+}, 60 * 1000).unref();
+
+// Resolves req.body.session to req.dbSession, or answers 401 so the client can connect again
+const requireSession = (req, res, next) => {
+    const session = sessions.get(req.body.session);
+    if (!session) {
+        return res.status(401).json({ error: 'Session expired or unknown, connect again', code: 'SESSION_EXPIRED' });
+    }
+    session.lastUsed = Date.now();
+    req.dbSession = session;
+    next();
+};
+
+// Runs an operation on the session's client, reconnecting if the previous connection broke
+const withClient = async (session, operation) => {
+    if (!session.client) {
         try {
-            client = new MongoClient(uri);
+            const client = new MongoClient(session.uri);
             await client.connect();
-            clients.set(uri, client);
-            console.log(`New connection established for ${uri.split('@').pop()}`); // Log safe part of URI
+            session.client = client;
+            console.log(`New connection established for ${session.host}`);
         } catch (error) {
             console.error('Failed to create new connection:', error);
             throw error;
         }
     }
 
+    const client = session.client;
+    session.active++;
     try {
         return await operation(client);
     } catch (error) {
-        // If the operation fails (e.g., topology closed), we might need to invalidate the pool
+        // If the operation fails (e.g., topology closed), drop the client so the next call reconnects
         if (error.message.includes('Topology is closed') || error.message.includes('Client must be connected')) {
-            console.log('Connection appears broken, removing from pool');
+            console.log('Connection appears broken, reconnecting on next use');
             try { await client.close(); } catch (e) { }
-            clients.delete(uri);
+            if (session.client === client) session.client = null;
         }
         throw error;
+    } finally {
+        session.active--;
+        session.lastUsed = Date.now();
     }
 };
 
+// Every query runs with a time limit and, when the client sends an opId, a comment tag
+// so /api/cancel can find it in $currentOp and kill it
+const DEFAULT_MAX_TIME_MS = parseInt(process.env.QUERY_MAX_TIME_MS) || 30000;
+const MAX_TIME_MS_LIMIT = 10 * 60 * 1000;
+const activeOperations = new Map(); // opId -> { session, cancelled }
+
+const operationComment = (opId) => `mongodv:${opId}`;
+
+const queryOperationOptions = (opId, maxTimeMS) => ({
+    maxTimeMS: Math.min(Math.max(1, parseInt(maxTimeMS) || DEFAULT_MAX_TIME_MS), MAX_TIME_MS_LIMIT),
+    ...(opId ? { comment: operationComment(opId) } : {})
+});
+
+// Count option from a request body: fallback when missing or not a number, clamped to 1..max
+const clampCount = (value, fallback, max) => Math.min(Math.max(1, parseInt(value) || fallback), max);
+
+// Registers an operation for cancellation; returns the function that unregisters it
+const trackOperation = (opId, session) => {
+    if (!opId) return () => { };
+    activeOperations.set(opId, { session, cancelled: false });
+    return () => activeOperations.delete(opId);
+};
+
+// Send a query failure, telling a maxTimeMS expiry and a user cancel apart from other errors
+const sendQueryFailure = (res, error, opId, action) => {
+    if (error.code === 50) { // MaxTimeMSExpired
+        return res.status(504).json({ error: `Timed out while trying to ${action}. Narrow the query or raise the timeout.`, code: 'TIMEOUT' });
+    }
+    if (opId && activeOperations.get(opId)?.cancelled) {
+        // 499: request closed by the client (nginx convention)
+        return res.status(499).json({ error: `Cancelled while trying to ${action}`, code: 'CANCELLED' });
+    }
+    res.status(500).json({ error: `Failed to ${action}: ` + error.message });
+};
+
+// Parse an optional object option (sort, projection) that may arrive as JSON or mongosh text
+const parseObjectOption = (value, name) => {
+    if (value === undefined || value === null || value === '') return undefined;
+    let parsed = value;
+    if (typeof value === 'string') {
+        try {
+            parsed = parseShellQuery(value);
+        } catch (e) {
+            throw new Error(`${name} is invalid: ${e.message}`);
+        }
+    }
+    if (typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new Error(`${name} must be an object`);
+    }
+    return Object.keys(parsed).length > 0 ? parsed : undefined;
+};
+
+// Filters arrive either as EJSON objects or as text in JSON / mongosh syntax.
+// Text that doesn't parse is rejected; it must never fall back to an empty (match-all) query.
+const parseQueryInput = (query) => {
+    const parsed = typeof query === 'string' ? parseShellQuery(query) : query;
+    if (typeof parsed !== 'object' || parsed === null || Array.isArray(parsed)) {
+        throw new Error('Query must be an object');
+    }
+    return parsed;
+};
+
+// 400 body for a query that failed to parse; position/line/column point at the offending character
+const queryErrorBody = (error) => ({
+    error: 'Invalid query: ' + error.message,
+    position: error.position,
+    line: error.line,
+    column: error.column
+});
+
+// Safety policy of each session, set when connecting: { environment, readOnly }.
+// Write routes check it here, so a read-only connection is refused whatever the UI shows.
+const ENVIRONMENTS = ['dev', 'staging', 'prod'];
+
+// Middleware for every route that changes data, after requireSession. Refuses read-only
+// connections and makes prod writes carry the typed confirmation: the name of the database
+// being written to.
+const requireWritable = (req, res, next) => {
+    const { dbName, confirmation } = req.body;
+    const { policy } = req.dbSession;
+    if (policy.readOnly) {
+        return res.status(403).json({ error: 'This connection is read-only', code: 'READ_ONLY' });
+    }
+    if (policy.environment === 'prod' && confirmation !== dbName) {
+        return res.status(403).json({ error: `Writes to prod must be confirmed by typing the database name (${dbName})`, code: 'CONFIRMATION_REQUIRED' });
+    }
+    next();
+};
+
 app.post('/api/connect', async (req, res) => {
-    const { uri } = req.body;
+    const { uri, environment = null, readOnly = false } = req.body;
     if (!uri) {
         return res.status(400).json({ error: 'Connection string is required' });
     }
+    if (environment !== null && !ENVIRONMENTS.includes(environment)) {
+        return res.status(400).json({ error: `Environment must be one of ${ENVIRONMENTS.join(', ')}` });
+    }
 
+    const policy = { environment, readOnly: readOnly === true };
+    const session = { uri, host: redactUri(uri), client: null, policy, lastUsed: Date.now(), active: 0 };
     try {
         // Force a fresh connection check or ping
-        await withClient(uri, async (client) => {
+        await withClient(session, async (client) => {
             await client.db("admin").command({ ping: 1 });
         });
-        res.json({ success: true, message: 'Connected successfully' });
+        const sessionId = crypto.randomUUID();
+        sessions.set(sessionId, session);
+        res.json({ success: true, message: 'Connected successfully', session: sessionId, ...policy });
     } catch (error) {
+        try { await session.client?.close(); } catch (e) { }
         console.error('Connection error:', error);
         res.status(500).json({ error: 'Failed to connect: ' + error.message });
     }
 });
 
+app.post('/api/disconnect', async (req, res) => {
+    const closed = await closeSession(req.body.session);
+    res.json({ success: true, closed });
+});
 
-app.post('/api/databases', async (req, res) => {
-    const { uri } = req.body;
-    if (!uri) {
-        return res.status(400).json({ error: 'Connection string is required' });
-    }
 
+app.post('/api/databases', requireSession, async (req, res) => {
     try {
-        const dbs = await withClient(uri, async (client) => {
+        const dbs = await withClient(req.dbSession, async (client) => {
             const adminDb = client.db('admin');
             const result = await adminDb.admin().listDatabases();
             return result.databases;
@@ -79,14 +220,14 @@ app.post('/api/databases', async (req, res) => {
     }
 });
 
-app.post('/api/collections', async (req, res) => {
-    const { uri, dbName } = req.body;
-    if (!uri || !dbName) {
-        return res.status(400).json({ error: 'Connection string and database name are required' });
+app.post('/api/collections', requireSession, async (req, res) => {
+    const { dbName } = req.body;
+    if (!dbName) {
+        return res.status(400).json({ error: 'Database name is required' });
     }
 
     try {
-        const collections = await withClient(uri, async (client) => {
+        const collections = await withClient(req.dbSession, async (client) => {
             const db = client.db(dbName);
             const cols = await db.listCollections().toArray();
             return cols;
@@ -98,110 +239,1127 @@ app.post('/api/collections', async (req, res) => {
     }
 });
 
-
-app.post('/api/schema', async (req, res) => {
-    const { uri, dbName, colName } = req.body;
-    if (!uri || !dbName || !colName) {
-        return res.status(400).json({ error: 'Connection string, database name, and collection name are required' });
+// Overview of one collection for the canvas collection node: options from listCollections,
+// storage stats, indexes with their sizes and a small sample
+app.post('/api/collection-stats', requireSession, async (req, res) => {
+    const { dbName, colName, sampleSize = 3 } = req.body;
+    if (!dbName || !colName) {
+        return res.status(400).json({ error: 'Database name and collection name are required' });
     }
 
     try {
-        const schema = await withClient(uri, async (client) => {
+        const result = await withClient(req.dbSession, async (client) => {
             const db = client.db(dbName);
+            const [info] = await db.listCollections({ name: colName }).toArray();
+            if (!info) return null;
+
             const collection = db.collection(colName);
-            // Sample first 10 documents to infer schema
-            const docs = await collection.find({}).limit(10).toArray();
-
-            const schemaMap = {};
-
-            const getType = (val) => {
-                if (val === null) return 'Null';
-                if (val === undefined) return 'Undefined';
-                if (val instanceof ObjectId) return 'ObjectId';
-                if (val instanceof Date) return 'Date';
-                if (Array.isArray(val)) return 'Array';
-                return typeof val; // 'string', 'number', 'boolean', 'object'
+            const options = info.options || {};
+            const type = info.type === 'view' ? 'view' : (options.timeseries ? 'timeseries' : 'collection');
+
+            // Views have no storage or indexes of their own
+            let storage = null;
+            let indexes = [];
+            if (type !== 'view') {
+                const [collStats] = await collection.aggregate([{ $collStats: { storageStats: {}, count: {} } }]).toArray();
+                const stats = collStats?.storageStats || {};
+                storage = {
+                    count: collStats?.count ?? stats.count,
+                    size: stats.size,
+                    storageSize: stats.storageSize,
+                    avgObjSize: stats.avgObjSize,
+                    totalIndexSize: stats.totalIndexSize
+                };
+                const indexSizes = stats.indexSizes || {};
+                indexes = (await collection.indexes()).map(index => ({
+                    name: index.name,
+                    key: index.key,
+                    size: indexSizes[index.name],
+                    ...(index.unique && { unique: true }),
+                    ...(index.sparse && { sparse: true }),
+                    ...(index.expireAfterSeconds !== undefined && { expireAfterSeconds: index.expireAfterSeconds }),
+                    ...(index.partialFilterExpression && { partialFilterExpression: index.partialFilterExpression })
+                }));
+            }
+
+            const sample = await collection.find({}).limit(Math.min(Math.max(0, parseInt(sampleSize) || 0), 20)).toArray();
+
+            return {
+                name: colName,
+                type,
+                storage,
+                indexes,
+                options: {
+                    ...(options.capped && { capped: true, size: options.size, max: options.max }),
+                    ...(options.timeseries && { timeseries: options.timeseries }),
+                    ...(options.expireAfterSeconds !== undefined && { expireAfterSeconds: options.expireAfterSeconds }),
+                    ...(options.viewOn && { viewOn: options.viewOn, pipeline: options.pipeline }),
+                    ...(options.validator && {
+                        validator: options.validator,
+                        validationLevel: options.validationLevel,
+                        validationAction: options.validationAction
+                    })
+                },
+                sample
             };
+        });
 
-            docs.forEach(doc => {
-                Object.keys(doc).forEach(key => {
-                    const type = getType(doc[key]);
-                    if (!schemaMap[key]) {
-                        schemaMap[key] = type;
-                    } else if (schemaMap[key] !== type) {
-                        // Simple conflict resolution: if mixed, just keep it, or mark as Mixed.
-                        // For now, let's just stick with first seen or favor ObjectId/Date if present
-                        if (type === 'ObjectId' || type === 'Date') schemaMap[key] = type;
-                    }
+        if (!result) {
+            return res.status(404).json({ error: `Collection ${dbName}.${colName} not found` });
+        }
+        // Sample documents as canonical EJSON like /api/documents; the overview as relaxed EJSON so sizes stay plain numbers
+        const { sample, ...overview } = result;
+        res.json({ ...EJSON.serialize(overview, { relaxed: true }), sample: toEjson(sample) });
+    } catch (error) {
+        console.error('Collection stats error:', error);
+        res.status(500).json({ error: 'Failed to get collection stats: ' + error.message });
+    }
+});
+
+
+// BSON type name of a value deserialized with promoteValues: false
+const BSONTYPE_NAMES = { BSONRegExp: 'RegExp', BSONSymbol: 'Symbol' };
+const getSchemaType = (val) => {
+    if (val === null) return 'Null';
+    if (val === undefined) return 'Undefined';
+    if (Array.isArray(val)) return 'Array';
+    if (val instanceof Date) return 'Date';
+    if (val instanceof RegExp) return 'RegExp';
+    if (val._bsontype) {
+        if (val._bsontype === 'Binary' && val.sub_type === 4) return 'UUID';
+        return BSONTYPE_NAMES[val._bsontype] || val._bsontype;
+    }
+    if (typeof val === 'string') return 'String';
+    if (typeof val === 'boolean') return 'Boolean';
+    if (typeof val === 'object') return 'Object';
+    return typeof val; // numbers only appear here when promoteValues is left on
+};
+
+const mostFrequent = (counts) => Object.entries(counts).sort((a, b) => b[1] - a[1])[0]?.[0];
+
+// Walk a document into dot paths. Array elements share their array's path (as in queries),
+// so "items.price" covers every element of "items".
+const walkSchema = (value, prefix, stats, present) => {
+    for (const [key, child] of Object.entries(value)) {
+        const path = prefix ? `${prefix}.${key}` : key;
+        if (!stats.has(path)) stats.set(path, { types: {}, itemTypes: {}, count: 0 });
+        const field = stats.get(path);
+        const type = getSchemaType(child);
+        field.types[type] = (field.types[type] || 0) + 1;
+        if (!present.has(path)) {
+            present.add(path);
+            field.count++;
+        }
+
+        if (type === 'Object') {
+            walkSchema(child, path, stats, present);
+        } else if (type === 'Array') {
+            child.forEach(item => {
+                const itemType = getSchemaType(item);
+                field.itemTypes[itemType] = (field.itemTypes[itemType] || 0) + 1;
+                if (itemType === 'Object') walkSchema(item, path, stats, present);
+            });
+        }
+    }
+};
+
+// Most documents /api/schema samples
+const SCHEMA_MAX_SAMPLE = 10000;
+
+app.post('/api/schema', requireSession, async (req, res) => {
+    const { dbName, colName, sampleSize, opId, maxTimeMS } = req.body;
+    if (!dbName || !colName) {
+        return res.status(400).json({ error: 'Database name and collection name are required' });
+    }
+
+    const untrack = trackOperation(opId, req.dbSession);
+    try {
+        const result = await withClient(req.dbSession, async (client) => {
+            const db = client.db(dbName);
+            const collection = db.collection(colName);
+            // Random sample so the result is not biased towards the oldest documents
+            const docs = await collection.aggregate(
+                [{ $sample: { size: clampCount(sampleSize, 500, SCHEMA_MAX_SAMPLE) } }],
+                { promoteValues: false, ...queryOperationOptions(opId, maxTimeMS) }
+            ).toArray();
+
+            const stats = new Map();
+            docs.forEach(doc => walkSchema(doc, '', stats, new Set()));
+
+            const fields = [];
+            const schema = {}; // path -> dominant type, e.g. "Array<ObjectId>"
+            stats.forEach((field, path) => {
+                const dominantType = mostFrequent(field.types);
+                const dominantItemType = mostFrequent(field.itemTypes);
+                fields.push({
+                    path,
+                    types: field.types,
+                    itemTypes: dominantItemType ? field.itemTypes : undefined,
+                    count: field.count,
+                    probability: docs.length ? field.count / docs.length : 0,
+                    dominantType
                 });
+                schema[path] = dominantType === 'Array' && dominantItemType ? `Array<${dominantItemType}>` : dominantType;
             });
 
-            return schemaMap;
+            return { schema, fields, sampleSize: docs.length };
         });
-        res.json({ schema });
+        res.json(result);
     } catch (error) {
         console.error('Schema inference error:', error);
-        res.status(500).json({ error: 'Failed to infer schema: ' + error.message });
+        sendQueryFailure(res, error, opId, 'infer schema');
+    } finally {
+        untrack();
     }
 });
 
-app.post('/api/documents', async (req, res) => {
-    const { uri, dbName, colName, limit = 20, query = {} } = req.body;
-    if (!uri || !dbName || !colName) {
-        return res.status(400).json({ error: 'Connection string, database name, and collection name are required' });
+// Kill a running query by the opId the client tagged it with
+app.post('/api/cancel', async (req, res) => {
+    const { opId } = req.body;
+    const operation = opId && activeOperations.get(opId);
+    if (!operation) {
+        // Already finished (or never started) - nothing to kill
+        return res.json({ cancelled: false });
+    }
+    operation.cancelled = true;
+
+    try {
+        const killed = await withClient(operation.session, async (client) => {
+            const admin = client.db('admin');
+            const comment = operationComment(opId);
+            const ops = await admin.aggregate([
+                { $currentOp: { allUsers: true } },
+                { $match: { $or: [{ 'command.comment': comment }, { 'cursor.originatingCommand.comment': comment }] } }
+            ]).toArray();
+            for (const op of ops) {
+                await admin.command({ killOp: 1, op: op.opid });
+            }
+            return ops.length;
+        });
+        console.log("Cancelled operation", opId, "-", killed, "server op(s) killed");
+        res.json({ cancelled: true, killed });
+    } catch (error) {
+        console.error('Cancel operation error:', error);
+        res.status(500).json({ error: 'Failed to cancel operation: ' + error.message });
     }
+});
 
+// Validate a JSON / mongosh filter and return it as canonical EJSON, e.g. for the query builder
+app.post('/api/parse-query', (req, res) => {
     try {
-        const documents = await withClient(uri, async (client) => {
+        const filter = parseQueryInput(req.body.query ?? '');
+        res.json({ query: EJSON.serialize(processQuery(filter), { relaxed: false }) });
+    } catch (e) {
+        res.status(400).json(queryErrorBody(e));
+    }
+});
+
+// Pages through a query with keyset cursors: pass the nextCursor or prevCursor of a page to get the
+// page after or before it. skip starts the first page further in; the pages after it go by cursor.
+// The total count is taken on the first page and carried by its cursors.
+const DOCUMENTS_MAX_LIMIT = 1000;
+
+app.post('/api/documents', requireSession, async (req, res) => {
+    const { dbName, colName, limit, skip: offset, query = {}, sort, projection, cursor, opId, maxTimeMS } = req.body;
+    if (!dbName || !colName) {
+        return res.status(400).json({ error: 'Database name and collection name are required' });
+    }
+    const firstSkip = offset === undefined || offset === null || offset === '' ? 0 : Number(offset);
+    if (!Number.isInteger(firstSkip) || firstSkip < 0) {
+        return res.status(400).json({ error: 'skip must be a non-negative integer' });
+    }
+    if (cursor && firstSkip > 0) {
+        return res.status(400).json({ error: 'Pass either skip or a cursor, not both' });
+    }
+
+    let filter;
+    try {
+        filter = parseQueryInput(query);
+    } catch (e) {
+        return res.status(400).json(queryErrorBody(e));
+    }
+
+    let sortSpec, projectionSpec;
+    try {
+        sortSpec = pagingSort(parseObjectOption(sort, 'Sort'));
+        projectionSpec = parseObjectOption(projection, 'Projection');
+    } catch (e) {
+        return res.status(400).json({ error: e.message });
+    }
+
+    const fingerprint = queryFingerprint(dbName, colName, filter, sortSpec, projectionSpec);
+    let page = null;
+    if (cursor) {
+        page = decodeCursor(cursor);
+        if (!page) {
+            return res.status(400).json({ error: 'Invalid cursor' });
+        }
+        if (page.fingerprint !== fingerprint) {
+            return res.status(400).json({ error: 'Cursor does not belong to this query, run the query again' });
+        }
+    }
+    const pageSize = clampCount(limit, 20, DOCUMENTS_MAX_LIMIT);
+    const reverse = !!page?.reverse;
+
+    // Cursors are built from _id and the sort keys, so _id is fetched even when the projection hides it
+    const { _id: idProjection, ...otherProjection } = projectionSpec || {};
+    const hideId = idProjection === 0 || idProjection === false;
+    const findProjection = hideId ? otherProjection : projectionSpec;
+
+    const untrack = trackOperation(opId, req.dbSession);
+    try {
+        const result = await withClient(req.dbSession, async (client) => {
             const db = client.db(dbName);
             const collection = db.collection(colName);
 
-            // Parse query if it's a string (though we expect object from body parser)
-            let search = query;
-            if (typeof query === 'string') {
-                try {
-                    search = JSON.parse(query);
-                } catch (e) {
-                    console.warn("Failed to parse query string, using empty query");
-                    search = {};
-                }
+            // Apply conversions
+            const search = processQuery(filter);
+            const where = page ? { $and: [search, keysetFilter(sortSpec, page.values, reverse)] } : search;
+
+            console.log("Executing Query on", dbName + "." + colName, ":", JSON.stringify(search), "sort: " + JSON.stringify(sortSpec), page ? (reverse ? "before" : "after") + " position " + page.skip : firstSkip ? "skip " + firstSkip : "");
+
+            const operationOptions = queryOperationOptions(opId, maxTimeMS);
+            const find = collection.find(where, { ...operationOptions, ...(findProjection && Object.keys(findProjection).length > 0 ? { projection: findProjection } : {}) })
+                .sort(reverse ? invertSort(sortSpec) : sortSpec)
+                .skip(page ? 0 : firstSkip)
+                .limit(pageSize + 1); // One more tells whether there is another page
+
+            const [docs, totalCount] = await Promise.all([
+                find.toArray(),
+                page ? page.totalCount : collection.countDocuments(search, operationOptions)
+            ]);
+            const hasMore = docs.length > pageSize;
+            const documents = docs.slice(0, pageSize);
+            if (reverse) documents.reverse();
+
+            // The projection may leave out sort keys; read those of the edge documents separately
+            const edgeValues = async (doc) => {
+                const hidden = projectionSpec && Object.keys(sortSpec).some(key => !(key.split('.')[0] in doc));
+                const source = hidden
+                    ? await collection.findOne({ _id: doc._id }, { ...operationOptions, projection: Object.fromEntries(Object.keys(sortSpec).map(key => [key, 1])) })
+                    : doc;
+                return sortKeyValues(source || doc, sortSpec);
+            };
+
+            // A page read backwards that comes up short is the first one
+            const skip = reverse && !hasMore ? 0 : page ? page.skip : firstSkip;
+            const hasNext = reverse ? documents.length > 0 : hasMore;
+            const hasPrev = reverse ? hasMore : skip > 0 && documents.length > 0;
+            const nextCursor = hasNext && encodeCursor({
+                fingerprint, values: await edgeValues(documents[documents.length - 1]), reverse: false, skip: skip + documents.length, totalCount
+            });
+            const prevCursor = hasPrev && encodeCursor({
+                fingerprint, values: await edgeValues(documents[0]), reverse: true, skip: Math.max(0, skip - pageSize), totalCount
+            });
+            return { documents, totalCount, skip, nextCursor: nextCursor || null, prevCursor: prevCursor || null };
+        });
+
+        res.json({
+            ...result,
+            documents: toEjson(hideId ? result.documents.map(({ _id, ...doc }) => doc) : result.documents)
+        });
+    } catch (error) {
+        console.error('Fetch documents error:', error);
+        sendQueryFailure(res, error, opId, 'fetch documents');
+    } finally {
+        untrack();
+    }
+});
+
+// Reads a top-level field by name, so names with dots or a leading $ are matched literally
+const rootField = (name) => ({ $getField: { field: { $literal: name }, input: '$$ROOT' } });
+
+// Optimistic concurrency guard for a write-back: every top-level field of the document as it was
+// fetched must still hold the same value, and fields the edit adds must still be absent.
+// For a whole document the stored one must also have no other fields, so a field added by someone
+// else is caught too; documents fetched with a projection only compare the fields they have.
+const unchangedSinceFetch = (before, addedFields, wholeDocument) => ({
+    _id: before._id,
+    $expr: {
+        $and: [
+            ...Object.entries(before)
+                .filter(([key]) => key !== '_id')
+                .map(([key, value]) => ({ $eq: [rootField(key), { $literal: value }] })),
+            ...addedFields.map(key => ({ $eq: [{ $type: rootField(key) }, 'missing'] })),
+            ...(wholeDocument ? [{ $eq: [{ $size: { $objectToArray: '$$ROOT' } }, Object.keys(before).length] }] : [])
+        ]
+    }
+});
+
+const isDocument = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+// Writes an edited canvas document back with updateOne. `before` is the document as it was fetched and
+// `after` the edited version, both canonical EJSON; only top-level fields that differ are $set / $unset.
+// wholeDocument says `before` was fetched without a projection. Reverting a write is the same call with
+// the two images swapped.
+app.post('/api/update-document', requireSession, requireWritable, async (req, res) => {
+    const { dbName, colName, before, after, wholeDocument = false } = req.body;
+    if (!dbName || !colName) {
+        return res.status(400).json({ error: 'Database name and collection name are required' });
+    }
+    if (!isDocument(before) || !isDocument(after) || !('_id' in before)) {
+        return res.status(400).json({ error: 'The document before and after the edit is required, including its _id' });
+    }
+    if (JSON.stringify(before._id) !== JSON.stringify(after._id)) {
+        return res.status(400).json({ error: '_id cannot be changed' });
+    }
+
+    let beforeDoc, afterDoc;
+    try {
+        beforeDoc = EJSON.deserialize(before, { relaxed: false });
+        afterDoc = EJSON.deserialize(after, { relaxed: false });
+    } catch (e) {
+        return res.status(400).json({ error: 'Invalid document: ' + e.message });
+    }
+
+    // Compare the EJSON as sent, so an untouched Double or Long is never rewritten as another number type
+    const $set = {};
+    const $unset = {};
+    const addedFields = [];
+    for (const key of Object.keys(after)) {
+        if (!(key in before)) addedFields.push(key);
+        if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) $set[key] = afterDoc[key];
+    }
+    for (const key of Object.keys(before)) {
+        if (!(key in after)) $unset[key] = '';
+    }
+
+    const changedFields = [...Object.keys($set), ...Object.keys($unset)];
+    if (changedFields.length === 0) {
+        return res.status(400).json({ error: 'No changes to write' });
+    }
+    const unsafeField = changedFields.find(key => key.includes('.') || key.startsWith('$'));
+    if (unsafeField) {
+        return res.status(400).json({ error: `Field "${unsafeField}" cannot be written: names with dots or a leading $ are not supported` });
+    }
+
+    try {
+        const result = await withClient(req.dbSession, async (client) => {
+            const collection = client.db(dbName).collection(colName);
+            const update = {
+                ...(Object.keys($set).length > 0 ? { $set } : {}),
+                ...(Object.keys($unset).length > 0 ? { $unset } : {})
+            };
+
+            console.log("Updating document in", dbName + "." + colName, ":", EJSON.stringify(beforeDoc._id), "fields:", changedFields.join(', '));
+
+            const { matchedCount } = await collection.updateOne(unchangedSinceFetch(beforeDoc, addedFields, wholeDocument === true), update);
+
+            // Return the stored document with the same fields the client has, so a projected card stays projected
+            const projection = Object.fromEntries(Object.keys(afterDoc)
+                .filter(key => !key.includes('.') && !key.startsWith('$'))
+                .map(key => [key, 1]));
+            const stored = await collection.findOne({ _id: beforeDoc._id }, { projection });
+            return { written: matchedCount > 0, stored };
+        });
+
+        if (!result.stored) {
+            return res.status(404).json({ error: 'The document no longer exists', code: 'NOT_FOUND' });
+        }
+        if (!result.written) {
+            return res.status(409).json({
+                error: 'The document has changed since it was fetched. Review the stored version and edit again.',
+                code: 'CONFLICT',
+                current: toEjson(result.stored)
+            });
+        }
+        res.json({ document: toEjson(result.stored) });
+    } catch (error) {
+        console.error('Update document error:', error);
+        res.status(500).json({ error: 'Failed to update document: ' + error.message });
+    }
+});
+
+// Stages that write to the database are not allowed from the visualizer
+const WRITE_STAGES = ['$out', '$merge'];
+
+// Why a parsed pipeline can't run, or null: every stage must be an object, and none may write
+const pipelineError = (stages) => {
+    if (!Array.isArray(stages)) return 'Pipeline must be an array of stages';
+    const invalid = stages.findIndex(stage => stage === null || typeof stage !== 'object' || Array.isArray(stage));
+    if (invalid !== -1) return `Stage ${invalid + 1} must be an object like { $match: {...} }`;
+    if (stages.some(stage => WRITE_STAGES.some(op => op in stage))) return `Write stages (${WRITE_STAGES.join(', ')}) are not allowed`;
+    return null;
+};
+
+// Most documents an aggregation run or stage preview returns
+const AGGREGATE_MAX_LIMIT = 1000;
+
+app.post('/api/aggregate', requireSession, async (req, res) => {
+    const { dbName, colName, pipeline = [], previewStage, limit, opId, maxTimeMS } = req.body;
+    if (!dbName || !colName) {
+        return res.status(400).json({ error: 'Database name and collection name are required' });
+    }
+
+    let stages = pipeline;
+    if (typeof pipeline === 'string') {
+        try {
+            stages = JSON.parse(pipeline);
+        } catch (e) {
+            return res.status(400).json({ error: 'Pipeline is not valid JSON: ' + e.message });
+        }
+    }
+    const stagesError = pipelineError(stages);
+    if (stagesError) {
+        return res.status(400).json({ error: stagesError });
+    }
+    const previewing = previewStage !== undefined && previewStage !== null;
+    if (previewing && !(Number.isInteger(previewStage) && previewStage >= 0 && previewStage < stages.length)) {
+        return res.status(400).json({ error: stages.length === 0 ? 'The pipeline has no stage to preview' : `previewStage must be a stage index from 0 to ${stages.length - 1}` });
+    }
+
+    const untrack = trackOperation(opId, req.dbSession);
+    try {
+        const documents = await withClient(req.dbSession, async (client) => {
+            const db = client.db(dbName);
+            const collection = db.collection(colName);
+
+            // When previewing, only run the pipeline up to (and including) the requested stage
+            let run = processQuery(stages);
+            if (previewing) {
+                run = run.slice(0, previewStage + 1);
+            }
+            run = [...run, { $limit: clampCount(limit, 20, AGGREGATE_MAX_LIMIT) }];
+
+            console.log("Executing Aggregation on", dbName + "." + colName, ":", JSON.stringify(run));
+
+            return collection.aggregate(run, queryOperationOptions(opId, maxTimeMS)).toArray();
+        });
+        res.json({ documents: toEjson(documents) });
+    } catch (error) {
+        console.error('Aggregation error:', error);
+        sendQueryFailure(res, error, opId, 'run aggregation');
+    } finally {
+        untrack();
+    }
+});
+
+// ---- Explain plans ----
+
+// Child plan nodes of an explain stage, whatever shape the server used
+const planChildren = (node) => [
+    node.inputStage,
+    ...(node.inputStages || []),
+    node.outerStage,
+    node.innerStage,
+    ...(node.shards || []).map(shard => shard.winningPlan?.queryPlan || shard.winningPlan || shard.executionStages)
+].filter(Boolean);
+
+// Winning plan -> { stage, indexName, keyPattern, direction, filter, nReturned, keysExamined, docsExamined, children }
+// Per-stage counts come from the matching executionStages node when its shape follows the plan
+const summarizePlanNode = (plan, exec) => {
+    const matched = exec && exec.stage === plan.stage ? exec : null;
+    const execChildren = matched ? planChildren(matched) : [];
+    const node = {
+        stage: plan.stage || (plan.shardName ? `shard ${plan.shardName}` : 'UNKNOWN'),
+        ...(plan.indexName && { indexName: plan.indexName }),
+        ...(plan.keyPattern && { keyPattern: plan.keyPattern }),
+        ...(plan.direction && { direction: plan.direction }),
+        ...(plan.filter && { filter: plan.filter }),
+        ...(matched && {
+            nReturned: matched.nReturned,
+            keysExamined: matched.keysExamined,
+            docsExamined: matched.docsExamined
+        })
+    };
+    node.children = planChildren(plan).map((child, idx) => summarizePlanNode(child, execChildren[idx]));
+    return node;
+};
+
+const collectStages = (node, out = []) => {
+    out.push(node);
+    node.children.forEach(child => collectStages(child, out));
+    return out;
+};
+
+// Reduce a raw explain("executionStats") result to what the canvas explain node shows
+const summarizeExplain = (explain) => {
+    // Sharded aggregate: report the first shard
+    if (explain.shards && !explain.queryPlanner && !explain.stages) {
+        explain = Object.values(explain.shards)[0] || {};
+    }
+    // Aggregations that are not pushed down wholesale put the find layer in a $cursor stage
+    const cursorStage = explain.stages?.[0]?.$cursor;
+    const layer = cursorStage || explain;
+    const queryPlanner = layer.queryPlanner || {};
+    const executionStats = layer.executionStats || {};
+
+    const winningPlan = queryPlanner.winningPlan?.queryPlan || queryPlanner.winningPlan;
+    const tree = winningPlan ? summarizePlanNode(winningPlan, executionStats.executionStages) : null;
+    const stages = tree ? collectStages(tree) : [];
+    const indexes = [...new Set(stages.map(node => node.indexName).filter(Boolean))];
+
+    return {
+        namespace: queryPlanner.namespace,
+        tree,
+        indexes,
+        collscan: stages.some(node => node.stage === 'COLLSCAN'),
+        nReturned: executionStats.nReturned,
+        totalKeysExamined: executionStats.totalKeysExamined,
+        totalDocsExamined: executionStats.totalDocsExamined,
+        executionTimeMillis: executionStats.executionTimeMillis,
+        // Pipeline stages that run after the find layer, e.g. $group, $lookup
+        pipelineStages: (explain.stages || []).slice(cursorStage ? 1 : 0).map(stage => Object.keys(stage).find(key => key.startsWith('$'))).filter(Boolean),
+        rejectedPlans: (queryPlanner.rejectedPlans || []).length
+    };
+};
+
+// Runs explain("executionStats") for a find (query/sort/projection) or an aggregation (pipeline)
+app.post('/api/explain', requireSession, async (req, res) => {
+    const { dbName, colName, query = {}, sort, projection, pipeline, opId, maxTimeMS } = req.body;
+    if (!dbName || !colName) {
+        return res.status(400).json({ error: 'Database name and collection name are required' });
+    }
+
+    let filter, sortSpec, projectionSpec, stages;
+    if (pipeline !== undefined) {
+        stages = pipeline;
+        if (typeof pipeline === 'string') {
+            try {
+                stages = JSON.parse(pipeline);
+            } catch (e) {
+                return res.status(400).json({ error: 'Pipeline is not valid JSON: ' + e.message });
+            }
+        }
+        const stagesError = pipelineError(stages);
+        if (stagesError) {
+            return res.status(400).json({ error: stagesError });
+        }
+    } else {
+        try {
+            filter = parseQueryInput(query);
+        } catch (e) {
+            return res.status(400).json(queryErrorBody(e));
+        }
+        try {
+            sortSpec = parseObjectOption(sort, 'Sort');
+            projectionSpec = parseObjectOption(projection, 'Projection');
+        } catch (e) {
+            return res.status(400).json({ error: e.message });
+        }
+    }
+
+    const untrack = trackOperation(opId, req.dbSession);
+    try {
+        const explain = await withClient(req.dbSession, async (client) => {
+            const collection = client.db(dbName).collection(colName);
+            const operationOptions = queryOperationOptions(opId, maxTimeMS);
+
+            if (stages) {
+                console.log("Explaining Aggregation on", dbName + "." + colName, ":", JSON.stringify(stages));
+                return collection.aggregate(processQuery(stages), operationOptions).explain('executionStats');
             }
 
-            // Recursive function to convert extended JSON syntax ($oid, $date) to actual types
-            // and regular string ObjectIds
-            const processQuery = (obj) => {
-                if (Array.isArray(obj)) {
-                    return obj.map(item => processQuery(item));
-                } else if (typeof obj === 'object' && obj !== null) {
-                    // Check for extended syntax
-                    if (obj.$oid) {
-                        return new ObjectId(obj.$oid);
+            const search = processQuery(filter);
+            console.log("Explaining Query on", dbName + "." + colName, ":", JSON.stringify(search));
+            let find = collection.find(search, { ...operationOptions, ...(projectionSpec ? { projection: projectionSpec } : {}) });
+            if (sortSpec) find = find.sort(sortSpec);
+            return find.explain('executionStats');
+        });
+
+        // Relaxed EJSON: stage filters may hold ObjectIds and dates, counts stay plain numbers
+        res.json({
+            kind: stages ? 'aggregate' : 'find',
+            plan: EJSON.serialize(summarizeExplain(explain), { relaxed: true })
+        });
+    } catch (error) {
+        console.error('Explain error:', error);
+        sendQueryFailure(res, error, opId, 'explain query');
+    } finally {
+        untrack();
+    }
+});
+
+// Caps for /api/distinct so value suggestions stay cheap on large collections
+const DISTINCT_MAX_SAMPLE = 100000;
+const DISTINCT_MAX_TIME_MS = 10000;
+const DISTINCT_MAX_LIMIT = 500;
+
+// Top values of a field with their counts, scanning at most `sampleSize` matching documents
+app.post('/api/distinct', requireSession, async (req, res) => {
+    const { dbName, colName, field, query = {}, limit, sampleSize = 10000, maxTimeMS = 3000, opId } = req.body;
+    if (!dbName || !colName || !field) {
+        return res.status(400).json({ error: 'Database name, collection name and field are required' });
+    }
+    if (typeof field !== 'string' || field.startsWith('$')) {
+        return res.status(400).json({ error: 'Field must be a field path' });
+    }
+
+    let filter;
+    try {
+        filter = parseQueryInput(query);
+    } catch (e) {
+        return res.status(400).json(queryErrorBody(e));
+    }
+
+    const scanLimit = Math.min(Math.max(1, parseInt(sampleSize) || 1), DISTINCT_MAX_SAMPLE);
+    const timeLimit = Math.min(Math.max(1, parseInt(maxTimeMS) || 1), DISTINCT_MAX_TIME_MS);
+    const valueLimit = clampCount(limit, 20, DISTINCT_MAX_LIMIT);
+
+    const untrack = trackOperation(opId, req.dbSession);
+    try {
+        const [result] = await withClient(req.dbSession, async (client) => {
+            const collection = client.db(dbName).collection(colName);
+            const pipeline = [
+                { $match: processQuery(filter) },
+                { $limit: scanLimit },
+                { $project: { _id: 0, value: `$${field}` } },
+                // Array fields count each element, like a query on the field would match
+                { $unwind: '$value' },
+                { $group: { _id: '$value', count: { $sum: 1 } } },
+                {
+                    $facet: {
+                        top: [{ $sort: { count: -1, _id: 1 } }, { $limit: valueLimit }],
+                        total: [{ $count: 'distinct' }]
                     }
-                    if (obj.$date) {
-                        return new Date(obj.$date);
+                }
+            ];
+            return collection.aggregate(pipeline, queryOperationOptions(opId, timeLimit)).toArray();
+        });
+
+        const distinctCount = result.total[0]?.distinct || 0;
+        res.json({
+            field,
+            values: toEjson(result.top.map(entry => ({ value: entry._id, count: entry.count }))),
+            distinctCount,
+            truncated: distinctCount > result.top.length,
+            scanLimit
+        });
+    } catch (error) {
+        console.error('Distinct values error:', error);
+        sendQueryFailure(res, error, opId, `get distinct values of "${field}"`);
+    } finally {
+        untrack();
+    }
+});
+
+// Walk a document and collect the dot paths (with array indices) of every value that passes `test`
+const collectPaths = (value, test, prefix = '', out = []) => {
+    if (test(value)) {
+        if (prefix) out.push(prefix);
+        return out;
+    }
+    if (Array.isArray(value)) {
+        value.forEach((item, i) => collectPaths(item, test, prefix ? `${prefix}.${i}` : String(i), out));
+    } else if (value && typeof value === 'object' && !(value instanceof Date) && !value._bsontype) {
+        for (const [key, child] of Object.entries(value)) {
+            collectPaths(child, test, prefix ? `${prefix}.${key}` : key, out);
+        }
+    }
+    return out;
+};
+
+// "items.3.productId" -> "items.productId" (queries on array fields match any element)
+const toFieldPath = (path) => path.split('.').filter(part => !/^\d+$/.test(part)).join('.');
+
+// Key values compare by their relaxed EJSON, so an int32 42 matches a double 42
+const sameKeyValue = (a, b) => (a instanceof ObjectId
+    ? a.equals(b)
+    : a !== undefined && EJSON.stringify(a, { relaxed: true }) === EJSON.stringify(b, { relaxed: true }));
+
+// Reverse lookup: find documents in other collections whose fields hold the given ObjectId.
+// keys adds explicit lookups for non-ObjectId keys from the client's reference rules:
+// [{ sourceCollection, path, value (EJSON) }] finds sourceCollection documents whose path holds value.
+// Caps for /api/references: documents sampled per collection to find ObjectId fields, and matches returned per field
+const REFERENCES_MAX_SAMPLE = 1000;
+const REFERENCES_MAX_LIMIT = 200;
+
+app.post('/api/references', requireSession, async (req, res) => {
+    const { dbName, id, keys, collections: scope, sampleSize, limit, opId, maxTimeMS } = req.body;
+    const keyLookups = Array.isArray(keys) ? keys.filter(key => key && key.sourceCollection && key.path && key.value !== undefined) : [];
+    if (!dbName || (!id && keyLookups.length === 0)) {
+        return res.status(400).json({ error: 'Database name and a document id or key lookups are required' });
+    }
+
+    let targetId = null;
+    let keyValues;
+    try {
+        if (id) targetId = typeof id === 'string' ? new ObjectId(id) : processQuery(id);
+        keyValues = keyLookups.map(key => processQuery(key.value));
+    } catch (e) {
+        return res.status(400).json({ error: 'Invalid document id: ' + e.message });
+    }
+    if (id && !(targetId instanceof ObjectId)) {
+        return res.status(400).json({ error: 'Reverse lookup requires an ObjectId' });
+    }
+
+    const sampleCount = clampCount(sampleSize, 100, REFERENCES_MAX_SAMPLE);
+    const matchLimit = clampCount(limit, 20, REFERENCES_MAX_LIMIT);
+
+    const untrack = trackOperation(opId, req.dbSession);
+    try {
+        const { references, scanned } = await withClient(req.dbSession, async (client) => {
+            const db = client.db(dbName);
+            let names = (await db.listCollections({}, { nameOnly: true }).toArray())
+                .filter(col => col.type !== 'view' && !col.name.startsWith('system.'))
+                .map(col => col.name);
+            if (Array.isArray(scope) && scope.length > 0) {
+                names = names.filter(name => scope.includes(name));
+            }
+
+            const operationOptions = queryOperationOptions(opId, maxTimeMS);
+            const isObjectId = (val) => val instanceof ObjectId;
+            const isTarget = (val) => val instanceof ObjectId && val.equals(targetId);
+            const found = [];
+
+            for (const name of targetId ? names : []) {
+                const collection = db.collection(name);
+
+                // Sample the collection to learn which fields hold ObjectIds
+                const sample = await collection.aggregate([{ $sample: { size: sampleCount } }], operationOptions).toArray();
+                const fieldPaths = new Set();
+                sample.forEach(doc => {
+                    collectPaths(doc, isObjectId).forEach(path => {
+                        const fieldPath = toFieldPath(path);
+                        if (fieldPath !== '_id') fieldPaths.add(fieldPath);
+                    });
+                });
+                if (fieldPaths.size === 0) continue;
+
+                const search = { $or: [...fieldPaths].map(path => ({ [path]: targetId })) };
+                console.log("Searching references in", dbName + "." + name, ":", JSON.stringify(search));
+
+                const docs = await collection.find(search, operationOptions).limit(matchLimit).toArray();
+                docs.forEach(doc => {
+                    found.push({
+                        collection: name,
+                        paths: collectPaths(doc, isTarget).filter(path => path !== '_id'),
+                        document: doc
+                    });
+                });
+            }
+
+            // Rule-based lookups; a document already found by its ObjectId gets the extra paths merged in
+            for (const [i, key] of keyLookups.entries()) {
+                if (!names.includes(key.sourceCollection)) continue;
+                const value = keyValues[i];
+                const fieldPath = toFieldPath(key.path);
+                const docs = await db.collection(key.sourceCollection).find({ [fieldPath]: value }, operationOptions).limit(matchLimit).toArray();
+                docs.forEach(doc => {
+                    const paths = collectPaths(doc, (val) => (typeof val !== 'object' || val === null || !!val._bsontype) && sameKeyValue(val, value)).filter(path => toFieldPath(path) === fieldPath);
+                    const existing = found.find(ref => ref.collection === key.sourceCollection && sameKeyValue(ref.document._id, doc._id));
+                    if (existing) existing.paths = [...new Set([...existing.paths, ...paths])];
+                    else found.push({ collection: key.sourceCollection, paths, document: doc });
+                });
+            }
+
+            return { references: found, scanned: targetId ? names : [...new Set(keyLookups.map(key => key.sourceCollection))] };
+        });
+
+        res.json({
+            references: references.map(ref => ({ ...ref, document: toEjson(ref.document) })),
+            scannedCollections: scanned
+        });
+    } catch (error) {
+        console.error('Find references error:', error);
+        sendQueryFailure(res, error, opId, 'find references');
+    } finally {
+        untrack();
+    }
+});
+
+// Shortest reference path search: levels are capped, and so is every query within a level
+const REFERENCE_PATH_MAX_DEPTH = 6;
+const REFERENCE_PATH_BATCH_LIMIT = 500;
+
+// Values under a dot path, flattening arrays on the way (the way a query on an array field matches)
+const valuesAtPath = (value, parts) => {
+    if (Array.isArray(value)) return value.flatMap(item => valuesAtPath(item, parts));
+    if (parts.length === 0) return value === undefined ? [] : [value];
+    if (!value || typeof value !== 'object' || value._bsontype) return [];
+    return valuesAtPath(value[parts[0]], parts.slice(1));
+};
+
+// Shortest chain of ObjectId references between two documents of one database, breadth-first over the
+// known relationships [{ sourceCollection, path, targetCollection }] (no sourceCollection = any collection).
+// Each level follows references both ways: forward (a field holds the next document's _id) and
+// reverse (the next document has a field holding this one's _id).
+// Responds with { steps: [{ collection, document, via }] } from `from` to `to`, or { steps: null }.
+app.post('/api/reference-path', requireSession, async (req, res) => {
+    const { dbName, from, to, relationships, maxDepth = 4, opId, maxTimeMS } = req.body;
+    if (!dbName || !from?.colName || from.id === undefined || !to?.colName || to.id === undefined) {
+        return res.status(400).json({ error: 'Database name and both documents ({ colName, id }) are required' });
+    }
+    if (!Array.isArray(relationships) || relationships.length === 0) {
+        return res.status(400).json({ error: 'At least one known relationship is required' });
+    }
+
+    let fromId, toId;
+    try {
+        fromId = processQuery(from.id);
+        toId = processQuery(to.id);
+    } catch (e) {
+        return res.status(400).json({ error: 'Invalid document id: ' + e.message });
+    }
+    const depth = Math.min(Math.max(parseInt(maxDepth) || 1, 1), REFERENCE_PATH_MAX_DEPTH);
+
+    const untrack = trackOperation(opId, req.dbSession);
+    try {
+        const steps = await withClient(req.dbSession, async (client) => {
+            const db = client.db(dbName);
+            const names = (await db.listCollections({}, { nameOnly: true }).toArray())
+                .filter(col => col.type !== 'view' && !col.name.startsWith('system.'))
+                .map(col => col.name);
+
+            // One edge per source collection, path and target; relationships into missing collections are dropped
+            const edges = new Map();
+            relationships.forEach(rel => {
+                if (!rel?.path || !names.includes(rel.targetCollection)) return;
+                const path = toFieldPath(rel.path);
+                (rel.sourceCollection ? [rel.sourceCollection] : names)
+                    .filter(source => names.includes(source))
+                    .forEach(source => edges.set(`${source}\u0000${path}\u0000${rel.targetCollection}`, { sourceCollection: source, path, targetCollection: rel.targetCollection }));
+            });
+
+            const operationOptions = queryOperationOptions(opId, maxTimeMS);
+            const keyOf = (colName, id) => `${colName}\u0000${EJSON.stringify(id, { relaxed: false })}`;
+            const start = await db.collection(from.colName).findOne({ _id: fromId }, operationOptions);
+            if (!start) return null;
+
+            const goalKey = keyOf(to.colName, toId);
+            // key -> { key, collection, document, parent (key), via }
+            const visited = new Map();
+            const startKey = keyOf(from.colName, fromId);
+            visited.set(startKey, { key: startKey, collection: from.colName, document: start, parent: null, via: null });
+            let frontier = [visited.get(startKey)];
+            console.log("Searching reference path in", dbName, "from", startKey, "to", goalKey, "over", edges.size, "relationships");
+
+            for (let level = 0; level < depth && frontier.length > 0 && !visited.has(goalKey); level++) {
+                const next = [];
+                const reach = (collection, document, parent, via) => {
+                    const key = keyOf(collection, document._id);
+                    if (visited.has(key)) return;
+                    const node = { key, collection, document, parent, via };
+                    visited.set(key, node);
+                    next.push(node);
+                };
+
+                for (const edge of edges.values()) {
+                    if (visited.has(goalKey)) break;
+                    const parts = edge.path.split('.');
+
+                    // Forward: ids held by frontier documents of the source collection
+                    const parentById = new Map();
+                    frontier.filter(node => node.collection === edge.sourceCollection).forEach(node => {
+                        valuesAtPath(node.document, parts).forEach(value => {
+                            if (value instanceof ObjectId && !parentById.has(value.toHexString())) parentById.set(value.toHexString(), node.key);
+                        });
+                    });
+                    if (parentById.size > 0) {
+                        const ids = [...parentById.keys()].slice(0, REFERENCE_PATH_BATCH_LIMIT).map(hex => new ObjectId(hex));
+                        const docs = await db.collection(edge.targetCollection).find({ _id: { $in: ids } }, operationOptions).toArray();
+                        docs.forEach(doc => reach(edge.targetCollection, doc, parentById.get(doc._id.toHexString()), { path: edge.path, direction: 'forward' }));
                     }
 
-                    const newObj = {};
-                    for (const [key, value] of Object.entries(obj)) {
-                        newObj[key] = processQuery(value);
+                    // Reverse: documents of the source collection whose field holds a frontier document's _id
+                    const targets = new Map();
+                    frontier.filter(node => node.collection === edge.targetCollection && node.document._id instanceof ObjectId)
+                        .forEach(node => targets.set(node.document._id.toHexString(), node.key));
+                    if (targets.size > 0) {
+                        const ids = [...targets.keys()].slice(0, REFERENCE_PATH_BATCH_LIMIT).map(hex => new ObjectId(hex));
+                        const docs = await db.collection(edge.sourceCollection)
+                            .find({ [edge.path]: { $in: ids } }, operationOptions)
+                            .limit(REFERENCE_PATH_BATCH_LIMIT)
+                            .toArray();
+                        docs.forEach(doc => {
+                            const held = valuesAtPath(doc, parts).find(value => value instanceof ObjectId && targets.has(value.toHexString()));
+                            if (held) reach(edge.sourceCollection, doc, targets.get(held.toHexString()), { path: edge.path, direction: 'reverse' });
+                        });
                     }
-                    return newObj;
                 }
-                return obj;
-            };
+                frontier = next;
+            }
 
-            // Apply conversions
-            search = processQuery(search);
+            if (!visited.has(goalKey)) return null;
+            const path = [];
+            for (let node = visited.get(goalKey); node; node = node.parent && visited.get(node.parent)) {
+                path.unshift({ collection: node.collection, document: node.document, via: node.via });
+            }
+            return path;
+        });
 
-            console.log("Executing Query on", dbName + "." + colName, ":", JSON.stringify(search));
+        res.json({
+            steps: steps && steps.map(step => ({ ...step, document: toEjson(step.document) })),
+            maxDepth: depth
+        });
+    } catch (error) {
+        console.error('Reference path error:', error);
+        sendQueryFailure(res, error, opId, 'find a reference path');
+    } finally {
+        untrack();
+    }
+});
+
+// Relationship discovery runs in the background; the client polls the job by id
+const discoveryJobs = new Map();
+const DISCOVERY_JOB_TTL_MS = 10 * 60 * 1000;
+
+// Sample every collection, collect ObjectId-valued field paths and probe which collection
+// actually holds those ids. Confidence = fraction of sampled ids found in the target.
+// Each query has the default time limit and is tagged with the job id, like the queries of a request.
+const runRelationshipDiscovery = async (job, session, dbName, sampleSize, idsPerPath) => {
+    const operationOptions = queryOperationOptions(`discovery-${job.id}`);
+    await withClient(session, async (client) => {
+        const db = client.db(dbName);
+        const names = (await db.listCollections({}, { nameOnly: true }).toArray())
+            .filter(col => col.type !== 'view' && !col.name.startsWith('system.'))
+            .map(col => col.name);
+
+        // 1. Collect candidate paths and a sample of their ids per source collection
+        const candidates = []; // { sourceCollection, path, ids: ObjectId[] }
+        for (const name of names) {
+            const sample = await db.collection(name).aggregate([{ $sample: { size: sampleSize } }], operationOptions).toArray();
+            const idsByPath = new Map();
+            sample.forEach(doc => {
+                collectPaths(doc, (val) => val instanceof ObjectId).forEach(path => {
+                    const fieldPath = toFieldPath(path);
+                    if (fieldPath === '_id') return;
+                    const value = path.split('.').reduce((cur, part) => cur?.[part], doc);
+                    if (!idsByPath.has(fieldPath)) idsByPath.set(fieldPath, new Map());
+                    const ids = idsByPath.get(fieldPath);
+                    if (ids.size < idsPerPath) ids.set(value.toHexString(), value);
+                });
+            });
+            idsByPath.forEach((ids, path) => candidates.push({ sourceCollection: name, path, ids: [...ids.values()] }));
+        }
+
+        job.progress = { done: 0, total: candidates.length };
+
+        // 2. Probe every collection for each path's ids
+        for (const candidate of candidates) {
+            const matches = [];
+            for (const name of names) {
+                const matched = await db.collection(name).countDocuments({ _id: { $in: candidate.ids } }, operationOptions);
+                if (matched > 0) {
+                    matches.push({ targetCollection: name, matched, confidence: matched / candidate.ids.length });
+                }
+            }
+            matches.sort((a, b) => b.confidence - a.confidence);
+            if (matches.length > 0) {
+                job.relationships.push({
+                    sourceCollection: candidate.sourceCollection,
+                    path: candidate.path,
+                    targetCollection: matches[0].targetCollection,
+                    confidence: matches[0].confidence,
+                    sampled: candidate.ids.length,
+                    matched: matches[0].matched,
+                    alternatives: matches.slice(1).map(({ targetCollection, confidence }) => ({ targetCollection, confidence }))
+                });
+            }
+            job.progress.done++;
+        }
+    });
+};
+
+// Caps for discovery: documents sampled per collection, and ids per field path probed in every collection
+const DISCOVERY_MAX_SAMPLE = 1000;
+const DISCOVERY_MAX_IDS_PER_PATH = 500;
+
+app.post('/api/relationships/discover', requireSession, async (req, res) => {
+    const { dbName, sampleSize, idsPerPath } = req.body;
+    if (!dbName) {
+        return res.status(400).json({ error: 'Database name is required' });
+    }
+
+    const jobId = crypto.randomUUID();
+    const job = { id: jobId, dbName, status: 'running', progress: { done: 0, total: 0 }, relationships: [], error: null, startedAt: Date.now() };
+    discoveryJobs.set(jobId, job);
+    console.log("Starting relationship discovery on", dbName, "job", jobId);
 
-            const docs = await collection.find(search).limit(parseInt(limit)).toArray();
-            return docs;
+    runRelationshipDiscovery(job, req.dbSession, dbName, clampCount(sampleSize, 200, DISCOVERY_MAX_SAMPLE), clampCount(idsPerPath, 50, DISCOVERY_MAX_IDS_PER_PATH))
+        .then(() => {
+            job.status = 'done';
+        })
+        .catch(error => {
+            console.error('Relationship discovery error:', error);
+            job.status = 'failed';
+            job.error = error.message;
+        })
+        .finally(() => {
+            job.finishedAt = Date.now();
+            setTimeout(() => discoveryJobs.delete(jobId), DISCOVERY_JOB_TTL_MS).unref();
         });
-        res.json({ documents });
+
+    res.json({ jobId });
+});
+
+app.post('/api/relationships/status', async (req, res) => {
+    const { jobId } = req.body;
+    const job = jobId && discoveryJobs.get(jobId);
+    if (!job) {
+        return res.status(404).json({ error: 'Discovery job not found' });
+    }
+    res.json(job);
+});
+
+// Live updates for canvas documents: one change stream per collection, filtered to the watched _ids,
+// relayed as server-sent events ("ready", "change", "error") until the client closes the request.
+// Change streams need a replica set; a single-node one (mongod --replSet rs0, then rs.initiate()) will do.
+// targets: [{ dbName, colName, ids: [EJSON _id] }]
+app.post('/api/watch', requireSession, async (req, res) => {
+    const { targets } = req.body;
+    if (!Array.isArray(targets) || targets.length === 0
+        || targets.some(t => !t || !t.dbName || !t.colName || !Array.isArray(t.ids) || t.ids.length === 0)) {
+        return res.status(400).json({ error: 'targets must list the { dbName, colName, ids } to watch' });
+    }
+
+    res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    console.log("Watching", targets.reduce((n, t) => n + t.ids.length, 0), "documents on", req.dbSession.host);
+
+    // The watch counts as an active operation for as long as it runs, so the session is not evicted
+    try {
+        await withClient(req.dbSession, (client) => new Promise((resolve) => {
+            const streams = [];
+            let stopped = false;
+            // Comment lines keep proxies from closing a quiet stream
+            const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 25000);
+
+            const stop = (error) => {
+                if (stopped) return;
+                stopped = true;
+                clearInterval(heartbeat);
+                streams.forEach(stream => stream.close().catch(() => { }));
+                if (error) {
+                    console.error('Watch error:', error);
+                    const notReplicaSet = error.code === 40573 || /replica set/i.test(error.message);
+                    send('error', notReplicaSet
+                        ? { error: 'Live updates need a replica set (a single-node one is enough)', code: 'NOT_REPLICA_SET' }
+                        : { error: 'Live updates stopped: ' + error.message });
+                }
+                res.end();
+                resolve();
+            };
+
+            try {
+                targets.forEach(({ dbName, colName, ids }) => {
+                    const stream = client.db(dbName).collection(colName).watch([
+                        { $match: { operationType: { $in: ['insert', 'update', 'replace', 'delete'] }, 'documentKey._id': { $in: processQuery(ids) } } }
+                    ], { fullDocument: 'updateLookup' });
+                    stream.on('change', (change) => send('change', {
+                        dbName,
+                        colName,
+                        operationType: change.operationType,
+                        id: toEjson(change.documentKey._id),
+                        // null for deletes, and for an update whose document is gone by the time it is looked up
+                        document: change.fullDocument ? toEjson(change.fullDocument) : null,
+                        at: (change.wallTime || new Date()).toISOString()
+                    }));
+                    stream.on('error', stop);
+                    streams.push(stream);
+                });
+            } catch (error) {
+                return stop(error);
+            }
+
+            res.on('close', () => stop());
+            send('ready', { collections: targets.length });
+        }));
     } catch (error) {
-        console.error('Fetch documents error:', error);
-        res.status(500).json({ error: 'Failed to fetch documents: ' + error.message });
+        // Could not connect; the stream is already open, so the failure goes out as an event
+        console.error('Watch error:', error);
+        send('error', { error: 'Failed to watch documents: ' + error.message });
+        res.end();
     }
 });
 
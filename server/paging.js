@@ -0,0 +1,86 @@
+// Keyset paging for document queries. A page cursor holds the sort key values of the document at the
+// edge of the page it came from, so the next (or previous) page starts right after that document:
+// inserts and deletes meanwhile don't shift or repeat rows, and deep pages don't skip over earlier ones.
+// Cursors are opaque to the client and carry a fingerprint of the query they belong to.
+
+const crypto = require('crypto');
+const { BSON } = require('mongodb');
+
+const { EJSON } = BSON;
+
+const queryFingerprint = (...parts) => crypto.createHash('sha1').update(JSON.stringify(parts)).digest('hex').slice(0, 16);
+
+// Sort directions as 1 / -1, ending with _id as the tie-breaker keyset paging needs for a total order.
+// Throws for anything that isn't a direction, e.g. { $meta: 'textScore' }.
+const pagingSort = (sortSpec = {}) => {
+    const sort = {};
+    for (const [key, direction] of Object.entries(sortSpec)) {
+        if (direction === 1 || direction === 'asc' || direction === 'ascending') sort[key] = 1;
+        else if (direction === -1 || direction === 'desc' || direction === 'descending') sort[key] = -1;
+        else throw new Error(`Sort direction of "${key}" must be 1 or -1`);
+    }
+    if (!('_id' in sort)) sort._id = 1;
+    return sort;
+};
+
+const invertSort = (sort) => Object.fromEntries(Object.entries(sort).map(([key, direction]) => [key, -direction]));
+
+// Value of a dotted path the way an aggregation field path ("$a.b") reads it: arrays along the path
+// map to the values of their elements
+const fieldPathValue = (value, parts) => {
+    if (parts.length === 0) return value;
+    if (Array.isArray(value)) return value.map(item => fieldPathValue(item, parts)).filter(item => item !== undefined);
+    if (value === null || typeof value !== 'object') return undefined;
+    return fieldPathValue(value[parts[0]], parts.slice(1));
+};
+
+// { [sortKey]: value } for a document, missing values as null (they sort together)
+const sortKeyValues = (doc, sort) => Object.fromEntries(Object.keys(sort).map(key => {
+    const value = fieldPathValue(doc, key.split('.'));
+    return [key, value === undefined ? null : value];
+}));
+
+// Clauses on one sort key: equal to value, and after it in the direction given (1 ascending, -1 descending).
+// Null and missing sort together before every other value, so they get their own branches; after the
+// last value there is nothing (null).
+const keyEquals = (key, value) => (value === null ? { [key]: null } : { [key]: value });
+
+const keyAfter = (key, value, direction) => {
+    if (direction === 1) return value === null ? { [key]: { $exists: true, $ne: null } } : { [key]: { $gt: value } };
+    return value === null ? null : { $or: [{ [key]: { $lt: value } }, { [key]: null }] };
+};
+
+// Filter for the documents after `values` in sort order, or before them when reverse is set, as plain
+// query operators so the index on the sort keys bounds the scan. Like any query they compare within a
+// BSON type, so a sort key should hold one type (besides null) for pages to line up.
+const keysetFilter = (sort, values, reverse = false) => {
+    const keys = Object.keys(sort);
+    const branches = keys.map((key, i) => {
+        const after = keyAfter(key, values[key], reverse ? -sort[key] : sort[key]);
+        return after && { $and: [...keys.slice(0, i).map(previous => keyEquals(previous, values[previous])), after] };
+    });
+    return { $or: branches.filter(Boolean) };
+};
+
+// cursor: { fingerprint, values, reverse, skip, totalCount }. skip is only the position shown to the
+// user; totalCount is counted once, on the first page. The sort key values go as canonical EJSON,
+// so they keep their BSON types.
+const encodeCursor = ({ values, ...cursor }) => Buffer.from(JSON.stringify({ ...cursor, values: EJSON.stringify(values, { relaxed: false }) })).toString('base64url');
+
+const decodeCursor = (text) => {
+    try {
+        const cursor = JSON.parse(Buffer.from(text, 'base64url').toString('utf8'));
+        const valid = typeof cursor.fingerprint === 'string'
+            && typeof cursor.values === 'string'
+            && typeof cursor.reverse === 'boolean'
+            && Number.isInteger(cursor.skip) && cursor.skip >= 0
+            && (cursor.totalCount === null || Number.isInteger(cursor.totalCount));
+        if (!valid) return null;
+        const values = EJSON.parse(cursor.values, { relaxed: false });
+        return values !== null && typeof values === 'object' && !Array.isArray(values) ? { ...cursor, values } : null;
+    } catch {
+        return null;
+    }
+};
+
+module.exports = { queryFingerprint, pagingSort, invertSort, sortKeyValues, keysetFilter, encodeCursor, decodeCursor };
@@ -0,0 +1,60 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId, Long } = require('mongodb');
+const { pagingSort, invertSort, sortKeyValues, keysetFilter, encodeCursor, decodeCursor } = require('./paging');
+
+test('sorts end with _id as the tie-breaker', () => {
+    assert.deepEqual(pagingSort(undefined), { _id: 1 });
+    assert.deepEqual(pagingSort({ createdAt: -1 }), { createdAt: -1, _id: 1 });
+    assert.deepEqual(pagingSort({ _id: -1, name: 'asc' }), { _id: -1, name: 1 });
+    assert.deepEqual(invertSort({ createdAt: -1, _id: 1 }), { createdAt: 1, _id: -1 });
+    assert.throws(() => pagingSort({ score: { $meta: 'textScore' } }), /must be 1 or -1/);
+});
+
+test('reads sort key values like aggregation field paths', () => {
+    const doc = { _id: 1, a: { b: 2 }, items: [{ n: 1 }, { m: 2 }, { n: 3 }] };
+    assert.deepEqual(sortKeyValues(doc, { 'a.b': 1, 'items.n': 1, missing: 1, _id: 1 }), { 'a.b': 2, 'items.n': [1, 3], missing: null, _id: 1 });
+});
+
+test('keyset filter continues after the edge document in sort order', () => {
+    const sort = { createdAt: -1, _id: 1 };
+    assert.deepEqual(keysetFilter(sort, { createdAt: 5, _id: 9 }), {
+        $or: [
+            { $and: [{ $or: [{ createdAt: { $lt: 5 } }, { createdAt: null }] }] },
+            { $and: [{ createdAt: 5 }, { _id: { $gt: 9 } }] }
+        ]
+    });
+    // Reading backwards flips each comparison
+    assert.deepEqual(keysetFilter(sort, { createdAt: 5, _id: 9 }, true), {
+        $or: [
+            { $and: [{ createdAt: { $gt: 5 } }] },
+            { $and: [{ createdAt: 5 }, { $or: [{ _id: { $lt: 9 } }, { _id: null }] }] }
+        ]
+    });
+});
+
+test('keyset filter puts null and missing sort keys before every value', () => {
+    // Ascending: after a null come the documents that have a value
+    assert.deepEqual(keysetFilter({ name: 1, _id: 1 }, { name: null, _id: 3 }), {
+        $or: [
+            { $and: [{ name: { $exists: true, $ne: null } }] },
+            { $and: [{ name: null }, { _id: { $gt: 3 } }] }
+        ]
+    });
+    // Descending: nothing sorts after a null but other nulls with a later _id
+    assert.deepEqual(keysetFilter({ name: -1, _id: 1 }, { name: null, _id: 3 }), {
+        $or: [{ $and: [{ name: null }, { _id: { $gt: 3 } }] }]
+    });
+});
+
+test('cursors round-trip with BSON types intact and reject tampering', () => {
+    const id = new ObjectId();
+    const values = { count: Long.fromString('9007199254740993'), at: new Date(0), _id: id };
+    const cursor = decodeCursor(encodeCursor({ fingerprint: 'abc', values, reverse: false, skip: 20, totalCount: 100 }));
+    assert.equal(cursor.skip, 20);
+    assert.equal(cursor.totalCount, 100);
+    assert.equal(cursor.values.count.toString(), '9007199254740993');
+    assert.ok(cursor.values._id.equals(id));
+    assert.equal(decodeCursor('not a cursor'), null);
+    assert.equal(decodeCursor(Buffer.from(JSON.stringify({ skip: 1 })).toString('base64url')), null);
+});
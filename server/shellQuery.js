@@ -0,0 +1,280 @@
+// Relaxed parser for filters written in mongosh / JavaScript syntax, e.g.
+//   { userId: ObjectId("..."), createdAt: { $gt: ISODate("...") }, name: /^ab/i }
+// Accepts unquoted keys, single quotes, trailing commas, regex literals and the common
+// shell constructors. The result is canonical Extended JSON ({ $oid }, { $date }, ...) so it
+// goes through the same processQuery conversion as JSON queries.
+
+class ShellSyntaxError extends Error {
+    constructor(message, text, position) {
+        const before = text.slice(0, position).split('\n');
+        const line = before.length;
+        const column = before[before.length - 1].length + 1;
+        super(`${message} at line ${line}, column ${column}`);
+        this.name = 'ShellSyntaxError';
+        this.position = position;
+        this.line = line;
+        this.column = column;
+    }
+}
+
+const IDENTIFIER_START = /[A-Za-z_$]/;
+const IDENTIFIER_PART = /[A-Za-z0-9_$.]/;
+const NUMBER = /^-?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/;
+const HEX_24 = /^[0-9a-fA-F]{24}$/;
+const UUID = /^[0-9a-fA-F]{8}-?[0-9a-fA-F]{4}-?[0-9a-fA-F]{4}-?[0-9a-fA-F]{4}-?[0-9a-fA-F]{12}$/;
+const INTEGER = /^-?\d+$/;
+const DECIMAL = /^-?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$|^-?(Infinity|NaN)$/;
+const REGEX_FLAGS = /^[imsxu]*$/;
+
+const parseShellQuery = (text) => {
+    let pos = 0;
+
+    const fail = (message, at = pos) => {
+        throw new ShellSyntaxError(message, text, at);
+    };
+
+    const describe = (at = pos) => at >= text.length ? 'end of input' : `'${text[at]}'`;
+
+    const skipWhitespace = () => {
+        while (pos < text.length && /\s/.test(text[pos])) pos++;
+    };
+
+    const expect = (char) => {
+        skipWhitespace();
+        if (text[pos] !== char) fail(`Expected '${char}' but found ${describe()}`);
+        pos++;
+    };
+
+    const parseString = () => {
+        const quote = text[pos];
+        const start = pos++;
+        let result = '';
+        while (pos < text.length && text[pos] !== quote) {
+            if (text[pos] === '\n') fail('Unterminated string', start);
+            if (text[pos] === '\\') {
+                pos++;
+                const escaped = text[pos];
+                const simple = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', v: '\v', 0: '\0' };
+                if (escaped === 'u') {
+                    const hex = text.slice(pos + 1, pos + 5);
+                    if (!/^[0-9a-fA-F]{4}$/.test(hex)) fail('Invalid unicode escape', pos - 1);
+                    result += String.fromCharCode(parseInt(hex, 16));
+                    pos += 4;
+                } else if (escaped !== undefined) {
+                    result += simple[escaped] ?? escaped;
+                }
+                pos++;
+            } else {
+                result += text[pos++];
+            }
+        }
+        if (pos >= text.length) fail('Unterminated string', start);
+        pos++;
+        return result;
+    };
+
+    const parseIdentifier = () => {
+        const start = pos;
+        while (pos < text.length && IDENTIFIER_PART.test(text[pos])) pos++;
+        return text.slice(start, pos);
+    };
+
+    const parseRegex = () => {
+        const start = pos++;
+        let pattern = '';
+        let inClass = false;
+        while (pos < text.length && (text[pos] !== '/' || inClass)) {
+            if (text[pos] === '\n') fail('Unterminated regular expression', start);
+            if (text[pos] === '\\') {
+                pattern += text[pos++];
+            } else if (text[pos] === '[') {
+                inClass = true;
+            } else if (text[pos] === ']') {
+                inClass = false;
+            }
+            pattern += text[pos++] ?? '';
+        }
+        if (pos >= text.length) fail('Unterminated regular expression', start);
+        pos++;
+        const flagsStart = pos;
+        while (pos < text.length && /[a-z]/i.test(text[pos])) pos++;
+        const options = text.slice(flagsStart, pos);
+        if (!REGEX_FLAGS.test(options)) fail(`Unsupported regular expression flags '${options}'`, flagsStart);
+        return { $regularExpression: { pattern, options: options.split('').sort().join('') } };
+    };
+
+    // Arguments of a constructor call, e.g. ObjectId("...") or Timestamp(1, 2)
+    const parseArguments = (name) => {
+        expect('(');
+        const args = [];
+        skipWhitespace();
+        while (text[pos] !== ')') {
+            const at = pos;
+            args.push({ value: parseValue(), at });
+            skipWhitespace();
+            if (text[pos] === ',') {
+                pos++;
+                skipWhitespace();
+            } else if (text[pos] !== ')') {
+                fail(`Expected ',' or ')' in ${name}() but found ${describe()}`);
+            }
+        }
+        pos++;
+        return args;
+    };
+
+    const stringArgument = (name, args, start) => {
+        if (args.length !== 1 || typeof args[0].value !== 'string') {
+            fail(`${name}() expects a single string argument`, args[0]?.at ?? start);
+        }
+        return args[0].value;
+    };
+
+    const CONSTRUCTORS = {
+        ObjectId: (args, start) => {
+            const hex = stringArgument('ObjectId', args, start);
+            if (!HEX_24.test(hex)) fail('ObjectId() expects 24 hex characters', args[0].at);
+            return { $oid: hex.toLowerCase() };
+        },
+        ISODate: (args, start) => {
+            if (args.length === 0) return { $date: new Date().toISOString() };
+            const value = stringArgument('ISODate', args, start);
+            const date = new Date(value);
+            if (isNaN(date.getTime())) fail(`Invalid date '${value}'`, args[0].at);
+            return { $date: date.toISOString() };
+        },
+        NumberLong: (args, start) => {
+            const value = args.length === 1 && typeof args[0].value === 'number' ? String(args[0].value) : stringArgument('NumberLong', args, start);
+            if (!INTEGER.test(value)) fail(`NumberLong() expects an integer, got '${value}'`, args[0].at);
+            return { $numberLong: value };
+        },
+        NumberInt: (args, start) => {
+            const value = args.length === 1 && typeof args[0].value === 'number' ? String(args[0].value) : stringArgument('NumberInt', args, start);
+            if (!INTEGER.test(value) || Math.abs(Number(value)) > 2147483647) fail(`NumberInt() expects a 32-bit integer, got '${value}'`, args[0].at);
+            return { $numberInt: value };
+        },
+        NumberDecimal: (args, start) => {
+            const value = args.length === 1 && typeof args[0].value === 'number' ? String(args[0].value) : stringArgument('NumberDecimal', args, start);
+            if (!DECIMAL.test(value)) fail(`NumberDecimal() expects a decimal number, got '${value}'`, args[0].at);
+            return { $numberDecimal: value };
+        },
+        UUID: (args, start) => {
+            const value = stringArgument('UUID', args, start);
+            if (!UUID.test(value)) fail(`Invalid UUID '${value}'`, args[0].at);
+            const hex = value.replace(/-/g, '').toLowerCase();
+            return { $uuid: `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}` };
+        },
+        Timestamp: (args, start) => {
+            if (args.length !== 2 || args.some(arg => !Number.isInteger(arg.value) || arg.value < 0)) {
+                fail('Timestamp() expects two non-negative integers (t, i)', args[0]?.at ?? start);
+            }
+            return { $timestamp: { t: args[0].value, i: args[1].value } };
+        }
+    };
+    // new Date("...") and Date("...") behave like ISODate("...")
+    CONSTRUCTORS.Date = CONSTRUCTORS.ISODate;
+    CONSTRUCTORS.Long = CONSTRUCTORS.NumberLong;
+    CONSTRUCTORS.Int32 = CONSTRUCTORS.NumberInt;
+    CONSTRUCTORS.Decimal128 = CONSTRUCTORS.NumberDecimal;
+
+    const parseKeyword = () => {
+        const start = pos;
+        let name = parseIdentifier();
+        if (name === 'new') {
+            skipWhitespace();
+            name = parseIdentifier();
+            if (!CONSTRUCTORS[name]) fail(`Unknown constructor '${name}'`, start);
+        }
+        if (name === 'true') return true;
+        if (name === 'false') return false;
+        if (name === 'null') return null;
+        if (name === 'Infinity') return { $numberDouble: 'Infinity' };
+        if (name === 'NaN') return { $numberDouble: 'NaN' };
+        if (CONSTRUCTORS[name]) {
+            skipWhitespace();
+            if (text[pos] !== '(') fail(`Expected '(' after ${name}`);
+            return CONSTRUCTORS[name](parseArguments(name), start);
+        }
+        return fail(`Unexpected identifier '${name}'`, start);
+    };
+
+    const parseObject = () => {
+        pos++;
+        const result = {};
+        skipWhitespace();
+        while (text[pos] !== '}') {
+            if (pos >= text.length) fail("Expected '}' but found end of input");
+            const keyStart = pos;
+            let key;
+            if (text[pos] === '"' || text[pos] === "'") {
+                key = parseString();
+            } else if (IDENTIFIER_START.test(text[pos])) {
+                key = parseIdentifier();
+            } else if (/\d/.test(text[pos])) {
+                key = parseIdentifier();
+            } else {
+                fail(`Expected a field name but found ${describe()}`);
+            }
+            if (Object.prototype.hasOwnProperty.call(result, key)) fail(`Duplicate key '${key}'`, keyStart);
+            // Assigning it would replace the prototype and silently drop the condition (a match-all filter)
+            if (key === '__proto__') fail("Field name '__proto__' is not allowed", keyStart);
+            expect(':');
+            result[key] = parseValue();
+            skipWhitespace();
+            if (text[pos] === ',') {
+                pos++;
+                skipWhitespace();
+            } else if (text[pos] !== '}') {
+                fail(`Expected ',' or '}' but found ${describe()}`);
+            }
+        }
+        pos++;
+        return result;
+    };
+
+    const parseArray = () => {
+        pos++;
+        const result = [];
+        skipWhitespace();
+        while (text[pos] !== ']') {
+            if (pos >= text.length) fail("Expected ']' but found end of input");
+            result.push(parseValue());
+            skipWhitespace();
+            if (text[pos] === ',') {
+                pos++;
+                skipWhitespace();
+            } else if (text[pos] !== ']') {
+                fail(`Expected ',' or ']' but found ${describe()}`);
+            }
+        }
+        pos++;
+        return result;
+    };
+
+    const parseValue = () => {
+        skipWhitespace();
+        const char = text[pos];
+        if (char === undefined) return fail('Expected a value but found end of input');
+        if (char === '{') return parseObject();
+        if (char === '[') return parseArray();
+        if (char === '"' || char === "'") return parseString();
+        if (char === '/') return parseRegex();
+        const number = NUMBER.exec(text.slice(pos));
+        if (number) {
+            pos += number[0].length;
+            return Number(number[0]);
+        }
+        if (IDENTIFIER_START.test(char)) return parseKeyword();
+        return fail(`Unexpected ${describe()}`);
+    };
+
+    skipWhitespace();
+    if (pos >= text.length) return {};
+    if (text[pos] !== '{') fail(`Query must be an object, found ${describe()}`);
+    const query = parseValue();
+    skipWhitespace();
+    if (pos < text.length) fail(`Unexpected ${describe()} after the query`);
+    return query;
+};
+
+module.exports = { parseShellQuery, ShellSyntaxError };
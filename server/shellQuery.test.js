@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { EJSON } = require('mongodb').BSON;
+const { parseShellQuery, ShellSyntaxError } = require('./shellQuery');
+
+test('parses relaxed shell syntax into canonical Extended JSON', () => {
+    const query = parseShellQuery(`{
+        userId: ObjectId("507F1F77BCF86CD799439011"),
+        'createdAt': { $gt: ISODate("2024-01-02T03:04:05Z") },
+        name: /^ab/i,
+        count: NumberLong(42),
+        tags: ['a', "b",],
+    }`);
+    assert.deepEqual(query, {
+        userId: { $oid: '507f1f77bcf86cd799439011' },
+        createdAt: { $gt: { $date: '2024-01-02T03:04:05.000Z' } },
+        name: { $regularExpression: { pattern: '^ab', options: 'i' } },
+        count: { $numberLong: '42' },
+        tags: ['a', 'b']
+    });
+});
+
+test('round-trips through EJSON into BSON values', () => {
+    const parsed = EJSON.deserialize(parseShellQuery('{ _id: ObjectId("507f1f77bcf86cd799439011"), n: NumberInt(7), d: NumberDecimal("1.50"), at: new Date("2024-01-01") }'));
+    assert.equal(parsed._id.toHexString(), '507f1f77bcf86cd799439011');
+    assert.equal(parsed.n, 7);
+    assert.equal(parsed.d.toString(), '1.50');
+    assert.ok(parsed.at instanceof Date);
+    assert.deepEqual(EJSON.serialize(parsed, { relaxed: false })._id, { $oid: '507f1f77bcf86cd799439011' });
+});
+
+test('an empty query is an empty filter', () => {
+    assert.deepEqual(parseShellQuery('  '), {});
+});
+
+test('reports the position of syntax errors', () => {
+    assert.throws(() => parseShellQuery('{ a: 1,\n  b: }'), (error) => {
+        assert.ok(error instanceof ShellSyntaxError);
+        assert.equal(error.line, 2);
+        assert.equal(error.column, 6);
+        return true;
+    });
+});
+
+test('rejects duplicate keys and invalid constructor arguments', () => {
+    assert.throws(() => parseShellQuery('{ a: 1, a: 2 }'), /Duplicate key 'a'/);
+    assert.throws(() => parseShellQuery('{ _id: ObjectId("123") }'), /24 hex characters/);
+    assert.throws(() => parseShellQuery('{ n: NumberInt(3000000000) }'), /32-bit integer/);
+});
+
+test('rejects __proto__ keys instead of dropping the condition', () => {
+    assert.throws(() => parseShellQuery('{ __proto__: { status: "x" } }'), ShellSyntaxError);
+    assert.throws(() => parseShellQuery('{ a: { "__proto__": 1 } }'), /'__proto__' is not allowed/);
+});